@@ -0,0 +1,73 @@
+import {
+  ATTACHMENT_FILTERS,
+  ATTACHMENT_SORTS,
+  getAttachmentCategory,
+  toAttachmentItem,
+  mergeAttachmentItems,
+  filterAttachments,
+  sortAttachments,
+  countAttachments,
+  formatFileSize,
+} from '@/utils/attachments';
+
+describe('attachments', () => {
+  const message = {
+    id: 'm1',
+    sender_id: 'u1',
+    sent_at: '2024-03-01T10:00:00Z',
+    content_type: 'attachment',
+    meta: { attachment_id: 'a1', file_name: 'old.png', file_type: 'image/png', file_size: 10, status: 'ready' },
+  };
+
+  it('buckets MIME types into images, documents and other', () => {
+    expect(getAttachmentCategory('image/jpeg')).toBe(ATTACHMENT_FILTERS.IMAGES);
+    expect(getAttachmentCategory('application/pdf')).toBe(ATTACHMENT_FILTERS.DOCUMENTS);
+    expect(getAttachmentCategory('text/csv')).toBe(ATTACHMENT_FILTERS.DOCUMENTS);
+    expect(getAttachmentCategory('application/zip')).toBe(ATTACHMENT_FILTERS.OTHER);
+    expect(getAttachmentCategory(undefined)).toBe(ATTACHMENT_FILTERS.OTHER);
+  });
+
+  it('prefers media service records over message meta', () => {
+    expect(toAttachmentItem(message, { id: 'a1', file_name: 'photo.png', content_type: 'image/png', size: 2048 }))
+      .toEqual(expect.objectContaining({ attachment_id: 'a1', message_id: 'm1', file_name: 'photo.png', file_size: 2048 }));
+    expect(toAttachmentItem(message)).toEqual(expect.objectContaining({
+      attachment_id: 'a1',
+      file_name: 'old.png',
+      file_size: 10,
+      created_at: '2024-03-01T10:00:00Z',
+    }));
+  });
+
+  const items = [
+    { attachment_id: 'a1', file_type: 'image/png', file_size: 300, created_at: '2024-01-02T00:00:00Z' },
+    { attachment_id: 'a2', file_type: 'application/pdf', file_size: 100, created_at: '2024-01-03T00:00:00Z' },
+    { attachment_id: 'a3', file_type: 'application/zip', file_size: 200, created_at: '2024-01-01T00:00:00Z' },
+  ];
+
+  it('filters and counts by type', () => {
+    expect(filterAttachments(items, ATTACHMENT_FILTERS.DOCUMENTS).map(i => i.attachment_id)).toEqual(['a2']);
+    expect(filterAttachments(items)).toBe(items);
+    expect(countAttachments(items)).toEqual({ all: 3, images: 1, documents: 1, other: 1 });
+  });
+
+  it('sorts by date or size in either direction', () => {
+    expect(sortAttachments(items).map(i => i.attachment_id)).toEqual(['a2', 'a1', 'a3']);
+    expect(sortAttachments(items, ATTACHMENT_SORTS.SIZE, false).map(i => i.attachment_id)).toEqual(['a2', 'a3', 'a1']);
+  });
+
+  it('formats sizes', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+
+  it('keeps loaded items in step with loaded messages', () => {
+    const loaded = [toAttachmentItem({ ...message, meta: { ...message.meta, status: 'uploading' } }), toAttachmentItem({ ...message, id: 'm0' })];
+    const added = { ...message, id: 'm2', meta: { ...message.meta, attachment_id: 'a2' } };
+    const deleted = { ...message, id: 'm0', is_deleted: true, meta: null };
+
+    const merged = mergeAttachmentItems(loaded, [added, message, deleted]);
+    expect(merged.map(item => [item.message_id, item.status])).toEqual([['m1', 'ready'], ['m2', 'ready']]);
+    expect(mergeAttachmentItems(loaded, [])).toEqual(loaded);
+  });
+});
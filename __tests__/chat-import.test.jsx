@@ -0,0 +1,198 @@
+import {
+  IMPORT_SOURCES,
+  DATE_ORDERS,
+  slackTsToIso,
+  formatSlackText,
+  parseSlackExport,
+  detectWhatsAppDateOrder,
+  parseWhatsAppExport,
+  getWhatsAppChatName,
+  pickSenderMatch,
+  toImportPayload,
+  getImportedLabel,
+  summarizeImport,
+} from '@/utils/chat-import';
+
+describe('chat import', () => {
+  describe('Slack', () => {
+    const files = [
+      {
+        path: 'export/users.json',
+        text: JSON.stringify([
+          { id: 'U1', name: 'ann', profile: { display_name: 'Ann', real_name: 'Ann Lee' } },
+          { id: 'U2', name: 'bob', real_name: 'Bob Stone', profile: { display_name: '' } },
+          { id: 'U3', name: 'quiet', profile: { display_name: 'Quiet' } },
+        ]),
+      },
+      { path: 'export/channels.json', text: JSON.stringify([{ id: 'C1', name: 'general' }]) },
+      {
+        path: 'export/general/2024-03-07.json',
+        text: JSON.stringify([
+          { type: 'message', user: 'U2', text: 'Reply', ts: '1709802000.000200', thread_ts: '1709715600.000100' },
+        ]),
+      },
+      {
+        path: 'export/general/2024-03-06.json',
+        text: JSON.stringify([
+          { type: 'message', subtype: 'channel_join', user: 'U2', text: '<@U2> has joined', ts: '1709715000.000000' },
+          {
+            type: 'message',
+            user: 'U1',
+            text: 'Hi <@U2>, see <#C1> &amp; <https://example.com|the doc>',
+            ts: '1709715600.000100',
+            thread_ts: '1709715600.000100',
+            files: [{ name: 'plan.pdf' }],
+          },
+          {
+            type: 'message',
+            user: 'U9',
+            user_profile: { display_name: 'Guest', name: 'guest' },
+            text: '<!here> ping',
+            ts: '1709716000.000000',
+          },
+        ]),
+      },
+    ];
+
+    it('converts timestamps and markup', () => {
+      expect(slackTsToIso('1709715600.000100')).toBe('2024-03-06T09:00:00.000Z');
+      expect(formatSlackText('<mailto:a@b.co|a@b.co> <https://x.io> <!subteam^S1|@design>')).toBe('a@b.co https://x.io @design');
+    });
+
+    it('parses channels, senders and threads', () => {
+      const parsed = parseSlackExport(files);
+      expect(parsed.source).toBe(IMPORT_SOURCES.SLACK);
+      expect(parsed.conversations).toHaveLength(1);
+
+      const [general] = parsed.conversations;
+      expect(general.name).toBe('general');
+      expect(general.messages).toEqual([
+        {
+          source_id: '1709715600.000100',
+          sender_key: 'U1',
+          text: 'Hi @Bob Stone, see #general & the doc (https://example.com)\n📎 plan.pdf',
+          sent_at: '2024-03-06T09:00:00.000Z',
+          thread_key: null,
+        },
+        {
+          source_id: '1709716000.000000',
+          sender_key: 'U9',
+          text: '@here ping',
+          sent_at: '2024-03-06T09:06:40.000Z',
+          thread_key: null,
+        },
+        {
+          source_id: '1709802000.000200',
+          sender_key: 'U2',
+          text: 'Reply',
+          sent_at: '2024-03-07T09:00:00.000Z',
+          thread_key: '1709715600.000100',
+        },
+      ]);
+      expect(parsed.senders).toEqual([
+        { key: 'U1', name: 'Ann', username: 'ann' },
+        { key: 'U2', name: 'Bob Stone', username: 'bob' },
+        { key: 'U9', name: 'Guest', username: 'guest' },
+      ]);
+    });
+
+    it('rejects folders without messages or with broken files', () => {
+      expect(() => parseSlackExport([files[0]])).toThrow(/No Slack messages/);
+      expect(() => parseSlackExport([{ path: 'x/general/2024-03-06.json', text: '{' }])).toThrow(/not valid JSON/);
+    });
+  });
+
+  describe('WhatsApp', () => {
+    const android = [
+      '06/03/2024, 09:15 - Messages and calls are end-to-end encrypted.',
+      '06/03/2024, 09:15 - Ann: Morning!',
+      'Second line',
+      '13/03/2024, 21:05 - Bob Stone: <attached: 00000012-PHOTO.jpg>',
+    ].join('\n');
+    const ios = [
+      '[3/6/24, 9:15:02 AM] Ann: Hi',
+      '\u200e[3/13/24, 12:01:00 PM] Bob: Lunch?',
+    ].join('\r\n');
+
+    it('detects the date order', () => {
+      expect(detectWhatsAppDateOrder(android)).toBe(DATE_ORDERS.DMY);
+      expect(detectWhatsAppDateOrder(ios)).toBe(DATE_ORDERS.MDY);
+    });
+
+    it('parses multi-line messages and skips notices', () => {
+      const parsed = parseWhatsAppExport(android, 'WhatsApp Chat with Ann.txt');
+      expect(parsed.source).toBe(IMPORT_SOURCES.WHATSAPP);
+      expect(parsed.conversations[0].name).toBe('Ann');
+      expect(parsed.conversations[0].messages).toEqual([
+        {
+          source_id: '2',
+          sender_key: 'Ann',
+          text: 'Morning!\nSecond line',
+          sent_at: new Date(2024, 2, 6, 9, 15).toISOString(),
+          thread_key: null,
+        },
+        {
+          source_id: '4',
+          sender_key: 'Bob Stone',
+          text: '📎 00000012-PHOTO.jpg',
+          sent_at: new Date(2024, 2, 13, 21, 5).toISOString(),
+          thread_key: null,
+        },
+      ]);
+      expect(parsed.senders.map(s => s.name)).toEqual(['Ann', 'Bob Stone']);
+    });
+
+    it('reads 12-hour times and two-digit years', () => {
+      const messages = parseWhatsAppExport(ios, '_chat.txt').conversations[0].messages;
+      expect(messages.map(m => m.sent_at)).toEqual([
+        new Date(2024, 2, 6, 9, 15, 2).toISOString(),
+        new Date(2024, 2, 13, 12, 1, 0).toISOString(),
+      ]);
+      expect(getWhatsAppChatName('_chat.txt')).toBe('WhatsApp chat');
+      expect(() => parseWhatsAppExport('hello', 'x.txt')).toThrow(/No WhatsApp messages/);
+    });
+  });
+
+  it('picks clear sender matches only', () => {
+    const ann = { id: 'u1', display_name: 'Ann Lee', username: 'ann' };
+    const anna = { id: 'u2', display_name: 'Anna', username: 'anna' };
+    expect(pickSenderMatch({ name: 'ann lee', username: null }, [anna, ann])).toBe(ann);
+    expect(pickSenderMatch({ name: 'Someone', username: 'ANN' }, [anna, ann])).toBe(ann);
+    expect(pickSenderMatch({ name: 'An', username: null }, [anna, ann])).toBeNull();
+    expect(pickSenderMatch({ name: 'An', username: null }, [anna])).toBe(anna);
+  });
+
+  it('builds replay payloads with stable dedupe keys, labels and a dry-run summary', () => {
+    const parsed = parseWhatsAppExport('06/03/2024, 09:15 - Ann: Hi\n06/03/2024, 09:16 - Bob: Yo', 'WhatsApp Chat with Ann.txt');
+    const [conversation] = parsed.conversations;
+    const mapping = { Ann: { id: 'u1', display_name: 'Ann Lee', username: 'ann' }, Bob: null };
+    const payload = toImportPayload(conversation.messages[0], {
+      source: parsed.source,
+      conversation,
+      sender: parsed.senders[0],
+      mapping,
+    });
+
+    expect(payload).toEqual({
+      content_type: 'text/plain',
+      content: 'Hi',
+      meta: {
+        imported: {
+          source: 'whatsapp',
+          source_conversation: 'Ann',
+          source_id: '1',
+          sender_name: 'Ann',
+          user_id: 'u1',
+          sent_at: new Date(2024, 2, 6, 9, 15).toISOString(),
+        },
+      },
+      dedupe_key: 'import-whatsapp-Ann-1',
+    });
+    expect(getImportedLabel(payload.meta.imported)).toBe('Imported from WhatsApp · Ann · Mar 6, 2024 09:15');
+
+    const summary = summarizeImport(parsed, mapping);
+    expect(summary).toMatchObject({ message_count: 2, matched_count: 1, unmatched_count: 1 });
+    expect(summary.conversations[0]).toMatchObject({ name: 'Ann', message_count: 2 });
+    expect(summary.senders[1]).toEqual({ key: 'Bob', name: 'Bob', message_count: 1, user: null });
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  EXPORT_FORMATS,
+  validateExportRange,
+  isInExportRange,
+  isBeforeExportRange,
+  buildConversationExport,
+  formatConversationExport,
+  getExportFileName,
+} from '@/utils/conversation-export';
+
+describe('conversation export', () => {
+  const conversation = { id: 'c1', type: 'GROUP', title: 'Design Team' };
+  const people = { u1: 'Ann', u2: 'Bob <admin>' };
+  // Newest first, as the API returns them
+  const messages = [
+    {
+      id: 'm4',
+      sender_id: 'u1',
+      content_type: 'attachment',
+      content: 'plan.pdf',
+      sent_at: '2024-03-07T10:00:00',
+      meta: { attachment_id: 'a1', file_name: 'plan.pdf', file_type: 'application/pdf', file_size: 2048, status: 'ready' },
+    },
+    { id: 'm3', sender_id: 'u9', content_type: 'text/plain', content: 'secret', sent_at: '2024-03-06T12:00:00', is_deleted: true },
+    {
+      id: 'm2',
+      sender_id: 'u2',
+      content_type: 'text/plain',
+      content: 'line one\nline <two>',
+      sent_at: '2024-03-06T09:30:00',
+      edited_at: '2024-03-06T09:31:00',
+      meta: { parent_message_id: 'm1', thread_root_id: 'm1' },
+    },
+    { id: 'm1', sender_id: 'u1', content_type: 'text/markdown', content: '- a\n- b', sent_at: '2024-03-06T09:00:00' },
+  ];
+
+  const record = buildConversationExport({
+    conversation,
+    title: 'Design Team',
+    messages,
+    people,
+    attachmentUrls: { a1: 'https://files.example.com/a1?sig=x&y=1' },
+    exportedAt: new Date('2024-03-08T12:00:00Z'),
+  });
+
+  it('checks date ranges inclusively by local day', () => {
+    const range = { from: '2024-03-06', to: '2024-03-06' };
+    expect(validateExportRange(range)).toBeNull();
+    expect(validateExportRange({ from: '2024-03-07', to: '2024-03-06' })).toMatch(/start date/);
+    expect(messages.filter(m => isInExportRange(m, range)).map(m => m.id)).toEqual(['m3', 'm2', 'm1']);
+    expect(isInExportRange(messages[0], { from: '', to: '' })).toBe(true);
+    expect(isBeforeExportRange(messages[3], { from: '2024-03-07', to: '' })).toBe(true);
+    expect(isBeforeExportRange(messages[3], { from: '', to: '' })).toBe(false);
+  });
+
+  it('builds an oldest-first record with names, links and no deleted content', () => {
+    expect(record.exported_at).toBe('2024-03-08T12:00:00.000Z');
+    expect(record.conversation).toEqual({ id: 'c1', type: 'GROUP', title: 'Design Team' });
+    expect(record.participants).toEqual([
+      { user_id: 'u1', display_name: 'Ann' },
+      { user_id: 'u2', display_name: 'Bob <admin>' },
+    ]);
+    expect(record.message_count).toBe(4);
+    expect(record.messages.map(m => m.id)).toEqual(['m1', 'm2', 'm3', 'm4']);
+    expect(record.messages[1]).toMatchObject({ sender_name: 'Bob <admin>', reply_to: 'm1', edited_at: '2024-03-06T09:31:00' });
+    expect(record.messages[2]).toMatchObject({ sender_name: 'Unknown User', content: '', deleted: true });
+    expect(record.messages[3].attachment).toEqual({
+      attachment_id: 'a1',
+      file_name: 'plan.pdf',
+      file_type: 'application/pdf',
+      file_size: 2048,
+      url: 'https://files.example.com/a1?sig=x&y=1',
+    });
+    expect(JSON.parse(formatConversationExport(record, EXPORT_FORMATS.JSON))).toEqual(record);
+  });
+
+  it('writes a Markdown transcript grouped by day', () => {
+    const markdown = formatConversationExport(record, EXPORT_FORMATS.MARKDOWN);
+    expect(markdown).toContain('# Design Team');
+    expect(markdown).toContain('- Range: All messages');
+    expect(markdown).toContain('## Wednesday, March 6, 2024');
+    expect(markdown).toContain('**Ann** · 09:00\n\n- a\n- b');
+    expect(markdown).toContain('**Bob <admin>** · 09:30 _(edited)_  \nline one  \nline <two>');
+    expect(markdown).toContain('_message deleted_');
+    expect(markdown).toContain('📎 [plan.pdf (2.0 KB)](<https://files.example.com/a1?sig=x&y=1>)');
+    expect(markdown).not.toContain('secret');
+  });
+
+  it('writes a self-contained, escaped HTML transcript', () => {
+    const html = formatConversationExport(record, EXPORT_FORMATS.HTML);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<style>');
+    expect(html).not.toMatch(/<script|<link /);
+    expect(html).toContain('Bob &lt;admin&gt;');
+    expect(html).toContain('line one\nline &lt;two&gt;');
+    expect(html).toContain('href="https://files.example.com/a1?sig=x&amp;y=1"');
+    expect(html).not.toContain('secret');
+  });
+
+  it('only links attachments with http(s) URLs', () => {
+    const unsafe = buildConversationExport({
+      conversation,
+      title: 'Design Team',
+      messages: [messages[0]],
+      people,
+      attachmentUrls: { a1: 'javascript:alert(1)' },
+    });
+    const html = formatConversationExport(unsafe, EXPORT_FORMATS.HTML);
+    expect(html).not.toContain('javascript:');
+    expect(html).toContain('<span class="attachment">📎 plan.pdf (2.0 KB)</span>');
+    expect(formatConversationExport(unsafe, EXPORT_FORMATS.MARKDOWN)).toContain('📎 plan.pdf (2.0 KB)\n');
+  });
+
+  it('names files after the conversation', () => {
+    const date = new Date(2024, 2, 8);
+    expect(getExportFileName('Design Team!', EXPORT_FORMATS.MARKDOWN, date)).toBe('design-team-2024-03-08.md');
+    expect(getExportFileName('', EXPORT_FORMATS.HTML, date)).toBe('conversation-2024-03-08.html');
+  });
+});
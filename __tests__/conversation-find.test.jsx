@@ -0,0 +1,36 @@
+import { getFindMatches, splitHighlights, pickFindMatch } from '@/utils/conversation-find';
+
+// Newest first, as ChatContext stores them
+const messages = [
+  { id: 'm4', content_type: 'text/plain', content: 'Release notes are up' },
+  { id: 'm3', content_type: 'attachment', content: 'notes', meta: { file_name: 'release.pdf' } },
+  { id: 'm2', content_type: 'text/plain', content: '', deleted_at: '2024-01-01T00:00:00Z' },
+  { id: 'm1', content_type: 'text/markdown', content: 'Draft **release** plan' }
+];
+
+describe('find in conversation', () => {
+  it('lists matching messages oldest first, ignoring case and deleted messages', () => {
+    expect(getFindMatches(messages, 'RELEASE')).toEqual(['m1', 'm3', 'm4']);
+    expect(getFindMatches(messages, 'release plan')).toEqual(['m1']);
+    expect(getFindMatches(messages, '  ')).toEqual([]);
+  });
+
+  it('splits text around every occurrence of the query', () => {
+    expect(splitHighlights('Notes and more notes', 'notes')).toEqual([
+      { text: 'Notes', match: true },
+      { text: ' and more ', match: false },
+      { text: 'notes', match: true }
+    ]);
+    expect(splitHighlights('a+b (c)', '(c)')).toEqual([
+      { text: 'a+b ', match: false },
+      { text: '(c)', match: true }
+    ]);
+    expect(splitHighlights('text', '')).toEqual([{ text: 'text', match: false }]);
+  });
+
+  it('keeps the current match while it still matches, else starts from the newest', () => {
+    expect(pickFindMatch(['m1', 'm3', 'm4'], 'm3')).toBe('m3');
+    expect(pickFindMatch(['m1', 'm3', 'm4'], 'gone')).toBe('m4');
+    expect(pickFindMatch([], null)).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  toReplySnapshot,
+  createDraft,
+  isSameDraft,
+  haveDraftFilesChanged,
+  setDraft,
+  getChangedDraftIds,
+  getDraftPreview,
+} from '@/utils/drafts';
+import { buildReplyMeta } from '@/utils/message-utils';
+
+describe('drafts', () => {
+  const now = new Date('2024-03-06T12:00:00Z');
+  const file = { id: 'f1', name: 'plan.pdf', type: 'application/pdf', size: 1200, file: {}, preview: null };
+
+  it('keeps text, reply target, mentions and file metadata', () => {
+    const replyTo = {
+      id: 'm1',
+      sender_id: 'u2',
+      content_type: 'text/plain',
+      content: 'Can you review?',
+      sent_at: '2024-03-06T11:00:00Z',
+      meta: { thread_root_id: 'root', mentions: [] },
+    };
+    const draft = createDraft({
+      text: 'Looks good @Ann',
+      replyTo,
+      mentions: [{ user_id: 'u3', label: 'Ann' }],
+      files: [file],
+    }, now);
+
+    expect(draft).toEqual({
+      text: 'Looks good @Ann',
+      reply_to: toReplySnapshot(replyTo),
+      mentions: [{ user_id: 'u3', label: 'Ann' }],
+      files: [{ id: 'f1', name: 'plan.pdf', type: 'application/pdf', size: 1200 }],
+      updated_at: '2024-03-06T12:00:00.000Z',
+    });
+    // The snapshot is enough to reply from a restored draft
+    expect(buildReplyMeta(draft.reply_to)).toEqual(buildReplyMeta(replyTo));
+  });
+
+  it('drops empty composers', () => {
+    expect(createDraft({ text: '   ' }, now)).toBeNull();
+    expect(createDraft({ text: '', replyTo: { id: 'm1' } }, now)).toBeNull();
+    expect(createDraft({ text: '', files: [file] }, now)).not.toBeNull();
+  });
+
+  it('compares drafts without their save time', () => {
+    const a = createDraft({ text: 'hi' }, now);
+    const b = createDraft({ text: 'hi' }, new Date('2024-03-07T00:00:00Z'));
+    expect(isSameDraft(a, b)).toBe(true);
+    expect(isSameDraft(a, createDraft({ text: 'hi!' }, now))).toBe(false);
+    expect(isSameDraft(null, null)).toBe(true);
+    expect(isSameDraft(a, null)).toBe(false);
+
+    expect(haveDraftFilesChanged(a, createDraft({ text: 'hi', files: [file] }, now))).toBe(true);
+    expect(haveDraftFilesChanged(null, a)).toBe(false);
+  });
+
+  it('sets and removes drafts, keeping the record when nothing changed', () => {
+    const draft = createDraft({ text: 'hi' }, now);
+    const drafts = setDraft({}, 'c1', draft);
+    expect(drafts).toEqual({ c1: draft });
+    expect(setDraft(drafts, 'c1', createDraft({ text: 'hi' }))).toBe(drafts);
+    expect(setDraft(drafts, 'c1', null)).toEqual({});
+    expect(setDraft(drafts, 'c2', null)).toBe(drafts);
+  });
+
+  it('lists conversations whose draft changed in another tab', () => {
+    const before = { c1: createDraft({ text: 'a' }, now), c2: createDraft({ text: 'b' }, now) };
+    const after = { c1: createDraft({ text: 'a' }, now), c2: createDraft({ text: 'b2' }, now), c3: createDraft({ text: 'c' }, now) };
+    expect(getChangedDraftIds(before, after)).toEqual(['c2', 'c3']);
+    expect(getChangedDraftIds(before, {})).toEqual(['c1', 'c2']);
+  });
+
+  it('previews the draft text or its attachments', () => {
+    expect(getDraftPreview(createDraft({ text: 'line one\n\nline   two' }, now))).toBe('line one line two');
+    expect(getDraftPreview(createDraft({ text: 'x'.repeat(60) }, now))).toBe(`${'x'.repeat(50)}...`);
+    expect(getDraftPreview(createDraft({ text: '', files: [file, { ...file, id: 'f2' }] }, now))).toBe('📎 2 files');
+    expect(getDraftPreview(null)).toBe('');
+  });
+});
@@ -0,0 +1,50 @@
+import {
+  MAX_FILE_SIZE,
+  getFileRejectionReason,
+  partitionFiles,
+  nameClipboardFile,
+} from '@/utils/file-validation';
+
+describe('file validation', () => {
+  const file = (name, type, size = 1024) => {
+    const created = new File(['x'], name, { type });
+    Object.defineProperty(created, 'size', { value: size });
+    return created;
+  };
+
+  it('accepts JPG, PNG and PDF files within the size limit', () => {
+    expect(getFileRejectionReason(file('photo.JPEG', 'image/jpeg'))).toBeNull();
+    expect(getFileRejectionReason(file('plan.pdf', 'application/pdf', MAX_FILE_SIZE))).toBeNull();
+  });
+
+  it('rejects unsupported types and mismatched extensions', () => {
+    expect(getFileRejectionReason(file('notes.txt', 'text/plain'))).toMatch(/text\/plain is not supported/);
+    expect(getFileRejectionReason(file('blob', ''))).toMatch(/unknown is not supported/);
+    expect(getFileRejectionReason(file('photo.png', 'image/jpeg'))).toBe('File extension .png does not match the file type');
+  });
+
+  it('rejects files over the size limit', () => {
+    expect(getFileRejectionReason(file('big.png', 'image/png', MAX_FILE_SIZE + 1))).toBe('File size must be less than 10MB');
+  });
+
+  it('splits accepted files from rejected ones with their reasons', () => {
+    const good = file('a.png', 'image/png');
+    const { accepted, rejected } = partitionFiles([good, file('b.gif', 'image/gif')]);
+    expect(accepted).toEqual([good]);
+    expect(rejected).toEqual([{ name: 'b.gif', reason: expect.stringMatching(/image\/gif/) }]);
+  });
+
+  it('names pasted screenshots after the time they were pasted', () => {
+    const date = new Date(2024, 2, 6, 9, 15, 2);
+    const first = nameClipboardFile(file('image.png', 'image/png'), 0, date);
+    const second = nameClipboardFile(file('', 'image/jpeg'), 1, date);
+
+    expect(first.name).toBe('Screenshot 2024-03-06 09.15.02.png');
+    expect(first.type).toBe('image/png');
+    expect(second.name).toBe('Screenshot 2024-03-06 09.15.02 (2).jpg');
+    expect(getFileRejectionReason(first)).toBeNull();
+
+    const named = file('report.pdf', 'application/pdf');
+    expect(nameClipboardFile(named, 0, date)).toBe(named);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  canForwardMessage,
+  buildForwardedMessage,
+  getForwardedFrom,
+  getForwardedLabel,
+  findDirectConversation,
+  toForwardedUpload,
+  filterForwardConversations,
+} from '@/utils/forwarding';
+
+describe('forwarding', () => {
+  const textMessage = {
+    id: 'm1',
+    conversation_id: 'c1',
+    sender_id: 'u2',
+    content_type: 'text/plain',
+    content: 'Hi @Ann, see https://example.com',
+    sent_at: '2024-03-06T11:00:00Z',
+    meta: {
+      parent_message_id: 'm0',
+      thread_root_id: 'm0',
+      mentions: [{ user_id: 'u3', start: 3, length: 4 }],
+      link_preview: { url: 'https://example.com', title: 'Example' },
+    },
+  };
+  const attachment = {
+    id: 'm2',
+    conversation_id: 'c1',
+    sender_id: 'me',
+    content_type: 'attachment',
+    content: 'plan.pdf',
+    sent_at: '2024-03-06T11:05:00Z',
+    meta: { file_name: 'plan.pdf', file_type: 'application/pdf', file_size: 1200, attachment_id: 'a1', status: 'ready' },
+  };
+
+  it('only forwards sent messages and finished uploads', () => {
+    expect(canForwardMessage(textMessage)).toBe(true);
+    expect(canForwardMessage(attachment)).toBe(true);
+    expect(canForwardMessage({ ...attachment, meta: { ...attachment.meta, status: 'uploading' } })).toBe(false);
+    expect(canForwardMessage({ ...textMessage, is_deleted: true })).toBe(false);
+    expect(canForwardMessage({ ...textMessage, local_id: 'local-1' })).toBe(false);
+  });
+
+  it('copies content meta and adds attribution, dropping reply and mention meta', () => {
+    expect(buildForwardedMessage(textMessage, 'Bob')).toEqual({
+      content_type: 'text/plain',
+      content: textMessage.content,
+      meta: {
+        link_preview: textMessage.meta.link_preview,
+        forwarded_from: {
+          message_id: 'm1',
+          conversation_id: 'c1',
+          sender_id: 'u2',
+          sender_name: 'Bob',
+          sent_at: '2024-03-06T11:00:00Z',
+        },
+      },
+    });
+
+    const forwarded = buildForwardedMessage(attachment, 'Me');
+    expect(forwarded.meta).toMatchObject({ attachment_id: 'a1', file_name: 'plan.pdf', status: 'ready' });
+  });
+
+  it('uploads a fresh copy of a forwarded attachment instead of reusing its id', () => {
+    const forwarded = buildForwardedMessage(attachment, 'Me');
+    const file = new File(['pdf'], 'plan.pdf', { type: 'application/pdf' });
+    const { fileObj, meta } = toForwardedUpload(forwarded, file);
+
+    expect(fileObj).toEqual({ file, name: 'plan.pdf', type: 'application/pdf', size: file.size });
+    expect(meta).toEqual({ forwarded_from: forwarded.meta.forwarded_from });
+  });
+
+  it('keeps the original attribution when forwarding again', () => {
+    const first = buildForwardedMessage(textMessage, 'Bob');
+    const again = buildForwardedMessage({ ...first, id: 'm9', conversation_id: 'c2', sender_id: 'u4' }, 'Dana');
+    expect(getForwardedFrom(again)).toEqual(first.meta.forwarded_from);
+    expect(getForwardedFrom(textMessage)).toBeNull();
+  });
+
+  it('labels forwarded messages', () => {
+    expect(getForwardedLabel({ sender_id: 'u2', sender_name: 'Bob' }, 'me')).toBe('Forwarded from Bob');
+    expect(getForwardedLabel({ sender_id: 'me', sender_name: 'Me' }, 'me')).toBe('Forwarded from you');
+    expect(getForwardedLabel({ sender_id: 'u2', sender_name: null }, 'me')).toBe('Forwarded');
+  });
+
+  it('finds existing DMs and filters conversations for the picker', () => {
+    const conversations = [
+      { id: 'g1', type: 'GROUP', title: 'Design', participants: [{ user_id: 'me' }, { user_id: 'u2', display_name: 'Bob' }] },
+      { id: 'd1', type: 'DM', participants: [{ user_id: 'me' }, { user_id: 'u2', display_name: 'Bob' }] },
+    ];
+    const getTitle = (conv) => conv.title || 'Bob';
+
+    expect(findDirectConversation(conversations, 'u2', 'me')).toBe(conversations[1]);
+    expect(findDirectConversation(conversations, 'u3', 'me')).toBeNull();
+    expect(filterForwardConversations(conversations, '', getTitle)).toBe(conversations);
+    expect(filterForwardConversations(conversations, 'des', getTitle).map(c => c.id)).toEqual(['g1']);
+    expect(filterForwardConversations(conversations, 'bob', getTitle).map(c => c.id)).toEqual(['g1', 'd1']);
+  });
+});
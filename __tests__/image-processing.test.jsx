@@ -0,0 +1,19 @@
+import { IMAGE_PROCESSING, canProcessImage, getScaledDimensions } from '@/utils/image-processing';
+
+describe('image processing', () => {
+  it('downscales the longest side to the limit, keeping the aspect ratio', () => {
+    expect(getScaledDimensions(4032, 3024, 2048)).toEqual({ width: 2048, height: 1536 });
+    expect(getScaledDimensions(3024, 4032, 2048)).toEqual({ width: 1536, height: 2048 });
+  });
+
+  it('never upscales small images', () => {
+    expect(getScaledDimensions(800, 600, 2048)).toEqual({ width: 800, height: 600 });
+  });
+
+  it('only re-encodes JPEG and PNG, and only when enabled', () => {
+    expect(canProcessImage({ type: 'image/jpeg' })).toBe(IMAGE_PROCESSING.enabled);
+    expect(canProcessImage({ type: 'image/png' }, { ...IMAGE_PROCESSING, enabled: true })).toBe(true);
+    expect(canProcessImage({ type: 'application/pdf' }, { ...IMAGE_PROCESSING, enabled: true })).toBe(false);
+    expect(canProcessImage({ type: 'image/jpeg' }, { ...IMAGE_PROCESSING, enabled: false })).toBe(false);
+  });
+});
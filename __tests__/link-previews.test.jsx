@@ -0,0 +1,58 @@
+import {
+  extractFirstUrl,
+  normalizeLinkPreview,
+  getLinkPreviewMeta,
+  resolveMessagePreview
+} from '@/utils/link-previews';
+
+const URL = 'https://wiki.example.com/page';
+const PREVIEW = {
+  url: URL,
+  title: 'Runbook',
+  description: 'How we deploy',
+  image_url: 'https://wiki.example.com/og.png',
+  site_name: 'Wiki'
+};
+
+describe('link previews', () => {
+  it('finds the first http(s) link in a message', () => {
+    expect(extractFirstUrl(`see ${URL}, and https://other.example.com`)).toBe(URL);
+    expect(extractFirstUrl('docs at www.example.com/docs.')).toBe('https://www.example.com/docs');
+    expect(extractFirstUrl('[runbook](https://wiki.example.com/page)')).toBe(URL);
+    expect(extractFirstUrl('no links here')).toBeNull();
+  });
+
+  it('normalizes unfurl responses and drops unsafe images', () => {
+    expect(normalizeLinkPreview({ og_title: 'Runbook', image: 'javascript:alert(1)' }, URL)).toEqual({
+      url: URL,
+      title: 'Runbook',
+      description: '',
+      image_url: null,
+      site_name: 'wiki.example.com'
+    });
+    expect(normalizeLinkPreview({ image_url: 'https://x.test/a.png' }, URL)).toBeNull();
+    expect(normalizeLinkPreview(null, URL)).toBeNull();
+  });
+
+  it('sends the loaded preview, or the opt-out when it was removed', () => {
+    const loaded = { url: URL, data: PREVIEW, isLoading: false };
+    expect(getLinkPreviewMeta(`read ${URL}`, loaded, null)).toEqual({ link_preview: PREVIEW });
+    expect(getLinkPreviewMeta(`read ${URL}`, null, URL)).toEqual({ no_link_preview: true });
+    expect(getLinkPreviewMeta(`read ${URL}`, { url: URL, data: null, isLoading: true }, null)).toBeNull();
+    expect(getLinkPreviewMeta('no link', loaded, null)).toBeNull();
+  });
+
+  it('renders stored previews only while they match the first link', () => {
+    const message = { content: `read ${URL}`, meta: { link_preview: PREVIEW } };
+    expect(resolveMessagePreview(message)).toEqual({ preview: { ...PREVIEW, image_url: null }, url: URL });
+    expect(resolveMessagePreview({ ...message, content: 'read https://new.example.com' }))
+      .toEqual({ preview: null, url: 'https://new.example.com/' });
+    expect(resolveMessagePreview({ content: `read ${URL}`, meta: { no_link_preview: true } })).toBeNull();
+  });
+
+  it('never loads images named in stored meta', () => {
+    const textOnly = { ...PREVIEW, image_url: null };
+    expect(resolveMessagePreview({ content: `read ${URL}`, meta: { link_preview: textOnly } }))
+      .toEqual({ preview: textOnly, url: null });
+  });
+});
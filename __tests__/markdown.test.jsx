@@ -0,0 +1,148 @@
+import '@testing-library/jest-dom';
+import { render, screen } from '@testing-library/react';
+import {
+  parseMarkdown,
+  parseInline,
+  sanitizeUrl,
+  getTextContentType,
+  markdownToPlainText,
+  highlightCode,
+  applyMarkdownFormat,
+  MARKDOWN_CONTENT_TYPE,
+} from '@/utils/markdown';
+import MarkdownContent from '@/components/MarkdownContent';
+
+describe('markdown', () => {
+  describe('parseInline', () => {
+    it('parses emphasis, strikethrough and code', () => {
+      expect(parseInline('**bold** _it_ ~~gone~~ `x < y`')).toEqual([
+        { type: 'bold', children: [{ type: 'text', value: 'bold' }] },
+        { type: 'text', value: ' ' },
+        { type: 'italic', children: [{ type: 'text', value: 'it' }] },
+        { type: 'text', value: ' ' },
+        { type: 'strike', children: [{ type: 'text', value: 'gone' }] },
+        { type: 'text', value: ' ' },
+        { type: 'code', value: 'x < y' },
+      ]);
+    });
+
+    it('does not format inside inline code or snake_case words', () => {
+      expect(parseInline('`**raw**`')).toEqual([{ type: 'code', value: '**raw**' }]);
+      expect(parseInline('call my_var_name now')).toEqual([{ type: 'text', value: 'call my_var_name now' }]);
+    });
+
+    it('auto-links bare URLs without trailing punctuation', () => {
+      const [, link, rest] = parseInline('see https://example.com/a?b=1. thanks');
+      expect(link).toEqual({
+        type: 'link',
+        href: 'https://example.com/a?b=1',
+        children: [{ type: 'text', value: 'https://example.com/a?b=1' }],
+      });
+      expect(rest).toEqual({ type: 'text', value: '. thanks' });
+    });
+
+    it('renders unsafe link targets as plain text', () => {
+      expect(parseInline('[click](javascript:alert(1))')).toEqual([
+        { type: 'text', value: '[click](javascript:alert(1))' },
+      ]);
+    });
+
+    it('honours backslash escapes', () => {
+      expect(parseInline('\\*not italic\\*')).toEqual([{ type: 'text', value: '*not italic*' }]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('parses fenced code blocks with a language', () => {
+      expect(parseMarkdown('```js\nconst a = 1;\n```')).toEqual([
+        { type: 'code_block', language: 'js', value: 'const a = 1;' },
+      ]);
+    });
+
+    it('parses lists, quotes and paragraphs', () => {
+      const blocks = parseMarkdown('Intro\n\n- one\n- two\n\n3. three\n4. four\n\n> quoted');
+      expect(blocks.map(b => b.type)).toEqual(['paragraph', 'list', 'list', 'blockquote']);
+      expect(blocks[1]).toEqual(expect.objectContaining({ ordered: false, start: null }));
+      expect(blocks[2]).toEqual(expect.objectContaining({ ordered: true, start: 3 }));
+      expect(blocks[2].items).toHaveLength(2);
+    });
+
+    it('flattens to plain text for previews', () => {
+      expect(markdownToPlainText('**Deploy** done, see [notes](https://x.dev)')).toBe('Deploy done, see notes');
+    });
+  });
+
+  describe('sanitizeUrl', () => {
+    it('allows http(s) and mailto only', () => {
+      expect(sanitizeUrl('https://example.com')).toBe('https://example.com/');
+      expect(sanitizeUrl('www.example.com')).toBe('https://www.example.com/');
+      expect(sanitizeUrl('mailto:a@b.co')).toBe('mailto:a@b.co');
+      expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+      expect(sanitizeUrl('data:text/html,<script>')).toBeNull();
+      expect(sanitizeUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('getTextContentType', () => {
+    it('only uses markdown when the text needs it', () => {
+      expect(getTextContentType('hello there')).toBe('text/plain');
+      expect(getTextContentType('5 * 3 = 15')).toBe('text/plain');
+      expect(getTextContentType('this is **important**')).toBe(MARKDOWN_CONTENT_TYPE);
+      expect(getTextContentType('- item')).toBe(MARKDOWN_CONTENT_TYPE);
+    });
+  });
+
+  describe('highlightCode', () => {
+    it('tokenises keywords, strings and comments', () => {
+      const tokens = highlightCode("const s = 'hi'; // note", 'javascript');
+      expect(tokens.filter(t => t.type !== 'plain')).toEqual([
+        { type: 'keyword', value: 'const' },
+        { type: 'string', value: "'hi'" },
+        { type: 'comment', value: '// note' },
+      ]);
+    });
+
+    it('leaves unknown languages untouched', () => {
+      expect(highlightCode('a b c', 'brainfuck')).toEqual([{ type: 'plain', value: 'a b c' }]);
+    });
+  });
+
+  describe('applyMarkdownFormat', () => {
+    it('wraps the selection and keeps it selected', () => {
+      expect(applyMarkdownFormat('make this bold', 5, 9, 'bold')).toEqual({
+        text: 'make **this** bold',
+        selectionStart: 7,
+        selectionEnd: 11,
+      });
+    });
+
+    it('prefixes every selected line for lists', () => {
+      expect(applyMarkdownFormat('a\nb', 0, 3, 'ordered_list').text).toBe('1. a\n2. b');
+    });
+
+    it('selects the URL placeholder when inserting a link', () => {
+      const result = applyMarkdownFormat('docs', 0, 4, 'link');
+      expect(result.text).toBe('[docs](https://)');
+      expect(result.text.slice(result.selectionStart, result.selectionEnd)).toBe('https://');
+    });
+  });
+
+  describe('MarkdownContent', () => {
+    it('renders user HTML as text, never as markup', () => {
+      const { container } = render(
+        <MarkdownContent content={'<script>alert(1)</script> <img src=x onerror=alert(1)>'} />
+      );
+      expect(container.querySelector('script')).toBeNull();
+      expect(container.querySelector('img')).toBeNull();
+      expect(container).toHaveTextContent('<script>alert(1)</script>');
+    });
+
+    it('opens links in a new tab without an opener', () => {
+      render(<MarkdownContent content="[docs](https://example.com)" />);
+      const link = screen.getByRole('link', { name: 'docs' });
+      expect(link).toHaveAttribute('href', 'https://example.com/');
+      expect(link).toHaveAttribute('rel', 'noopener noreferrer nofollow');
+      expect(link).toHaveAttribute('target', '_blank');
+    });
+  });
+});
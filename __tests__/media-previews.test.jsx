@@ -0,0 +1,42 @@
+import {
+  isPreviewableMedia,
+  getMediaItems,
+  getPreviewSize,
+  PREVIEW_FALLBACK_SIZE,
+} from '@/utils/media-previews';
+
+describe('media previews', () => {
+  const attachment = (id, fileType, extra = {}) => ({
+    id,
+    content_type: 'attachment',
+    sender_id: 'u1',
+    sent_at: '2024-01-01T00:00:00Z',
+    meta: { attachment_id: `a-${id}`, file_name: `${id}.bin`, file_type: fileType, status: 'ready', ...extra },
+  });
+
+  it('previews ready images and videos only', () => {
+    expect(isPreviewableMedia(attachment('m1', 'image/png'))).toBe(true);
+    expect(isPreviewableMedia(attachment('m2', 'video/mp4'))).toBe(true);
+    expect(isPreviewableMedia(attachment('m3', 'application/pdf'))).toBe(false);
+    expect(isPreviewableMedia(attachment('m4', 'image/png', { status: 'uploading' }))).toBe(false);
+    expect(isPreviewableMedia({ id: 'm5', content_type: 'text/plain', content: 'hi' })).toBe(false);
+  });
+
+  it('lists conversation media oldest first for the lightbox', () => {
+    const messages = [
+      attachment('m3', 'image/jpeg', { width: 800, height: 600 }),
+      { id: 'm2', content_type: 'text/plain', content: 'hi' },
+      attachment('m1', 'video/mp4'),
+    ];
+    const items = getMediaItems(messages);
+    expect(items.map(item => item.message_id)).toEqual(['m1', 'm3']);
+    expect(items[1]).toEqual(expect.objectContaining({ attachment_id: 'a-m3', width: 800, height: 600 }));
+  });
+
+  it('fits previews in the box without upscaling', () => {
+    expect(getPreviewSize(800, 400)).toEqual({ width: 240, height: 120 });
+    expect(getPreviewSize(300, 1200)).toEqual({ width: 60, height: 240 });
+    expect(getPreviewSize(100, 50)).toEqual({ width: 100, height: 50 });
+    expect(getPreviewSize(null, null)).toBe(PREVIEW_FALLBACK_SIZE);
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  getMentionQuery,
+  getMentionLabel,
+  insertMention,
+  collectMentions,
+  isMentioned,
+  splitMentions,
+} from '@/utils/mentions';
+
+describe('mentions', () => {
+  describe('getMentionQuery', () => {
+    it('detects an @mention being typed at the caret', () => {
+      expect(getMentionQuery('hi @jo', 6)).toEqual({ query: 'jo', start: 3 });
+      expect(getMentionQuery('@', 1)).toEqual({ query: '', start: 0 });
+    });
+
+    it('ignores email addresses and finished mentions', () => {
+      expect(getMentionQuery('mail bob@example.com', 20)).toBeNull();
+      expect(getMentionQuery('@john.doe thanks', 16)).toBeNull();
+    });
+  });
+
+  describe('insertMention', () => {
+    it('replaces the typed query and moves the caret past the mention', () => {
+      expect(insertMention('hi @jo!', 3, 6, 'john.doe')).toEqual({ text: 'hi @john.doe !', caret: 13 });
+    });
+
+    it('prefers the username as label', () => {
+      expect(getMentionLabel({ username: 'john.doe', display_name: 'John Doe' })).toBe('john.doe');
+      expect(getMentionLabel({ display_name: 'John Doe' })).toBe('John Doe');
+    });
+  });
+
+  describe('collectMentions', () => {
+    it('drops mentions removed from the text and duplicates', () => {
+      const picked = [
+        { user_id: 'u1', label: 'ann' },
+        { user_id: 'u2', label: 'bob' },
+        { user_id: 'u1', label: 'ann' },
+      ];
+      expect(collectMentions('thanks @ann', picked)).toEqual([{ user_id: 'u1', label: 'ann' }]);
+    });
+  });
+
+  describe('isMentioned', () => {
+    it('checks the structured ids in meta', () => {
+      const message = { meta: { mentions: [{ user_id: 'u1', label: 'ann' }] } };
+      expect(isMentioned(message, 'u1')).toBe(true);
+      expect(isMentioned(message, 'u2')).toBe(false);
+      expect(isMentioned({ meta: null }, 'u1')).toBe(false);
+    });
+  });
+
+  describe('splitMentions', () => {
+    const mentions = [{ user_id: 'u1', label: 'ann' }, { user_id: 'u2', label: 'ann.lee' }];
+
+    it('splits out recorded mentions, longest label first', () => {
+      expect(splitMentions('cc @ann.lee and @ann.', mentions)).toEqual([
+        { type: 'text', value: 'cc ' },
+        { type: 'mention', value: '@ann.lee', user_id: 'u2' },
+        { type: 'text', value: ' and ' },
+        { type: 'mention', value: '@ann', user_id: 'u1' },
+        { type: 'text', value: '.' },
+      ]);
+    });
+
+    it('leaves unrecorded handles and partial matches alone', () => {
+      expect(splitMentions('@annie and @carl', mentions)).toEqual([
+        { type: 'text', value: '@annie and @carl' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { selectEvictions, estimateSize, isMessageCacheSupported, takeChangedRecords } from '@/utils/message-cache';
+
+describe('message cache', () => {
+  const stats = [
+    { conversation_id: 'c1', size: 400, updated_at: 3 },
+    { conversation_id: 'c2', size: 300, updated_at: 1 },
+    { conversation_id: 'c3', size: 300, updated_at: 2 },
+  ];
+
+  it('evicts nothing while the cache fits its budget', () => {
+    expect(selectEvictions(stats, 1000)).toEqual([]);
+  });
+
+  it('evicts least recently written conversations until under budget', () => {
+    expect(selectEvictions(stats, 700)).toEqual(['c2']);
+    expect(selectEvictions(stats, 400)).toEqual(['c2', 'c3']);
+  });
+
+  it('never evicts kept conversations', () => {
+    expect(selectEvictions(stats, 400, ['c2'])).toEqual(['c3', 'c1']);
+  });
+
+  it('does not rewrite conversations evicted in an earlier write', () => {
+    const persisted = {};
+    const cached = {}; // conversation id -> stats entry
+    let clock = 0;
+    // One debounced persistence run: write what changed, then evict to the budget
+    const writeAndEvict = (messages) => {
+      const written = takeChangedRecords(persisted, messages);
+      Object.entries(written).forEach(([conversationId, list]) => {
+        cached[conversationId] = { conversation_id: conversationId, size: estimateSize(list), updated_at: ++clock };
+      });
+      const evicted = selectEvictions(Object.values(cached), estimateSize([{ id: 'm1' }]) * 2, ['c3']);
+      evicted.forEach(conversationId => delete cached[conversationId]);
+      return { written: Object.keys(written), evicted };
+    };
+
+    const messages = { c1: [{ id: 'm1' }], c2: [{ id: 'm2' }], c3: [{ id: 'm3' }] };
+    expect(writeAndEvict(messages)).toEqual({ written: ['c1', 'c2', 'c3'], evicted: ['c1'] });
+    expect(writeAndEvict(messages)).toEqual({ written: [], evicted: [] });
+
+    const updated = { ...messages, c1: [{ id: 'm4' }, ...messages.c1] };
+    expect(writeAndEvict(updated).written).toEqual(['c1']);
+  });
+
+  it('estimates record size from its JSON', () => {
+    expect(estimateSize([{ id: 'm1' }])).toBe('[{"id":"m1"}]'.length);
+  });
+
+  it('reports IndexedDB support', () => {
+    expect(isMessageCacheSupported()).toBe(typeof window.indexedDB !== 'undefined');
+  });
+});
@@ -0,0 +1,55 @@
+import {
+  EMPTY_SEARCH_FILTERS,
+  getSearchTerms,
+  searchLocalMessages,
+  toSearchParams,
+  getSearchSnippet
+} from '@/utils/message-search';
+
+const messagesByConversation = {
+  c1: [
+    { id: 'm3', sender_id: 'u2', content_type: 'attachment', content: 'Deploy checklist', meta: { file_name: 'deploy.pdf' }, sent_at: '2024-03-03T10:00:00Z' },
+    { id: 'm2', sender_id: 'u1', content_type: 'text/plain', content: 'Deploy is done', sent_at: '2024-03-02T10:00:00Z' },
+    { id: 'm1', sender_id: 'u1', content_type: 'text/plain', content: '', deleted_at: '2024-03-01T11:00:00Z', sent_at: '2024-03-01T10:00:00Z' }
+  ],
+  c2: [
+    { id: 'm4', sender_id: 'u2', content_type: 'text/markdown', content: 'Who can **deploy** today?', sent_at: '2024-03-04T10:00:00Z' }
+  ]
+};
+
+const ids = (results) => results.map(result => result.id);
+
+describe('message search', () => {
+  it('matches every query word, newest first, across conversations', () => {
+    expect(ids(searchLocalMessages(messagesByConversation, 'deploy'))).toEqual(['m4', 'm3', 'm2']);
+    expect(ids(searchLocalMessages(messagesByConversation, 'DEPLOY done'))).toEqual(['m2']);
+    expect(searchLocalMessages(messagesByConversation, 'deploy')[0].conversation_id).toBe('c2');
+    expect(searchLocalMessages(messagesByConversation, '   ')).toEqual([]);
+  });
+
+  it('searches attachment file names and skips deleted messages', () => {
+    expect(ids(searchLocalMessages(messagesByConversation, 'pdf'))).toEqual(['m3']);
+    expect(getSearchTerms(' a  B ')).toEqual(['a', 'b']);
+  });
+
+  it('applies sender, conversation, date and attachment filters', () => {
+    const search = (filters) => ids(searchLocalMessages(messagesByConversation, 'deploy', { ...EMPTY_SEARCH_FILTERS, ...filters }));
+    expect(search({ senderId: 'u1' })).toEqual(['m2']);
+    expect(search({ conversationId: 'c1' })).toEqual(['m3', 'm2']);
+    expect(search({ hasAttachment: true })).toEqual(['m3']);
+    expect(search({ from: '2024-03-03', to: '2024-03-03' })).toEqual(['m3']);
+  });
+
+  it('leaves empty filters out of the request', () => {
+    expect(toSearchParams(' deploy ', EMPTY_SEARCH_FILTERS, 20)).toEqual({ q: 'deploy', limit: 20 });
+    expect(toSearchParams('deploy', { ...EMPTY_SEARCH_FILTERS, senderId: 'u1', hasAttachment: true }))
+      .toMatchObject({ sender_id: 'u1', has_attachment: true });
+  });
+
+  it('cuts a snippet around the first match and marks matches', () => {
+    const text = `${'x'.repeat(100)} the deploy went fine`;
+    const segments = getSearchSnippet(text, 'deploy', 10);
+    expect(segments[0].text.startsWith('…')).toBe(true);
+    expect(segments.filter(segment => segment.match).map(segment => segment.text)).toEqual(['deploy']);
+  });
+});
@@ -0,0 +1,242 @@
+import {
+  mergeMessages,
+  getOldestMessageId,
+  getThreadRootId,
+  buildReplyMeta,
+  countThreadReplies,
+  applyMessageEdit,
+  getEditedMeta,
+  toTombstone,
+  isMessageDeleted,
+  applyReaction,
+  aggregateReactions,
+  REACTION_ACTIONS,
+  findFirstUnreadMessageId,
+  applyReceipt,
+  getDeliveryState,
+  getReadBy,
+  RECEIPT_STATUS,
+} from '@/utils/message-utils';
+
+const message = (id, sentAt, extra = {}) => ({ id, sent_at: sentAt, content: id, ...extra });
+
+describe('message utils', () => {
+  describe('mergeMessages', () => {
+    it('appends an older page after the loaded messages', () => {
+      const loaded = [message('m3', '2026-01-01T10:03:00Z'), message('m2', '2026-01-01T10:02:00Z')];
+      const older = [message('m1', '2026-01-01T10:01:00Z')];
+
+      expect(mergeMessages(loaded, older).map(m => m.id)).toEqual(['m3', 'm2', 'm1']);
+    });
+
+    it('drops duplicates when pages overlap', () => {
+      const loaded = [message('m3', '2026-01-01T10:03:00Z'), message('m2', '2026-01-01T10:02:00Z')];
+      const older = [message('m2', '2026-01-01T10:02:00Z'), message('m1', '2026-01-01T10:01:00Z')];
+
+      expect(mergeMessages(loaded, older).map(m => m.id)).toEqual(['m3', 'm2', 'm1']);
+    });
+
+    it('lets incoming copies update existing messages', () => {
+      const loaded = [message('m1', '2026-01-01T10:01:00Z', { is_read: false })];
+      const fresh = [message('m1', '2026-01-01T10:01:00Z', { is_read: true })];
+
+      expect(mergeMessages(loaded, fresh)[0].is_read).toBe(true);
+    });
+
+    it('keeps live messages that arrived after the refreshed page', () => {
+      const loaded = [message('m4', '2026-01-01T10:04:00Z'), message('m1', '2026-01-01T10:01:00Z')];
+      const fresh = [message('m2', '2026-01-01T10:02:00Z')];
+
+      expect(mergeMessages(loaded, fresh).map(m => m.id)).toEqual(['m4', 'm2', 'm1']);
+    });
+
+    it('handles missing lists', () => {
+      expect(mergeMessages(undefined, [message('m1', '2026-01-01T10:01:00Z')])).toHaveLength(1);
+      expect(mergeMessages()).toEqual([]);
+    });
+  });
+
+  describe('getOldestMessageId', () => {
+    it('returns the last id of a newest-first list', () => {
+      expect(getOldestMessageId([message('m2', '2026-01-01T10:02:00Z'), message('m1', '2026-01-01T10:01:00Z')])).toBe('m1');
+    });
+
+    it('returns null for an empty list', () => {
+      expect(getOldestMessageId([])).toBeNull();
+    });
+  });
+
+  describe('threads', () => {
+    const root = message('root', '2026-01-01T10:00:00Z', { sender_id: 'u1', content_type: 'text/plain' });
+
+    it('builds reply meta pointing at the root', () => {
+      const meta = buildReplyMeta(root);
+      expect(meta.parent_message_id).toBe('root');
+      expect(meta.thread_root_id).toBe('root');
+      expect(meta.parent_preview).toEqual(expect.objectContaining({ sender_id: 'u1', content: 'root' }));
+    });
+
+    it('keeps replies to replies in the original thread', () => {
+      const reply = message('r1', '2026-01-01T10:01:00Z', { meta: buildReplyMeta(root) });
+      const nested = buildReplyMeta(reply);
+
+      expect(nested.parent_message_id).toBe('r1');
+      expect(nested.thread_root_id).toBe('root');
+      expect(getThreadRootId(reply)).toBe('root');
+      expect(getThreadRootId(root)).toBeNull();
+    });
+
+    it('counts each reply once across lists', () => {
+      const r1 = message('r1', '2026-01-01T10:01:00Z', { meta: buildReplyMeta(root) });
+      const r2 = message('r2', '2026-01-01T10:02:00Z', { meta: buildReplyMeta(root) });
+
+      expect(countThreadReplies([root, r1], [r1, r2], undefined)).toEqual({ root: 2 });
+    });
+  });
+
+  describe('edits and deletions', () => {
+    it('applies an edit with its timestamp', () => {
+      const edited = applyMessageEdit(message('m1', '2026-01-01T10:01:00Z'), {
+        content: 'fixed typo',
+        edited_at: '2026-01-01T10:05:00Z',
+      });
+
+      expect(edited.content).toBe('fixed typo');
+      expect(edited.edited_at).toBe('2026-01-01T10:05:00Z');
+    });
+
+    it('replaces meta only when the edit carries it', () => {
+      const original = message('m1', '2026-01-01T10:01:00Z', { meta: { mentions: [{ user_id: 'u1', label: 'ann' }] } });
+      expect(applyMessageEdit(original, { content: 'x' }).meta).toBe(original.meta);
+      expect(applyMessageEdit(original, { content: 'x', meta: null }).meta).toBeNull();
+    });
+
+    it('recomputes mentions and link previews for edited text', () => {
+      const preview = { url: 'https://a.example/', title: 'A' };
+      const original = {
+        content: '@ann see https://a.example/',
+        meta: {
+          thread_root_id: 'root',
+          mentions: [{ user_id: 'u1', label: 'ann' }, { user_id: 'u2', label: 'bob' }],
+          link_preview: preview,
+        },
+      };
+
+      expect(getEditedMeta(original, '@ann and @bob, see https://a.example/')).toEqual(original.meta);
+      expect(getEditedMeta(original, 'see https://b.example/')).toEqual({ thread_root_id: 'root' });
+      expect(getEditedMeta({ content: 'https://a.example/', meta: { no_link_preview: true } }, 'no link')).toBeNull();
+      expect(getEditedMeta({ content: 'x', meta: null }, 'y')).toBeNull();
+    });
+
+    it('tombstones a message but keeps its thread link', () => {
+      const reply = message('r1', '2026-01-01T10:01:00Z', {
+        meta: { parent_message_id: 'root', thread_root_id: 'root', parent_preview: { content: 'x' } },
+        reactions: [{ emoji: '👍', user_id: 'u1' }],
+      });
+      const tombstone = toTombstone(reply, '2026-01-01T10:06:00Z');
+
+      expect(isMessageDeleted(tombstone)).toBe(true);
+      expect(tombstone.content).toBe('');
+      expect(tombstone.reactions).toEqual([]);
+      expect(tombstone.meta).toEqual({ parent_message_id: 'root', thread_root_id: 'root' });
+      expect(isMessageDeleted(reply)).toBe(false);
+    });
+
+    it('drops attachment details from deleted files', () => {
+      const file = message('f1', '2026-01-01T10:01:00Z', { meta: { attachment_id: 'a1', file_name: 'x.pdf' } });
+      expect(toTombstone(file).meta).toBeNull();
+    });
+  });
+
+  describe('reactions', () => {
+    const base = message('m1', '2026-01-01T10:01:00Z');
+    const add = (emoji, userId) => ({ emoji, user_id: userId, action: REACTION_ACTIONS.ADDED });
+    const remove = (emoji, userId) => ({ emoji, user_id: userId, action: REACTION_ACTIONS.REMOVED });
+
+    it('adds and removes a user reaction', () => {
+      const reacted = applyReaction(base, add('👍', 'u1'));
+      expect(reacted.reactions).toEqual([{ emoji: '👍', user_id: 'u1' }]);
+      expect(applyReaction(reacted, remove('👍', 'u1')).reactions).toEqual([]);
+    });
+
+    it('ignores duplicate events', () => {
+      const reacted = applyReaction(base, add('👍', 'u1'));
+      expect(applyReaction(reacted, add('👍', 'u1'))).toBe(reacted);
+      expect(applyReaction(base, remove('👍', 'u1'))).toBe(base);
+    });
+
+    it('aggregates reactions into chips in first-use order', () => {
+      const reacted = [add('🎉', 'u1'), add('👍', 'u2'), add('🎉', 'u2')]
+        .reduce((msg, event) => applyReaction(msg, event), base);
+
+      expect(aggregateReactions(reacted.reactions)).toEqual([
+        { emoji: '🎉', count: 2, userIds: ['u1', 'u2'] },
+        { emoji: '👍', count: 1, userIds: ['u2'] },
+      ]);
+    });
+  });
+
+  describe('findFirstUnreadMessageId', () => {
+    const history = [
+      message('m4', '2026-01-01T10:04:00Z', { sender_id: 'them' }),
+      message('m3', '2026-01-01T10:03:00Z', { sender_id: 'them' }),
+      message('m2', '2026-01-01T10:02:00Z', { sender_id: 'me' }),
+      message('m1', '2026-01-01T10:01:00Z', { sender_id: 'them' }),
+    ];
+
+    it('uses the last-read timestamp when known', () => {
+      const marker = { since: '2026-01-01T10:02:30Z', count: 2 };
+      expect(findFirstUnreadMessageId(history, marker, 'me')).toBe('m3');
+    });
+
+    it('counts back through messages from others otherwise', () => {
+      expect(findFirstUnreadMessageId(history, { since: null, count: 3 }, 'me')).toBe('m1');
+      expect(findFirstUnreadMessageId(history, { since: null, count: 10 }, 'me')).toBe('m1');
+    });
+
+    it('returns null when nothing is unread', () => {
+      expect(findFirstUnreadMessageId(history, { since: null, count: 0 }, 'me')).toBeNull();
+      expect(findFirstUnreadMessageId(history, null, 'me')).toBeNull();
+    });
+  });
+
+  describe('receipts', () => {
+    const own = message('m2', '2026-01-01T10:02:00Z', { sender_id: 'me' });
+    const delivered = (userId, extra = {}) => ({ user_id: userId, status: RECEIPT_STATUS.DELIVERED, at: '2026-01-01T10:03:00Z', ...extra });
+    const read = (userId, extra = {}) => ({ user_id: userId, status: RECEIPT_STATUS.READ, at: '2026-01-01T10:04:00Z', ...extra });
+
+    it('applies single-message and read-up-to receipts', () => {
+      const withDelivery = applyReceipt(own, delivered('u1', { message_id: 'm2' }));
+      expect(withDelivery.receipts.u1).toEqual({ delivered_at: '2026-01-01T10:03:00Z', read_at: null });
+
+      const withRead = applyReceipt(withDelivery, read('u1', { up_to: '2026-01-01T10:05:00Z' }), 'me');
+      expect(withRead.receipts.u1).toEqual({ delivered_at: '2026-01-01T10:03:00Z', read_at: '2026-01-01T10:04:00Z' });
+    });
+
+    it('ignores receipts that do not cover the message or repeat', () => {
+      expect(applyReceipt(own, delivered('u1', { message_id: 'other' }))).toBe(own);
+      expect(applyReceipt(own, read('u1', { up_to: '2026-01-01T10:01:00Z' }), 'me')).toBe(own);
+      expect(applyReceipt(own, read('me', { message_id: 'm2' }))).toBe(own);
+
+      const once = applyReceipt(own, read('u1', { message_id: 'm2' }));
+      expect(applyReceipt(once, read('u1', { message_id: 'm2', at: '2026-01-01T11:00:00Z' }))).toBe(once);
+    });
+
+    it('leaves other senders\' messages out of read-up-to receipts', () => {
+      const theirs = message('m1', '2026-01-01T10:01:00Z', { sender_id: 'u2' });
+      expect(applyReceipt(theirs, read('u1', { up_to: '2026-01-01T10:05:00Z' }), 'me')).toBe(theirs);
+    });
+
+    it('derives sent, delivered and read across all recipients', () => {
+      const partly = applyReceipt(applyReceipt(own, read('u1', { message_id: 'm2' })), delivered('u2', { message_id: 'm2' }));
+      expect(getDeliveryState(own, ['u1', 'u2'])).toBe(RECEIPT_STATUS.SENT);
+      expect(getDeliveryState(partly, ['u1', 'u2'])).toBe(RECEIPT_STATUS.DELIVERED);
+      expect(getDeliveryState(applyReceipt(partly, read('u2', { message_id: 'm2' })), ['u1', 'u2'])).toBe(RECEIPT_STATUS.READ);
+      expect(getReadBy(partly)).toEqual([{ user_id: 'u1', read_at: '2026-01-01T10:04:00Z' }]);
+    });
+
+    it('falls back to is_read without receipts', () => {
+      expect(getDeliveryState({ ...own, is_read: true }, ['u1'])).toBe(RECEIPT_STATUS.READ);
+    });
+  });
+});
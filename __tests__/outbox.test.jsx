@@ -0,0 +1,57 @@
+import {
+  OUTBOX_STATUS,
+  createOutboxEntry,
+  toSendPayload,
+  getOutboxMessages,
+  isLocalMessage,
+  isNetworkError,
+} from '@/utils/outbox';
+import { NETWORK_ERROR_MESSAGE } from '@/utils/api-utils';
+
+describe('outbox', () => {
+  const entry = (conversationId, content, extra = {}) => ({
+    ...createOutboxEntry({ conversationId, senderId: 'me', content, contentType: 'text/plain' }),
+    ...extra,
+  });
+
+  it('creates pending entries with a stable dedupe key', () => {
+    const queued = entry('c1', 'hello');
+    expect(queued.status).toBe(OUTBOX_STATUS.PENDING);
+    expect(queued.dedupe_key).toMatch(/^msg-/);
+    expect(queued.local_id).not.toBe(entry('c1', 'hello').local_id);
+    expect(toSendPayload(queued)).toEqual({
+      content_type: 'text/plain',
+      content: 'hello',
+      dedupe_key: queued.dedupe_key,
+    });
+  });
+
+  it('keeps meta in the payload when present', () => {
+    const queued = createOutboxEntry({
+      conversationId: 'c1', senderId: 'me', content: 'hi', contentType: 'text/plain', meta: { mentions: [] },
+    });
+    expect(toSendPayload(queued).meta).toEqual({ mentions: [] });
+  });
+
+  it('lists a conversation\'s entries as local messages, newest first', () => {
+    const first = entry('c1', 'first');
+    const other = entry('c2', 'elsewhere');
+    const second = entry('c1', 'second', { status: OUTBOX_STATUS.FAILED, error: 'Server error: 400' });
+
+    const messages = getOutboxMessages([first, other, second], 'c1');
+    expect(messages.map(m => m.content)).toEqual(['second', 'first']);
+    expect(messages[0]).toEqual(expect.objectContaining({
+      id: second.local_id,
+      sender_id: 'me',
+      delivery: OUTBOX_STATUS.FAILED,
+      error: 'Server error: 400',
+    }));
+    expect(isLocalMessage(messages[0])).toBe(true);
+    expect(isLocalMessage({ id: 'server-id' })).toBe(false);
+  });
+
+  it('only treats unreachable-server errors as retryable', () => {
+    expect(isNetworkError(new Error(NETWORK_ERROR_MESSAGE))).toBe(true);
+    expect(isNetworkError(new Error('Server error: 400'))).toBe(false);
+  });
+});
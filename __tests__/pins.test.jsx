@@ -0,0 +1,84 @@
+import {
+  PIN_ACTIONS,
+  toPinSnapshot,
+  createPin,
+  sortPins,
+  isPinned,
+  applyPinEvent,
+  resolvePins
+} from '@/utils/pins';
+
+const pin = (messageId, pinnedAt, message = { id: messageId, content_type: 'text/plain', content: messageId }) => ({
+  message_id: messageId,
+  pinned_by: 'u1',
+  pinned_at: pinnedAt,
+  message
+});
+
+describe('pinned messages', () => {
+  it('snapshots only what a preview needs', () => {
+    expect(toPinSnapshot({
+      id: 'm1',
+      sender_id: 'u2',
+      content_type: 'attachment',
+      content: 'x'.repeat(200),
+      sent_at: '2024-01-01T00:00:00Z',
+      meta: { file_name: 'memo.ogg', file_type: 'audio/ogg', waveform: [1, 2, 3] }
+    })).toEqual({
+      id: 'm1',
+      sender_id: 'u2',
+      content_type: 'attachment',
+      content: 'x'.repeat(140),
+      sent_at: '2024-01-01T00:00:00Z',
+      meta: { file_name: 'memo.ogg', file_type: 'audio/ogg' }
+    });
+
+    expect(createPin({ id: 'm2', content_type: 'text/plain', content: 'hi' }, 'u1', '2024-02-01T00:00:00Z'))
+      .toMatchObject({ message_id: 'm2', pinned_by: 'u1', pinned_at: '2024-02-01T00:00:00Z', message: { content: 'hi' } });
+  });
+
+  it('orders pins newest first', () => {
+    const pins = [pin('a', '2024-01-01T00:00:00Z'), pin('b', '2024-03-01T00:00:00Z'), pin('c', '2024-02-01T00:00:00Z')];
+    expect(sortPins(pins).map(p => p.message_id)).toEqual(['b', 'c', 'a']);
+    expect(isPinned(pins, 'c')).toBe(true);
+    expect(isPinned(pins, 'z')).toBe(false);
+    expect(isPinned(undefined, 'a')).toBe(false);
+  });
+
+  it('applies pin and unpin events idempotently', () => {
+    const pins = [pin('a', '2024-01-01T00:00:00Z')];
+
+    const pinned = applyPinEvent(pins, {
+      message_id: 'b',
+      action: PIN_ACTIONS.PINNED,
+      user_id: 'u2',
+      pinned_at: '2024-02-01T00:00:00Z',
+      message: { id: 'b', content: 'decision' }
+    });
+    expect(pinned.map(p => p.message_id)).toEqual(['b', 'a']);
+    expect(pinned[0]).toMatchObject({ pinned_by: 'u2', message: { content: 'decision' } });
+    expect(applyPinEvent(pinned, { message_id: 'b', action: PIN_ACTIONS.PINNED })).toBe(pinned);
+
+    const unpinned = applyPinEvent(pinned, { message_id: 'a', action: PIN_ACTIONS.UNPINNED });
+    expect(unpinned.map(p => p.message_id)).toEqual(['b']);
+    expect(applyPinEvent(unpinned, { message_id: 'a', action: PIN_ACTIONS.UNPINNED })).toBe(unpinned);
+    expect(applyPinEvent(unpinned, { action: PIN_ACTIONS.PINNED })).toBe(unpinned);
+  });
+
+  it('prefers loaded messages and hides pins of deleted ones', () => {
+    const pins = [
+      pin('a', '2024-03-01T00:00:00Z', { id: 'a', content: 'old text' }),
+      pin('b', '2024-02-01T00:00:00Z'),
+      pin('c', '2024-01-01T00:00:00Z', null)
+    ];
+    const messages = [
+      { id: 'a', content: 'edited text' },
+      { id: 'b', content: '', deleted_at: '2024-04-01T00:00:00Z' }
+    ];
+
+    const resolved = resolvePins(pins, messages);
+    expect(resolved.map(p => p.message_id)).toEqual(['a']);
+    expect(resolved[0].message.content).toBe('edited text');
+    expect(resolvePins([], messages)).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  SCHEDULE_STATUS,
+  createScheduledMessage,
+  applyScheduledEdit,
+  getScheduledForConversation,
+  getDueScheduledMessages,
+  getNextSendDelay,
+  validateSendAt,
+  toDateTimeInputValue,
+  getSchedulePresets,
+  formatSendAt,
+} from '@/utils/scheduled-messages';
+import { toSendPayload } from '@/utils/outbox';
+
+describe('scheduled messages', () => {
+  const now = new Date('2024-03-06T12:00:00Z').getTime();
+  const scheduled = (conversationId, content, sendAt, extra = {}) => ({
+    ...createScheduledMessage({ conversationId, senderId: 'me', content, contentType: 'text/plain', sendAt }),
+    ...extra,
+  });
+
+  it('creates outbox-shaped entries with a send time', () => {
+    const entry = scheduled('c1', 'standup notes', '2024-03-06T15:00:00Z');
+    expect(entry.status).toBe(SCHEDULE_STATUS.SCHEDULED);
+    expect(entry.send_at).toBe('2024-03-06T15:00:00.000Z');
+    expect(toSendPayload(entry)).toEqual({
+      content_type: 'text/plain',
+      content: 'standup notes',
+      dedupe_key: entry.dedupe_key,
+    });
+  });
+
+  it('reschedules failed entries when edited', () => {
+    const failed = scheduled('c1', 'old', '2024-03-06T15:00:00Z', { status: SCHEDULE_STATUS.FAILED, error: 'Rejected' });
+    const edited = applyScheduledEdit(failed, { content: 'new', sendAt: '2024-03-07T09:00:00Z' });
+    expect(edited).toMatchObject({
+      content: 'new',
+      content_type: 'text/plain',
+      send_at: '2024-03-07T09:00:00.000Z',
+      status: SCHEDULE_STATUS.SCHEDULED,
+      error: null,
+      dedupe_key: failed.dedupe_key,
+    });
+  });
+
+  it('finds due messages and the delay until the next one', () => {
+    const list = [
+      scheduled('c1', 'later', '2024-03-06T14:00:00Z'),
+      scheduled('c2', 'overdue', '2024-03-06T11:00:00Z'),
+      scheduled('c1', 'now', '2024-03-06T12:00:00Z'),
+      scheduled('c1', 'failed', '2024-03-06T10:00:00Z', { status: SCHEDULE_STATUS.FAILED }),
+      scheduled('c1', 'soon', '2024-03-06T12:30:00Z'),
+    ];
+
+    expect(getDueScheduledMessages(list, now).map(e => e.content)).toEqual(['overdue', 'now']);
+    expect(getNextSendDelay(list, now)).toBe(30 * 60 * 1000);
+    expect(getNextSendDelay(list.slice(1, 4), now)).toBeNull();
+    expect(getScheduledForConversation(list, 'c1').map(e => e.content)).toEqual(['failed', 'now', 'soon', 'later']);
+  });
+
+  it('only accepts send times at least a minute ahead', () => {
+    expect(validateSendAt('', now)).toBe('Pick a date and time');
+    expect(validateSendAt('not a date', now)).toBe('Pick a date and time');
+    expect(validateSendAt(new Date(now + 30 * 1000), now)).toMatch(/at least a minute/);
+    expect(validateSendAt(new Date(now + 5 * 60 * 1000), now)).toBeNull();
+  });
+
+  it('offers local-time presets without duplicates', () => {
+    // Wednesday afternoon, local time
+    const wednesday = new Date(2024, 2, 6, 14, 20, 30);
+    const presets = getSchedulePresets(wednesday);
+    expect(presets.map(p => p.date)).toEqual([
+      new Date(2024, 2, 6, 15, 20),
+      new Date(2024, 2, 7, 9, 0),
+      new Date(2024, 2, 11, 9, 0),
+    ]);
+
+    // On Sunday, tomorrow morning already is Monday morning
+    expect(getSchedulePresets(new Date(2024, 2, 10, 14, 0))).toHaveLength(2);
+    expect(toDateTimeInputValue(new Date(2024, 2, 6, 9, 5))).toBe('2024-03-06T09:05');
+  });
+
+  it('describes send times relative to today', () => {
+    const wednesday = new Date(2024, 2, 6, 14, 20);
+    expect(formatSendAt(new Date(2024, 2, 6, 17, 0), wednesday)).toBe('Today, 5:00 PM');
+    expect(formatSendAt(new Date(2024, 2, 7, 9, 0), wednesday)).toBe('Tomorrow, 9:00 AM');
+    expect(formatSendAt(new Date(2024, 2, 11, 9, 0), wednesday)).toBe('Mon, Mar 11, 9:00 AM');
+    expect(formatSendAt('nope', wednesday)).toBe('');
+  });
+});
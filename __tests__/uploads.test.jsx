@@ -0,0 +1,57 @@
+import {
+  UPLOAD_STATUS,
+  createUploadEntry,
+  getPartCount,
+  getPartRange,
+  getNextPartNumber,
+  mergeUploadedParts,
+  getUploadProgress,
+  toRestoredUpload,
+  toStoredUpload,
+} from '@/utils/uploads';
+
+describe('uploads', () => {
+  const entry = (extra = {}) => ({
+    ...createUploadEntry({ conversationId: 'c1', messageId: 'm1', file: null, name: 'a.pdf', type: 'application/pdf', size: 2500 }),
+    chunk_size: 1000,
+    ...extra,
+  });
+
+  it('splits the file into parts of the chunk size', () => {
+    expect(getPartCount(entry())).toBe(3);
+    expect(getPartRange(entry(), 3)).toEqual({ start: 2000, end: 2500 });
+    expect(getPartCount(entry({ file_size: 0 }))).toBe(1);
+  });
+
+  it('resumes at the first part the server has not acknowledged', () => {
+    expect(getNextPartNumber(entry())).toBe(1);
+    expect(getNextPartNumber(entry({ parts: [{ part_number: 1 }, { part_number: 3 }] }))).toBe(2);
+    expect(getNextPartNumber(entry({ parts: [1, 2, 3].map(n => ({ part_number: n })) }))).toBeNull();
+  });
+
+  it('merges part lists by part number', () => {
+    const merged = mergeUploadedParts(
+      [{ part_number: 2, etag: 'old' }],
+      [{ part_number: 1, etag: 'a' }, { part_number: 2, etag: 'b' }]
+    );
+    expect(merged).toEqual([{ part_number: 1, etag: 'a' }, { part_number: 2, etag: 'b' }]);
+  });
+
+  it('counts acknowledged parts and the part in flight towards progress', () => {
+    expect(getUploadProgress(entry({ parts: [{ part_number: 3 }] }))).toBe(0.2);
+    expect(getUploadProgress(entry({ parts: [{ part_number: 1 }], in_flight_bytes: 250 }))).toBe(0.5);
+  });
+
+  it('saves upload progress without the file', () => {
+    const stored = toStoredUpload(entry({ file: new Blob(['abc']), parts: [{ part_number: 1, etag: 'e1' }], in_flight_bytes: 10 }));
+    expect(stored).not.toHaveProperty('file');
+    expect(stored).toMatchObject({ parts: [{ part_number: 1, etag: 'e1' }], chunk_size: 1000, in_flight_bytes: 0 });
+  });
+
+  it('queues uploads that were running before a reload, but keeps paused ones paused', () => {
+    expect(toRestoredUpload(entry({ status: UPLOAD_STATUS.UPLOADING, in_flight_bytes: 10 }))).toEqual(
+      expect.objectContaining({ status: UPLOAD_STATUS.QUEUED, in_flight_bytes: 0 })
+    );
+    expect(toRestoredUpload(entry({ status: UPLOAD_STATUS.PAUSED })).status).toBe(UPLOAD_STATUS.PAUSED);
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  pickRecordingMimeType,
+  toAttachmentType,
+  getVoiceFileName,
+  downsampleWaveform,
+  formatDuration,
+  nextPlaybackRate,
+  isVoiceMessage
+} from '@/utils/voice';
+
+describe('voice messages', () => {
+  it('picks the first recording type the browser supports', () => {
+    expect(pickRecordingMimeType(type => type.startsWith('audio/webm'))).toBe('audio/webm;codecs=opus');
+    expect(pickRecordingMimeType(type => type === 'audio/mp4')).toBe('audio/mp4');
+    expect(pickRecordingMimeType(() => false)).toBe('');
+  });
+
+  it('stores clips under the bare MIME type with a matching extension', () => {
+    expect(toAttachmentType('audio/webm;codecs=opus')).toBe('audio/webm');
+    expect(toAttachmentType('')).toBe('audio/webm');
+    expect(getVoiceFileName('audio/mp4', new Date(2024, 0, 5, 9, 3, 7))).toBe('Voice message 2024-01-05 09.03.07.m4a');
+  });
+
+  it('downsamples peaks to the bar count, keeping the loudest sample per bar', () => {
+    const samples = [0.1, 0.5, 0.2, 0.9, 0.3, 0.4];
+    expect(downsampleWaveform(samples, 3)).toEqual([0.5, 0.9, 0.4]);
+    expect(downsampleWaveform([0.2, 1.4], 48)).toEqual([0.2, 1]);
+    expect(downsampleWaveform([], 48)).toEqual([]);
+  });
+
+  it('formats durations as m:ss', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(65.8)).toBe('1:05');
+    expect(formatDuration(Infinity)).toBe('0:00');
+  });
+
+  it('cycles through playback speeds', () => {
+    expect(nextPlaybackRate(1)).toBe(1.5);
+    expect(nextPlaybackRate(1.5)).toBe(2);
+    expect(nextPlaybackRate(2)).toBe(1);
+  });
+
+  it('treats audio attachments as voice messages', () => {
+    expect(isVoiceMessage({ content_type: 'attachment', meta: { file_type: 'audio/webm' } })).toBe(true);
+    expect(isVoiceMessage({ content_type: 'attachment', meta: { file_type: 'image/png' } })).toBe(false);
+    expect(isVoiceMessage({ content_type: 'text', content: 'hi' })).toBe(false);
+  });
+});
@@ -0,0 +1,76 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { Image as ImageIcon, Film, Play } from 'lucide-react';
+import { getThumbnailUrl, getPreviewSize, isVideoType } from '@/utils/media-previews';
+
+/**
+ * Inline thumbnail for an image or video attachment. The box is sized up front
+ * from the dimensions stored in the message meta, so the list doesn't move when
+ * the thumbnail arrives.
+ */
+export default function AttachmentPreview({ message, onOpen }) {
+  const { attachment_id: attachmentId, file_name: fileName, file_type: fileType, width, height } = message.meta;
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+  const [hasFailed, setHasFailed] = useState(false);
+  const isVideo = isVideoType(fileType);
+  const size = getPreviewSize(width, height);
+
+  useEffect(() => {
+    let cancelled = false;
+    setHasFailed(false);
+
+    getThumbnailUrl(attachmentId)
+      .then(url => {
+        if (!cancelled) setThumbnailUrl(url);
+      })
+      .catch(error => {
+        console.warn('Failed to load thumbnail:', error);
+        if (!cancelled) setHasFailed(true);
+      });
+
+    return () => { cancelled = true; };
+  }, [attachmentId]);
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        onOpen(message);
+      }}
+      className="relative block overflow-hidden rounded-lg bg-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      style={{ width: size.width, height: size.height }}
+      title={fileName || (isVideo ? 'Video' : 'Image')}
+    >
+      {thumbnailUrl && !hasFailed ? (
+        <Image
+          src={thumbnailUrl}
+          alt={fileName || 'Attachment'}
+          width={size.width}
+          height={size.height}
+          className="w-full h-full object-cover"
+          onError={() => setHasFailed(true)}
+          unoptimized
+        />
+      ) : (
+        <div className="w-full h-full flex items-center justify-center">
+          {isVideo ? (
+            <Film className={`w-8 h-8 text-gray-400 ${hasFailed ? '' : 'animate-pulse'}`} />
+          ) : (
+            <ImageIcon className={`w-8 h-8 text-gray-400 ${hasFailed ? '' : 'animate-pulse'}`} />
+          )}
+        </div>
+      )}
+
+      {isVideo && (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <div className="w-12 h-12 rounded-full bg-black bg-opacity-50 flex items-center justify-center">
+            <Play className="w-6 h-6 text-white ml-0.5" />
+          </div>
+        </div>
+      )}
+    </button>
+  );
+}
@@ -1,9 +1,60 @@
 'use client';
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { useChat } from '@/contexts/ChatContext';
 import { useAuth } from '@/contexts/AuthContext';
-import { mediaApiEndpoints } from '@/utils/api-list';
+import {
+  buildReplyMeta,
+  getThreadRootId,
+  isMessageDeleted,
+  aggregateReactions,
+  findFirstUnreadMessageId,
+  getDeliveryState,
+  getReadBy,
+  getEditedMeta,
+  RECEIPT_STATUS
+} from '@/utils/message-utils';
+import {
+  MARKDOWN_CONTENT_TYPE,
+  getTextContentType,
+  markdownToPlainText,
+  applyMarkdownFormat
+} from '@/utils/markdown';
+import { OUTBOX_STATUS, isLocalMessage } from '@/utils/outbox';
+import { UPLOAD_STATUS, getUploadProgress } from '@/utils/uploads';
+import { isPreviewableMedia, getMediaItems, readImageDimensions, downloadAttachment } from '@/utils/media-previews';
+import { MAX_FILE_SIZE, partitionFiles, nameClipboardFile } from '@/utils/file-validation';
+import { canProcessImage, processImage } from '@/utils/image-processing';
+import { formatFileSize } from '@/utils/attachments';
+import { isVoiceMessage } from '@/utils/voice';
+import { getFindMatches, pickFindMatch } from '@/utils/conversation-find';
+import { resolvePins, isPinned } from '@/utils/pins';
+import { SCHEDULE_STATUS, formatSendAt } from '@/utils/scheduled-messages';
+import { DRAFT_SAVE_DELAY } from '@/utils/drafts';
+import { canForwardMessage, getForwardedFrom, getForwardedLabel } from '@/utils/forwarding';
+import { getImportedLabel } from '@/utils/chat-import';
+import { getMentionQuery, getMentionLabel, insertMention, collectMentions, isMentioned } from '@/utils/mentions';
+import ThreadPanel from './ThreadPanel';
+import EmojiPicker, { QUICK_REACTIONS } from './EmojiPicker';
+import MarkdownContent from './MarkdownContent';
+import MentionText from './MentionText';
+import MentionSuggestions, { useMentionSuggestions } from './MentionSuggestions';
+import FormattingToolbar, { FORMAT_SHORTCUTS } from './FormattingToolbar';
+import MessageInfoDialog from './MessageInfoDialog';
+import AttachmentPreview from './AttachmentPreview';
+import MediaLightbox from './MediaLightbox';
+import ConversationInfoPanel, { INFO_TABS } from './ConversationInfoPanel';
+import VoiceRecorder, { isVoiceRecordingSupported } from './VoiceRecorder';
+import VoicePlayer from './VoicePlayer';
+import { useComposerLinkPreview, ComposerLinkPreview, MessageLinkPreview } from './LinkPreviewCard';
+import FindBar from './FindBar';
+import PinnedMessagesBar from './PinnedMessagesBar';
+import ScheduleMessageMenu from './ScheduleMessageMenu';
+import ScheduledMessagesDialog from './ScheduledMessagesDialog';
+import ForwardMessageDialog from './ForwardMessageDialog';
+import ConversationActionsMenu from './ConversationActionsMenu';
+import ExportConversationDialog from './ExportConversationDialog';
+import { showToast } from './Toast';
 import { formatDistanceToNow, format, isToday, isYesterday } from 'date-fns';
 import Image from 'next/image';
 import { 
@@ -20,62 +71,339 @@ import {
   X,
   FileText,
   Image as ImageIcon,
-  Download
+  Download,
+  CornerUpLeft,
+  MessageSquare,
+  Pencil,
+  Trash2,
+  Clock,
+  AlertCircle,
+  RotateCw,
+  Pause,
+  Play,
+  Mic,
+  Search,
+  Pin,
+  PinOff,
+  CalendarClock,
+  Forward,
+  History
 } from 'lucide-react';
 
+// Start fetching older history when the list is scrolled this close to the top (px)
+const LOAD_OLDER_THRESHOLD = 100;
+// How long a message opened from search stays highlighted (ms)
+const JUMP_HIGHLIGHT_DURATION = 2500;
+// History pages the find bar loads per step while looking for an older match
+const FIND_MAX_PAGES = 10;
+
 export default function ChatWindow() {
   const { user } = useAuth();
   const { 
     activeConversation, 
     getConversation, 
     getMessages, 
+    getMessageHistory,
+    getUploads,
+    getScheduledMessages,
+    getThreadReplyCount,
+    getReadMarker,
+    getPinnedMessages,
     getParticipants, 
     getTypingUsers,
     getUserPresence,
     sendMessage, 
     sendMessageWithFiles,
+    forwardMessage,
+    retryOutboxMessage,
+    discardOutboxMessage,
+    scheduleMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+    getDraft,
+    saveDraft,
+    loadDraftFiles,
+    remoteDraftChange,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    togglePin,
+    loadMessageReceipts,
     sendTypingIndicator,
-    loadMessages 
+    loadOlderMessages,
+    loadOlderMessagesUntil,
+    jumpTarget,
+    jumpToMessage,
+    clearJumpTarget
   } = useChat();
 
   const [messageText, setMessageText] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [isSending, setIsSending] = useState(false);
   const [showInfo, setShowInfo] = useState(false);
+  const [infoTab, setInfoTab] = useState(INFO_TABS.MEMBERS);
   const [selectedFiles, setSelectedFiles] = useState([]);
+  const [rejectedFiles, setRejectedFiles] = useState([]); // [{ name, reason }] from the last add
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
+  const [isRecordingVoice, setIsRecordingVoice] = useState(false);
+  const [showScheduleMenu, setShowScheduleMenu] = useState(false);
+  const [showScheduled, setShowScheduled] = useState(false);
+  const [canRecordVoice, setCanRecordVoice] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [isSavingEdit, setIsSavingEdit] = useState(false);
+  const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [mentionQuery, setMentionQuery] = useState(null); // { query, start } while typing an @mention
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [pickedMentions, setPickedMentions] = useState([]);
+  const [infoMessageId, setInfoMessageId] = useState(null);
+  const [forwardMessageId, setForwardMessageId] = useState(null);
+  const [showActionsMenu, setShowActionsMenu] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [lightboxMessageId, setLightboxMessageId] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null); // briefly marked after a search jump
+  const [showFind, setShowFind] = useState(false);
+  const [findQuery, setFindQuery] = useState('');
+  const [findMatchId, setFindMatchId] = useState(null);
+  const [isFindLoading, setIsFindLoading] = useState(false);
+  const [findFocusRequest, setFindFocusRequest] = useState(0); // bumped by Ctrl/Cmd+F to refocus the bar
   
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollSnapshotRef = useRef(null);
   const messageInputRef = useRef(null);
   const [downloadingId, setDownloadingId] = useState(null);
   const typingTimeoutRef = useRef(null);
   const lastSendTimeRef = useRef(0);
   const fileInputRef = useRef(null);
+  const dragDepthRef = useRef(0);
+  const imageProcessingRef = useRef({}); // { [fileId]: Promise<optimized image | null> }
 
   const conversation = getConversation(activeConversation);
   const messages = getMessages(activeConversation);
   const participants = getParticipants(activeConversation);
   const typingUsers = getTypingUsers(activeConversation);
+  const history = getMessageHistory(activeConversation);
+  const uploads = getUploads(activeConversation);
+  const scheduledMessages = getScheduledMessages(activeConversation);
+  const newestMessageId = messages[0]?.id;
+  const firstUnreadId = findFirstUnreadMessageId(messages, getReadMarker(activeConversation), user?.id);
+
+  // Find bar matches over the loaded (and cached) history, oldest first
+  const findMatches = useMemo(
+    () => (showFind ? getFindMatches(messages, findQuery) : []),
+    [showFind, messages, findQuery]
+  );
+  const currentFindId = pickFindMatch(findMatches, findMatchId);
+  const findIndex = findMatches.indexOf(currentFindId);
+  const findHighlight = showFind ? findQuery.trim() : '';
+  const conversationPins = getPinnedMessages(activeConversation);
+  const pinnedMessages = useMemo(() => resolvePins(conversationPins, messages), [conversationPins, messages]);
+  const recipientIds = participants.filter(p => p.user_id !== user?.id).map(p => p.user_id);
+  const newestOwnMessageId = messages.find(m => m.sender_id === user?.id && !isMessageDeleted(m) && !isLocalMessage(m))?.id;
+  const infoMessage = infoMessageId ? messages.find(m => m.id === infoMessageId) : null;
+  const messageToForward = forwardMessageId ? messages.find(m => m.id === forwardMessageId) : null;
+  const mediaItems = getMediaItems(messages);
+  const lightboxIndex = lightboxMessageId ? mediaItems.findIndex(item => item.message_id === lightboxMessageId) : -1;
+  const mentionSuggestions = useMentionSuggestions(mentionQuery?.query ?? null, participants, user?.id);
+  const linkPreview = useComposerLinkPreview(messageText);
 
-  // Auto-scroll to bottom when new messages arrive
+  // Auto-scroll to bottom when new messages arrive. Keyed on the newest
+  // message so that prepending older history doesn't yank the view down.
   const scrollToBottom = useCallback(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, []);
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages, scrollToBottom]);
+  }, [newestMessageId, scrollToBottom]);
+
+  // Drop any pending scroll restore, edit or open thread when switching
+  // conversations (the composer itself is swapped for the conversation's draft)
+  useEffect(() => {
+    scrollSnapshotRef.current = null;
+    setThreadRoot(null);
+    setEditingMessageId(null);
+    setMentionQuery(null);
+    setInfoMessageId(null);
+    setReactionPickerFor(null);
+    setRejectedFiles([]);
+    setIsRecordingVoice(false);
+    setShowFind(false);
+    setFindQuery('');
+    setFindMatchId(null);
+  }, [activeConversation]);
+
+  // Ctrl/Cmd+F opens the find bar instead of the browser's page search
+  useEffect(() => {
+    if (!activeConversation) return;
+
+    const handleFindShortcut = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        setShowFind(true);
+        setFindFocusRequest(count => count + 1);
+      }
+    };
+
+    window.addEventListener('keydown', handleFindShortcut);
+    return () => window.removeEventListener('keydown', handleFindShortcut);
+  }, [activeConversation]);
+
+  // Bring the current find match into view
+  useEffect(() => {
+    if (!currentFindId) return;
+    document.getElementById(`message-${currentFindId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [currentFindId]);
 
-  // Cleanup file preview URLs on unmount
+  // Scroll to a message opened from search once it has rendered. Runs after
+  // the new-message autoscroll so it isn't pulled back to the bottom.
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.conversationId !== activeConversation) return;
+    const element = document.getElementById(`message-${jumpTarget.messageId}`);
+    if (!element) return;
+
+    const timeoutId = setTimeout(() => {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedMessageId(jumpTarget.messageId);
+      clearJumpTarget();
+    }, 100);
+    return () => clearTimeout(timeoutId);
+  }, [jumpTarget, activeConversation, messages, clearJumpTarget]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timeoutId = setTimeout(() => setHighlightedMessageId(null), JUMP_HIGHLIGHT_DURATION);
+    return () => clearTimeout(timeoutId);
+  }, [highlightedMessageId]);
+
+  // MediaRecorder only exists in the browser, so check after mount
+  useEffect(() => {
+    setCanRecordVoice(isVoiceRecordingSupported());
+  }, []);
+
+  // Load older history when the user scrolls near the top
+  const handleMessagesScroll = useCallback(() => {
+    const container = messagesContainerRef.current;
+    if (!container || !activeConversation) return;
+    if (container.scrollTop > LOAD_OLDER_THRESHOLD) return;
+    if (!history.hasMore || history.isLoadingOlder || scrollSnapshotRef.current) return;
+
+    scrollSnapshotRef.current = {
+      scrollHeight: container.scrollHeight,
+      scrollTop: container.scrollTop
+    };
+
+    loadOlderMessages(activeConversation).catch(() => {
+      scrollSnapshotRef.current = null;
+    });
+  }, [activeConversation, history.hasMore, history.isLoadingOlder, loadOlderMessages]);
+
+  // Keep the previously visible messages in place once older ones are prepended
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const snapshot = scrollSnapshotRef.current;
+    if (!container || !snapshot || history.isLoadingOlder) return;
+
+    container.scrollTop = container.scrollHeight - snapshot.scrollHeight + snapshot.scrollTop;
+    scrollSnapshotRef.current = null;
+  }, [messages, history.isLoadingOlder]);
+
+  // Cleanup file preview URLs on unmount. Files are updated in place while
+  // their dimensions and optimized copies arrive, so this can't run on every change.
+  const selectedFilesRef = useRef(selectedFiles);
+  selectedFilesRef.current = selectedFiles;
   useEffect(() => {
     return () => {
-      selectedFiles.forEach(fileObj => {
+      selectedFilesRef.current.forEach(fileObj => {
         if (fileObj.preview) {
           URL.revokeObjectURL(fileObj.preview);
         }
       });
     };
-  }, [selectedFiles]);
+  }, []);
+
+  // Drafts: the composer is saved per conversation a moment after each change
+  // and right away when leaving, then restored when the conversation is opened
+  // again or its draft changes in another tab. Saving pauses while a draft is
+  // being restored so a half-restored composer never overwrites it.
+  const draftConversationRef = useRef(null); // conversation whose draft the composer holds
+  const handledRemoteDraftRef = useRef(null);
+  const composerRef = useRef(null);
+  composerRef.current = { text: messageText, replyTo: replyingTo, mentions: pickedMentions, files: selectedFiles };
+
+  const restoreDraft = async (conversationId) => {
+    draftConversationRef.current = null;
+    const draft = getDraft(conversationId);
+    const replyTo = draft?.reply_to
+      ? messages.find(msg => msg.id === draft.reply_to.id) || draft.reply_to
+      : null;
+
+    selectedFilesRef.current.forEach(fileObj => {
+      if (fileObj.preview) URL.revokeObjectURL(fileObj.preview);
+      delete imageProcessingRef.current[fileObj.id];
+    });
+    setMessageText(draft?.text || '');
+    setReplyingTo(replyTo);
+    setPickedMentions(draft?.mentions || []);
+    setSelectedFiles([]);
+
+    if (draft?.files.length > 0) {
+      const stored = await loadDraftFiles(conversationId);
+      if (composerConversationRef.current !== conversationId) return;
+
+      const restored = stored
+        .filter(entry => draft.files.some(f => f.id === entry.id))
+        .map(entry => toSelectedFile(entry.file, entry.id));
+      setSelectedFiles(restored);
+      prepareSelectedFiles(restored);
+    }
+    draftConversationRef.current = conversationId;
+  };
+
+  // Effects below only run on conversation / remote changes, so they reach
+  // the latest restore and composer through refs
+  const composerConversationRef = useRef(activeConversation);
+  composerConversationRef.current = activeConversation;
+  const restoreDraftRef = useRef(restoreDraft);
+  restoreDraftRef.current = restoreDraft;
+  const saveDraftRef = useRef(saveDraft);
+  saveDraftRef.current = saveDraft;
+
+  useEffect(() => {
+    if (!activeConversation) return;
+    restoreDraftRef.current(activeConversation);
+
+    return () => {
+      if (draftConversationRef.current === activeConversation) {
+        saveDraftRef.current(activeConversation, composerRef.current);
+      }
+      draftConversationRef.current = null;
+    };
+  }, [activeConversation]);
+
+  useEffect(() => {
+    if (!remoteDraftChange || handledRemoteDraftRef.current === remoteDraftChange.at) return;
+    handledRemoteDraftRef.current = remoteDraftChange.at;
+    if (remoteDraftChange.conversationIds.includes(activeConversation)) {
+      restoreDraftRef.current(activeConversation);
+    }
+  }, [remoteDraftChange, activeConversation]);
+
+  useEffect(() => {
+    const conversationId = draftConversationRef.current;
+    if (!conversationId || conversationId !== activeConversation) return;
+
+    const timeoutId = setTimeout(() => saveDraft(conversationId, composerRef.current), DRAFT_SAVE_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [activeConversation, messageText, replyingTo, pickedMentions, selectedFiles, saveDraft]);
 
   // Handle typing indicator
   const handleTypingStart = useCallback(() => {
@@ -109,9 +437,35 @@ export default function ChatWindow() {
     }
   }, [isTyping, activeConversation, sendTypingIndicator]);
 
+  // Open, update or close the @mention autocomplete for the text at the caret
+  const updateMentionQuery = (text, caret) => {
+    const next = getMentionQuery(text, caret);
+    if (next?.start !== mentionQuery?.start || next?.query !== mentionQuery?.query) {
+      setMentionIndex(0);
+    }
+    setMentionQuery(next);
+  };
+
+  const selectMention = (suggestion) => {
+    const input = messageInputRef.current;
+    const label = getMentionLabel(suggestion);
+    const caret = input?.selectionStart ?? messageText.length;
+    const result = insertMention(messageText, mentionQuery.start, caret, label);
+
+    setMessageText(result.text);
+    setPickedMentions(prev => [...prev, { user_id: suggestion.user_id, label }]);
+    setMentionQuery(null);
+
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(result.caret, result.caret);
+    });
+  };
+
   // Handle message input
   const handleInputChange = (e) => {
     setMessageText(e.target.value);
+    updateMentionQuery(e.target.value, e.target.selectionStart);
     if (e.target.value.trim()) {
       handleTypingStart();
     } else {
@@ -120,73 +474,177 @@ export default function ChatWindow() {
   };
 
   const handleKeyDown = (e) => {
+    // Autocomplete navigation takes over while suggestions are open
+    if (mentionQuery && mentionSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex((mentionIndex + step + mentionSuggestions.length) % mentionSuggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSendMessage();
+      return;
     }
-  };
 
-  // File validation constants
-  const ALLOWED_FILE_TYPES = {
-    'image/jpeg': ['.jpg', '.jpeg'],
-    'image/png': ['.png'],
-    'application/pdf': ['.pdf']
+    // Formatting shortcuts: Ctrl/Cmd+B, I, E, K and Ctrl/Cmd+Shift+X
+    if (e.ctrlKey || e.metaKey) {
+      const key = e.key.toLowerCase();
+      const format = e.shiftKey
+        ? (key === 'x' ? 'strike' : null)
+        : FORMAT_SHORTCUTS[key];
+      if (format) {
+        e.preventDefault();
+        applyFormat(format);
+      }
+    }
   };
-  const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 
-  // File handling functions
-  const validateFile = (file) => {
-    // Check file type
-    if (!ALLOWED_FILE_TYPES[file.type]) {
-      throw new Error(`File type ${file.type} is not supported. Please select JPG, PNG, or PDF files.`);
-    }
+  // Add files from the picker, a drop or a paste. Invalid files are listed
+  // with the reason they were rejected instead of being added.
+  const addFiles = (files) => {
+    const { accepted, rejected } = partitionFiles(files);
+    const validFiles = accepted.map(file => toSelectedFile(file));
 
-    // Check file size
-    if (file.size > MAX_FILE_SIZE) {
-      throw new Error(`File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
-    }
+    setRejectedFiles(rejected);
 
-    // Check file extension matches MIME type
-    const allowedExtensions = ALLOWED_FILE_TYPES[file.type];
-    const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
-    if (!allowedExtensions.includes(fileExtension)) {
-      throw new Error(`File extension ${fileExtension} does not match the file type`);
+    if (validFiles.length > 0) {
+      setSelectedFiles(prev => [...prev, ...validFiles]);
+      prepareSelectedFiles(validFiles);
     }
+  };
+
+  // Composer entry for an attached file; drafts restore files under their old id
+  const toSelectedFile = (file, id = `${file.name}-${Date.now()}-${Math.random()}`) => ({
+    file,
+    id,
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    preview: file.type.startsWith('image/') ? URL.createObjectURL(file) : null,
+    isProcessing: canProcessImage(file),
+    processed: null, // { file, width, height, resized } once optimized
+    processingFailed: false,
+    sendOriginal: false
+  });
+
+  // Read image dimensions and start optimizing files just put in the composer
+  const prepareSelectedFiles = (fileObjs) => {
+    // Recorded in the message meta so previews can reserve their space
+    fileObjs.forEach(fileObj => {
+      readImageDimensions(fileObj.file).then(dimensions => {
+        if (!dimensions) return;
+        setSelectedFiles(prev => prev.map(f => (f.id === fileObj.id ? { ...f, ...dimensions } : f)));
+      });
+    });
+
+    fileObjs.filter(fileObj => fileObj.isProcessing).forEach(optimizeImage);
+  };
 
-    return true;
+  // Downscale and strip metadata from an image in the background. The result
+  // is swapped in when sending unless "Send original" is ticked.
+  const optimizeImage = (fileObj) => {
+    const processing = processImage(fileObj.file)
+      .then(processed => {
+        setSelectedFiles(prev => prev.map(f => (
+          f.id === fileObj.id ? { ...f, isProcessing: false, processed } : f
+        )));
+        return processed;
+      })
+      .catch(error => {
+        console.warn('Failed to optimize image:', error);
+        setSelectedFiles(prev => prev.map(f => (
+          f.id === fileObj.id ? { ...f, isProcessing: false, processingFailed: true } : f
+        )));
+        return null;
+      });
+    imageProcessingRef.current[fileObj.id] = processing;
   };
 
+  const toggleSendOriginal = (fileId) => {
+    setSelectedFiles(prev => prev.map(f => (f.id === fileId ? { ...f, sendOriginal: !f.sendOriginal } : f)));
+  };
+
+  // Files as they should be uploaded: the optimized copy unless the user
+  // asked for the original (waits for optimizations still running)
+  const prepareFilesForUpload = (files) => Promise.all(files.map(async (fileObj) => {
+    const processing = imageProcessingRef.current[fileObj.id];
+    if (fileObj.sendOriginal || !processing) return fileObj;
+
+    const processed = await processing;
+    if (!processed) return fileObj;
+    return {
+      ...fileObj,
+      file: processed.file,
+      size: processed.file.size,
+      width: processed.width,
+      height: processed.height
+    };
+  }));
+
   const handleFileSelect = (event) => {
-    const files = Array.from(event.target.files);
-    const validFiles = [];
-    const errors = [];
-
-    files.forEach(file => {
-      try {
-        validateFile(file);
-        validFiles.push({
-          file,
-          id: `${file.name}-${Date.now()}-${Math.random()}`,
-          name: file.name,
-          size: file.size,
-          type: file.type,
-          preview: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
-        });
-      } catch (error) {
-        errors.push(`${file.name}: ${error.message}`);
-      }
-    });
+    addFiles(Array.from(event.target.files));
 
-    if (errors.length > 0) {
-      alert('Some files could not be added:\n' + errors.join('\n'));
+    // Clear the input
+    event.target.value = '';
+  };
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0) return;
+
+    // Keep any text that was copied along with the file (e.g. from a web page)
+    if (!e.clipboardData.getData('text/plain')) {
+      e.preventDefault();
     }
+    addFiles(files.map((file, index) => nameClipboardFile(file, index)));
+  };
 
-    if (validFiles.length > 0) {
-      setSelectedFiles(prev => [...prev, ...validFiles]);
+  // Drag-and-drop anywhere on the window. Enter/leave fire for every child, so
+  // a depth counter tells when the drag has really left.
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) {
+      setIsDraggingFiles(false);
     }
+  };
 
-    // Clear the input
-    event.target.value = '';
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDraggingFiles(false);
+    addFiles(Array.from(e.dataTransfer.files));
+    messageInputRef.current?.focus();
   };
 
   const removeFile = (fileId) => {
@@ -197,6 +655,7 @@ export default function ChatWindow() {
       if (removedFile?.preview) {
         URL.revokeObjectURL(removedFile.preview);
       }
+      delete imageProcessingRef.current[fileId];
       return updated;
     });
   };
@@ -208,40 +667,31 @@ export default function ChatWindow() {
   // Handle file download
   const handleDownload = async (attachmentId, fileName) => {
     if (downloadingId) return;
-    
+
     try {
       setDownloadingId(attachmentId);
-      const response = await mediaApiEndpoints.getDownloadUrl(attachmentId);
-      
-      // The response could be { url: '...' } or just a URL string
-      const downloadUrl = response.url || response.download_url || response;
-      
-      // Create a temporary anchor and trigger download
-      const anchor = document.createElement('a');
-      anchor.href = downloadUrl;
-      anchor.download = fileName || 'download';
-      anchor.target = '_blank';
-      anchor.rel = 'noopener noreferrer';
-      document.body.appendChild(anchor);
-      anchor.click();
-      document.body.removeChild(anchor);
+      await downloadAttachment(attachmentId, fileName);
     } catch (error) {
       console.error('Failed to download file:', error);
-      // Fallback: try opening the attachment page
-      try {
-        const attachmentInfo = await mediaApiEndpoints.getAttachment(attachmentId);
-        if (attachmentInfo?.url || attachmentInfo?.download_url) {
-          window.open(attachmentInfo.url || attachmentInfo.download_url, '_blank');
-        }
-      } catch (fallbackError) {
-        console.error('Fallback download also failed:', fallbackError);
-        alert('Failed to download file. Please try again.');
-      }
+      alert('Failed to download file. Please try again.');
     } finally {
       setDownloadingId(null);
     }
   };
 
+  // Reply target, picked mentions and (optionally) the link preview of the composed message
+  const buildComposerMeta = (content, withLinkPreview) => {
+    const mentionsToSend = collectMentions(content, pickedMentions);
+    const linkPreviewMeta = withLinkPreview ? linkPreview.getSendMeta(content) : null;
+    return replyingTo || mentionsToSend.length > 0 || linkPreviewMeta
+      ? {
+          ...(replyingTo && buildReplyMeta(replyingTo)),
+          ...(mentionsToSend.length > 0 && { mentions: mentionsToSend }),
+          ...linkPreviewMeta
+        }
+      : null;
+  };
+
   const handleSendMessage = async () => {
     if ((!messageText.trim() && selectedFiles.length === 0) || !activeConversation || isSending || isUploading) return;
 
@@ -254,27 +704,42 @@ export default function ChatWindow() {
 
     const content = messageText.trim();
     const filesToSend = [...selectedFiles];
+    const replyTarget = replyingTo;
+    const mentionsToSend = collectMentions(content, pickedMentions);
+    // Link previews only go with text messages, not file captions
+    const meta = buildComposerMeta(content, filesToSend.length === 0);
     
     // Clear message text and files immediately to prevent double sends
     setMessageText('');
     setSelectedFiles([]);
+    setRejectedFiles([]);
+    setReplyingTo(null);
+    setPickedMentions([]);
+    setMentionQuery(null);
     setIsSending(true);
     handleTypingStop();
 
     try {
-      // If there are files, upload them first
-      if (filesToSend.length > 0) {
-        setIsUploading(true);
-        await sendMessageWithFiles(activeConversation, content, filesToSend);
-      } else {
-        // Send text-only message
-        await sendMessage(activeConversation, content);
+      if (filesToSend.length === 0) {
+        // Text-only messages go through the outbox, which keeps failed sends
+        // in the conversation with retry / discard instead of throwing
+        await sendMessage(activeConversation, content, getTextContentType(content), meta);
+        return;
       }
+
+      setIsUploading(true);
+      await sendMessageWithFiles(activeConversation, content, await prepareFilesForUpload(filesToSend), meta);
+      filesToSend.forEach(fileObj => {
+        if (fileObj.preview) URL.revokeObjectURL(fileObj.preview);
+        delete imageProcessingRef.current[fileObj.id];
+      });
     } catch (error) {
       console.error('Failed to send message:', error);
-      // Restore message text and files on error
+      // Restore message text, files, reply target and mentions on error
       setMessageText(content);
       setSelectedFiles(filesToSend);
+      setReplyingTo(replyTarget);
+      setPickedMentions(mentionsToSend);
       alert('Failed to send message: ' + error.message);
     } finally {
       setIsSending(false);
@@ -283,6 +748,411 @@ export default function ChatWindow() {
     }
   };
 
+  // Queue the composed text to be sent at `sendAt` (text only, like the outbox)
+  const handleScheduleMessage = (sendAt) => {
+    const content = messageText.trim();
+    if (!content || !activeConversation || selectedFiles.length > 0) return;
+
+    scheduleMessage(activeConversation, content, getTextContentType(content), buildComposerMeta(content, true), sendAt);
+    setShowScheduleMenu(false);
+    setMessageText('');
+    setReplyingTo(null);
+    setPickedMentions([]);
+    setMentionQuery(null);
+    handleTypingStop();
+    showToast(`Message scheduled for ${formatSendAt(sendAt)}`);
+    messageInputRef.current?.focus();
+  };
+
+  const closeScheduleMenu = useCallback(() => setShowScheduleMenu(false), []);
+  const closeScheduled = useCallback(() => setShowScheduled(false), []);
+
+  const handleSaveScheduled = (localId, { content, sendAt }) => {
+    const entry = scheduledMessages.find(e => e.local_id === localId);
+    if (!entry) return;
+
+    const meta = content !== entry.content ? getEditedMeta(entry, content) : entry.meta;
+    updateScheduledMessage(localId, { content, contentType: getTextContentType(content), meta, sendAt });
+  };
+
+  // Voice clips go through the same chunked upload as picked files
+  const handleSendVoice = async (voiceFile) => {
+    setIsRecordingVoice(false);
+    if (!activeConversation) return;
+
+    const replyTarget = replyingTo;
+    setReplyingTo(null);
+    setIsUploading(true);
+    try {
+      await sendMessageWithFiles(
+        activeConversation,
+        'Voice message',
+        [voiceFile],
+        replyTarget ? buildReplyMeta(replyTarget) : null
+      );
+    } catch (error) {
+      console.error('Failed to send voice message:', error);
+      setReplyingTo(replyTarget);
+      showToast('Failed to send voice message: ' + error.message, 'error', 4000);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleVoiceError = (message) => {
+    setIsRecordingVoice(false);
+    showToast(message, 'error', 5000);
+  };
+
+  // Find bar navigation. Stepping past the oldest loaded match pages in older
+  // history until another match turns up (or the history runs out).
+  const findOlder = async () => {
+    if (findIndex > 0) {
+      setFindMatchId(findMatches[findIndex - 1]);
+      return;
+    }
+    if (!findQuery.trim() || !history.hasMore || isFindLoading) return;
+
+    const oldestMatch = findMatches[0];
+    setIsFindLoading(true);
+    try {
+      const loaded = await loadOlderMessagesUntil(activeConversation, (list) => {
+        const matches = getFindMatches(list, findQuery);
+        return matches.length > 0 && matches[0] !== oldestMatch;
+      }, FIND_MAX_PAGES);
+      const matches = getFindMatches(loaded, findQuery);
+      const index = oldestMatch ? matches.indexOf(oldestMatch) : matches.length;
+      if (index > 0) setFindMatchId(matches[index - 1]);
+    } catch (error) {
+      showToast('Could not load older messages', 'error', 3000);
+    } finally {
+      setIsFindLoading(false);
+    }
+  };
+
+  const findNewer = () => {
+    if (findIndex !== -1 && findIndex < findMatches.length - 1) {
+      setFindMatchId(findMatches[findIndex + 1]);
+    }
+  };
+
+  const closeFind = () => {
+    setShowFind(false);
+    setFindQuery('');
+    setFindMatchId(null);
+  };
+
+  // Start an inline reply in the main composer
+  const handleReply = (message) => {
+    setReplyingTo(message);
+    messageInputRef.current?.focus();
+  };
+
+  // Open the thread panel for the thread a message belongs to
+  const openThread = (message) => {
+    setShowInfo(false);
+    const rootId = getThreadRootId(message);
+    if (!rootId) {
+      setThreadRoot(message);
+      return;
+    }
+
+    const loadedRoot = messages.find(msg => msg.id === rootId);
+    if (loadedRoot) {
+      setThreadRoot(loadedRoot);
+    } else if (message.meta?.parent_message_id === rootId && message.meta?.parent_preview) {
+      // Root is outside the loaded history - fall back to the quoted snapshot
+      const preview = message.meta.parent_preview;
+      setThreadRoot({
+        id: rootId,
+        sender_id: preview.sender_id,
+        content_type: preview.content_type,
+        content: preview.content,
+        meta: { file_name: preview.file_name }
+      });
+    }
+  };
+
+  // Edit / delete own messages
+  const startEditing = (message) => {
+    setEditingMessageId(message.id);
+    setEditText(message.content || '');
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditText('');
+  };
+
+  const handleSaveEdit = async (message) => {
+    const content = editText.trim();
+    if (!content || isSavingEdit) return;
+    if (content === message.content) {
+      cancelEditing();
+      return;
+    }
+
+    setIsSavingEdit(true);
+    try {
+      await editMessage(activeConversation, message.id, content, getTextContentType(content), getEditedMeta(message, content));
+      cancelEditing();
+    } catch (error) {
+      alert('Failed to edit message: ' + error.message);
+    } finally {
+      setIsSavingEdit(false);
+    }
+  };
+
+  const handleEditKeyDown = (e, message) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSaveEdit(message);
+    } else if (e.key === 'Escape') {
+      cancelEditing();
+    }
+  };
+
+  const handleDeleteMessage = async (message) => {
+    if (!window.confirm('Delete this message for everyone?')) return;
+
+    try {
+      await deleteMessage(activeConversation, message.id);
+      if (replyingTo?.id === message.id) {
+        setReplyingTo(null);
+      }
+    } catch (error) {
+      alert('Failed to delete message: ' + error.message);
+    }
+  };
+
+  // Insert an emoji from the composer picker at the caret
+  const insertEmoji = (emoji) => {
+    const input = messageInputRef.current;
+    const start = input?.selectionStart ?? messageText.length;
+    const end = input?.selectionEnd ?? messageText.length;
+
+    setMessageText(messageText.slice(0, start) + emoji + messageText.slice(end));
+    setShowEmojiPicker(false);
+
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + emoji.length, start + emoji.length);
+    });
+  };
+
+  // Wrap the composer selection in Markdown syntax and keep it selected
+  const applyFormat = (format) => {
+    const input = messageInputRef.current;
+    const start = input?.selectionStart ?? messageText.length;
+    const end = input?.selectionEnd ?? messageText.length;
+    const result = applyMarkdownFormat(messageText, start, end, format);
+
+    setMessageText(result.text);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(result.selectionStart, result.selectionEnd);
+    });
+  };
+
+  const closeMessageInfo = useCallback(() => setInfoMessageId(null), []);
+  const handleLoadReceipts = useCallback(
+    (messageId) => loadMessageReceipts(activeConversation, messageId),
+    [loadMessageReceipts, activeConversation]
+  );
+
+  const closeReactionPicker = useCallback(() => setReactionPickerFor(null), []);
+  const closeEmojiPicker = useCallback(() => setShowEmojiPicker(false), []);
+
+  const handleToggleReaction = (message, emoji) => {
+    setReactionPickerFor(null);
+    toggleReaction(activeConversation, message, emoji).catch(() => {
+      showToast('Failed to update reaction', 'error');
+    });
+  };
+
+  const handleTogglePin = (message) => {
+    togglePin(activeConversation, message).catch(() => {
+      showToast('Failed to update pin', 'error');
+    });
+  };
+
+  const closeForwardDialog = useCallback(() => setForwardMessageId(null), []);
+  const closeActionsMenu = useCallback(() => setShowActionsMenu(false), []);
+  const closeExportDialog = useCallback(() => setShowExport(false), []);
+
+  // Send the message being forwarded to the picked conversations / people.
+  // The dialog stays open only if nothing could be sent.
+  const handleForwardMessage = async (targets) => {
+    const message = messageToForward;
+    const senderName = message.sender_id === user?.id
+      ? user?.display_name
+      : participants.find(p => p.user_id === message.sender_id)?.display_name;
+    const { sent, uploading, failed } = await forwardMessage(message, targets, senderName || null);
+    const uploadNote = uploading.length > 0 ? '; the file is still uploading' : '';
+
+    if (failed.length === 0) {
+      showToast((sent.length === 1 ? 'Message forwarded' : `Message forwarded to ${sent.length} conversations`) + uploadNote);
+    } else if (sent.length > 0) {
+      showToast(`Forwarded to ${sent.length} of ${sent.length + failed.length} conversations`, 'error', 4000);
+    } else {
+      showToast('Failed to forward message', 'error');
+      return;
+    }
+    setForwardMessageId(null);
+  };
+
+  // Scroll to a pinned message, loading older history if it isn't loaded yet
+  const openPin = async (pin) => {
+    const found = await jumpToMessage(activeConversation, pin.message_id);
+    if (!found) {
+      showToast('That message could not be loaded.', 'error', 4000);
+    }
+  };
+
+  const showPinnedList = () => {
+    setThreadRoot(null);
+    setInfoTab(INFO_TABS.PINNED);
+    setShowInfo(true);
+  };
+
+  // Reaction chips under a message: emoji, count, and who reacted on hover
+  const renderReactions = (message, isOwn) => {
+    const chips = aggregateReactions(message.reactions);
+    if (chips.length === 0) return null;
+
+    return (
+      <div className={`flex flex-wrap gap-1 mt-1 ${isOwn ? 'justify-end' : ''}`}>
+        {chips.map((chip) => {
+          const isMine = chip.userIds.includes(user?.id);
+          const names = chip.userIds.map(getSenderName).join(', ');
+          return (
+            <button
+              key={chip.emoji}
+              onClick={() => handleToggleReaction(message, chip.emoji)}
+              title={`${names} reacted with ${chip.emoji}`}
+              className={`flex items-center space-x-1 px-2 py-0.5 rounded-full border text-xs transition-colors ${
+                isMine
+                  ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                  : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <span>{chip.emoji}</span>
+              <span>{chip.count}</span>
+            </button>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // Status line for an attachment whose file is still being uploaded from here
+  const getUploadLabel = (upload) => {
+    if (!upload) return 'Uploading...';
+    if (upload.status === UPLOAD_STATUS.PAUSED) return 'Upload paused';
+    if (upload.status === UPLOAD_STATUS.FAILED) return 'Upload failed';
+    if (upload.status === UPLOAD_STATUS.QUEUED && upload.error) return 'Waiting for connection...';
+    return `Uploading ${Math.round(getUploadProgress(upload) * 100)}%`;
+  };
+
+  // Preview row with progress and pause / resume / cancel for an upload in progress
+  const renderUploadRow = (upload) => {
+    const progress = Math.round(getUploadProgress(upload) * 100);
+    const isStopped = upload.status === UPLOAD_STATUS.PAUSED || upload.status === UPLOAD_STATUS.FAILED;
+
+    return (
+      <div key={upload.local_id} className="flex items-center space-x-3 p-2 bg-white rounded border">
+        <div className="w-10 h-10 bg-gray-200 rounded flex items-center justify-center flex-shrink-0">
+          {upload.file_type?.startsWith('image/') ? (
+            <ImageIcon className="w-5 h-5 text-gray-500" />
+          ) : (
+            <FileText className="w-5 h-5 text-gray-500" />
+          )}
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">
+            {upload.file_name}
+          </p>
+          <div className="mt-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full transition-all ${
+                upload.status === UPLOAD_STATUS.FAILED ? 'bg-red-500' : isStopped ? 'bg-gray-400' : 'bg-indigo-600'
+              }`}
+              style={{ width: `${progress}%` }}
+            />
+          </div>
+          <p className={`text-xs mt-0.5 truncate ${upload.status === UPLOAD_STATUS.FAILED ? 'text-red-600' : 'text-gray-500'}`}>
+            {upload.status === UPLOAD_STATUS.FAILED
+              ? upload.error || 'Upload failed'
+              : `${getUploadLabel(upload)} · ${(upload.file_size / 1024 / 1024).toFixed(1)} MB`}
+          </p>
+        </div>
+        {isStopped ? (
+          <button
+            onClick={() => resumeUpload(upload.local_id)}
+            className="p-1 text-gray-400 hover:text-indigo-600 rounded"
+            title="Resume upload"
+          >
+            {upload.status === UPLOAD_STATUS.FAILED ? <RotateCw className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </button>
+        ) : (
+          <button
+            onClick={() => pauseUpload(upload.local_id)}
+            className="p-1 text-gray-400 hover:text-indigo-600 rounded"
+            title="Pause upload"
+          >
+            <Pause className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          onClick={() => cancelUpload(upload.local_id)}
+          className="p-1 text-gray-400 hover:text-red-500 rounded"
+          title="Cancel upload"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  };
+
+  // Short one-line description of a message, for quotes and the reply bar
+  const getMessageSnippet = (message) => {
+    if (!message) return '';
+    if (isMessageDeleted(message)) return 'Message deleted';
+    if (isVoiceMessage(message)) return '🎤 Voice message';
+    if (message.content_type === 'attachment') {
+      return `📎 ${message.meta?.file_name || message.file_name || 'Attachment'}`;
+    }
+    if (message.content_type === MARKDOWN_CONTENT_TYPE) {
+      return markdownToPlainText(message.content || '');
+    }
+    return message.content || '';
+  };
+
+  const getSenderName = (senderId) => {
+    if (senderId === user?.id) return 'You';
+    return participants.find(p => p.user_id === senderId)?.display_name || 'Unknown User';
+  };
+
+  // Quoted preview of the message being replied to
+  const renderReplyQuote = (message, isOwn) => {
+    const parentId = message.meta.parent_message_id;
+    const parent = messages.find(msg => msg.id === parentId) || message.meta.parent_preview;
+    if (!parent) return null;
+
+    return (
+      <button
+        type="button"
+        onClick={() => document.getElementById(`message-${parentId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })}
+        className={`block w-full text-left mb-1 pl-2 border-l-2 text-xs rounded-sm ${
+          isOwn ? 'border-white border-opacity-60 text-indigo-100' : 'border-indigo-400 text-gray-600'
+        }`}
+      >
+        <span className="font-semibold">{getSenderName(parent.sender_id)}</span>
+        <span className="block truncate">{getMessageSnippet(parent)}</span>
+      </button>
+    );
+  };
+
   // Get conversation title
   const getConversationTitle = () => {
     if (!conversation) return 'Loading...';
@@ -324,11 +1194,30 @@ export default function ChatWindow() {
 
   const renderMessageStatus = (message, isOwn) => {
     if (!isOwn) return null;
+
+    if (message.delivery === OUTBOX_STATUS.PENDING) {
+      return (
+        <span className="ml-1 inline-flex align-middle text-gray-400" title="Sending...">
+          <Clock className="w-3 h-3" />
+        </span>
+      );
+    }
+    if (message.delivery === OUTBOX_STATUS.FAILED) {
+      return (
+        <span className="ml-1 inline-flex align-middle text-red-500" title={message.error || 'Not sent'}>
+          <AlertCircle className="w-3 h-3" />
+        </span>
+      );
+    }
+
+    const state = getDeliveryState(message, recipientIds);
     
     return (
       <span className="ml-1 text-xs">
-        {message.is_read ? (
+        {state === RECEIPT_STATUS.READ ? (
           <span className="text-blue-500" title="Read">✓✓</span>
+        ) : state === RECEIPT_STATUS.DELIVERED ? (
+          <span className="text-gray-400" title="Delivered">✓✓</span>
         ) : (
           <span className="text-gray-400" title="Sent">✓</span>
         )}
@@ -336,6 +1225,36 @@ export default function ChatWindow() {
     );
   };
 
+  // Group chats: small avatars of who has read the newest own message
+  const renderSeenBy = (message) => {
+    const readers = getReadBy(message)
+      .map(({ user_id }) => participants.find(p => p.user_id === user_id))
+      .filter(Boolean);
+    if (readers.length === 0) return null;
+
+    const shown = readers.slice(0, 4);
+    return (
+      <button
+        type="button"
+        onClick={() => setInfoMessageId(message.id)}
+        title={`Seen by ${readers.map(p => p.display_name).join(', ')}`}
+        className="flex items-center w-fit ml-auto mt-1 -space-x-1"
+      >
+        {shown.map(p => (
+          <span
+            key={p.user_id}
+            className="w-4 h-4 rounded-full bg-gray-300 border border-white flex items-center justify-center text-[8px] font-medium text-gray-700"
+          >
+            {p.display_name?.charAt(0)?.toUpperCase() || '?'}
+          </span>
+        ))}
+        {readers.length > shown.length && (
+          <span className="pl-2 text-[10px] text-gray-500">+{readers.length - shown.length}</span>
+        )}
+      </button>
+    );
+  };
+
   // Group messages by date
   const groupMessagesByDate = (messages) => {
     const groups = [];
@@ -364,14 +1283,112 @@ export default function ChatWindow() {
     return groups;
   };
 
+  // Hover actions shown beside a message bubble
+  const renderMessageActions = (message, isOwn) => (
+    <div className={`relative flex items-center self-center space-x-1 mx-2 transition-opacity ${
+      reactionPickerFor === message.id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+    } ${isOwn ? 'order-0' : 'order-3'}`}>
+      <button
+        onMouseDown={(e) => e.stopPropagation()} // don't let the picker's outside-click close it first
+        onClick={() => setReactionPickerFor(reactionPickerFor === message.id ? null : message.id)}
+        title="Add reaction"
+        className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+      >
+        <Smile className="w-4 h-4" />
+      </button>
+      {reactionPickerFor === message.id && (
+        <EmojiPicker
+          quickEmojis={QUICK_REACTIONS}
+          onSelect={(emoji) => handleToggleReaction(message, emoji)}
+          onClose={closeReactionPicker}
+          className={`absolute bottom-full mb-2 ${isOwn ? 'right-0' : 'left-0'}`}
+        />
+      )}
+      {isOwn && (message.content_type === 'text/plain' || message.content_type === MARKDOWN_CONTENT_TYPE) && (
+        <button
+          onClick={() => startEditing(message)}
+          title="Edit"
+          className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+        >
+          <Pencil className="w-4 h-4" />
+        </button>
+      )}
+      {isOwn && (
+        <button
+          onClick={() => handleDeleteMessage(message)}
+          title="Delete"
+          className="p-1 text-gray-400 hover:text-red-500 rounded hover:bg-gray-100"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+      {isOwn && (
+        <button
+          onClick={() => setInfoMessageId(message.id)}
+          title="Message info"
+          className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+        >
+          <Info className="w-4 h-4" />
+        </button>
+      )}
+      <button
+        onClick={() => handleTogglePin(message)}
+        title={isPinned(conversationPins, message.id) ? 'Unpin' : 'Pin'}
+        className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+      >
+        {isPinned(conversationPins, message.id) ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+      </button>
+      {canForwardMessage(message) && (
+        <button
+          onClick={() => setForwardMessageId(message.id)}
+          title="Forward"
+          className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+        >
+          <Forward className="w-4 h-4" />
+        </button>
+      )}
+      <button
+        onClick={() => handleReply(message)}
+        title="Reply"
+        className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+      >
+        <CornerUpLeft className="w-4 h-4" />
+      </button>
+      <button
+        onClick={() => openThread(message)}
+        title="Reply in thread"
+        className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+      >
+        <MessageSquare className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
   // Render message
-  const renderMessage = (message, isOwn, showAvatar) => {
+  // `options.inThread` renders for the thread panel: no thread actions, and
+  // no quote on direct replies to `options.threadRootId` (the root is shown above them).
+  const renderMessage = (message, isOwn, showAvatar, options = {}) => {
     const sender = participants.find(p => p.user_id === message.sender_id);
+    const isDeleted = isMessageDeleted(message);
+    const isEditing = editingMessageId === message.id;
+    const parentId = message.meta?.parent_message_id;
+    const showQuote = parentId && !isDeleted && !(options.inThread && parentId === options.threadRootId);
+    const isLocal = isLocalMessage(message);
+    const replyCount = options.inThread || isLocal ? 0 : getThreadReplyCount(message);
+    const showActions = !options.inThread && !isDeleted && !isEditing && !isLocal;
+    const mentionsMe = !isOwn && !isDeleted && isMentioned(message, user?.id);
+    const forwardedFrom = !isDeleted && getForwardedFrom(message);
+    const imported = !isDeleted && message.meta?.imported;
     
     return (
       <div
-        className={`flex ${isOwn ? 'justify-end' : 'justify-start'} mb-4`}
+        id={options.inThread ? undefined : `message-${message.id}`}
+        className={`group flex ${isOwn ? 'justify-end' : 'justify-start'} mb-4 rounded-lg transition-colors duration-700 ${
+          highlightedMessageId === message.id && !options.inThread ? 'bg-yellow-100' : ''
+        }`}
       >
+        {isOwn && showActions && renderMessageActions(message, isOwn)}
+
         {!isOwn && showAvatar && (
           <div className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center mr-2 flex-shrink-0">
             <span className="text-xs font-medium text-gray-600">
@@ -392,21 +1409,86 @@ export default function ChatWindow() {
           <div
             className={`
               px-4 py-2 rounded-2xl
+              ${message.delivery === OUTBOX_STATUS.PENDING ? 'opacity-70' : ''}
+              ${message.id === currentFindId && !options.inThread ? 'ring-2 ring-amber-400 ring-offset-1' : ''}
               ${isOwn 
                 ? 'bg-indigo-600 text-white' 
-                : 'bg-gray-100 text-gray-900'
+                : mentionsMe
+                  ? 'bg-amber-50 text-gray-900 ring-1 ring-amber-300'
+                  : 'bg-gray-100 text-gray-900'
               }
             `}
           >
-            {message.content_type === 'text/plain' ? (
-              <p className="text-sm whitespace-pre-wrap">{message.content}</p>
+            {forwardedFrom && (
+              <p className={`flex items-center space-x-1 mb-1 text-xs italic ${isOwn ? 'text-indigo-200' : 'text-gray-500'}`}>
+                <Forward className="w-3 h-3" />
+                <span>{getForwardedLabel(forwardedFrom, user?.id)}</span>
+              </p>
+            )}
+            {imported && (
+              <p className={`flex items-center space-x-1 mb-1 text-xs italic ${isOwn ? 'text-indigo-200' : 'text-gray-500'}`}>
+                <History className="w-3 h-3" />
+                <span>{getImportedLabel(imported)}</span>
+              </p>
+            )}
+            {showQuote && renderReplyQuote(message, isOwn)}
+            {isDeleted ? (
+              <p className={`text-sm italic ${isOwn ? 'text-indigo-200' : 'text-gray-400'}`}>
+                message deleted
+              </p>
+            ) : isEditing ? (
+              <div className="space-y-2">
+                <textarea
+                  value={editText}
+                  onChange={(e) => setEditText(e.target.value)}
+                  onKeyDown={(e) => handleEditKeyDown(e, message)}
+                  autoFocus
+                  rows={2}
+                  className="w-full min-w-[12rem] px-2 py-1 text-sm text-gray-900 bg-white rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-indigo-300"
+                />
+                <div className="flex justify-end space-x-2 text-xs">
+                  <button onClick={cancelEditing} className="opacity-75 hover:opacity-100">
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => handleSaveEdit(message)}
+                    disabled={!editText.trim() || isSavingEdit}
+                    className="font-semibold hover:underline disabled:opacity-50"
+                  >
+                    {isSavingEdit ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </div>
+            ) : message.content_type === 'text/plain' ? (
+              <p className="text-sm whitespace-pre-wrap">
+                <MentionText
+                  text={message.content}
+                  mentions={message.meta?.mentions}
+                  currentUserId={user?.id}
+                  isOwn={isOwn}
+                  highlight={options.inThread ? '' : findHighlight}
+                />
+              </p>
+            ) : message.content_type === MARKDOWN_CONTENT_TYPE ? (
+              <MarkdownContent
+                content={message.content}
+                isOwn={isOwn}
+                mentions={message.meta?.mentions}
+                currentUserId={user?.id}
+                highlight={options.inThread ? '' : findHighlight}
+              />
             ) : message.content_type === 'attachment' ? (
               <div className="space-y-2">
-                {message.content && (
+                {message.content && !message.meta?.voice && (
                   <p className="text-sm whitespace-pre-wrap">{message.content}</p>
                 )}
-                {/* Always show attachment info if we have file metadata */}
-                {(message.meta?.attachment_id || message.meta?.file_name) && (
+                {isPreviewableMedia(message) && (
+                  <AttachmentPreview message={message} onOpen={(msg) => setLightboxMessageId(msg.id)} />
+                )}
+                {/* Voice player once the clip is ready, otherwise the file info row */}
+                {isVoiceMessage(message) && message.meta.status === 'ready' && message.meta.attachment_id ? (
+                  <VoicePlayer message={message} isOwn={isOwn} />
+                ) : (message.meta?.attachment_id || message.meta?.file_name) && (
                   <div className={`flex items-center space-x-2 p-2 rounded-lg ${
                     isOwn 
                       ? 'bg-black bg-opacity-10' 
@@ -438,7 +1520,7 @@ export default function ChatWindow() {
                         {message.meta.status === 'uploading' && (
                           <span className={`text-xs ${
                             isOwn ? 'text-white opacity-75' : 'text-gray-600'
-                          }`}>Uploading...</span>
+                          }`}>{getUploadLabel(uploads.find(u => u.message_id === message.id))}</span>
                         )}
                         {message.meta.status === 'ready' && message.meta.attachment_id && (
                           <span className={`text-xs ${
@@ -479,13 +1561,56 @@ export default function ChatWindow() {
                 <span className="text-sm">{message.content}</span>
               </div>
             )}
+            {!isDeleted && !isEditing
+              && (message.content_type === 'text/plain' || message.content_type === MARKDOWN_CONTENT_TYPE) && (
+              <MessageLinkPreview message={message} isOwn={isOwn} />
+            )}
           </div>
           
+          {!isDeleted && renderReactions(message, isOwn)}
+
           <p className={`text-xs text-gray-500 mt-1 ${isOwn ? 'text-right' : 'text-left'}`}>
-            {formatMessageTime(message.sent_at)}
+            {message.sent_at && formatMessageTime(message.sent_at)}
+            {message.edited_at && !isDeleted && (
+              <span className="ml-1" title={`Edited ${formatMessageTime(message.edited_at)}`}>(edited)</span>
+            )}
             {renderMessageStatus(message, isOwn)}
           </p>
+
+          {isOwn && conversation?.type === 'GROUP' && message.id === newestOwnMessageId && !options.inThread
+            && renderSeenBy(message)}
+
+          {message.delivery === OUTBOX_STATUS.FAILED && (
+            <div className="flex items-center justify-end space-x-2 mt-1 text-xs">
+              <span className="text-red-500">Not sent</span>
+              <button
+                onClick={() => retryOutboxMessage(message.local_id)}
+                className="flex items-center text-indigo-600 hover:underline"
+              >
+                <RotateCw className="w-3 h-3 mr-0.5" />
+                Retry
+              </button>
+              <button
+                onClick={() => discardOutboxMessage(message.local_id)}
+                className="text-gray-500 hover:text-red-500 hover:underline"
+              >
+                Discard
+              </button>
+            </div>
+          )}
+
+          {replyCount > 0 && (
+            <button
+              onClick={() => openThread(message)}
+              className={`flex items-center space-x-1 mt-1 text-xs font-medium text-indigo-600 hover:underline ${isOwn ? 'ml-auto' : ''}`}
+            >
+              <MessageSquare className="w-3 h-3" />
+              <span>{replyCount} {replyCount === 1 ? 'reply' : 'replies'}</span>
+            </button>
+          )}
         </div>
+
+        {!isOwn && showActions && renderMessageActions(message, isOwn)}
       </div>
     );
   };
@@ -502,227 +1627,559 @@ export default function ChatWindow() {
   }
 
   const messageGroups = groupMessagesByDate([...messages].reverse());
+  const threadRootMessage = threadRoot && (messages.find(msg => msg.id === threadRoot.id) || threadRoot);
 
   return (
-    <div className="h-full flex flex-col bg-white">
-      {/* Header */}
-      <div className="flex items-center justify-between p-4 border-b border-gray-200 bg-white">
-        <div className="flex items-center space-x-3">
-          {/* Avatar */}
-          <div className="relative">
-            {conversation.type === 'GROUP' ? (
-              <div className="w-10 h-10 bg-indigo-100 rounded-full flex items-center justify-center">
-                <Users className="w-5 h-5 text-indigo-600" />
-              </div>
-            ) : (
-              <div className="w-10 h-10 bg-gray-200 rounded-full flex items-center justify-center">
-                <User className="w-5 h-5 text-gray-400" />
-              </div>
-            )}
-            
-            {conversation.type === 'DM' && (
-              <div className="absolute -bottom-1 -right-1 w-3 h-3 bg-green-500 border-2 border-white rounded-full"></div>
-            )}
+    <div
+      className="relative h-full flex bg-white"
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {/* Drop overlay */}
+      {isDraggingFiles && (
+        <div className="absolute inset-0 z-40 m-2 flex items-center justify-center rounded-xl border-2 border-dashed border-indigo-400 bg-indigo-50 bg-opacity-90 pointer-events-none">
+          <div className="text-center">
+            <Paperclip className="w-10 h-10 text-indigo-500 mx-auto mb-2" />
+            <p className="text-lg font-medium text-indigo-700">Drop files to attach</p>
+            <p className="text-sm text-indigo-500">JPG, PNG or PDF, up to {MAX_FILE_SIZE / (1024 * 1024)}MB each</p>
           </div>
+        </div>
+      )}
 
-          {/* Title and Status */}
-          <div>
-            <h2 className="font-semibold text-gray-900">{getConversationTitle()}</h2>
-            <p className="text-sm text-gray-500">
-              {conversation.type === 'GROUP' 
-                ? `${participants.length} members, ${getOnlineCount()} online`
-                : (() => {
-                    const otherParticipant = participants.find(p => p.user_id !== user?.id);
-                    const presence = getUserPresence(otherParticipant?.user_id);
-                    return presence?.status || 'offline';
-                  })()
-              }
-            </p>
+      <div className="flex-1 min-w-0 h-full flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 bg-white">
+          <div className="flex items-center space-x-3">
+            {/* Avatar */}
+            <div className="relative">
+              {conversation.type === 'GROUP' ? (
+                <div className="w-10 h-10 bg-indigo-100 rounded-full flex items-center justify-center">
+                  <Users className="w-5 h-5 text-indigo-600" />
+                </div>
+              ) : (
+                <div className="w-10 h-10 bg-gray-200 rounded-full flex items-center justify-center">
+                  <User className="w-5 h-5 text-gray-400" />
+                </div>
+              )}
+              
+              {conversation.type === 'DM' && (
+                <div className="absolute -bottom-1 -right-1 w-3 h-3 bg-green-500 border-2 border-white rounded-full"></div>
+              )}
+            </div>
+
+            {/* Title and Status */}
+            <div>
+              <h2 className="font-semibold text-gray-900">{getConversationTitle()}</h2>
+              <p className="text-sm text-gray-500">
+                {conversation.type === 'GROUP' 
+                  ? `${participants.length} members, ${getOnlineCount()} online`
+                  : (() => {
+                      const otherParticipant = participants.find(p => p.user_id !== user?.id);
+                      const presence = getUserPresence(otherParticipant?.user_id);
+                      return presence?.status || 'offline';
+                    })()
+                }
+              </p>
+            </div>
           </div>
-        </div>
 
-        {/* Actions */}
-        <div className="flex items-center space-x-2">
-          <button className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
-            <Phone className="w-5 h-5" />
-          </button>
-          <button className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
-            <Video className="w-5 h-5" />
-          </button>
-          <button 
-            onClick={() => setShowInfo(!showInfo)}
-            className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
-          >
-            <Info className="w-5 h-5" />
-          </button>
-          <button className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
-            <MoreVertical className="w-5 h-5" />
-          </button>
+          {/* Actions */}
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => {
+                setShowFind(true);
+                setFindFocusRequest(count => count + 1);
+              }}
+              className={`p-2 rounded-lg hover:bg-gray-100 ${
+                showFind ? 'text-indigo-600' : 'text-gray-400 hover:text-gray-600'
+              }`}
+              title="Find in conversation (Ctrl+F)"
+            >
+              <Search className="w-5 h-5" />
+            </button>
+            <button className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
+              <Phone className="w-5 h-5" />
+            </button>
+            <button className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
+              <Video className="w-5 h-5" />
+            </button>
+            <button 
+              onClick={() => {
+                // The info and thread panels share the right-hand side
+                setThreadRoot(null);
+                setShowInfo(!showInfo);
+              }}
+              className={`p-2 rounded-lg hover:bg-gray-100 ${
+                showInfo ? 'text-indigo-600' : 'text-gray-400 hover:text-gray-600'
+              }`}
+              title="Conversation info"
+            >
+              <Info className="w-5 h-5" />
+            </button>
+            <div className="relative">
+              <button
+                onMouseDown={(e) => e.stopPropagation()} // don't let the menu's outside-click close it first
+                onClick={() => setShowActionsMenu(!showActionsMenu)}
+                className={`p-2 rounded-lg hover:bg-gray-100 ${
+                  showActionsMenu ? 'text-indigo-600' : 'text-gray-400 hover:text-gray-600'
+                }`}
+                title="More actions"
+              >
+                <MoreVertical className="w-5 h-5" />
+              </button>
+              {showActionsMenu && (
+                <ConversationActionsMenu
+                  items={[{ label: 'Export conversation', icon: Download, onSelect: () => setShowExport(true) }]}
+                  onClose={closeActionsMenu}
+                  className="absolute right-0 top-full mt-1"
+                />
+              )}
+            </div>
+          </div>
         </div>
-      </div>
 
-      {/* Messages */}
-      <div 
-        className="flex-1 overflow-y-auto overflow-x-hidden p-4" 
-        style={{ 
-          height: 'calc(100vh - 140px)', // Account for header (~70px) + input area (~70px)
-          minHeight: 0 
-        }}
-      >
-        {messageGroups.length === 0 ? (
-          <div className="text-center text-gray-500 mt-8">
-            <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
-              <Users className="w-8 h-8 text-gray-400" />
+        {showFind && (
+          <FindBar
+            query={findQuery}
+            onQueryChange={(value) => {
+              setFindQuery(value);
+              setFindMatchId(null);
+            }}
+            matchCount={findMatches.length}
+            position={findIndex === -1 ? 0 : findMatches.length - findIndex}
+            canGoOlder={findIndex > 0 || (!!findQuery.trim() && history.hasMore)}
+            canGoNewer={findIndex !== -1 && findIndex < findMatches.length - 1}
+            isLoadingOlder={isFindLoading}
+            focusRequest={findFocusRequest}
+            onOlder={findOlder}
+            onNewer={findNewer}
+            onClose={closeFind}
+          />
+        )}
+
+        <PinnedMessagesBar
+          key={activeConversation}
+          pins={pinnedMessages}
+          getSnippet={getMessageSnippet}
+          getSenderName={getSenderName}
+          onOpen={openPin}
+          onShowAll={showPinnedList}
+        />
+
+        {/* Messages */}
+        <div 
+          ref={messagesContainerRef}
+          onScroll={handleMessagesScroll}
+          className="flex-1 overflow-y-auto overflow-x-hidden p-4" 
+          style={{ 
+            height: 'calc(100vh - 140px)', // Account for header (~70px) + input area (~70px)
+            minHeight: 0 
+          }}
+        >
+          {/* History paging state */}
+          {history.isLoadingOlder && (
+            <div className="flex items-center justify-center py-2 text-xs text-gray-500">
+              <Loader2 className="w-4 h-4 animate-spin mr-2" />
+              Loading older messages...
             </div>
-            <p>No messages yet. Start the conversation!</p>
-          </div>
-        ) : (
-          <div className="space-y-4">
-            {messageGroups.map((group) => (
-              <div key={group.date}>
-                {/* Date separator */}
-                <div className="flex items-center justify-center my-4">
-                  <div className="bg-gray-100 text-gray-500 text-xs px-3 py-1 rounded-full">
-                    {group.displayDate}
+          )}
+          {!history.hasMore && messageGroups.length > 0 && (
+            <div className="text-center py-2 text-xs text-gray-400">
+              Beginning of conversation
+            </div>
+          )}
+
+          {messageGroups.length === 0 ? (
+            <div className="text-center text-gray-500 mt-8">
+              <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Users className="w-8 h-8 text-gray-400" />
+              </div>
+              <p>No messages yet. Start the conversation!</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {messageGroups.map((group) => (
+                <div key={group.date}>
+                  {/* Date separator */}
+                  <div className="flex items-center justify-center my-4">
+                    <div className="bg-gray-100 text-gray-500 text-xs px-3 py-1 rounded-full">
+                      {group.displayDate}
+                    </div>
                   </div>
-                </div>
 
-                {/* Messages */}
-                <div className="space-y-2">
-                  {group.messages.map((message, index) => {
-                    const isOwn = message.sender_id === user?.id;
-                    const prevMessage = group.messages[index - 1];
-                    const showAvatar = !prevMessage || prevMessage.sender_id !== message.sender_id;
-                    
-                    return (
-                      <div key={`${message.id}-${index}`}>
-                        {renderMessage(message, isOwn, showAvatar)}
-                      </div>
-                    );
-                  })}
+                  {/* Messages */}
+                  <div className="space-y-2">
+                    {group.messages.map((message, index) => {
+                      const isOwn = message.sender_id === user?.id;
+                      const prevMessage = group.messages[index - 1];
+                      const showAvatar = !prevMessage || prevMessage.sender_id !== message.sender_id;
+                      
+                      return (
+                        <div key={message.id}>
+                          {message.id === firstUnreadId && (
+                            <div className="flex items-center my-3">
+                              <div className="flex-1 border-t border-red-300"></div>
+                              <span className="px-2 text-xs font-medium text-red-500">New messages</span>
+                              <div className="flex-1 border-t border-red-300"></div>
+                            </div>
+                          )}
+                          {renderMessage(message, isOwn, message.id === firstUnreadId || showAvatar)}
+                        </div>
+                      );
+                    })}
+                  </div>
                 </div>
-              </div>
-            ))}
-          </div>
-        )}
+              ))}
+            </div>
+          )}
 
-        {/* Typing indicators */}
-        {typingUsers.length > 0 && (
-          <div className="flex items-center space-x-2 text-gray-500 text-sm mt-4">
-            <div className="flex space-x-1">
-              <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-              <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
-              <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+          {/* Typing indicators */}
+          {typingUsers.length > 0 && (
+            <div className="flex items-center space-x-2 text-gray-500 text-sm mt-4">
+              <div className="flex space-x-1">
+                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
+                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
+                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+              </div>
+              <span>
+                {typingUsers.length === 1 
+                  ? `${typingUsers[0].display_name} is typing...`
+                  : `${typingUsers.length} people are typing...`
+                }
+              </span>
             </div>
-            <span>
-              {typingUsers.length === 1 
-                ? `${typingUsers[0].display_name} is typing...`
-                : `${typingUsers.length} people are typing...`
-              }
-            </span>
-          </div>
-        )}
+          )}
 
-        {/* Bottom padding and scroll anchor */}
-        <div className="pb-4">
-          <div ref={messagesEndRef} />
+          {/* Bottom padding and scroll anchor */}
+          <div className="pb-4">
+            <div ref={messagesEndRef} />
+          </div>
         </div>
-      </div>
 
-      {/* Message Input */}
-      <div className="p-4 border-t border-gray-200 bg-white">
-        {/* File Preview Area */}
-        {selectedFiles.length > 0 && (
-          <div className="mb-3 p-3 bg-gray-50 rounded-lg border">
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-sm font-medium text-gray-700">
-                {selectedFiles.length} file{selectedFiles.length > 1 ? 's' : ''} selected
+        {/* Message Input */}
+        <div className="p-4 border-t border-gray-200 bg-white">
+          {/* Messages waiting to be sent later */}
+          {scheduledMessages.length > 0 && (
+            <button
+              onClick={() => setShowScheduled(true)}
+              className="mb-3 flex items-center space-x-1.5 text-xs font-medium text-indigo-600 hover:underline"
+            >
+              <CalendarClock className="w-4 h-4" />
+              <span>
+                {scheduledMessages.length} scheduled message{scheduledMessages.length > 1 ? 's' : ''}
               </span>
+              {scheduledMessages.some(e => e.status === SCHEDULE_STATUS.FAILED) && (
+                <span className="flex items-center text-red-600">
+                  <AlertCircle className="w-3.5 h-3.5 mr-0.5" />
+                  not sent
+                </span>
+              )}
+            </button>
+          )}
+
+          {/* Reply target */}
+          {replyingTo && (
+            <div className="mb-3 flex items-center justify-between p-2 bg-indigo-50 border-l-4 border-indigo-400 rounded">
+              <div className="min-w-0 text-xs">
+                <p className="font-semibold text-indigo-700">
+                  Replying to {getSenderName(replyingTo.sender_id)}
+                </p>
+                <p className="text-gray-600 truncate">{getMessageSnippet(replyingTo)}</p>
+              </div>
+              <button
+                onClick={() => setReplyingTo(null)}
+                className="p-1 text-gray-400 hover:text-gray-600 rounded"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
+          {/* Preview card for the first link in the message; removable before sending */}
+          {(linkPreview.preview?.isLoading || linkPreview.preview?.data) && selectedFiles.length === 0 && (
+            <div className="mb-3">
+              <ComposerLinkPreview preview={linkPreview.preview} onRemove={linkPreview.dismiss} />
             </div>
-            <div className="space-y-2 max-h-32 overflow-y-auto">
-              {selectedFiles.map((fileObj) => (
-                <div key={fileObj.id} className="flex items-center space-x-3 p-2 bg-white rounded border">
-                  {fileObj.preview ? (
-                    <Image
-                      width={40}
-                      height={40}
-                      src={fileObj.preview}
-                      alt={fileObj.name}
-                      className="object-cover rounded"
-                      unoptimized
-                    />
-                  ) : (
-                    <div className="w-10 h-10 bg-gray-200 rounded flex items-center justify-center">
-                      <FileText className="w-5 h-5 text-gray-500" />
+          )}
+
+          {/* Files that could not be attached, with the reason for each */}
+          {rejectedFiles.length > 0 && (
+            <div className="mb-3 p-3 bg-red-50 rounded-lg border border-red-200">
+              <div className="flex items-start justify-between">
+                <div className="flex items-center space-x-2 text-sm font-medium text-red-700">
+                  <AlertCircle className="w-4 h-4" />
+                  <span>
+                    {rejectedFiles.length} file{rejectedFiles.length > 1 ? 's' : ''} could not be attached
+                  </span>
+                </div>
+                <button
+                  onClick={() => setRejectedFiles([])}
+                  className="p-1 text-red-400 hover:text-red-600 rounded"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <ul className="mt-1 space-y-0.5">
+                {rejectedFiles.map((rejected, index) => (
+                  <li key={`${rejected.name}-${index}`} className="text-xs text-red-600">
+                    <span className="font-medium">{rejected.name}</span>: {rejected.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* File Preview Area: files to send, then uploads still in progress */}
+          {(selectedFiles.length > 0 || uploads.length > 0) && (
+            <div className="mb-3 p-3 bg-gray-50 rounded-lg border">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-700">
+                  {selectedFiles.length > 0
+                    ? `${selectedFiles.length} file${selectedFiles.length > 1 ? 's' : ''} selected`
+                    : `Uploading ${uploads.length} file${uploads.length > 1 ? 's' : ''}`}
+                </span>
+              </div>
+              <div className="space-y-2 max-h-32 overflow-y-auto">
+                {selectedFiles.map((fileObj) => (
+                  <div key={fileObj.id} className="flex items-center space-x-3 p-2 bg-white rounded border">
+                    {fileObj.preview ? (
+                      <Image
+                        width={40}
+                        height={40}
+                        src={fileObj.preview}
+                        alt={fileObj.name}
+                        className="object-cover rounded"
+                        unoptimized
+                      />
+                    ) : (
+                      <div className="w-10 h-10 bg-gray-200 rounded flex items-center justify-center">
+                        <FileText className="w-5 h-5 text-gray-500" />
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {fileObj.name}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {fileObj.processed && !fileObj.sendOriginal
+                          ? `${formatFileSize(fileObj.size)} → ${formatFileSize(fileObj.processed.file.size)}, location data removed`
+                          : formatFileSize(fileObj.size)}
+                        {fileObj.isProcessing && ' · Optimizing...'}
+                        {fileObj.processingFailed && ' · Could not optimize, the original will be sent'}
+                      </p>
+                      {fileObj.processed && (
+                        <label className="flex items-center space-x-1 text-xs text-gray-600 mt-0.5">
+                          <input
+                            type="checkbox"
+                            checked={fileObj.sendOriginal}
+                            onChange={() => toggleSendOriginal(fileObj.id)}
+                            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                          />
+                          <span>Send original (keeps full size and metadata)</span>
+                        </label>
+                      )}
                     </div>
-                  )}
-                  <div className="flex-1 min-w-0">
-                    <p className="text-sm font-medium text-gray-900 truncate">
-                      {fileObj.name}
-                    </p>
-                    <p className="text-xs text-gray-500">
-                      {(fileObj.size / 1024 / 1024).toFixed(1)} MB
-                    </p>
+                    <button
+                      onClick={() => removeFile(fileObj.id)}
+                      className="p-1 text-gray-400 hover:text-red-500 rounded"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
                   </div>
-                  <button
-                    onClick={() => removeFile(fileObj.id)}
-                    className="p-1 text-gray-400 hover:text-red-500 rounded"
-                  >
-                    <X className="w-4 h-4" />
-                  </button>
-                </div>
-              ))}
+                ))}
+                {uploads.map(renderUploadRow)}
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        <div className="flex items-end space-x-2">
-          <input
-            ref={fileInputRef}
-            type="file"
-            multiple
-            accept=".jpg,.jpeg,.png,.pdf"
-            onChange={handleFileSelect}
-            className="hidden"
-          />
-          <button 
-            onClick={handleAttachmentClick}
-            disabled={isUploading}
-            className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-50"
-          >
-            <Paperclip className="w-5 h-5" />
-          </button>
+          <FormattingToolbar onFormat={applyFormat} disabled={isSending} />
 
-          <div className="flex-1 relative">
-            <textarea
-              ref={messageInputRef}
-              value={messageText}
-              onChange={handleInputChange}
-              onKeyDown={handleKeyDown}
-              placeholder="Type a message..."
-              rows={1}
-              className="w-full px-4 py-2 border border-gray-200 rounded-2xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent resize-none text-gray-900 placeholder-gray-500"
-              style={{ minHeight: '40px', maxHeight: '120px' }}
+          {isRecordingVoice ? (
+            <VoiceRecorder
+              onSend={handleSendVoice}
+              onCancel={() => setIsRecordingVoice(false)}
+              onError={handleVoiceError}
             />
-          </div>
+          ) : (
+            <div className="flex items-end space-x-2">
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept=".jpg,.jpeg,.png,.pdf"
+                onChange={handleFileSelect}
+                className="hidden"
+              />
+              <button 
+                onClick={handleAttachmentClick}
+                disabled={isUploading}
+                className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+              >
+                <Paperclip className="w-5 h-5" />
+              </button>
 
-          <button className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
-            <Smile className="w-5 h-5" />
-          </button>
+              <div className="flex-1 relative">
+                {mentionQuery && (
+                  <MentionSuggestions
+                    suggestions={mentionSuggestions}
+                    activeIndex={mentionIndex}
+                    onSelect={selectMention}
+                    onHover={setMentionIndex}
+                  />
+                )}
+                <textarea
+                  ref={messageInputRef}
+                  value={messageText}
+                  onChange={handleInputChange}
+                  onKeyDown={handleKeyDown}
+                  onPaste={handlePaste}
+                  onClick={(e) => updateMentionQuery(messageText, e.target.selectionStart)}
+                  onBlur={() => setMentionQuery(null)}
+                  placeholder="Type a message..."
+                  rows={1}
+                  className="w-full px-4 py-2 border border-gray-200 rounded-2xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent resize-none text-gray-900 placeholder-gray-500"
+                  style={{ minHeight: '40px', maxHeight: '120px' }}
+                />
+              </div>
 
-          <button
-            onClick={handleSendMessage}
-            disabled={(!messageText.trim() && selectedFiles.length === 0) || isSending || isUploading}
-            className="p-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            {isSending || isUploading ? (
-              <Loader2 className="w-5 h-5 animate-spin" />
-            ) : (
-              <Send className="w-5 h-5" />
-            )}
-          </button>
+              <div className="relative">
+                <button
+                  onMouseDown={(e) => e.stopPropagation()} // don't let the picker's outside-click close it first
+                  onClick={() => setShowEmojiPicker(!showEmojiPicker)}
+                  className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+                >
+                  <Smile className="w-5 h-5" />
+                </button>
+                {showEmojiPicker && (
+                  <EmojiPicker
+                    onSelect={insertEmoji}
+                    onClose={closeEmojiPicker}
+                    className="absolute bottom-full right-0 mb-2"
+                  />
+                )}
+              </div>
+
+              {canRecordVoice && (
+                <button
+                  onClick={() => setIsRecordingVoice(true)}
+                  disabled={isUploading || isSending}
+                  className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                  title="Record voice message"
+                >
+                  <Mic className="w-5 h-5" />
+                </button>
+              )}
+
+              <div className="relative">
+                <button
+                  onMouseDown={(e) => e.stopPropagation()} // don't let the menu's outside-click close it first
+                  onClick={() => setShowScheduleMenu(!showScheduleMenu)}
+                  disabled={!messageText.trim() || selectedFiles.length > 0 || isSending}
+                  className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                  title={selectedFiles.length > 0 ? 'Messages with attachments cannot be scheduled' : 'Schedule message'}
+                >
+                  <CalendarClock className="w-5 h-5" />
+                </button>
+                {showScheduleMenu && (
+                  <ScheduleMessageMenu
+                    onSchedule={handleScheduleMessage}
+                    onClose={closeScheduleMenu}
+                    className="absolute bottom-full right-0 mb-2"
+                  />
+                )}
+              </div>
+
+              <button
+                onClick={handleSendMessage}
+                disabled={(!messageText.trim() && selectedFiles.length === 0) || isSending || isUploading}
+                className="p-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {isSending || isUploading ? (
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                ) : (
+                  <Send className="w-5 h-5" />
+                )}
+              </button>
+            </div>
+          )}
         </div>
       </div>
+
+      {/* Conversation info side panel */}
+      {showInfo && !threadRootMessage && (
+        <ConversationInfoPanel
+          conversationId={activeConversation}
+          participants={participants}
+          currentUserId={user?.id}
+          getUserPresence={getUserPresence}
+          getSenderName={getSenderName}
+          pins={pinnedMessages}
+          getMessageSnippet={getMessageSnippet}
+          onOpenPin={openPin}
+          onUnpin={(pin) => togglePin(activeConversation, pin.message)}
+          tab={infoTab}
+          onTabChange={setInfoTab}
+          onClose={() => setShowInfo(false)}
+        />
+      )}
+
+      {/* Thread side panel */}
+      {threadRootMessage && (
+        <ThreadPanel
+          conversationId={activeConversation}
+          rootMessage={threadRootMessage}
+          renderMessage={renderMessage}
+          onClose={() => setThreadRoot(null)}
+        />
+      )}
+
+      {/* Full-size image / video viewer */}
+      {lightboxIndex !== -1 && (
+        <MediaLightbox
+          items={mediaItems}
+          startIndex={lightboxIndex}
+          getSenderName={getSenderName}
+          onClose={() => setLightboxMessageId(null)}
+        />
+      )}
+
+      {showScheduled && (
+        <ScheduledMessagesDialog
+          scheduledMessages={scheduledMessages}
+          onSave={handleSaveScheduled}
+          onCancelMessage={cancelScheduledMessage}
+          onClose={closeScheduled}
+        />
+      )}
+
+      {/* Read receipts for one message */}
+      {infoMessage && (
+        <MessageInfoDialog
+          message={infoMessage}
+          participants={participants}
+          currentUserId={user?.id}
+          onLoadReceipts={handleLoadReceipts}
+          onClose={closeMessageInfo}
+        />
+      )}
+
+      {showExport && conversation && (
+        <ExportConversationDialog
+          conversation={conversation}
+          title={getConversationTitle()}
+          onClose={closeExportDialog}
+        />
+      )}
+
+      {messageToForward && (
+        <ForwardMessageDialog
+          preview={getMessageSnippet(messageToForward)}
+          onForward={handleForwardMessage}
+          onClose={closeForwardDialog}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,50 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * Dropdown under the ChatWindow header's "more" button.
+ * `items` are `{ label, icon, onSelect }`; picking one closes the menu.
+ */
+export default function ConversationActionsMenu({ items, onClose, className = '' }) {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  return (
+    <div ref={menuRef} className={`z-20 w-56 bg-white border border-gray-200 rounded-lg shadow-lg py-1 ${className}`}>
+      {items.map(({ label, icon: Icon, onSelect }) => (
+        <button
+          key={label}
+          onClick={() => {
+            onClose();
+            onSelect();
+          }}
+          className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-gray-700 text-left hover:bg-gray-100"
+        >
+          {Icon && <Icon className="w-4 h-4 text-gray-500" />}
+          <span>{label}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
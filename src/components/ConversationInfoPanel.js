@@ -0,0 +1,116 @@
+'use client';
+
+import { Info, X, Users, FolderOpen, Pin } from 'lucide-react';
+import FilesMediaTab from './FilesMediaTab';
+import PinnedMessagesTab from './PinnedMessagesTab';
+
+export const INFO_TABS = {
+  MEMBERS: 'members',
+  PINNED: 'pinned',
+  FILES: 'files'
+};
+
+const PRESENCE_COLORS = {
+  online: 'bg-green-500',
+  away: 'bg-yellow-500',
+  busy: 'bg-red-500'
+};
+
+/**
+ * Side panel opened from the Info button in ChatWindow: conversation members,
+ * pinned messages and the "Files & Media" browser. The open tab is owned by
+ * ChatWindow so the pinned-messages bar can open the panel on its tab.
+ */
+export default function ConversationInfoPanel({
+  conversationId,
+  participants,
+  currentUserId,
+  getUserPresence,
+  getSenderName,
+  pins,
+  getMessageSnippet,
+  onOpenPin,
+  onUnpin,
+  tab = INFO_TABS.MEMBERS,
+  onTabChange,
+  onClose
+}) {
+  const tabs = [
+    { id: INFO_TABS.MEMBERS, label: `Members (${participants.length})`, icon: Users },
+    { id: INFO_TABS.PINNED, label: pins.length > 0 ? `Pinned (${pins.length})` : 'Pinned', icon: Pin },
+    { id: INFO_TABS.FILES, label: 'Files & Media', icon: FolderOpen }
+  ];
+
+  return (
+    <div className="w-80 flex-shrink-0 h-full flex flex-col border-l border-gray-200 bg-white">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div className="flex items-center space-x-2">
+          <Info className="w-5 h-5 text-indigo-600" />
+          <h3 className="font-semibold text-gray-900">Conversation info</h3>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex border-b border-gray-200">
+        {tabs.map(({ id, label, icon: Icon }) => (
+          <button
+            key={id}
+            onClick={() => onTabChange(id)}
+            className={`flex-1 flex items-center justify-center space-x-1 px-2 py-2 text-xs font-medium border-b-2 ${
+              tab === id
+                ? 'border-indigo-600 text-indigo-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+            <span>{label}</span>
+          </button>
+        ))}
+      </div>
+
+      {tab === INFO_TABS.FILES ? (
+        <FilesMediaTab key={conversationId} conversationId={conversationId} getSenderName={getSenderName} />
+      ) : tab === INFO_TABS.PINNED ? (
+        <PinnedMessagesTab
+          pins={pins}
+          getSnippet={getMessageSnippet}
+          getSenderName={getSenderName}
+          onOpen={onOpenPin}
+          onUnpin={onUnpin}
+        />
+      ) : (
+        <ul className="flex-1 overflow-y-auto py-2" style={{ minHeight: 0 }}>
+          {participants.map(participant => {
+            const status = getUserPresence(participant.user_id)?.status || 'offline';
+            return (
+              <li key={participant.user_id} className="flex items-center space-x-3 px-4 py-2">
+                <div className="relative w-8 h-8 bg-gray-200 rounded-full flex items-center justify-center flex-shrink-0">
+                  <span className="text-xs font-medium text-gray-600">
+                    {participant.display_name?.charAt(0)?.toUpperCase() || '?'}
+                  </span>
+                  <span className={`absolute -bottom-0.5 -right-0.5 w-2.5 h-2.5 border-2 border-white rounded-full ${
+                    PRESENCE_COLORS[status] || 'bg-gray-400'
+                  }`} />
+                </div>
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-900 truncate">
+                    {participant.display_name || 'Unknown User'}
+                    {participant.user_id === currentUserId && <span className="text-gray-500"> (you)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500 capitalize">{status}</p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
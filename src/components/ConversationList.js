@@ -5,7 +5,13 @@ import { useChat } from '@/contexts/ChatContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { formatDistanceToNow } from 'date-fns';
 import { authHelpers } from '@/utils/api-utils';
+import { isMessageDeleted } from '@/utils/message-utils';
+import { MARKDOWN_CONTENT_TYPE, markdownToPlainText } from '@/utils/markdown';
+import { isVoiceMessage } from '@/utils/voice';
+import { getDraftPreview } from '@/utils/drafts';
 import UserSearch from './UserSearch';
+import MessageSearch from './MessageSearch';
+import ImportHistoryWizard from './ImportHistoryWizard';
 import Image from 'next/image';
 import { 
   Plus, 
@@ -18,7 +24,9 @@ import {
   X,
   Check,
   Loader2,
-  ChevronLeft
+  ChevronLeft,
+  AtSign,
+  Upload
 } from 'lucide-react';
 
 export default function ConversationList() {
@@ -29,13 +37,18 @@ export default function ConversationList() {
     selectConversation, 
     createConversation,
     getUserPresence,
+    getMentionCount,
+    getUnreadCount,
+    getDraft,
     isLoading 
   } = useChat();
 
   const [searchTerm, setSearchTerm] = useState('');
+  const [isSearchingMessages, setIsSearchingMessages] = useState(false);
   const [showNewChatModal, setShowNewChatModal] = useState(false);
   const [newChatStep, setNewChatStep] = useState('choose'); // 'choose' | 'dm' | 'group'
   const [showUserSearch, setShowUserSearch] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
 
   // Derived state — useMemo instead of useState + useEffect to avoid
   // infinite re-render loops when conversations reference changes.
@@ -124,15 +137,37 @@ export default function ConversationList() {
   };
 
   const getLastMessagePreview = (conversation) => {
+    // An unsent draft wins over the last message, except in the open conversation
+    const draft = conversation.id !== activeConversation ? getDraft(conversation.id) : null;
+    if (draft) {
+      return (
+        <>
+          <span className="font-medium text-red-600">Draft: </span>
+          {getDraftPreview(draft)}
+        </>
+      );
+    }
+
     if (!conversation.latest_message) {
       return 'No messages yet';
     }
 
     const message = conversation.latest_message;
-    if (message.content_type === 'text/plain') {
-      return message.content.length > 50 
-        ? `${message.content.substring(0, 50)}...`
+    if (isMessageDeleted(message)) {
+      return 'Message deleted';
+    }
+
+    if (message.content_type === 'text/plain' || message.content_type === MARKDOWN_CONTENT_TYPE) {
+      const text = message.content_type === MARKDOWN_CONTENT_TYPE
+        ? markdownToPlainText(message.content)
         : message.content;
+      return text.length > 50 
+        ? `${text.substring(0, 50)}...`
+        : text;
+    }
+
+    if (isVoiceMessage(message)) {
+      return '🎤 Voice message';
     }
 
     if (message.content_type === 'attachment') {
@@ -246,6 +281,11 @@ export default function ConversationList() {
     setShowNewChatModal(false);
   };
 
+  const handleImportClick = () => {
+    resetNewChatModal();
+    setShowImportWizard(true);
+  };
+
   const handleNewGroupClick = () => {
     setNewChatStep('group');
     setTimeout(() => groupSearchRef.current?.focus(), 100);
@@ -277,13 +317,33 @@ export default function ConversationList() {
           <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
           <input
             type="text"
-            placeholder="Search conversations..."
+            placeholder={isSearchingMessages ? 'Search messages...' : 'Search conversations...'}
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="w-full pl-10 pr-4 py-2 border border-gray-200 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
           />
         </div>
 
+        {/* Search scope */}
+        <div className="flex space-x-1 text-xs">
+          {[
+            { label: 'Chats', messages: false },
+            { label: 'Messages', messages: true }
+          ].map(option => (
+            <button
+              key={option.label}
+              onClick={() => setIsSearchingMessages(option.messages)}
+              className={`px-2.5 py-1 rounded-full font-medium ${
+                isSearchingMessages === option.messages
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
         <button
           onClick={() => setShowNewChatModal(true)}
           className="w-full flex items-center justify-center space-x-2 py-2 px-4 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
@@ -293,8 +353,15 @@ export default function ConversationList() {
         </button>
       </div>
 
+      {/* Message search results */}
+      {isSearchingMessages && (
+        <div className="flex-1 min-h-0">
+          <MessageSearch query={searchTerm} getConversationTitle={getConversationTitle} />
+        </div>
+      )}
+
       {/* Conversations List */}
-      <div className="flex-1 overflow-y-auto">
+      <div className={`flex-1 overflow-y-auto ${isSearchingMessages ? 'hidden' : ''}`}>
         {filteredConversations.length === 0 ? (
           <div className="p-4 text-center text-gray-500">
             {searchTerm ? 'No conversations found' : 'No conversations yet'}
@@ -304,6 +371,8 @@ export default function ConversationList() {
             {filteredConversations.map((conversation) => {
               const isActive = activeConversation === conversation.id;
               const isOnline = getOnlineStatus(conversation);
+              const mentionCount = getMentionCount(conversation.id);
+              const unreadCount = isActive ? 0 : getUnreadCount(conversation.id);
 
               return (
                 <div
@@ -329,7 +398,7 @@ export default function ConversationList() {
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center justify-between">
                       <h3 className={`
-                        font-medium truncate
+                        ${unreadCount > 0 ? 'font-semibold' : 'font-medium'} truncate
                         ${isActive ? 'text-indigo-900' : 'text-gray-900'}
                       `}>
                         {conversation.type === 'GROUP' && (
@@ -342,9 +411,28 @@ export default function ConversationList() {
                       </span>
                     </div>
                     
-                    <p className="text-sm text-gray-500 truncate mt-1">
-                      {getLastMessagePreview(conversation)}
-                    </p>
+                    <div className="flex items-center justify-between mt-1">
+                      <p className="text-sm text-gray-500 truncate">
+                        {getLastMessagePreview(conversation)}
+                      </p>
+                      {unreadCount > 0 && (
+                        <span
+                          title={`${unreadCount} unread ${unreadCount === 1 ? 'message' : 'messages'}`}
+                          className="ml-2 flex-shrink-0 min-w-[1.25rem] h-5 px-1.5 rounded-full bg-indigo-600 text-white text-xs font-semibold flex items-center justify-center"
+                        >
+                          {unreadCount > 99 ? '99+' : unreadCount}
+                        </span>
+                      )}
+                      {mentionCount > 0 && (
+                        <span
+                          title={`${mentionCount} unread ${mentionCount === 1 ? 'mention' : 'mentions'}`}
+                          className="ml-1 flex-shrink-0 inline-flex items-center h-5 px-1.5 rounded-full bg-amber-500 text-white text-xs font-semibold"
+                        >
+                          <AtSign className="w-3 h-3" />
+                          {mentionCount > 1 && <span className="ml-0.5">{mentionCount}</span>}
+                        </span>
+                      )}
+                    </div>
 
                     {/* Participant count for groups */}
                     {conversation.type === 'GROUP' && conversation.participant_count && (
@@ -354,7 +442,7 @@ export default function ConversationList() {
                     )}
                   </div>
 
-                  {/* Unread indicator (placeholder) */}
+                  {/* Actions */}
                   <div className="flex-shrink-0">
                     <button className="p-1 text-gray-400 hover:text-gray-600 rounded">
                       <MoreVertical className="w-4 h-4" />
@@ -375,6 +463,11 @@ export default function ConversationList() {
         />
       )}
 
+      {/* Import History Wizard */}
+      {showImportWizard && (
+        <ImportHistoryWizard onClose={() => setShowImportWizard(false)} />
+      )}
+
       {/* New Chat Modal */}
       {showNewChatModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -425,6 +518,17 @@ export default function ConversationList() {
                     <p className="text-sm text-gray-500">Create a group conversation</p>
                   </div>
                 </button>
+
+                <button
+                  onClick={handleImportClick}
+                  className="w-full flex items-center space-x-3 p-3 text-left hover:bg-gray-50 rounded-lg border border-gray-200"
+                >
+                  <Upload className="w-5 h-5 text-indigo-600" />
+                  <div>
+                    <p className="font-medium">Import Chat History</p>
+                    <p className="text-sm text-gray-500">Bring in a Slack or WhatsApp export</p>
+                  </div>
+                </button>
               </div>
             )}
 
@@ -0,0 +1,168 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+
+// Shown first in the message reaction bar
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+const EMOJI_CATEGORIES = [
+  {
+    id: 'smileys',
+    label: 'Smileys',
+    icon: '😀',
+    emojis: [
+      '😀', '😃', '😄', '😁', '😆', '😅', '🤣', '😂', '🙂', '🙃', '😉', '😊',
+      '😇', '🥰', '😍', '🤩', '😘', '😋', '😛', '😜', '🤪', '🤔', '🤨', '😐',
+      '😑', '😶', '🙄', '😏', '😬', '😌', '😔', '😪', '😴', '😷', '🤒', '🤯',
+      '🥳', '😎', '🤓', '😕', '😟', '😮', '😲', '😳', '🥺', '😢', '😭', '😱',
+      '😤', '😡', '🤬', '💀'
+    ]
+  },
+  {
+    id: 'gestures',
+    label: 'People',
+    icon: '👍',
+    emojis: [
+      '👍', '👎', '👌', '✌️', '🤞', '🤟', '🤘', '👈', '👉', '👆', '👇', '☝️',
+      '✋', '🖐️', '👋', '🤙', '💪', '🙏', '👏', '🙌', '🤝', '✍️', '👀', '🧠',
+      '🙋', '🤷', '🤦', '🙇', '💁', '🙆', '🙅', '🏃'
+    ]
+  },
+  {
+    id: 'nature',
+    label: 'Nature',
+    icon: '🌿',
+    emojis: [
+      '🐶', '🐱', '🐭', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐮', '🐷',
+      '🐸', '🐵', '🐔', '🐧', '🐦', '🦄', '🐝', '🦋', '🌸', '🌹', '🌻', '🌲',
+      '🌵', '🍀', '🌍', '🌙', '⭐', '☀️', '🌈', '🔥'
+    ]
+  },
+  {
+    id: 'food',
+    label: 'Food',
+    icon: '🍕',
+    emojis: [
+      '🍏', '🍎', '🍌', '🍉', '🍇', '🍓', '🍒', '🥑', '🌽', '🥕', '🍞', '🧀',
+      '🍳', '🍔', '🍟', '🍕', '🌮', '🍣', '🍜', '🍩', '🍪', '🎂', '🍫', '🍿',
+      '☕', '🍵', '🍺', '🍷'
+    ]
+  },
+  {
+    id: 'activities',
+    label: 'Activities',
+    icon: '⚽',
+    emojis: [
+      '⚽', '🏀', '🏈', '⚾', '🎾', '🏐', '🏓', '🏸', '⛳', '🎯', '🎮', '🎲',
+      '🎸', '🎹', '🎤', '🎧', '🎬', '🎨', '🏆', '🥇', '🎉', '🎊', '🎈', '🎁'
+    ]
+  },
+  {
+    id: 'objects',
+    label: 'Objects',
+    icon: '💡',
+    emojis: [
+      '💡', '📱', '💻', '⌨️', '🖥️', '🖨️', '📷', '📞', '📅', '📌', '📎', '✏️',
+      '📝', '📁', '📊', '📈', '📉', '🔒', '🔑', '🔧', '⚙️', '🚀', '✈️', '🚗',
+      '⏰', '💰', '📦', '✉️'
+    ]
+  },
+  {
+    id: 'symbols',
+    label: 'Symbols',
+    icon: '❤️',
+    emojis: [
+      '❤️', '🧡', '💛', '💚', '💙', '💜', '🖤', '🤍', '💔', '💯', '✅', '❌',
+      '❗', '❓', '⚠️', '🚫', '➕', '➖', '✔️', '🔴', '🟢', '🔵', '⭕', '💬'
+    ]
+  }
+];
+
+/**
+ * Popover grid of emojis grouped by category, optionally topped with a row of
+ * `quickEmojis`. Closes on Escape or a click outside; the parent decides where it sits.
+ */
+export default function EmojiPicker({ onSelect, onClose, quickEmojis = null, className = '' }) {
+  const [activeCategory, setActiveCategory] = useState(EMOJI_CATEGORIES[0].id);
+  const pickerRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (pickerRef.current && !pickerRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const category = EMOJI_CATEGORIES.find(c => c.id === activeCategory);
+
+  return (
+    <div
+      ref={pickerRef}
+      className={`w-72 bg-white border border-gray-200 rounded-lg shadow-lg z-30 ${className}`}
+    >
+      {/* Quick picks */}
+      {quickEmojis && (
+        <div className="flex items-center justify-around px-2 py-1 border-b border-gray-100">
+          {quickEmojis.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => onSelect(emoji)}
+              className="w-8 h-8 flex items-center justify-center text-xl rounded-full hover:bg-gray-100"
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Category tabs */}
+      <div className="flex items-center justify-between px-2 pt-2 border-b border-gray-100">
+        {EMOJI_CATEGORIES.map((c) => (
+          <button
+            key={c.id}
+            type="button"
+            onClick={() => setActiveCategory(c.id)}
+            title={c.label}
+            className={`p-1 text-lg rounded-t ${
+              activeCategory === c.id ? 'bg-indigo-50 border-b-2 border-indigo-500' : 'hover:bg-gray-100'
+            }`}
+          >
+            {c.icon}
+          </button>
+        ))}
+      </div>
+
+      {/* Emoji grid */}
+      <div className="p-2">
+        <p className="text-xs font-medium text-gray-500 mb-1">{category.label}</p>
+        <div className="grid grid-cols-8 gap-1 max-h-48 overflow-y-auto">
+          {category.emojis.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => onSelect(emoji)}
+              className="w-8 h-8 flex items-center justify-center text-xl rounded hover:bg-gray-100"
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useChat } from '@/contexts/ChatContext';
+import {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_INFO,
+  EMPTY_EXPORT_RANGE,
+  validateExportRange,
+  buildConversationExport,
+  formatConversationExport,
+  getExportFileName,
+  downloadTextFile
+} from '@/utils/conversation-export';
+import { X, Download, Loader2 } from 'lucide-react';
+
+const FORMAT_DESCRIPTIONS = {
+  [EXPORT_FORMATS.JSON]: 'Machine-readable, every field',
+  [EXPORT_FORMATS.MARKDOWN]: 'Readable transcript',
+  [EXPORT_FORMATS.HTML]: 'Self-contained page with attachment links'
+};
+
+const describeProgress = (progress) => {
+  if (!progress) return 'Starting export...';
+  if (progress.phase === 'links') return `Getting attachment links (${progress.done} of ${progress.total})...`;
+  return `Loading messages (${progress.done} so far)...`;
+};
+
+/**
+ * Modal exporting a conversation's history, optionally limited to a date
+ * range, as JSON, a Markdown transcript or an HTML file. Long exports show
+ * progress and can be cancelled; closing the dialog cancels too.
+ */
+export default function ExportConversationDialog({ conversation, title, onClose }) {
+  const { loadConversationExport } = useChat();
+
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.HTML);
+  const [range, setRange] = useState(EMPTY_EXPORT_RANGE);
+  const [includeAttachmentLinks, setIncludeAttachmentLinks] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const controllerRef = useRef(null);
+
+  // Leaving the dialog stops a running export
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleExport = async () => {
+    const problem = validateExportRange(range);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsExporting(true);
+    setProgress(null);
+    setError('');
+
+    try {
+      const loaded = await loadConversationExport(conversation.id, range, {
+        includeAttachmentLinks,
+        signal: controller.signal,
+        onProgress: (update) => {
+          if (!controller.signal.aborted) setProgress(update);
+        }
+      });
+      const record = buildConversationExport({ conversation, title, range, ...loaded });
+      const { mimeType } = EXPORT_FORMAT_INFO[exportFormat];
+      downloadTextFile(formatConversationExport(record, exportFormat), getExportFileName(title, exportFormat), mimeType);
+      onClose();
+    } catch (error) {
+      if (!controller.signal.aborted) setError('Export failed. Please try again.');
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsExporting(false);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setIsExporting(false);
+    setProgress(null);
+  };
+
+  const inputClass = 'w-full text-sm text-gray-700 border border-gray-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Export conversation</h3>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 rounded">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <fieldset disabled={isExporting} className="space-y-4">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Format</p>
+            <div className="space-y-1">
+              {Object.values(EXPORT_FORMATS).map(value => (
+                <label key={value} className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={value}
+                    checked={exportFormat === value}
+                    onChange={() => setExportFormat(value)}
+                    className="text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <span className="font-medium">{EXPORT_FORMAT_INFO[value].label}</span>
+                  <span className="text-gray-500">{FORMAT_DESCRIPTIONS[value]}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Date range</p>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs text-gray-500">
+                From
+                <input
+                  type="date"
+                  value={range.from}
+                  max={range.to || undefined}
+                  onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+                  className={inputClass}
+                />
+              </label>
+              <label className="text-xs text-gray-500">
+                To
+                <input
+                  type="date"
+                  value={range.to}
+                  min={range.from || undefined}
+                  onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+            <p className="mt-1 text-xs text-gray-400">Leave empty to export the whole history</p>
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeAttachmentLinks}
+              onChange={(e) => setIncludeAttachmentLinks(e.target.checked)}
+              className="rounded text-indigo-600 focus:ring-indigo-500"
+            />
+            <span>Include attachment download links</span>
+          </label>
+        </fieldset>
+
+        {isExporting && (
+          <p className="mt-4 flex items-center space-x-2 text-sm text-gray-600">
+            <Loader2 className="w-4 h-4 animate-spin text-indigo-600" />
+            <span>{describeProgress(progress)}</span>
+          </p>
+        )}
+        {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+        <div className="flex justify-end space-x-2 mt-6">
+          {isExporting ? (
+            <button onClick={handleCancel} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+              Cancel export
+            </button>
+          ) : (
+            <button onClick={onClose} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+              Close
+            </button>
+          )}
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="flex items-center space-x-1 px-4 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download className="w-4 h-4" />
+            <span>Export</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
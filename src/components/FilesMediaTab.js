@@ -0,0 +1,275 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Image from 'next/image';
+import { format } from 'date-fns';
+import { useChat } from '@/contexts/ChatContext';
+import {
+  ATTACHMENT_FILTERS,
+  ATTACHMENT_SORTS,
+  filterAttachments,
+  sortAttachments,
+  countAttachments,
+  getAttachmentCategory,
+  formatFileSize
+} from '@/utils/attachments';
+import { getThumbnailUrl, downloadAttachment } from '@/utils/media-previews';
+import { showToast } from './Toast';
+import { FileText, File, Image as ImageIcon, Download, Loader2, RotateCw } from 'lucide-react';
+
+const FILTER_LABELS = {
+  [ATTACHMENT_FILTERS.ALL]: 'All',
+  [ATTACHMENT_FILTERS.IMAGES]: 'Images',
+  [ATTACHMENT_FILTERS.DOCUMENTS]: 'Documents',
+  [ATTACHMENT_FILTERS.OTHER]: 'Other'
+};
+
+const SORT_OPTIONS = [
+  { value: 'date-desc', label: 'Newest first', sort: ATTACHMENT_SORTS.DATE, descending: true },
+  { value: 'date-asc', label: 'Oldest first', sort: ATTACHMENT_SORTS.DATE, descending: false },
+  { value: 'size-desc', label: 'Largest first', sort: ATTACHMENT_SORTS.SIZE, descending: true },
+  { value: 'size-asc', label: 'Smallest first', sort: ATTACHMENT_SORTS.SIZE, descending: false }
+];
+
+// Pause between files of a bulk download so the browser doesn't drop any
+const BULK_DOWNLOAD_DELAY = 400;
+
+const formatSharedAt = (timestamp) => {
+  try {
+    return format(new Date(timestamp), 'MMM d, yyyy');
+  } catch {
+    return '';
+  }
+};
+
+// Small square thumbnail for images, a type icon for anything else
+function FileThumb({ item }) {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+  const category = getAttachmentCategory(item.file_type);
+
+  useEffect(() => {
+    if (category !== ATTACHMENT_FILTERS.IMAGES || item.status !== 'ready') return;
+    let cancelled = false;
+
+    getThumbnailUrl(item.attachment_id)
+      .then(url => {
+        if (!cancelled) setThumbnailUrl(url);
+      })
+      .catch(() => {});
+
+    return () => { cancelled = true; };
+  }, [item.attachment_id, item.status, category]);
+
+  if (thumbnailUrl) {
+    return (
+      <Image
+        src={thumbnailUrl}
+        alt={item.file_name}
+        width={40}
+        height={40}
+        className="w-10 h-10 rounded object-cover flex-shrink-0"
+        unoptimized
+      />
+    );
+  }
+
+  const Icon = category === ATTACHMENT_FILTERS.IMAGES
+    ? ImageIcon
+    : category === ATTACHMENT_FILTERS.DOCUMENTS ? FileText : File;
+  return (
+    <div className="w-10 h-10 bg-gray-100 rounded flex items-center justify-center flex-shrink-0">
+      <Icon className="w-5 h-5 text-gray-500" />
+    </div>
+  );
+}
+
+/**
+ * Every attachment shared in a conversation, with type filters, sorting and
+ * bulk download. The full history is loaded through
+ * `loadConversationAttachments` the first time the tab opens for a
+ * conversation; files sent or deleted since show up through the context.
+ */
+export default function FilesMediaTab({ conversationId, getSenderName }) {
+  const { loadConversationAttachments, getConversationAttachments } = useChat();
+
+  const items = getConversationAttachments(conversationId);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [filter, setFilter] = useState(ATTACHMENT_FILTERS.ALL);
+  const [sortValue, setSortValue] = useState(SORT_OPTIONS[0].value);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const fetchAttachments = useCallback(async (isCancelled = () => false) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      await loadConversationAttachments(conversationId);
+    } catch (error) {
+      if (!isCancelled()) setError('Could not load files for this conversation.');
+    } finally {
+      if (!isCancelled()) setIsLoading(false);
+    }
+  }, [conversationId, loadConversationAttachments]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSelectedIds([]);
+    fetchAttachments(() => cancelled);
+    return () => { cancelled = true; };
+  }, [fetchAttachments]);
+
+  const sortOption = SORT_OPTIONS.find(option => option.value === sortValue);
+  const counts = countAttachments(items);
+  const visibleItems = sortAttachments(filterAttachments(items, filter), sortOption.sort, sortOption.descending);
+  const downloadable = visibleItems.filter(item => item.status === 'ready' || !item.status);
+  const selectedItems = downloadable.filter(item => selectedIds.includes(item.attachment_id));
+  const allSelected = downloadable.length > 0 && selectedItems.length === downloadable.length;
+
+  const toggleSelected = (attachmentId) => {
+    setSelectedIds(prev => (
+      prev.includes(attachmentId) ? prev.filter(id => id !== attachmentId) : [...prev, attachmentId]
+    ));
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : downloadable.map(item => item.attachment_id));
+  };
+
+  const handleDownload = async (itemsToDownload) => {
+    if (isDownloading || itemsToDownload.length === 0) return;
+
+    setIsDownloading(true);
+    const failed = [];
+    for (const [index, item] of itemsToDownload.entries()) {
+      try {
+        if (index > 0) {
+          await new Promise(resolve => setTimeout(resolve, BULK_DOWNLOAD_DELAY));
+        }
+        await downloadAttachment(item.attachment_id, item.file_name);
+      } catch (error) {
+        console.error('Failed to download file:', error);
+        failed.push(item.file_name);
+      }
+    }
+    setIsDownloading(false);
+
+    if (failed.length > 0) {
+      showToast(`Could not download: ${failed.join(', ')}`, 'error', 4000);
+    }
+  };
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Filters and sorting */}
+      <div className="p-3 border-b border-gray-200 space-y-2">
+        <div className="flex flex-wrap gap-1">
+          {Object.values(ATTACHMENT_FILTERS).map(value => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              className={`px-2.5 py-1 rounded-full text-xs font-medium ${
+                filter === value ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {FILTER_LABELS[value]} ({counts[value]})
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center space-x-2 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={toggleAll}
+              disabled={downloadable.length === 0}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            <span>Select all</span>
+          </label>
+          <select
+            value={sortValue}
+            onChange={(e) => setSortValue(e.target.value)}
+            className="text-xs text-gray-700 border border-gray-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {selectedItems.length > 0 && (
+          <button
+            onClick={() => handleDownload(selectedItems)}
+            disabled={isDownloading}
+            className="w-full flex items-center justify-center space-x-2 px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {isDownloading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            <span>Download {selectedItems.length} file{selectedItems.length > 1 ? 's' : ''}</span>
+          </button>
+        )}
+      </div>
+
+      {/* File list */}
+      <div className="flex-1 overflow-y-auto" style={{ minHeight: 0 }}>
+        {isLoading && (
+          <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 animate-spin mr-2" />
+            Loading files...
+          </div>
+        )}
+
+        {!isLoading && visibleItems.length === 0 && !error && (
+          <p className="py-6 text-center text-sm text-gray-500">
+            {items.length === 0 ? 'No files shared in this conversation yet.' : 'No files of this type.'}
+          </p>
+        )}
+
+        {!isLoading && visibleItems.map(item => {
+          const isReady = item.status === 'ready' || !item.status;
+          return (
+            <div key={item.attachment_id} className="flex items-center space-x-3 px-3 py-2 hover:bg-gray-50">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(item.attachment_id)}
+                onChange={() => toggleSelected(item.attachment_id)}
+                disabled={!isReady}
+                className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              <FileThumb item={item} />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate" title={item.file_name}>
+                  {item.file_name}
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {formatFileSize(item.file_size)} · {formatSharedAt(item.created_at)}
+                  {getSenderName && ` · ${getSenderName(item.sender_id)}`}
+                </p>
+              </div>
+              {isReady ? (
+                <button
+                  onClick={() => handleDownload([item])}
+                  disabled={isDownloading}
+                  className="p-1 text-gray-400 hover:text-indigo-600 rounded disabled:opacity-50"
+                  title="Download"
+                >
+                  <Download className="w-4 h-4" />
+                </button>
+              ) : (
+                <span className="text-xs text-gray-400">Uploading</span>
+              )}
+            </div>
+          );
+        })}
+
+        {error && (
+          <div className="flex items-center justify-center space-x-2 py-3 text-xs text-red-600">
+            <span>{error}</span>
+            <button onClick={() => fetchAttachments()} className="p-1 hover:text-red-700" title="Retry">
+              <RotateCw className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { Search, ChevronUp, ChevronDown, X, Loader2 } from 'lucide-react';
+
+/**
+ * Find-in-conversation bar shown under the ChatWindow header. Enter steps to
+ * the next older match, Shift+Enter to the next newer one, Escape closes.
+ * `position` counts from the newest match (1 = newest).
+ */
+export default function FindBar({
+  query,
+  onQueryChange,
+  matchCount,
+  position,
+  canGoOlder,
+  canGoNewer,
+  isLoadingOlder,
+  focusRequest,
+  onOlder,
+  onNewer,
+  onClose
+}) {
+  const inputRef = useRef(null);
+
+  // Focus (and select) again whenever Ctrl/Cmd+F is pressed while open
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  }, [focusRequest]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        onNewer();
+      } else {
+        onOlder();
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const trimmed = query.trim();
+  const status = isLoadingOlder
+    ? 'Searching older messages...'
+    : !trimmed
+      ? ''
+      : matchCount === 0
+        ? 'No matches'
+        : `${position} of ${matchCount}`;
+
+  return (
+    <div className="flex items-center space-x-2 px-4 py-2 border-b border-gray-200 bg-gray-50">
+      <Search className="w-4 h-4 text-gray-400 flex-shrink-0" />
+      <input
+        ref={inputRef}
+        type="text"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Find in conversation"
+        className="flex-1 min-w-0 px-2 py-1 text-sm text-gray-900 bg-white border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+      <span className="text-xs text-gray-500 whitespace-nowrap flex items-center">
+        {isLoadingOlder && <Loader2 className="w-3 h-3 animate-spin mr-1" />}
+        {status}
+      </span>
+      <button
+        onClick={onOlder}
+        disabled={!canGoOlder || isLoadingOlder}
+        className="p-1 text-gray-500 hover:text-gray-700 rounded hover:bg-gray-200 disabled:opacity-40"
+        title="Older match (Enter)"
+      >
+        <ChevronUp className="w-4 h-4" />
+      </button>
+      <button
+        onClick={onNewer}
+        disabled={!canGoNewer || isLoadingOlder}
+        className="p-1 text-gray-500 hover:text-gray-700 rounded hover:bg-gray-200 disabled:opacity-40"
+        title="Newer match (Shift+Enter)"
+      >
+        <ChevronDown className="w-4 h-4" />
+      </button>
+      <button
+        onClick={onClose}
+        className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-200"
+        title="Close (Esc)"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
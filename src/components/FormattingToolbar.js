@@ -0,0 +1,58 @@
+'use client';
+
+import {
+  Bold,
+  Italic,
+  Strikethrough,
+  Code,
+  SquareCode,
+  Link,
+  List,
+  ListOrdered,
+  Quote
+} from 'lucide-react';
+
+// Same label on server and client so the titles don't cause hydration mismatches
+const mod = 'Ctrl/⌘';
+
+const FORMAT_BUTTONS = [
+  { format: 'bold', icon: Bold, label: 'Bold', shortcut: `${mod}+B` },
+  { format: 'italic', icon: Italic, label: 'Italic', shortcut: `${mod}+I` },
+  { format: 'strike', icon: Strikethrough, label: 'Strikethrough', shortcut: `${mod}+Shift+X` },
+  { format: 'code', icon: Code, label: 'Inline code', shortcut: `${mod}+E` },
+  { format: 'code_block', icon: SquareCode, label: 'Code block' },
+  { format: 'link', icon: Link, label: 'Link', shortcut: `${mod}+K` },
+  { format: 'bullet_list', icon: List, label: 'Bulleted list' },
+  { format: 'ordered_list', icon: ListOrdered, label: 'Numbered list' },
+  { format: 'quote', icon: Quote, label: 'Quote' }
+];
+
+// Composer keyboard shortcuts, keyed by lower-cased key
+export const FORMAT_SHORTCUTS = {
+  b: 'bold',
+  i: 'italic',
+  e: 'code',
+  k: 'link'
+};
+
+/** Row of Markdown formatting buttons shown above the message composer. */
+export default function FormattingToolbar({ onFormat, disabled = false }) {
+  return (
+    <div className="flex items-center space-x-1 mb-2">
+      {FORMAT_BUTTONS.map(({ format, icon: Icon, label, shortcut }) => (
+        <button
+          key={format}
+          type="button"
+          // Keep focus (and the selection) in the textarea
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onFormat(format)}
+          disabled={disabled}
+          title={shortcut ? `${label} (${shortcut})` : label}
+          className="p-1.5 text-gray-400 hover:text-gray-700 hover:bg-gray-100 rounded disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Icon className="w-4 h-4" />
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useChat } from '@/contexts/ChatContext';
+import { useAuth } from '@/contexts/AuthContext';
+import { useUserSearch } from '@/components/UserSearch';
+import {
+  MAX_FORWARD_TARGETS,
+  findDirectConversation,
+  filterForwardConversations
+} from '@/utils/forwarding';
+import { X, Search, Users, User, Check, Loader2, Forward } from 'lucide-react';
+
+/**
+ * Modal for forwarding a message: pick any number (up to MAX_FORWARD_TARGETS)
+ * of the user's conversations, or search for people to forward to in a DM.
+ * `onForward({ conversationIds, userIds })` does the sending.
+ */
+export default function ForwardMessageDialog({ preview, onForward, onClose }) {
+  const { user } = useAuth();
+  const { conversations } = useChat();
+
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState([]); // [{ key, conversationId?, userId?, label }]
+  const { results: userResults, isLoading: isSearchingUsers } = useUserSearch(query);
+  const [isForwarding, setIsForwarding] = useState(false);
+  const searchInputRef = useRef(null);
+
+  useEffect(() => {
+    searchInputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const getConversationTitle = (conversation) => {
+    if (conversation.title) return conversation.title;
+    if (conversation.type === 'DM' && conversation.participants) {
+      const otherParticipant = conversation.participants.find(p => p.user_id !== user?.id);
+      return otherParticipant?.display_name || 'Unknown User';
+    }
+    return 'Untitled Conversation';
+  };
+
+  const matchingConversations = filterForwardConversations(conversations, query, getConversationTitle);
+
+  // People the user already has a DM with are listed under Conversations.
+  const people = useMemo(() => (
+    userResults.filter(u => !findDirectConversation(conversations, u.id, user?.id))
+  ), [userResults, conversations, user?.id]);
+
+  const isSelected = (key) => selected.some(target => target.key === key);
+  const isFull = selected.length >= MAX_FORWARD_TARGETS;
+
+  const toggleTarget = (target) => {
+    setSelected(prev => {
+      if (prev.some(t => t.key === target.key)) return prev.filter(t => t.key !== target.key);
+      return prev.length >= MAX_FORWARD_TARGETS ? prev : [...prev, target];
+    });
+  };
+
+  const handleForward = async () => {
+    if (selected.length === 0 || isForwarding) return;
+    setIsForwarding(true);
+    try {
+      await onForward({
+        conversationIds: selected.filter(t => t.conversationId).map(t => t.conversationId),
+        userIds: selected.filter(t => t.userId).map(t => t.userId)
+      });
+    } finally {
+      setIsForwarding(false);
+    }
+  };
+
+  const renderCheck = (checked) => (
+    <span className={`w-5 h-5 flex-shrink-0 rounded border flex items-center justify-center ${
+      checked ? 'bg-indigo-600 border-indigo-600 text-white' : 'border-gray-300'
+    }`}>
+      {checked && <Check className="w-3.5 h-3.5" />}
+    </span>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-md mx-4 max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-900">Forward message</h3>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 rounded">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-4 pt-3">
+          <p className="pl-2 border-l-2 border-indigo-400 text-sm text-gray-600 truncate">{preview}</p>
+        </div>
+
+        <div className="p-4 border-b space-y-2">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+            <input
+              ref={searchInputRef}
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search conversations or @people..."
+              className="w-full pl-10 pr-4 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+          {selected.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {selected.map(target => (
+                <span
+                  key={target.key}
+                  className="inline-flex items-center px-2 py-0.5 bg-indigo-100 text-indigo-700 rounded-full text-xs"
+                >
+                  {target.label}
+                  <button onClick={() => toggleTarget(target)} className="ml-1 hover:text-indigo-900">
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          {isFull && <p className="text-xs text-gray-500">You can forward to up to {MAX_FORWARD_TARGETS} at once</p>}
+        </div>
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {matchingConversations.length > 0 && (
+            <p className="px-4 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500">Conversations</p>
+          )}
+          {matchingConversations.map(conversation => {
+            const key = `conversation-${conversation.id}`;
+            const checked = isSelected(key);
+            const label = getConversationTitle(conversation);
+            return (
+              <button
+                key={key}
+                onClick={() => toggleTarget({ key, conversationId: conversation.id, label })}
+                disabled={!checked && isFull}
+                className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 disabled:opacity-50"
+              >
+                {renderCheck(checked)}
+                {conversation.type === 'GROUP'
+                  ? <Users className="w-4 h-4 text-indigo-600 flex-shrink-0" />
+                  : <User className="w-4 h-4 text-gray-400 flex-shrink-0" />}
+                <span className="text-sm text-gray-900 truncate">{label}</span>
+              </button>
+            );
+          })}
+
+          {(people.length > 0 || isSearchingUsers) && (
+            <p className="px-4 pt-3 pb-1 flex items-center space-x-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              <span>People</span>
+              {isSearchingUsers && <Loader2 className="w-3 h-3 animate-spin" />}
+            </p>
+          )}
+          {people.map(person => {
+            const key = `user-${person.id}`;
+            const checked = isSelected(key);
+            return (
+              <button
+                key={key}
+                onClick={() => toggleTarget({ key, userId: person.id, label: person.display_name })}
+                disabled={!checked && isFull}
+                className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 disabled:opacity-50"
+              >
+                {renderCheck(checked)}
+                <span className="min-w-0">
+                  <span className="block text-sm text-gray-900 truncate">{person.display_name}</span>
+                  <span className="block text-xs text-gray-500">@{person.username}</span>
+                </span>
+              </button>
+            );
+          })}
+
+          {matchingConversations.length === 0 && people.length === 0 && !isSearchingUsers && (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">No conversations or people found</p>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t">
+          <button onClick={onClose} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            onClick={handleForward}
+            disabled={selected.length === 0 || isForwarding}
+            className="flex items-center space-x-1 px-4 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isForwarding ? <Loader2 className="w-4 h-4 animate-spin" /> : <Forward className="w-4 h-4" />}
+            <span>{selected.length > 1 ? `Forward to ${selected.length}` : 'Forward'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,785 @@
+'use client';
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { format } from 'date-fns';
+import { useChat } from '@/contexts/ChatContext';
+import { useAuth } from '@/contexts/AuthContext';
+import { authHelpers } from '@/utils/api-utils';
+import {
+  IMPORT_SOURCES,
+  IMPORT_SOURCE_LABELS,
+  DATE_ORDERS,
+  parseSlackExport,
+  parseWhatsAppExport,
+  detectWhatsAppDateOrder,
+  findOrgUserForSender,
+  toImportPayload,
+  getImportedLabel,
+  summarizeImport
+} from '@/utils/chat-import';
+import { downloadTextFile } from '@/utils/conversation-export';
+import {
+  X,
+  ChevronLeft,
+  Upload,
+  Loader2,
+  CheckCircle,
+  AlertCircle,
+  Download,
+  Search,
+  UserCheck,
+  UserX
+} from 'lucide-react';
+
+const STEPS = {
+  SOURCE: 'source',
+  MAP: 'map',
+  PREVIEW: 'preview',
+  IMPORTING: 'importing',
+  DONE: 'done'
+};
+
+const TARGET_MODES = {
+  NEW: 'new',
+  EXISTING: 'existing'
+};
+
+// Messages shown per conversation in the dry-run preview
+const PREVIEW_MESSAGES = 3;
+
+const formatDay = (timestamp) => {
+  try {
+    return format(new Date(timestamp), 'MMM d, yyyy');
+  } catch {
+    return '';
+  }
+};
+
+/** One imported sender with its org user, or a search to pick a different one. */
+function SenderMappingRow({ sender, messageCount, user, onChange }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [query, setQuery] = useState(sender.name);
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const search = async () => {
+    const cleanQuery = query.trim().replace(/^@/, '');
+    if (cleanQuery.length < 2) return;
+    setIsSearching(true);
+    try {
+      setResults(await authHelpers.searchUsers(cleanQuery, 5) || []);
+    } catch (error) {
+      setResults([]);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const pick = (picked) => {
+    onChange(picked);
+    setIsEditing(false);
+    setResults([]);
+  };
+
+  return (
+    <li className="py-2">
+      <div className="flex items-center justify-between space-x-2">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">{sender.name}</p>
+          <p className="text-xs text-gray-500">
+            {messageCount} message{messageCount === 1 ? '' : 's'}
+            {sender.username && ` · @${sender.username}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2 flex-shrink-0">
+          {user ? (
+            <span className="flex items-center space-x-1 text-xs text-green-700">
+              <UserCheck className="w-3.5 h-3.5" />
+              <span className="truncate max-w-[8rem]">{user.display_name}</span>
+            </span>
+          ) : (
+            <span className="flex items-center space-x-1 text-xs text-amber-600">
+              <UserX className="w-3.5 h-3.5" />
+              <span>Not matched</span>
+            </span>
+          )}
+          <button
+            onClick={() => setIsEditing(!isEditing)}
+            className="text-xs text-indigo-600 hover:underline"
+          >
+            Change
+          </button>
+        </div>
+      </div>
+
+      {isEditing && (
+        <div className="mt-2 space-y-1">
+          <div className="flex space-x-1">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') search();
+              }}
+              autoFocus
+              placeholder="Search by @username or name..."
+              className="flex-1 text-sm border border-gray-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button onClick={search} className="p-1.5 text-gray-500 rounded hover:bg-gray-100" title="Search">
+              {isSearching ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+            </button>
+          </div>
+          {results.map(result => (
+            <button
+              key={result.id}
+              onClick={() => pick(result)}
+              className="w-full text-left px-2 py-1 text-sm text-gray-700 rounded hover:bg-gray-100"
+            >
+              {result.display_name} <span className="text-gray-500">@{result.username}</span>
+            </button>
+          ))}
+          <button onClick={() => pick(null)} className="px-2 py-1 text-xs text-gray-500 hover:underline">
+            Don&apos;t map this sender
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Wizard importing chat history from a Slack workspace export (unzipped
+ * folder) or a WhatsApp chat export: pick the files, map senders to org
+ * users and each source conversation to a new or existing conversation,
+ * review a dry run, then replay the messages with progress and cancel.
+ */
+export default function ImportHistoryWizard({ onClose }) {
+  const { user } = useAuth();
+  const { conversations, importConversationHistory, selectConversation } = useChat();
+
+  const [step, setStep] = useState(STEPS.SOURCE);
+  const [source, setSource] = useState(IMPORT_SOURCES.SLACK);
+  const [parsed, setParsed] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [isParsing, setIsParsing] = useState(false);
+  const [whatsAppFile, setWhatsAppFile] = useState(null); // { name, text }
+  const [dateOrder, setDateOrder] = useState(DATE_ORDERS.DMY);
+  const [mapping, setMapping] = useState({}); // { [senderKey]: org user | null }
+  const [matchProgress, setMatchProgress] = useState(null); // { done, total } while matching
+  const [targets, setTargets] = useState({}); // { [conversationKey]: { include, mode, title, conversationId } }
+  const [importProgress, setImportProgress] = useState(null); // { name, done, total }
+  const [results, setResults] = useState([]);
+  const controllerRef = useRef(null);
+
+  // Closing the wizard stops sender matching or a running import
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const isBusy = step === STEPS.IMPORTING || !!matchProgress;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !isBusy) onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, isBusy]);
+
+  const getConversationTitle = (conversation) => {
+    if (conversation.title) return conversation.title;
+    if (conversation.type === 'DM' && conversation.participants) {
+      const otherParticipant = conversation.participants.find(p => p.user_id !== user?.id);
+      return otherParticipant?.display_name || 'Unknown User';
+    }
+    return 'Untitled Conversation';
+  };
+
+  const summary = useMemo(() => (parsed ? summarizeImport(parsed, mapping) : null), [parsed, mapping]);
+  const includedConversations = parsed
+    ? parsed.conversations.filter(conversation => targets[conversation.key]?.include)
+    : [];
+
+  const applyParsed = (result) => {
+    setParsed(result);
+    setParseError('');
+    setTargets(Object.fromEntries(result.conversations.map(conversation => [
+      conversation.key,
+      { include: true, mode: TARGET_MODES.NEW, title: conversation.name, conversationId: '' }
+    ])));
+  };
+
+  const handleSlackFiles = async (fileList) => {
+    const files = Array.from(fileList || []).filter(file => file.name.endsWith('.json'));
+    if (files.length === 0) return;
+    setIsParsing(true);
+    try {
+      const read = await Promise.all(files.map(async file => ({
+        path: file.webkitRelativePath || file.name,
+        text: await file.text()
+      })));
+      applyParsed(parseSlackExport(read));
+    } catch (error) {
+      setParsed(null);
+      setParseError(error.message);
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const parseWhatsApp = (file, order) => {
+    try {
+      applyParsed(parseWhatsAppExport(file.text, file.name, order));
+    } catch (error) {
+      setParsed(null);
+      setParseError(error.message);
+    }
+  };
+
+  const handleWhatsAppFile = async (file) => {
+    if (!file) return;
+    setIsParsing(true);
+    try {
+      const read = { name: file.name, text: await file.text() };
+      const order = detectWhatsAppDateOrder(read.text);
+      setWhatsAppFile(read);
+      setDateOrder(order);
+      parseWhatsApp(read, order);
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const changeSource = (value) => {
+    setSource(value);
+    setParsed(null);
+    setParseError('');
+    setWhatsAppFile(null);
+  };
+
+  // Match every sender to an org user, one lookup at a time
+  const matchSenders = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setStep(STEPS.MAP);
+    setMatchProgress({ done: 0, total: parsed.senders.length });
+
+    const matched = {};
+    for (const [index, sender] of parsed.senders.entries()) {
+      if (controller.signal.aborted) return;
+      try {
+        matched[sender.key] = await findOrgUserForSender(sender);
+      } catch (error) {
+        console.warn('Failed to match imported sender:', sender.name, error);
+        matched[sender.key] = null;
+      }
+      if (!controller.signal.aborted) setMatchProgress({ done: index + 1, total: parsed.senders.length });
+    }
+
+    if (controller.signal.aborted) return;
+    controllerRef.current = null;
+    setMapping(matched);
+    setMatchProgress(null);
+  };
+
+  const updateTarget = (key, changes) => {
+    setTargets(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+  };
+
+  const targetProblem = includedConversations.length === 0
+    ? 'Pick at least one conversation to import'
+    : includedConversations.some(conversation => {
+        const target = targets[conversation.key];
+        return target.mode === TARGET_MODES.NEW ? !target.title.trim() : !target.conversationId;
+      })
+      ? 'Every imported conversation needs a name or a target conversation'
+      : null;
+
+  const describeTarget = (conversation) => {
+    const target = targets[conversation.key];
+    if (target.mode === TARGET_MODES.NEW) return `New group "${target.title.trim()}"`;
+    const existing = conversations.find(conv => conv.id === target.conversationId);
+    return existing ? getConversationTitle(existing) : 'Conversation';
+  };
+
+  const buildReport = () => ({
+    ...summary,
+    conversations: summary.conversations.map(conversation => ({
+      ...conversation,
+      included: !!targets[conversation.key]?.include,
+      target: targets[conversation.key]?.include
+        ? describeTarget(parsed.conversations.find(c => c.key === conversation.key))
+        : null,
+      result: results.find(result => result.key === conversation.key) || null
+    })),
+    generated_at: new Date().toISOString()
+  });
+
+  const downloadReport = () => {
+    const sourceName = IMPORT_SOURCE_LABELS[parsed.source].toLowerCase();
+    downloadTextFile(
+      JSON.stringify(buildReport(), null, 2),
+      `${sourceName}-import-report-${format(new Date(), 'yyyy-MM-dd')}.json`,
+      'application/json'
+    );
+  };
+
+  const runImport = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setStep(STEPS.IMPORTING);
+    setResults([]);
+
+    const sendersByKey = Object.fromEntries(parsed.senders.map(sender => [sender.key, sender]));
+    const participantIds = [...new Set(Object.values(mapping)
+      .filter(mapped => mapped && mapped.id !== user?.id)
+      .map(mapped => mapped.id))];
+
+    const finished = [];
+    for (const conversation of includedConversations) {
+      if (controller.signal.aborted) break;
+      const target = targets[conversation.key];
+      const items = conversation.messages.map(message => ({
+        payload: toImportPayload(message, {
+          source: parsed.source,
+          conversation,
+          sender: sendersByKey[message.sender_key],
+          mapping
+        }),
+        source_id: message.source_id,
+        thread_key: message.thread_key
+      }));
+
+      setImportProgress({ name: conversation.name, done: 0, total: items.length });
+      try {
+        const result = await importConversationHistory(
+          target.mode === TARGET_MODES.NEW
+            ? { title: target.title.trim(), participantIds }
+            : { conversationId: target.conversationId },
+          items,
+          {
+            signal: controller.signal,
+            onProgress: (progress) => setImportProgress({ name: conversation.name, ...progress })
+          }
+        );
+        finished.push({ key: conversation.key, name: conversation.name, total: items.length, ...result });
+      } catch (error) {
+        finished.push({
+          key: conversation.key,
+          name: conversation.name,
+          total: items.length,
+          conversationId: null,
+          sent: 0,
+          failed: [],
+          error: error.message
+        });
+      }
+      setResults([...finished]);
+      if (finished[finished.length - 1].interrupted) break;
+    }
+
+    if (controllerRef.current === controller) controllerRef.current = null;
+    setImportProgress(null);
+    setStep(STEPS.DONE);
+  };
+
+  const cancel = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    if (step === STEPS.MAP) {
+      setMatchProgress(null);
+      setStep(STEPS.SOURCE);
+    }
+  };
+
+  const openConversation = (conversationId) => {
+    selectConversation(conversationId);
+    onClose();
+  };
+
+  const goBack = () => {
+    setStep(step === STEPS.PREVIEW ? STEPS.MAP : STEPS.SOURCE);
+  };
+
+  const sectionTitle = 'text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2';
+  const inputClass = 'w-full text-sm text-gray-700 border border-gray-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg mx-4 max-h-[85vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            {(step === STEPS.MAP || step === STEPS.PREVIEW) && !matchProgress && (
+              <button onClick={goBack} className="p-1 text-gray-400 hover:text-gray-600 rounded">
+                <ChevronLeft className="w-5 h-5" />
+              </button>
+            )}
+            <h3 className="text-lg font-semibold text-gray-900">Import chat history</h3>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={step === STEPS.IMPORTING}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded disabled:opacity-50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto min-h-0 space-y-4">
+          {step === STEPS.SOURCE && (
+            <>
+              <div>
+                <p className={sectionTitle}>Source</p>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.values(IMPORT_SOURCES).map(value => (
+                    <button
+                      key={value}
+                      onClick={() => changeSource(value)}
+                      className={`p-3 text-sm rounded-lg border ${
+                        source === value ? 'border-indigo-600 text-indigo-700 bg-indigo-50' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {IMPORT_SOURCE_LABELS[value]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <p className={sectionTitle}>Export file</p>
+                {source === IMPORT_SOURCES.SLACK ? (
+                  <>
+                    <p className="text-xs text-gray-500 mb-2">
+                      Unzip the Slack workspace export and pick its folder (users.json, channels.json and one folder per channel).
+                    </p>
+                    <label className="flex items-center justify-center space-x-2 p-3 border border-dashed border-gray-300 rounded-lg text-sm text-gray-600 cursor-pointer hover:bg-gray-50">
+                      <Upload className="w-4 h-4" />
+                      <span>Choose export folder</span>
+                      <input
+                        type="file"
+                        webkitdirectory=""
+                        multiple
+                        className="hidden"
+                        onChange={(e) => handleSlackFiles(e.target.files)}
+                      />
+                    </label>
+                  </>
+                ) : (
+                  <>
+                    <p className="text-xs text-gray-500 mb-2">
+                      In WhatsApp, open the chat and use Export chat (without media), then pick the .txt file.
+                    </p>
+                    <label className="flex items-center justify-center space-x-2 p-3 border border-dashed border-gray-300 rounded-lg text-sm text-gray-600 cursor-pointer hover:bg-gray-50">
+                      <Upload className="w-4 h-4" />
+                      <span>{whatsAppFile ? whatsAppFile.name : 'Choose chat file'}</span>
+                      <input
+                        type="file"
+                        accept=".txt,text/plain"
+                        className="hidden"
+                        onChange={(e) => handleWhatsAppFile(e.target.files?.[0])}
+                      />
+                    </label>
+                    {whatsAppFile && (
+                      <label className="mt-2 flex items-center space-x-2 text-xs text-gray-600">
+                        <span>Dates are written as</span>
+                        <select
+                          value={dateOrder}
+                          onChange={(e) => {
+                            setDateOrder(e.target.value);
+                            parseWhatsApp(whatsAppFile, e.target.value);
+                          }}
+                          className="border border-gray-200 rounded px-1 py-0.5"
+                        >
+                          <option value={DATE_ORDERS.DMY}>day/month/year</option>
+                          <option value={DATE_ORDERS.MDY}>month/day/year</option>
+                        </select>
+                      </label>
+                    )}
+                  </>
+                )}
+              </div>
+
+              {isParsing && (
+                <p className="flex items-center space-x-2 text-sm text-gray-600">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  <span>Reading export...</span>
+                </p>
+              )}
+              {parseError && <p className="text-sm text-red-600">{parseError}</p>}
+              {parsed && summary && (
+                <p className="text-sm text-gray-700">
+                  Found {summary.message_count} messages from {summary.senders.length} people
+                  in {summary.conversations.length} conversation{summary.conversations.length === 1 ? '' : 's'}.
+                </p>
+              )}
+            </>
+          )}
+
+          {step === STEPS.MAP && (
+            matchProgress ? (
+              <p className="flex items-center space-x-2 text-sm text-gray-600">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                <span>Matching senders to people in your organization ({matchProgress.done} of {matchProgress.total})...</span>
+              </p>
+            ) : (
+              <>
+                <div>
+                  <p className={sectionTitle}>Senders</p>
+                  <p className="text-xs text-gray-500 mb-1">
+                    Messages are posted by you; the original sender and time are kept on each message.
+                  </p>
+                  <ul className="divide-y divide-gray-100">
+                    {summary.senders.map(sender => (
+                      <SenderMappingRow
+                        key={sender.key}
+                        sender={parsed.senders.find(s => s.key === sender.key)}
+                        messageCount={sender.message_count}
+                        user={mapping[sender.key]}
+                        onChange={(picked) => setMapping(prev => ({ ...prev, [sender.key]: picked }))}
+                      />
+                    ))}
+                  </ul>
+                </div>
+
+                <div>
+                  <p className={sectionTitle}>Conversations</p>
+                  <ul className="space-y-3">
+                    {parsed.conversations.map(conversation => {
+                      const target = targets[conversation.key];
+                      return (
+                        <li key={conversation.key} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                          <label className="flex items-center space-x-2 text-sm text-gray-900">
+                            <input
+                              type="checkbox"
+                              checked={target.include}
+                              onChange={(e) => updateTarget(conversation.key, { include: e.target.checked })}
+                              className="rounded text-indigo-600 focus:ring-indigo-500"
+                            />
+                            <span className="font-medium truncate">{conversation.name}</span>
+                            <span className="text-xs text-gray-500">{conversation.messages.length} messages</span>
+                          </label>
+                          {target.include && (
+                            <div className="flex space-x-2">
+                              <select
+                                value={target.mode}
+                                onChange={(e) => updateTarget(conversation.key, { mode: e.target.value })}
+                                className="text-sm border border-gray-200 rounded px-1 py-1"
+                              >
+                                <option value={TARGET_MODES.NEW}>New group</option>
+                                <option value={TARGET_MODES.EXISTING}>Existing conversation</option>
+                              </select>
+                              {target.mode === TARGET_MODES.NEW ? (
+                                <input
+                                  type="text"
+                                  value={target.title}
+                                  maxLength={100}
+                                  onChange={(e) => updateTarget(conversation.key, { title: e.target.value })}
+                                  className={inputClass}
+                                />
+                              ) : (
+                                <select
+                                  value={target.conversationId}
+                                  onChange={(e) => updateTarget(conversation.key, { conversationId: e.target.value })}
+                                  className={inputClass}
+                                >
+                                  <option value="">Choose a conversation</option>
+                                  {conversations.map(conv => (
+                                    <option key={conv.id} value={conv.id}>{getConversationTitle(conv)}</option>
+                                  ))}
+                                </select>
+                              )}
+                            </div>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              </>
+            )
+          )}
+
+          {step === STEPS.PREVIEW && (
+            <>
+              <p className="text-sm text-gray-700">
+                Dry run: nothing has been sent yet. {includedConversations.reduce((sum, c) => sum + c.messages.length, 0)} messages
+                will be posted to {includedConversations.length} conversation{includedConversations.length === 1 ? '' : 's'}.
+              </p>
+
+              <div>
+                <p className={sectionTitle}>Mapping report</p>
+                <p className="text-xs text-gray-500 mb-1">
+                  {summary.matched_count} matched, {summary.unmatched_count} not matched (shown by their original name)
+                </p>
+                <table className="w-full text-sm">
+                  <tbody className="divide-y divide-gray-100">
+                    {summary.senders.map(sender => (
+                      <tr key={sender.key}>
+                        <td className="py-1 pr-2 text-gray-900 truncate">{sender.name}</td>
+                        <td className="py-1 pr-2 text-gray-500 text-right">{sender.message_count}</td>
+                        <td className={`py-1 ${sender.user ? 'text-green-700' : 'text-amber-600'}`}>
+                          {sender.user ? `→ ${sender.user.display_name}` : 'Not matched'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div>
+                <p className={sectionTitle}>Conversations</p>
+                <ul className="space-y-3">
+                  {includedConversations.map(conversation => (
+                    <li key={conversation.key} className="p-3 border border-gray-200 rounded-lg">
+                      <p className="text-sm font-medium text-gray-900">
+                        {conversation.name} → {describeTarget(conversation)}
+                      </p>
+                      <p className="text-xs text-gray-500 mb-2">
+                        {conversation.messages.length} messages, {formatDay(conversation.messages[0].sent_at)}
+                        {' – '}
+                        {formatDay(conversation.messages[conversation.messages.length - 1].sent_at)}
+                      </p>
+                      <ul className="space-y-1">
+                        {conversation.messages.slice(0, PREVIEW_MESSAGES).map(message => {
+                          const { meta, content } = toImportPayload(message, {
+                            source: parsed.source,
+                            conversation,
+                            sender: parsed.senders.find(s => s.key === message.sender_key),
+                            mapping
+                          });
+                          return (
+                            <li key={message.source_id} className="px-3 py-2 bg-gray-100 rounded-xl">
+                              <p className="text-xs italic text-gray-500">{getImportedLabel(meta.imported)}</p>
+                              <p className="text-sm text-gray-900 whitespace-pre-wrap break-words line-clamp-3">{content}</p>
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </>
+          )}
+
+          {step === STEPS.IMPORTING && (
+            <div className="space-y-2">
+              <p className="flex items-center space-x-2 text-sm text-gray-700">
+                <Loader2 className="w-4 h-4 animate-spin text-indigo-600" />
+                <span>
+                  Importing {importProgress?.name}
+                  {importProgress && ` (${importProgress.done} of ${importProgress.total})`}...
+                </span>
+              </p>
+              <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-600 transition-all"
+                  style={{ width: `${importProgress?.total ? (importProgress.done / importProgress.total) * 100 : 0}%` }}
+                />
+              </div>
+              {results.length > 0 && (
+                <p className="text-xs text-gray-500">{results.length} of {includedConversations.length} conversations done</p>
+              )}
+            </div>
+          )}
+
+          {step === STEPS.DONE && (
+            <>
+              <p className="text-sm text-gray-700">
+                Importing again into the same conversation skips messages that already arrived.
+              </p>
+              <ul className="space-y-2">
+                {includedConversations.map(conversation => {
+                  const result = results.find(r => r.key === conversation.key);
+                  const isComplete = result && !result.error && result.failed.length === 0 && result.sent === result.total;
+                  return (
+                    <li key={conversation.key} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                      <div className="flex items-start space-x-2 min-w-0">
+                        {isComplete
+                          ? <CheckCircle className="w-4 h-4 text-green-600 flex-shrink-0 mt-0.5" />
+                          : <AlertCircle className="w-4 h-4 text-amber-600 flex-shrink-0 mt-0.5" />}
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 truncate">{conversation.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {!result
+                              ? 'Not imported (cancelled)'
+                              : result.error
+                                ? `Failed: ${result.error}`
+                                : `${result.sent} of ${result.total} imported${result.failed.length > 0 ? `, ${result.failed.length} failed` : ''}${result.interrupted ? ', stopped' : ''}`}
+                          </p>
+                        </div>
+                      </div>
+                      {result?.conversationId && (
+                        <button
+                          onClick={() => openConversation(result.conversationId)}
+                          className="text-xs text-indigo-600 hover:underline flex-shrink-0"
+                        >
+                          Open
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between pt-4 mt-4 border-t">
+          <div>
+            {(step === STEPS.PREVIEW || step === STEPS.DONE) && (
+              <button
+                onClick={downloadReport}
+                className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900"
+              >
+                <Download className="w-4 h-4" />
+                <span>Download report</span>
+              </button>
+            )}
+            {step === STEPS.MAP && !matchProgress && targetProblem && (
+              <p className="text-xs text-gray-500">{targetProblem}</p>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            {step === STEPS.IMPORTING || matchProgress ? (
+              <button onClick={cancel} className="px-4 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">
+                Cancel
+              </button>
+            ) : step === STEPS.DONE ? (
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700"
+              >
+                Done
+              </button>
+            ) : step === STEPS.SOURCE ? (
+              <button
+                onClick={matchSenders}
+                disabled={!parsed || isParsing}
+                className="px-4 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            ) : step === STEPS.MAP ? (
+              <button
+                onClick={() => setStep(STEPS.PREVIEW)}
+                disabled={!!targetProblem}
+                className="px-4 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Preview
+              </button>
+            ) : (
+              <button
+                onClick={runImport}
+                className="px-4 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700"
+              >
+                Import
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
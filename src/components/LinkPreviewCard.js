@@ -0,0 +1,155 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { X, Loader2 } from 'lucide-react';
+import {
+  LINK_PREVIEWS,
+  extractFirstUrl,
+  fetchLinkPreview,
+  getLinkPreviewMeta,
+  resolveMessagePreview
+} from '@/utils/link-previews';
+
+/**
+ * Composer link preview for the first URL in `text`, unfurled once typing
+ * pauses. `dismiss` removes it for that URL; `getSendMeta` is the meta to send
+ * along with the message.
+ */
+export function useComposerLinkPreview(text) {
+  const [preview, setPreview] = useState(null); // { url, data, isLoading }
+  const [dismissedUrl, setDismissedUrl] = useState(null);
+  const url = LINK_PREVIEWS.enabled ? extractFirstUrl(text) : null;
+
+  useEffect(() => {
+    if (!url || url === dismissedUrl) return;
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      setPreview({ url, data: null, isLoading: true });
+      try {
+        const data = await fetchLinkPreview(url);
+        if (!cancelled) setPreview({ url, data, isLoading: false });
+      } catch (error) {
+        console.warn('Failed to load link preview:', error);
+        if (!cancelled) setPreview({ url, data: null, isLoading: false });
+      }
+    }, LINK_PREVIEWS.debounce);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [url, dismissedUrl]);
+
+  const current = url && url !== dismissedUrl && preview?.url === url ? preview : null;
+
+  return {
+    preview: current,
+    dismiss: () => setDismissedUrl(url),
+    getSendMeta: (messageText) => getLinkPreviewMeta(messageText, current, dismissedUrl)
+  };
+}
+
+/**
+ * Preview card: site, title, description and image of a link. Pass
+ * `onRemove` to show the remove button (composer).
+ */
+export default function LinkPreviewCard({ preview, isOwn = false, onRemove }) {
+  const [imageFailed, setImageFailed] = useState(false);
+
+  return (
+    <div className={`flex items-stretch overflow-hidden rounded-lg border-l-4 ${
+      isOwn ? 'border-white border-opacity-60 bg-black bg-opacity-10' : 'border-indigo-400 bg-white bg-opacity-80'
+    }`}>
+      <a
+        href={preview.url}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+        onClick={(e) => e.stopPropagation()}
+        className="flex-1 min-w-0 px-3 py-2 hover:opacity-90"
+      >
+        {preview.site_name && (
+          <p className={`text-xs truncate ${isOwn ? 'text-indigo-100' : 'text-gray-500'}`}>{preview.site_name}</p>
+        )}
+        {preview.title && (
+          <p className={`text-sm font-semibold line-clamp-2 ${isOwn ? 'text-white' : 'text-gray-900'}`}>
+            {preview.title}
+          </p>
+        )}
+        {preview.description && (
+          <p className={`text-xs line-clamp-2 ${isOwn ? 'text-indigo-100' : 'text-gray-600'}`}>
+            {preview.description}
+          </p>
+        )}
+      </a>
+      {preview.image_url && !imageFailed && (
+        <Image
+          src={preview.image_url}
+          alt=""
+          width={80}
+          height={80}
+          className="w-20 h-20 object-cover flex-shrink-0 self-center"
+          onError={() => setImageFailed(true)}
+          unoptimized
+        />
+      )}
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          className="p-1 self-start text-gray-400 hover:text-gray-600"
+          title="Remove preview"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+}
+
+/** Composer strip above the input while a preview loads or is ready to send. */
+export function ComposerLinkPreview({ preview, onRemove }) {
+  if (preview.isLoading) {
+    return (
+      <div className="flex items-center space-x-2 text-xs text-gray-500">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        <span>Loading link preview...</span>
+      </div>
+    );
+  }
+  if (!preview.data) return null;
+
+  return <LinkPreviewCard key={preview.url} preview={preview.data} onRemove={onRemove} />;
+}
+
+/**
+ * Card for a sent message: from its meta, or unfurled when meta has none.
+ * Images only come from previews this client unfurled itself.
+ */
+export function MessageLinkPreview({ message, isOwn }) {
+  const resolved = LINK_PREVIEWS.enabled ? resolveMessagePreview(message) : null;
+  const urlToFetch = resolved?.url ?? null;
+  const [fetched, setFetched] = useState(null); // { url, preview }
+
+  useEffect(() => {
+    if (!urlToFetch) return;
+    let cancelled = false;
+
+    fetchLinkPreview(urlToFetch)
+      .then(preview => {
+        if (!cancelled) setFetched({ url: urlToFetch, preview });
+      })
+      .catch(() => {});
+
+    return () => { cancelled = true; };
+  }, [urlToFetch]);
+
+  const preview = (fetched?.url === urlToFetch && fetched.preview) || resolved?.preview;
+  if (!preview) return null;
+
+  return (
+    <div className="mt-2">
+      <LinkPreviewCard preview={preview} isOwn={isOwn} />
+    </div>
+  );
+}
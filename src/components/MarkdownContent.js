@@ -0,0 +1,124 @@
+'use client';
+
+import { useMemo } from 'react';
+import { parseMarkdown, highlightCode } from '@/utils/markdown';
+import MentionText from './MentionText';
+
+const TOKEN_CLASSES = {
+  comment: 'text-gray-400 italic',
+  string: 'text-emerald-300',
+  number: 'text-amber-300',
+  keyword: 'text-sky-300 font-semibold',
+  plain: ''
+};
+
+const renderInline = (nodes, ctx) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'bold':
+      return <strong key={index} className="font-semibold">{renderInline(node.children, ctx)}</strong>;
+    case 'italic':
+      return <em key={index}>{renderInline(node.children, ctx)}</em>;
+    case 'strike':
+      return <del key={index}>{renderInline(node.children, ctx)}</del>;
+    case 'code':
+      return (
+        <code
+          key={index}
+          className={`px-1 py-0.5 rounded font-mono text-[0.85em] ${
+            ctx.isOwn ? 'bg-indigo-500' : 'bg-gray-200 text-gray-800'
+          }`}
+        >
+          {node.value}
+        </code>
+      );
+    case 'link':
+      return (
+        <a
+          key={index}
+          href={node.href}
+          target="_blank"
+          rel="noopener noreferrer nofollow"
+          className={`underline break-all ${ctx.isOwn ? 'text-white' : 'text-indigo-600 hover:text-indigo-800'}`}
+        >
+          {renderInline(node.children, ctx)}
+        </a>
+      );
+    default:
+      return (
+        <span key={index}>
+          <MentionText
+            text={node.value}
+            mentions={ctx.mentions}
+            currentUserId={ctx.currentUserId}
+            isOwn={ctx.isOwn}
+            highlight={ctx.highlight}
+          />
+        </span>
+      );
+  }
+});
+
+const renderBlocks = (blocks, ctx) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'code_block':
+      return (
+        <pre
+          key={index}
+          className="my-1 p-2 rounded-md bg-gray-900 text-gray-100 text-xs font-mono overflow-x-auto whitespace-pre"
+        >
+          {block.language && (
+            <span className="block mb-1 text-[10px] uppercase tracking-wide text-gray-400">{block.language}</span>
+          )}
+          <code>
+            {highlightCode(block.value, block.language).map((token, tokenIndex) => (
+              <span key={tokenIndex} className={TOKEN_CLASSES[token.type]}>{token.value}</span>
+            ))}
+          </code>
+        </pre>
+      );
+    case 'blockquote':
+      return (
+        <blockquote
+          key={index}
+          className={`my-1 pl-2 border-l-2 ${ctx.isOwn ? 'border-indigo-300 text-indigo-100' : 'border-gray-300 text-gray-600'}`}
+        >
+          {renderBlocks(block.children, ctx)}
+        </blockquote>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={index}
+          start={block.ordered ? block.start : undefined}
+          className={`my-1 pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item, ctx)}</li>
+          ))}
+        </ListTag>
+      );
+    }
+    default:
+      return (
+        <p key={index} className="whitespace-pre-wrap break-words">
+          {renderInline(block.children, ctx)}
+        </p>
+      );
+  }
+});
+
+/**
+ * Render a `text/markdown` message. Content goes through `parseMarkdown` and is
+ * built from React elements only, so it is escaped like any other text.
+ * Recorded `mentions` and find-bar matches (`highlight`) are marked in plain text runs.
+ */
+export default function MarkdownContent({ content, isOwn = false, mentions = null, currentUserId = null, highlight = '', className = '' }) {
+  const blocks = useMemo(() => parseMarkdown(content || ''), [content]);
+
+  return (
+    <div className={`text-sm space-y-1 ${className}`}>
+      {renderBlocks(blocks, { isOwn, mentions, currentUserId, highlight })}
+    </div>
+  );
+}
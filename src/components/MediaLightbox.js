@@ -0,0 +1,233 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Image from 'next/image';
+import { format } from 'date-fns';
+import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Download, Loader2, AlertCircle } from 'lucide-react';
+import { getMediaUrl, getPreviewSize, isVideoType } from '@/utils/media-previews';
+
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4];
+
+// Share of the viewport the media may fill at zoom level 1
+const VIEWPORT_FILL = { width: 0.9, height: 0.8 };
+
+const formatSentAt = (timestamp) => {
+  try {
+    return format(new Date(timestamp), 'MMM d, yyyy HH:mm');
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Full-screen viewer for the media of a conversation. Arrow keys move between
+ * items, +/- and 0 zoom images, Escape closes.
+ */
+export default function MediaLightbox({ items, startIndex = 0, getSenderName, onClose }) {
+  const [index, setIndex] = useState(startIndex);
+  const [zoomLevel, setZoomLevel] = useState(0);
+  const [mediaUrl, setMediaUrl] = useState(null);
+  const [naturalSize, setNaturalSize] = useState(null);
+  const [error, setError] = useState('');
+  const [viewport, setViewport] = useState({ width: 1024, height: 768 });
+
+  const item = items[Math.min(index, items.length - 1)];
+  const attachmentId = item?.attachment_id;
+  const itemWidth = item?.width;
+  const itemHeight = item?.height;
+  const isVideo = isVideoType(item?.file_type);
+  const zoom = ZOOM_LEVELS[zoomLevel];
+
+  const showItem = useCallback((nextIndex) => {
+    if (nextIndex < 0 || nextIndex >= items.length) return;
+    setIndex(nextIndex);
+    setZoomLevel(0);
+  }, [items.length]);
+
+  const changeZoom = useCallback((step) => {
+    setZoomLevel(level => Math.min(ZOOM_LEVELS.length - 1, Math.max(0, level + step)));
+  }, []);
+
+  // Load the full-size URL of the current item
+  useEffect(() => {
+    if (!attachmentId) return;
+    let cancelled = false;
+    setMediaUrl(null);
+    setError('');
+    setNaturalSize(itemWidth && itemHeight ? { width: itemWidth, height: itemHeight } : null);
+
+    getMediaUrl(attachmentId)
+      .then(url => {
+        if (!cancelled) setMediaUrl(url);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load this file.');
+      });
+
+    return () => { cancelled = true; };
+  }, [attachmentId, itemWidth, itemHeight]);
+
+  useEffect(() => {
+    const updateViewport = () => setViewport({ width: window.innerWidth, height: window.innerHeight });
+    updateViewport();
+    window.addEventListener('resize', updateViewport);
+    return () => window.removeEventListener('resize', updateViewport);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      } else if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        showItem(index - 1);
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        showItem(index + 1);
+      } else if (!isVideo && (e.key === '+' || e.key === '=')) {
+        changeZoom(1);
+      } else if (!isVideo && e.key === '-') {
+        changeZoom(-1);
+      } else if (!isVideo && e.key === '0') {
+        setZoomLevel(0);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [index, isVideo, showItem, changeZoom, onClose]);
+
+  if (!item) return null;
+
+  const maxWidth = viewport.width * VIEWPORT_FILL.width;
+  const maxHeight = viewport.height * VIEWPORT_FILL.height;
+  const baseSize = naturalSize
+    ? getPreviewSize(naturalSize.width, naturalSize.height, maxWidth, maxHeight)
+    : { width: maxWidth, height: maxHeight };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-90 flex flex-col" onClick={onClose}>
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 text-white" onClick={(e) => e.stopPropagation()}>
+        <div className="min-w-0">
+          <p className="text-sm font-medium truncate">{item.file_name || 'Attachment'}</p>
+          <p className="text-xs text-gray-300">
+            {getSenderName ? `${getSenderName(item.sender_id)} · ` : ''}{formatSentAt(item.sent_at)}
+            {items.length > 1 && ` · ${index + 1} of ${items.length}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-1 ml-4">
+          {!isVideo && (
+            <>
+              <button
+                onClick={() => changeZoom(-1)}
+                disabled={zoomLevel === 0}
+                className="p-2 rounded hover:bg-white hover:bg-opacity-10 disabled:opacity-40"
+                title="Zoom out (-)"
+              >
+                <ZoomOut className="w-5 h-5" />
+              </button>
+              <span className="text-xs w-10 text-center">{Math.round(zoom * 100)}%</span>
+              <button
+                onClick={() => changeZoom(1)}
+                disabled={zoomLevel === ZOOM_LEVELS.length - 1}
+                className="p-2 rounded hover:bg-white hover:bg-opacity-10 disabled:opacity-40"
+                title="Zoom in (+)"
+              >
+                <ZoomIn className="w-5 h-5" />
+              </button>
+            </>
+          )}
+          {mediaUrl && (
+            <a
+              href={mediaUrl}
+              download={item.file_name || 'download'}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="p-2 rounded hover:bg-white hover:bg-opacity-10"
+              title="Download"
+            >
+              <Download className="w-5 h-5" />
+            </a>
+          )}
+          <button onClick={onClose} className="p-2 rounded hover:bg-white hover:bg-opacity-10" title="Close (Esc)">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Media */}
+      <div className="relative flex-1 min-h-0 flex">
+        {index > 0 && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              showItem(index - 1);
+            }}
+            className="absolute left-2 top-1/2 -translate-y-1/2 z-10 p-2 rounded-full bg-black bg-opacity-50 text-white hover:bg-opacity-70"
+            title="Previous (←)"
+          >
+            <ChevronLeft className="w-6 h-6" />
+          </button>
+        )}
+
+        <div className="flex-1 overflow-auto flex">
+          <div className="m-auto" onClick={(e) => e.stopPropagation()}>
+            {error ? (
+              <div className="flex items-center text-sm text-gray-300">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </div>
+            ) : !mediaUrl ? (
+              <Loader2 className="w-8 h-8 text-white animate-spin" />
+            ) : isVideo ? (
+              <video
+                key={mediaUrl}
+                src={mediaUrl}
+                controls
+                autoPlay
+                className="rounded"
+                style={{ maxWidth, maxHeight }}
+              />
+            ) : (
+              <div
+                className={`relative ${zoomLevel === 0 ? 'cursor-zoom-in' : 'cursor-zoom-out'}`}
+                style={{ width: baseSize.width * zoom, height: baseSize.height * zoom }}
+                onDoubleClick={() => setZoomLevel(level => (level === 0 ? 2 : 0))}
+              >
+                <Image
+                  src={mediaUrl}
+                  alt={item.file_name || 'Image'}
+                  fill
+                  sizes="90vw"
+                  className="object-contain select-none"
+                  draggable={false}
+                  onLoad={(e) => {
+                    const { naturalWidth, naturalHeight } = e.currentTarget;
+                    if (naturalWidth && naturalHeight) {
+                      setNaturalSize({ width: naturalWidth, height: naturalHeight });
+                    }
+                  }}
+                  onError={() => setError('Could not load this image.')}
+                  unoptimized
+                />
+              </div>
+            )}
+          </div>
+        </div>
+
+        {index < items.length - 1 && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              showItem(index + 1);
+            }}
+            className="absolute right-2 top-1/2 -translate-y-1/2 z-10 p-2 rounded-full bg-black bg-opacity-50 text-white hover:bg-opacity-70"
+            title="Next (→)"
+          >
+            <ChevronRight className="w-6 h-6" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { authHelpers } from '@/utils/api-utils';
+
+const MAX_SUGGESTIONS = 8;
+const ORG_SEARCH_MIN_LENGTH = 2;
+const ORG_SEARCH_DELAY = 250;
+
+const matchesQuery = (user, query) => {
+  const q = query.toLowerCase();
+  return (
+    user.username?.toLowerCase().startsWith(q) ||
+    user.display_name?.toLowerCase().split(/\s+/).some(part => part.startsWith(q))
+  );
+};
+
+/**
+ * Mention candidates for `query`: matching conversation participants first,
+ * then other people in the org from `authHelpers.searchUsers`.
+ * Pass a null query to disable (no suggestions, no requests).
+ */
+export function useMentionSuggestions(query, participants, currentUserId) {
+  const [orgUsers, setOrgUsers] = useState([]);
+
+  const participantMatches = useMemo(() => {
+    if (query === null) return [];
+    return participants
+      .filter(p => p.user_id !== currentUserId && matchesQuery(p, query))
+      .map(p => ({
+        user_id: p.user_id,
+        username: p.username,
+        display_name: p.display_name,
+        inConversation: true
+      }));
+  }, [query, participants, currentUserId]);
+
+  useEffect(() => {
+    if (query === null || query.length < ORG_SEARCH_MIN_LENGTH) {
+      setOrgUsers([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const users = await authHelpers.searchUsers(query, MAX_SUGGESTIONS);
+        if (!cancelled) {
+          setOrgUsers(users || []);
+        }
+      } catch (error) {
+        // Participants are still suggested; the org search is best effort
+        if (!cancelled) {
+          setOrgUsers([]);
+        }
+      }
+    }, ORG_SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [query]);
+
+  return useMemo(() => {
+    const knownIds = new Set([currentUserId, ...participantMatches.map(p => p.user_id)]);
+    const others = orgUsers
+      .filter(u => !knownIds.has(u.id))
+      .map(u => ({
+        user_id: u.id,
+        username: u.username,
+        display_name: u.display_name,
+        inConversation: false
+      }));
+    return [...participantMatches, ...others].slice(0, MAX_SUGGESTIONS);
+  }, [participantMatches, orgUsers, currentUserId]);
+}
+
+/** Autocomplete list shown above the composer while an @mention is being typed. */
+export default function MentionSuggestions({ suggestions, activeIndex, onSelect, onHover }) {
+  if (suggestions.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-full left-0 mb-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg z-30 py-1">
+      {suggestions.map((suggestion, index) => (
+        <button
+          key={suggestion.user_id}
+          type="button"
+          // Keep focus in the composer
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onSelect(suggestion)}
+          onMouseEnter={() => onHover(index)}
+          className={`w-full flex items-center px-3 py-2 text-left ${
+            index === activeIndex ? 'bg-indigo-50' : 'hover:bg-gray-50'
+          }`}
+        >
+          <div className="w-7 h-7 rounded-full bg-gray-200 flex items-center justify-center mr-2 flex-shrink-0">
+            <span className="text-xs font-medium text-gray-600">
+              {suggestion.display_name?.charAt(0)?.toUpperCase() || '?'}
+            </span>
+          </div>
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-gray-900 truncate">
+              {suggestion.display_name || suggestion.username}
+            </p>
+            <p className="text-xs text-gray-500 truncate">
+              {suggestion.username && `@${suggestion.username}`}
+              {!suggestion.inConversation && ' · not in this conversation'}
+            </p>
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+}
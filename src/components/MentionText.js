@@ -0,0 +1,48 @@
+'use client';
+
+import { splitMentions } from '@/utils/mentions';
+import { splitHighlights } from '@/utils/conversation-find';
+
+// Plain text, with occurrences of `highlight` (the find bar query) marked
+const HighlightedText = ({ text, highlight }) => {
+  if (!highlight) return text;
+
+  return splitHighlights(text, highlight).map((segment, index) => (
+    segment.match
+      ? <mark key={index} className="bg-yellow-300 text-gray-900 rounded-sm">{segment.text}</mark>
+      : <span key={index}>{segment.text}</span>
+  ));
+};
+
+/**
+ * Text with its recorded @mentions highlighted. Mentions of the current user
+ * get a stronger highlight than mentions of anyone else. `highlight` marks
+ * find-bar matches in the remaining text.
+ */
+export default function MentionText({ text, mentions, currentUserId, isOwn = false, highlight = '' }) {
+  if (!mentions?.length) {
+    return <HighlightedText text={text} highlight={highlight} />;
+  }
+
+  return splitMentions(text, mentions).map((segment, index) => {
+    if (segment.type !== 'mention') {
+      return <span key={index}><HighlightedText text={segment.value} highlight={highlight} /></span>;
+    }
+
+    const isSelf = segment.user_id === currentUserId;
+    return (
+      <span
+        key={index}
+        className={`px-0.5 rounded font-semibold ${
+          isSelf
+            ? 'bg-amber-200 text-amber-900'
+            : isOwn
+              ? 'bg-indigo-500 text-white'
+              : 'bg-indigo-100 text-indigo-700'
+        }`}
+      >
+        {segment.value}
+      </span>
+    );
+  });
+}
@@ -0,0 +1,122 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { X, Loader2, CheckCheck, Check, Clock } from 'lucide-react';
+
+const formatReceiptTime = (timestamp) => {
+  try {
+    return format(new Date(timestamp), 'MMM d, HH:mm');
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Modal listing which participants have read / received a message and when.
+ * Shows locally known receipts straight away and refreshes them via `onLoadReceipts`.
+ */
+export default function MessageInfoDialog({ message, participants, currentUserId, onLoadReceipts, onClose }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    onLoadReceipts(message.id)
+      .catch(() => {
+        if (!cancelled) setError('Could not refresh receipts; showing what is known locally.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [message.id, onLoadReceipts]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const receipts = message.receipts || {};
+  const recipients = participants.filter(p => p.user_id !== currentUserId && p.user_id !== message.sender_id);
+  const readBy = recipients
+    .filter(p => receipts[p.user_id]?.read_at)
+    .sort((a, b) => new Date(receipts[a.user_id].read_at) - new Date(receipts[b.user_id].read_at));
+  const deliveredTo = recipients.filter(p => receipts[p.user_id]?.delivered_at && !receipts[p.user_id]?.read_at);
+  const pending = recipients.filter(p => !receipts[p.user_id]?.delivered_at);
+
+  const renderSection = (title, icon, people, timeKey) => people.length > 0 && (
+    <div className="mb-4">
+      <div className="flex items-center space-x-2 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+        {icon}
+        <span>{title} ({people.length})</span>
+      </div>
+      <ul className="space-y-2">
+        {people.map(p => (
+          <li key={p.user_id} className="flex items-center justify-between">
+            <div className="flex items-center space-x-2 min-w-0">
+              <div className="w-7 h-7 rounded-full bg-gray-200 flex items-center justify-center flex-shrink-0">
+                <span className="text-xs font-medium text-gray-600">
+                  {p.display_name?.charAt(0)?.toUpperCase() || '?'}
+                </span>
+              </div>
+              <span className="text-sm text-gray-900 truncate">{p.display_name || 'Unknown User'}</span>
+            </div>
+            {timeKey && (
+              <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
+                {formatReceiptTime(receipts[p.user_id][timeKey])}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg p-6 w-full max-w-sm mx-4 max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Message info</h3>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 rounded">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-xs text-gray-500 mb-4">
+          Sent {message.sent_at ? formatReceiptTime(message.sent_at) : ''}
+        </p>
+
+        <div className="flex-1 overflow-y-auto">
+          {isLoading && (
+            <div className="flex items-center text-sm text-gray-500 mb-4">
+              <Loader2 className="w-4 h-4 animate-spin mr-2" />
+              Loading receipts...
+            </div>
+          )}
+
+          {renderSection('Read by', <CheckCheck className="w-4 h-4 text-blue-500" />, readBy, 'read_at')}
+          {renderSection('Delivered to', <CheckCheck className="w-4 h-4 text-gray-400" />, deliveredTo, 'delivered_at')}
+          {renderSection('Not delivered yet', <Clock className="w-4 h-4 text-gray-400" />, pending, null)}
+
+          {recipients.length === 0 && (
+            <div className="flex items-center text-sm text-gray-500">
+              <Check className="w-4 h-4 mr-2" />
+              No other participants.
+            </div>
+          )}
+
+          {error && <p className="text-xs text-amber-600 mt-2">{error}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
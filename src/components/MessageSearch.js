@@ -0,0 +1,254 @@
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { format } from 'date-fns';
+import { useChat } from '@/contexts/ChatContext';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  SEARCH_MIN_LENGTH,
+  EMPTY_SEARCH_FILTERS,
+  getSearchableText,
+  getSearchSnippet
+} from '@/utils/message-search';
+import { showToast } from './Toast';
+import { SlidersHorizontal, Paperclip, Loader2, WifiOff } from 'lucide-react';
+
+const SEARCH_DELAY = 300;
+
+const formatResultDate = (timestamp) => {
+  try {
+    return format(new Date(timestamp), 'MMM d, yyyy');
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Message search results for the ConversationList search box, with sender,
+ * conversation, date-range and has-attachment filters. Clicking a result opens
+ * the conversation at that message.
+ */
+export default function MessageSearch({ query, getConversationTitle }) {
+  const { user } = useAuth();
+  const { conversations, participants, searchMessages, jumpToMessage } = useChat();
+
+  const [filters, setFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isOffline, setIsOffline] = useState(false);
+  const [error, setError] = useState('');
+  const [openingId, setOpeningId] = useState(null);
+
+  // searchMessages changes with every incoming message; don't re-run the search for that
+  const searchRef = useRef(searchMessages);
+  searchRef.current = searchMessages;
+
+  const trimmedQuery = query.trim();
+  const activeFilterCount = Object.entries(filters)
+    .filter(([key, value]) => value !== EMPTY_SEARCH_FILTERS[key]).length;
+
+  // Everyone in any of the user's conversations, for the sender filter
+  const people = useMemo(() => {
+    const byId = new Map();
+    conversations.forEach(conv => (conv.participants || []).forEach(p => byId.set(p.user_id, p)));
+    Object.values(participants).forEach(list => (list || []).forEach(p => byId.set(p.user_id, p)));
+    return Array.from(byId.values())
+      .sort((a, b) => (a.display_name || '').localeCompare(b.display_name || ''));
+  }, [conversations, participants]);
+
+  useEffect(() => {
+    if (trimmedQuery.length < SEARCH_MIN_LENGTH) {
+      setResults([]);
+      setError('');
+      return;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      setIsSearching(true);
+      setError('');
+      try {
+        const response = await searchRef.current(trimmedQuery, filters);
+        if (!cancelled) {
+          setResults(response.results);
+          setIsOffline(response.isOffline);
+        }
+      } catch (error) {
+        if (!cancelled) setError('Search failed. Please try again.');
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [trimmedQuery, filters]);
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const getSenderName = (senderId) => {
+    if (senderId === user?.id) return 'You';
+    return people.find(p => p.user_id === senderId)?.display_name || 'Unknown User';
+  };
+
+  const getResultConversationTitle = (conversationId) => {
+    const conversation = conversations.find(conv => conv.id === conversationId);
+    return conversation ? getConversationTitle(conversation) : 'Conversation';
+  };
+
+  const handleOpen = async (result) => {
+    if (openingId) return;
+    setOpeningId(result.id);
+    try {
+      const found = await jumpToMessage(result.conversation_id, result.id);
+      if (!found) {
+        showToast('That message could not be loaded.', 'error', 4000);
+      }
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  const inputClass = 'w-full text-xs text-gray-700 border border-gray-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="px-4 pb-2">
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className={`flex items-center space-x-1 text-xs font-medium ${
+            activeFilterCount > 0 ? 'text-indigo-600' : 'text-gray-500 hover:text-gray-700'
+          }`}
+        >
+          <SlidersHorizontal className="w-3.5 h-3.5" />
+          <span>Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}</span>
+        </button>
+
+        {showFilters && (
+          <div className="mt-2 space-y-2 p-2 bg-gray-50 rounded-lg">
+            <select
+              value={filters.senderId}
+              onChange={(e) => updateFilter('senderId', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">From anyone</option>
+              {people.map(person => (
+                <option key={person.user_id} value={person.user_id}>
+                  {person.user_id === user?.id ? 'You' : person.display_name || person.username}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.conversationId}
+              onChange={(e) => updateFilter('conversationId', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">In any conversation</option>
+              {conversations.map(conv => (
+                <option key={conv.id} value={conv.id}>{getConversationTitle(conv)}</option>
+              ))}
+            </select>
+            <div className="flex items-center space-x-2">
+              <input
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                className={inputClass}
+                title="From date"
+              />
+              <span className="text-xs text-gray-400">to</span>
+              <input
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                className={inputClass}
+                title="To date"
+              />
+            </div>
+            <div className="flex items-center justify-between">
+              <label className="flex items-center space-x-2 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={filters.hasAttachment}
+                  onChange={(e) => updateFilter('hasAttachment', e.target.checked)}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span>Has attachment</span>
+              </label>
+              {activeFilterCount > 0 && (
+                <button
+                  onClick={() => setFilters(EMPTY_SEARCH_FILTERS)}
+                  className="text-xs text-indigo-600 hover:underline"
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {isOffline && results.length > 0 && (
+          <div className="flex items-center space-x-1 px-4 py-1 text-xs text-amber-600">
+            <WifiOff className="w-3 h-3" />
+            <span>Offline: showing matches from cached messages</span>
+          </div>
+        )}
+
+        {trimmedQuery.length < SEARCH_MIN_LENGTH ? (
+          <p className="p-4 text-center text-sm text-gray-500">
+            Type at least {SEARCH_MIN_LENGTH} characters to search messages
+          </p>
+        ) : isSearching && results.length === 0 ? (
+          <div className="flex items-center justify-center p-4 text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 animate-spin mr-2" />
+            Searching...
+          </div>
+        ) : error ? (
+          <p className="p-4 text-center text-sm text-red-600">{error}</p>
+        ) : results.length === 0 ? (
+          <p className="p-4 text-center text-sm text-gray-500">No messages found</p>
+        ) : (
+          <div className="space-y-1 px-2">
+            {results.map(result => (
+              <button
+                key={`${result.conversation_id}-${result.id}`}
+                onClick={() => handleOpen(result)}
+                disabled={!!openingId}
+                className="w-full text-left p-3 rounded-lg hover:bg-gray-50 disabled:opacity-75"
+              >
+                <div className="flex items-center justify-between text-xs text-gray-500">
+                  <span className="truncate font-medium text-gray-700">
+                    {getResultConversationTitle(result.conversation_id)}
+                  </span>
+                  <span className="ml-2 flex-shrink-0">
+                    {openingId === result.id
+                      ? <Loader2 className="w-3 h-3 animate-spin" />
+                      : formatResultDate(result.sent_at)}
+                  </span>
+                </div>
+                <p className="mt-1 text-sm text-gray-600 line-clamp-2">
+                  <span className="font-medium text-gray-900">{getSenderName(result.sender_id)}: </span>
+                  {result.content_type === 'attachment' && (
+                    <Paperclip className="inline w-3 h-3 mr-1 text-gray-400" />
+                  )}
+                  {getSearchSnippet(getSearchableText(result), trimmedQuery).map((segment, index) => (
+                    segment.match
+                      ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{segment.text}</mark>
+                      : <span key={index}>{segment.text}</span>
+                  ))}
+                </p>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
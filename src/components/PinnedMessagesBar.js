@@ -0,0 +1,69 @@
+'use client';
+
+import { useState } from 'react';
+import { Pin, List, Loader2 } from 'lucide-react';
+
+/**
+ * Bar under the ChatWindow header showing one pinned message at a time.
+ * Clicking it jumps to that message and moves on to the next (older) pin,
+ * wrapping around after the oldest. `pins` come newest first.
+ */
+export default function PinnedMessagesBar({ pins, getSnippet, getSenderName, onOpen, onShowAll }) {
+  const [index, setIndex] = useState(0);
+  const [isOpening, setIsOpening] = useState(false);
+
+  if (!pins.length) return null;
+
+  // Pins can disappear under us (unpinned elsewhere); stay in range
+  const current = Math.min(index, pins.length - 1);
+  const pin = pins[current];
+
+  const handleClick = async () => {
+    if (isOpening) return;
+    setIsOpening(true);
+    try {
+      await onOpen(pin);
+    } finally {
+      setIsOpening(false);
+      setIndex((current + 1) % pins.length);
+    }
+  };
+
+  return (
+    <div className="flex items-center border-b border-gray-200 bg-white">
+      <button
+        onClick={handleClick}
+        className="flex-1 min-w-0 flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50"
+        title={pins.length > 1 ? 'Go to pinned message (click again for the next one)' : 'Go to pinned message'}
+      >
+        {/* One segment per pin, the shown one highlighted */}
+        {pins.length > 1 && (
+          <div className="flex flex-col self-stretch space-y-0.5 w-0.5 flex-shrink-0">
+            {pins.map((p, i) => (
+              <span key={p.message_id} className={`flex-1 rounded-full ${i === current ? 'bg-indigo-600' : 'bg-indigo-200'}`} />
+            ))}
+          </div>
+        )}
+        {isOpening
+          ? <Loader2 className="w-4 h-4 text-indigo-600 animate-spin flex-shrink-0" />
+          : <Pin className="w-4 h-4 text-indigo-600 flex-shrink-0" />}
+        <div className="min-w-0 text-sm">
+          <p className="text-xs font-medium text-indigo-600">
+            {pins.length > 1 ? `Pinned message ${current + 1} of ${pins.length}` : 'Pinned message'}
+          </p>
+          <p className="text-gray-700 truncate">
+            <span className="font-medium">{getSenderName(pin.message.sender_id)}: </span>
+            {getSnippet(pin.message)}
+          </p>
+        </div>
+      </button>
+      <button
+        onClick={onShowAll}
+        className="p-2 mr-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+        title="All pinned messages"
+      >
+        <List className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+'use client';
+
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { showToast } from './Toast';
+import { Pin, PinOff, Loader2 } from 'lucide-react';
+
+const formatPinnedAt = (timestamp) => {
+  try {
+    return format(new Date(timestamp), 'MMM d, yyyy');
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Every pinned message of a conversation, newest pin first. Clicking one
+ * jumps to it in the chat; anyone in the conversation can unpin.
+ */
+export default function PinnedMessagesTab({ pins, getSnippet, getSenderName, onOpen, onUnpin }) {
+  const [busyId, setBusyId] = useState(null);
+
+  const run = async (pin, action, failureMessage) => {
+    if (busyId) return;
+    setBusyId(pin.message_id);
+    try {
+      await action(pin);
+    } catch (error) {
+      showToast(failureMessage, 'error', 4000);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (pins.length === 0) {
+    return (
+      <div className="flex-1 flex flex-col items-center justify-center p-6 text-center text-sm text-gray-500">
+        <Pin className="w-8 h-8 text-gray-300 mb-2" />
+        <p>No pinned messages yet</p>
+        <p className="text-xs text-gray-400 mt-1">Pin a message from its hover menu to keep it here</p>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="flex-1 overflow-y-auto py-2" style={{ minHeight: 0 }}>
+      {pins.map(pin => (
+        <li key={pin.message_id} className="group flex items-start px-2">
+          <button
+            onClick={() => run(pin, onOpen, 'That message could not be loaded.')}
+            disabled={!!busyId}
+            className="flex-1 min-w-0 text-left p-2 rounded-lg hover:bg-gray-50 disabled:opacity-75"
+          >
+            <p className="text-sm text-gray-700 line-clamp-2">
+              <span className="font-medium text-gray-900">{getSenderName(pin.message.sender_id)}: </span>
+              {getSnippet(pin.message)}
+            </p>
+            <p className="text-xs text-gray-500 mt-0.5">
+              Pinned by {getSenderName(pin.pinned_by)}
+              {pin.pinned_at && ` · ${formatPinnedAt(pin.pinned_at)}`}
+            </p>
+          </button>
+          <button
+            onClick={() => run(pin, onUnpin, 'Failed to unpin message. Please try again.')}
+            disabled={!!busyId}
+            className="p-1.5 mt-2 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100 opacity-0 group-hover:opacity-100 focus:opacity-100"
+            title="Unpin"
+          >
+            {busyId === pin.message_id
+              ? <Loader2 className="w-4 h-4 animate-spin" />
+              : <PinOff className="w-4 h-4" />}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,90 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { addHours } from 'date-fns';
+import {
+  validateSendAt,
+  toDateTimeInputValue,
+  getSchedulePresets,
+  getLocalTimeZone
+} from '@/utils/scheduled-messages';
+import { CalendarClock } from 'lucide-react';
+
+/**
+ * Popover above the composer's schedule button: quick picks plus a custom
+ * date and time, all in the browser's local time zone.
+ */
+export default function ScheduleMessageMenu({ onSchedule, onClose, className = '' }) {
+  const [customValue, setCustomValue] = useState(() => toDateTimeInputValue(addHours(new Date(), 1)));
+  const [error, setError] = useState('');
+  const menuRef = useRef(null);
+  const presets = getSchedulePresets();
+  const timeZone = getLocalTimeZone();
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const schedule = (date) => {
+    const problem = validateSendAt(date);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onSchedule(date);
+  };
+
+  return (
+    <div ref={menuRef} className={`z-20 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-2 ${className}`}>
+      <p className="px-2 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500">Send later</p>
+      {presets.map(preset => (
+        <button
+          key={preset.label}
+          onClick={() => schedule(preset.date)}
+          className="w-full text-left px-2 py-1.5 text-sm text-gray-700 rounded hover:bg-gray-100"
+        >
+          {preset.label}
+        </button>
+      ))}
+
+      <div className="mt-2 pt-2 border-t border-gray-100 px-2 space-y-2">
+        <input
+          type="datetime-local"
+          value={customValue}
+          min={toDateTimeInputValue(new Date())}
+          onChange={(e) => {
+            setCustomValue(e.target.value);
+            setError('');
+          }}
+          className="w-full text-sm text-gray-700 border border-gray-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        <button
+          onClick={() => schedule(customValue && new Date(customValue))}
+          className="w-full flex items-center justify-center space-x-1 px-3 py-1.5 text-sm text-white bg-indigo-600 rounded hover:bg-indigo-700"
+        >
+          <CalendarClock className="w-4 h-4" />
+          <span>Schedule</span>
+        </button>
+        {timeZone && <p className="text-xs text-gray-400">Times are in your time zone ({timeZone})</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import {
+  SCHEDULE_STATUS,
+  validateSendAt,
+  toDateTimeInputValue,
+  formatSendAt,
+  getLocalTimeZone
+} from '@/utils/scheduled-messages';
+import { X, Pencil, Trash2, CalendarClock, AlertCircle, WifiOff } from 'lucide-react';
+
+/**
+ * Modal listing a conversation's scheduled messages, soonest first, with
+ * inline editing of text and send time, and cancel.
+ */
+export default function ScheduledMessagesDialog({ scheduledMessages, onSave, onCancelMessage, onClose }) {
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [editTime, setEditTime] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // The last one was sent or cancelled
+  useEffect(() => {
+    if (scheduledMessages.length === 0) onClose();
+  }, [scheduledMessages.length, onClose]);
+
+  const startEditing = (entry) => {
+    setEditingId(entry.local_id);
+    setEditText(entry.content);
+    setEditTime(toDateTimeInputValue(new Date(entry.send_at)));
+    setError('');
+  };
+
+  const saveEdit = () => {
+    const content = editText.trim();
+    const sendAt = editTime && new Date(editTime);
+    const problem = !content ? 'Message cannot be empty' : validateSendAt(sendAt);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onSave(editingId, { content, sendAt });
+    setEditingId(null);
+  };
+
+  const timeZone = getLocalTimeZone();
+  const now = Date.now();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg p-6 w-full max-w-md mx-4 max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Scheduled messages</h3>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 rounded">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        {timeZone && <p className="text-xs text-gray-500 mb-4">Times are in your time zone ({timeZone})</p>}
+
+        <ul className="flex-1 overflow-y-auto space-y-3">
+          {scheduledMessages.map(entry => {
+            const isFailed = entry.status === SCHEDULE_STATUS.FAILED;
+            const isWaiting = !isFailed && new Date(entry.send_at).getTime() <= now;
+
+            if (entry.local_id === editingId) {
+              return (
+                <li key={entry.local_id} className="p-3 border border-indigo-200 rounded-lg space-y-2">
+                  <textarea
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    rows={3}
+                    autoFocus
+                    className="w-full text-sm text-gray-900 border border-gray-200 rounded px-2 py-1 resize-none focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <input
+                    type="datetime-local"
+                    value={editTime}
+                    min={toDateTimeInputValue(new Date())}
+                    onChange={(e) => setEditTime(e.target.value)}
+                    className="w-full text-sm text-gray-700 border border-gray-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  {error && <p className="text-xs text-red-600">{error}</p>}
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className="px-3 py-1 text-sm text-gray-600 rounded hover:bg-gray-100"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={saveEdit}
+                      className="px-3 py-1 text-sm text-white bg-indigo-600 rounded hover:bg-indigo-700"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </li>
+              );
+            }
+
+            return (
+              <li key={entry.local_id} className="group p-3 border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between text-xs">
+                  <span className={`flex items-center space-x-1 ${isFailed ? 'text-red-600' : 'text-indigo-600'}`}>
+                    {isFailed ? <AlertCircle className="w-3.5 h-3.5" /> : isWaiting ? <WifiOff className="w-3.5 h-3.5" /> : <CalendarClock className="w-3.5 h-3.5" />}
+                    <span>
+                      {isFailed
+                        ? `Not sent: ${entry.error || 'rejected by the server'}`
+                        : isWaiting
+                          ? 'Waiting for connection'
+                          : formatSendAt(entry.send_at)}
+                    </span>
+                  </span>
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => startEditing(entry)}
+                      className="p-1 text-gray-400 hover:text-gray-600 rounded hover:bg-gray-100"
+                      title={isFailed ? 'Edit and reschedule' : 'Edit'}
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => onCancelMessage(entry.local_id)}
+                      className="p-1 text-gray-400 hover:text-red-500 rounded hover:bg-gray-100"
+                      title="Cancel scheduled message"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <p className="mt-1 text-sm text-gray-800 whitespace-pre-wrap break-words line-clamp-4">{entry.content}</p>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useChat } from '@/contexts/ChatContext';
+import { useAuth } from '@/contexts/AuthContext';
+import { buildReplyMeta } from '@/utils/message-utils';
+import { getTextContentType } from '@/utils/markdown';
+import { Send, X, Loader2, MessageSquare } from 'lucide-react';
+
+/**
+ * Side panel listing every reply to a root message, with its own composer.
+ * Messages are drawn with the parent ChatWindow's `renderMessage` so replies
+ * look the same in the panel as in the main timeline.
+ */
+export default function ThreadPanel({ conversationId, rootMessage, renderMessage, onClose }) {
+  const { user } = useAuth();
+  const { loadThreadReplies, getThreadReplies, sendMessage } = useChat();
+
+  const [replyText, setReplyText] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+  const repliesEndRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const replies = getThreadReplies(conversationId, rootMessage.id);
+
+  // Fetch the full thread whenever a different root is opened
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchReplies = async () => {
+      setIsLoading(true);
+      setError('');
+      try {
+        await loadThreadReplies(conversationId, rootMessage.id);
+      } catch (error) {
+        if (!cancelled) {
+          setError('Could not load the full thread.');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchReplies();
+    inputRef.current?.focus();
+
+    return () => { cancelled = true; };
+  }, [conversationId, rootMessage.id, loadThreadReplies]);
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replies.length]);
+
+  const handleSendReply = async () => {
+    const content = replyText.trim();
+    if (!content || isSending) return;
+
+    setReplyText('');
+    setIsSending(true);
+    try {
+      // Failed replies stay in the thread as outbox entries with retry / discard
+      await sendMessage(conversationId, content, getTextContentType(content), buildReplyMeta(rootMessage));
+    } finally {
+      setIsSending(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSendReply();
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  const threadOptions = { inThread: true, threadRootId: rootMessage.id };
+
+  return (
+    <div className="w-80 flex-shrink-0 h-full flex flex-col border-l border-gray-200 bg-white">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div className="flex items-center space-x-2">
+          <MessageSquare className="w-5 h-5 text-indigo-600" />
+          <h3 className="font-semibold text-gray-900">Thread</h3>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Root message + replies */}
+      <div className="flex-1 overflow-y-auto p-4" style={{ minHeight: 0 }}>
+        {renderMessage(rootMessage, rootMessage.sender_id === user?.id, true, threadOptions)}
+
+        <div className="flex items-center my-3">
+          <div className="flex-1 border-t border-gray-200"></div>
+          <span className="px-2 text-xs text-gray-500">
+            {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+          </span>
+          <div className="flex-1 border-t border-gray-200"></div>
+        </div>
+
+        {isLoading && replies.length === 0 && (
+          <div className="flex items-center justify-center py-4 text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 animate-spin mr-2" />
+            Loading replies...
+          </div>
+        )}
+
+        {replies.map((reply, index) => {
+          const prevReply = replies[index - 1];
+          const showAvatar = !prevReply || prevReply.sender_id !== reply.sender_id;
+          return (
+            <div key={reply.id}>
+              {renderMessage(reply, reply.sender_id === user?.id, showAvatar, threadOptions)}
+            </div>
+          );
+        })}
+
+        {error && (
+          <p className="text-xs text-red-600 text-center mt-2">{error}</p>
+        )}
+
+        <div ref={repliesEndRef} />
+      </div>
+
+      {/* Composer */}
+      <div className="p-3 border-t border-gray-200">
+        <div className="flex items-end space-x-2">
+          <textarea
+            ref={inputRef}
+            value={replyText}
+            onChange={(e) => setReplyText(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Reply in thread..."
+            rows={1}
+            className="flex-1 px-3 py-2 border border-gray-200 rounded-2xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent resize-none text-sm text-gray-900 placeholder-gray-500"
+            style={{ minHeight: '36px', maxHeight: '100px' }}
+          />
+          <button
+            onClick={handleSendReply}
+            disabled={!replyText.trim() || isSending}
+            className="p-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isSending ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              <Send className="w-4 h-4" />
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
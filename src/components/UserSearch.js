@@ -1,12 +1,14 @@
 'use client';
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Image from 'next/image';
 import { Search, User, MessageCircle, X } from 'lucide-react';
 import { authHelpers } from '@/utils/api-utils';
 import { useAuth } from '@/contexts/AuthContext';
 import { useChat } from '@/contexts/ChatContext';
 
+const USER_SEARCH_DELAY = 300;
+
 const PRESENCE_STATUS = {
   online: { color: 'bg-green-500', label: 'Online' },
   away: { color: 'bg-yellow-500', label: 'Away' },
@@ -14,72 +16,85 @@ const PRESENCE_STATUS = {
   offline: { color: 'bg-gray-400', label: 'Offline' }
 };
 
-export default function UserSearch({ onClose, onUserSelect }) {
+/**
+ * Debounced people search by @username or name (at least 2 characters),
+ * without the current user. Shared by UserSearch and the forward picker.
+ */
+export function useUserSearch(query) {
   const { user: currentUser } = useAuth();
-  const { createConversation, getUserPresence } = useChat();
-  
-  const [query, setQuery] = useState('');
+
   const [results, setResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
-  const searchInputRef = useRef(null);
 
-  // Focus search input when component mounts
   useEffect(() => {
-    if (searchInputRef.current) {
-      searchInputRef.current.focus();
+    // Remove @ prefix if present
+    const cleanQuery = query.trim().replace(/^@/, '');
+    if (cleanQuery.length < 2) {
+      setResults([]);
+      setError('');
+      setIsLoading(false);
+      return;
     }
-  }, []);
 
-  const handleSearch = useCallback(async (searchQuery) => {
-    setIsLoading(true);
-    setError('');
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      setIsLoading(true);
+      setError('');
 
-    try {
-      // Remove @ prefix if present
-      const cleanQuery = searchQuery.startsWith('@') ? searchQuery.slice(1) : searchQuery;
-      
-      if (cleanQuery.length < 2) {
-        setResults([]);
-        return;
-      }
+      try {
+        const users = await authHelpers.searchUsers(cleanQuery, 10);
+        if (cancelled) return;
 
-      const users = await authHelpers.searchUsers(cleanQuery, 10);
-      
-      // Filter out current user from results
-      const filteredUsers = users.filter(u => u.id !== currentUser?.id);
-      
-      setResults(filteredUsers);
-      
-      if (filteredUsers.length === 0) {
-        setError('No users found matching your search');
-      }
-    } catch (error) {
-      console.error('Search error:', error);
-      setError('Failed to search users. Please try again.');
-      setResults([]);
-    } finally {
-      setIsLoading(false);
-    }
-  }, [currentUser?.id]);
+        // Filter out current user from results
+        const filteredUsers = users.filter(u => u.id !== currentUser?.id);
+        setResults(filteredUsers);
 
-  // Debounced search
-  useEffect(() => {
-    const timeoutId = setTimeout(() => {
-      if (query.trim().length >= 2) {
-        handleSearch(query.trim());
-      } else {
+        if (filteredUsers.length === 0) {
+          setError('No users found matching your search');
+        }
+      } catch (error) {
+        console.error('Search error:', error);
+        if (cancelled) return;
+        setError('Failed to search users. Please try again.');
         setResults([]);
-        setError('');
+      } finally {
+        if (!cancelled) setIsLoading(false);
       }
-    }, 300);
+    }, USER_SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [query, currentUser?.id]);
 
-    return () => clearTimeout(timeoutId);
-  }, [query, handleSearch]);
+  return { results, isLoading, error };
+}
+
+export default function UserSearch({ onClose, onUserSelect }) {
+  const { createConversation, getUserPresence } = useChat();
+  
+  const [query, setQuery] = useState('');
+  const { results, isLoading: isSearching, error: searchError } = useUserSearch(query);
+  const [isStartingChat, setIsStartingChat] = useState(false);
+  const [startError, setStartError] = useState('');
+  const searchInputRef = useRef(null);
+
+  const isLoading = isSearching || isStartingChat;
+  const error = startError || searchError;
+
+  // Focus search input when component mounts
+  useEffect(() => {
+    if (searchInputRef.current) {
+      searchInputRef.current.focus();
+    }
+  }, []);
 
   const handleStartChat = async (user) => {
     try {
-      setIsLoading(true);
+      setStartError('');
+      setIsStartingChat(true);
       
       // Create a DM conversation with the selected user
       const conversation = await createConversation(
@@ -96,9 +111,9 @@ export default function UserSearch({ onClose, onUserSelect }) {
       onClose();
     } catch (error) {
       console.error('Failed to start conversation:', error);
-      setError('Failed to start conversation. Please try again.');
+      setStartError('Failed to start conversation. Please try again.');
     } finally {
-      setIsLoading(false);
+      setIsStartingChat(false);
     }
   };
 
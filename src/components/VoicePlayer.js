@@ -0,0 +1,230 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { Play, Pause, Loader2 } from 'lucide-react';
+import { getMediaUrl } from '@/utils/media-previews';
+import { WAVEFORM_BARS, formatDuration, nextPlaybackRate } from '@/utils/voice';
+
+// Arrow keys on the waveform skip this far (seconds)
+const SEEK_STEP = 5;
+
+// Only one clip plays at a time across the message list
+let activeAudio = null;
+
+const FLAT_WAVEFORM = Array(WAVEFORM_BARS).fill(0.3);
+
+/**
+ * Inline player for audio attachments: play / pause, a waveform to scrub
+ * through and a playback-speed toggle. The media URL is only requested on
+ * first play, so a long history of voice messages costs nothing up front.
+ */
+export default function VoicePlayer({ message, isOwn }) {
+  const { attachment_id: attachmentId, duration: metaDuration, waveform } = message.meta;
+  const [url, setUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [mediaDuration, setMediaDuration] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [error, setError] = useState('');
+
+  const audioRef = useRef(null);
+  const waveformRef = useRef(null);
+  const pendingSeekRef = useRef(null); // ratio to seek to once the audio is loaded
+  const isScrubbingRef = useRef(false);
+
+  // Recorded webm clips often report an Infinity duration; prefer the one we stored
+  const duration = metaDuration || mediaDuration;
+  const bars = waveform?.length ? waveform : FLAT_WAVEFORM;
+  const progress = duration > 0 ? Math.min(1, currentTime / duration) : 0;
+
+  const loadAndPlay = async (seekRatio = null) => {
+    pendingSeekRef.current = seekRatio;
+    setIsLoading(true);
+    setError('');
+    try {
+      const mediaUrl = await getMediaUrl(attachmentId);
+      if (!mediaUrl) throw new Error('No URL for this attachment');
+      setUrl(mediaUrl);
+    } catch (error) {
+      console.error('Failed to load voice message:', error);
+      setError('Could not load audio');
+      setIsLoading(false);
+    }
+  };
+
+  const togglePlay = (e) => {
+    e.stopPropagation();
+    const audio = audioRef.current;
+    if (!url) {
+      loadAndPlay();
+    } else if (audio.paused) {
+      audio.play().catch(error => console.warn('Failed to play voice message:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seekTo = (ratio) => {
+    const clamped = Math.min(1, Math.max(0, ratio));
+    const audio = audioRef.current;
+    if (!url) {
+      loadAndPlay(clamped);
+      return;
+    }
+    if (!duration) return;
+    audio.currentTime = clamped * duration;
+    setCurrentTime(clamped * duration);
+  };
+
+  const ratioFromPointer = (e) => {
+    const rect = waveformRef.current.getBoundingClientRect();
+    return (e.clientX - rect.left) / rect.width;
+  };
+
+  const handlePointerDown = (e) => {
+    e.stopPropagation();
+    isScrubbingRef.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    seekTo(ratioFromPointer(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (isScrubbingRef.current && url) seekTo(ratioFromPointer(e));
+  };
+
+  const handlePointerUp = (e) => {
+    isScrubbingRef.current = false;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!duration || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    const step = e.key === 'ArrowLeft' ? -SEEK_STEP : SEEK_STEP;
+    seekTo((currentTime + step) / duration);
+  };
+
+  const cycleRate = (e) => {
+    e.stopPropagation();
+    const rate = nextPlaybackRate(playbackRate);
+    setPlaybackRate(rate);
+    if (audioRef.current) audioRef.current.playbackRate = rate;
+  };
+
+  const handleCanPlay = () => {
+    const audio = audioRef.current;
+    if (!isLoading) return;
+    setIsLoading(false);
+    audio.playbackRate = playbackRate;
+    if (pendingSeekRef.current !== null && duration) {
+      audio.currentTime = pendingSeekRef.current * duration;
+      pendingSeekRef.current = null;
+    }
+    audio.play().catch(error => console.warn('Failed to play voice message:', error));
+  };
+
+  const handlePlay = () => {
+    if (activeAudio && activeAudio !== audioRef.current) activeAudio.pause();
+    activeAudio = audioRef.current;
+    setIsPlaying(true);
+  };
+
+  const handleEnded = () => {
+    setIsPlaying(false);
+    setCurrentTime(0);
+  };
+
+  const mutedColor = isOwn ? 'bg-white bg-opacity-40' : 'bg-gray-400';
+  const playedColor = isOwn ? 'bg-white' : 'bg-indigo-600';
+
+  return (
+    <div
+      className={`flex items-center space-x-3 p-2 rounded-lg w-72 max-w-full ${
+        isOwn ? 'bg-black bg-opacity-10' : 'bg-gray-200 bg-opacity-80'
+      }`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <button
+        onClick={togglePlay}
+        disabled={isLoading}
+        className={`w-9 h-9 flex-shrink-0 rounded-full flex items-center justify-center ${
+          isOwn ? 'bg-white text-indigo-600' : 'bg-indigo-600 text-white'
+        } disabled:opacity-75`}
+        title={isPlaying ? 'Pause' : 'Play voice message'}
+      >
+        {isLoading ? (
+          <Loader2 className="w-4 h-4 animate-spin" />
+        ) : isPlaying ? (
+          <Pause className="w-4 h-4" />
+        ) : (
+          <Play className="w-4 h-4 ml-0.5" />
+        )}
+      </button>
+
+      <div className="flex-1 min-w-0">
+        <div
+          ref={waveformRef}
+          role="slider"
+          tabIndex={0}
+          aria-label="Seek voice message"
+          aria-valuemin={0}
+          aria-valuemax={Math.round(duration)}
+          aria-valuenow={Math.round(currentTime)}
+          aria-valuetext={formatDuration(currentTime)}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onKeyDown={handleKeyDown}
+          className="flex items-center space-x-0.5 h-8 cursor-pointer touch-none focus:outline-none"
+        >
+          {bars.map((level, index) => (
+            <span
+              key={index}
+              className={`flex-1 rounded-full ${index / bars.length < progress ? playedColor : mutedColor}`}
+              style={{ height: `${Math.max(12, level * 100)}%` }}
+            />
+          ))}
+        </div>
+        <div className={`flex items-center justify-between text-xs mt-0.5 ${
+          isOwn ? 'text-white opacity-75' : 'text-gray-600'
+        }`}>
+          <span className="tabular-nums">
+            {error || formatDuration(isPlaying || currentTime > 0 ? currentTime : duration)}
+          </span>
+        </div>
+      </div>
+
+      <button
+        onClick={cycleRate}
+        className={`flex-shrink-0 px-1.5 py-0.5 rounded text-xs font-semibold tabular-nums ${
+          isOwn ? 'bg-white bg-opacity-20 text-white' : 'bg-white text-gray-700'
+        }`}
+        title="Playback speed"
+      >
+        {playbackRate}x
+      </button>
+
+      {url && (
+        <audio
+          ref={audioRef}
+          src={url}
+          preload="auto"
+          onCanPlay={handleCanPlay}
+          onLoadedMetadata={(e) => {
+            if (Number.isFinite(e.currentTarget.duration)) setMediaDuration(e.currentTarget.duration);
+          }}
+          onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+          onPlay={handlePlay}
+          onPause={() => setIsPlaying(false)}
+          onEnded={handleEnded}
+          onError={() => {
+            setError('Could not play audio');
+            setIsLoading(false);
+          }}
+          className="hidden"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { Trash2, Send, Loader2 } from 'lucide-react';
+import {
+  MAX_VOICE_DURATION,
+  pickRecordingMimeType,
+  toAttachmentType,
+  getVoiceFileName,
+  downsampleWaveform,
+  formatDuration
+} from '@/utils/voice';
+
+// How often the input level is sampled (ms)
+const SAMPLE_INTERVAL = 100;
+// Bars in the live waveform while recording
+const LIVE_BARS = 40;
+
+export const isVoiceRecordingSupported = () => (
+  typeof window !== 'undefined'
+  && typeof window.MediaRecorder !== 'undefined'
+  && !!navigator.mediaDevices?.getUserMedia
+);
+
+/**
+ * Composer bar shown while a voice message is being recorded. Recording starts
+ * on mount; Send stops it and hands the clip to `onSend` as a file object for
+ * `sendMessageWithFiles`, the bin discards it.
+ */
+export default function VoiceRecorder({ onSend, onCancel, onError }) {
+  const [isRecording, setIsRecording] = useState(false);
+  const [isFinishing, setIsFinishing] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [levels, setLevels] = useState([]);
+
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const audioContextRef = useRef(null);
+  const intervalRef = useRef(null);
+  const chunksRef = useRef([]);
+  const peaksRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const callbacksRef = useRef({ onSend, onCancel, onError });
+  callbacksRef.current = { onSend, onCancel, onError };
+
+  // Release the microphone and the level meter
+  const releaseInput = () => {
+    clearInterval(intervalRef.current);
+    intervalRef.current = null;
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    audioContextRef.current?.close().catch(() => {});
+    audioContextRef.current = null;
+  };
+
+  const stopRecording = (send) => {
+    const recorder = recorderRef.current;
+    if (!recorder || recorder.state === 'inactive') return;
+
+    const duration = (Date.now() - startedAtRef.current) / 1000;
+    recorder.onstop = send
+      ? () => {
+          const type = toAttachmentType(recorder.mimeType);
+          const file = new File(chunksRef.current, getVoiceFileName(type), { type });
+          callbacksRef.current.onSend({
+            file,
+            name: file.name,
+            type,
+            size: file.size,
+            voice: true,
+            duration: Math.round(duration * 10) / 10,
+            waveform: downsampleWaveform(peaksRef.current)
+          });
+        }
+      : null;
+    recorder.stop();
+    releaseInput();
+    setIsRecording(false);
+  };
+
+  const stopRecordingRef = useRef(stopRecording);
+  stopRecordingRef.current = stopRecording;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+
+        const mimeType = pickRecordingMimeType(type => window.MediaRecorder.isTypeSupported(type));
+        const recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        recorder.ondataavailable = (e) => {
+          if (e.data.size > 0) chunksRef.current.push(e.data);
+        };
+        recorderRef.current = recorder;
+
+        // Level meter for the waveform
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        const audioContext = new AudioContext();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 256;
+        audioContext.createMediaStreamSource(stream).connect(analyser);
+        audioContextRef.current = audioContext;
+        const samples = new Uint8Array(analyser.fftSize);
+
+        recorder.start(250);
+        startedAtRef.current = Date.now();
+        setIsRecording(true);
+
+        intervalRef.current = setInterval(() => {
+          analyser.getByteTimeDomainData(samples);
+          let peak = 0;
+          samples.forEach(value => {
+            peak = Math.max(peak, Math.abs(value - 128) / 128);
+          });
+          peaksRef.current.push(peak);
+          setLevels(prev => [...prev.slice(-(LIVE_BARS - 1)), peak]);
+
+          const seconds = (Date.now() - startedAtRef.current) / 1000;
+          setElapsed(seconds);
+          if (seconds >= MAX_VOICE_DURATION) {
+            setIsFinishing(true);
+            stopRecordingRef.current(true);
+          }
+        }, SAMPLE_INTERVAL);
+      } catch (error) {
+        console.error('Failed to start voice recording:', error);
+        releaseInput();
+        if (!cancelled) {
+          callbacksRef.current.onError(error.name === 'NotAllowedError'
+            ? 'Microphone access was denied. Allow it in your browser to record voice messages.'
+            : 'Could not start recording. Check that a microphone is connected.');
+        }
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      const recorder = recorderRef.current;
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.onstop = null;
+        recorder.stop();
+      }
+      releaseInput();
+    };
+  }, []);
+
+  const handleCancel = () => {
+    stopRecording(false);
+    onCancel();
+  };
+
+  const handleSend = () => {
+    setIsFinishing(true);
+    stopRecording(true);
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      <button
+        onClick={handleCancel}
+        disabled={isFinishing}
+        className="p-2 text-gray-400 hover:text-red-600 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+        title="Discard recording"
+      >
+        <Trash2 className="w-5 h-5" />
+      </button>
+
+      <div className="flex-1 flex items-center space-x-3 px-4 py-2 border border-gray-200 rounded-2xl" style={{ minHeight: '40px' }}>
+        <span className={`w-2.5 h-2.5 rounded-full flex-shrink-0 ${isRecording ? 'bg-red-500 animate-pulse' : 'bg-gray-300'}`} />
+        <span className="text-sm text-gray-700 tabular-nums w-10">{formatDuration(elapsed)}</span>
+        <div className="flex-1 flex items-center justify-end space-x-0.5 h-6 overflow-hidden">
+          {levels.map((level, index) => (
+            <span
+              key={index}
+              className="w-1 rounded-full bg-indigo-500 flex-shrink-0"
+              style={{ height: `${Math.max(10, Math.min(100, level * 250))}%` }}
+            />
+          ))}
+        </div>
+        {!isRecording && !isFinishing && (
+          <span className="text-xs text-gray-500">Starting microphone...</span>
+        )}
+      </div>
+
+      <button
+        onClick={handleSend}
+        disabled={!isRecording || isFinishing}
+        className="p-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        title="Send voice message"
+      >
+        {isFinishing ? <Loader2 className="w-5 h-5 animate-spin" /> : <Send className="w-5 h-5" />}
+      </button>
+    </div>
+  );
+}
@@ -1,10 +1,80 @@
 'use client';
 
-import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useAuth } from './AuthContext';
 import { chatApiEndpoints, presenceApiEndpoints, mediaApiEndpoints, apiHelpers } from '@/utils/api-list';
+import { authHelpers } from '@/utils/api-utils';
 import { devLog } from '@/utils/debug';
 import debugStorage from '@/utils/debug-storage';
+import {
+  mergeMessages,
+  getOldestMessageId,
+  getThreadRootId,
+  countThreadReplies,
+  MESSAGE_EVENTS,
+  applyMessageEdit,
+  toTombstone,
+  applyReaction,
+  REACTION_ACTIONS,
+  applyReceipt,
+  RECEIPT_STATUS,
+  isMessageDeleted,
+  buildReplyMeta
+} from '@/utils/message-utils';
+import { isMentioned } from '@/utils/mentions';
+import {
+  OUTBOX_STATUS,
+  OUTBOX_RETRY_INTERVAL,
+  createOutboxEntry,
+  toSendPayload,
+  getOutboxMessages,
+  isNetworkError
+} from '@/utils/outbox';
+import { toSearchParams, searchLocalMessages } from '@/utils/message-search';
+import { PIN_ACTIONS, createPin, sortPins, applyPinEvent } from '@/utils/pins';
+import {
+  SCHEDULE_STATUS,
+  SCHEDULER_MAX_WAIT,
+  createScheduledMessage,
+  applyScheduledEdit,
+  getScheduledForConversation,
+  getDueScheduledMessages,
+  getNextSendDelay
+} from '@/utils/scheduled-messages';
+import { createDraft, setDraft, haveDraftFilesChanged, getChangedDraftIds } from '@/utils/drafts';
+import { buildForwardedMessage, findDirectConversation, toForwardedUpload } from '@/utils/forwarding';
+import { EMPTY_EXPORT_RANGE, isInExportRange, isBeforeExportRange } from '@/utils/conversation-export';
+import { getMediaUrl, fetchAttachmentFile } from '@/utils/media-previews';
+import {
+  loadMessageCache,
+  loadCachedMessages,
+  putConversations,
+  putParticipants,
+  putMessages,
+  evictMessages,
+  takeChangedRecords,
+  clearMessageCache,
+  isMessageCacheSupported,
+  loadUploads,
+  addUpload,
+  putUpload,
+  deleteUpload,
+  loadDraftFiles as loadCachedDraftFiles,
+  putDraftFiles
+} from '@/utils/message-cache';
+import {
+  UPLOAD_STATUS,
+  UPLOAD_RETRY_INTERVAL,
+  createUploadEntry,
+  getNextPartNumber,
+  getPartRange,
+  mergeUploadedParts,
+  toRestoredUpload
+} from '@/utils/uploads';
+import { toAttachmentItem, mergeAttachmentItems } from '@/utils/attachments';
+
+// Writes to the IndexedDB cache are batched after bursts of updates (ms)
+const CACHE_WRITE_DELAY = 1000;
 
 const ChatContext = createContext({});
 
@@ -17,7 +87,7 @@ export const useChat = () => {
 };
 
 export const ChatProvider = ({ children }) => {
-  const { user, isAuthenticated, getMqttClient } = useAuth();
+  const { user, isAuthenticated, mqttConnected, getMqttClient } = useAuth();
   
   // Helper functions for localStorage persistence
   const getStorageKey = useCallback((key) => `orbit_chat_${user?.id}_${key}`, [user?.id]);
@@ -51,6 +121,22 @@ export const ChatProvider = ({ children }) => {
   const [conversations, setConversations] = useState([]);
   const [activeConversation, setActiveConversation] = useState(null);
   const [messages, setMessages] = useState({});
+  const [messageHistory, setMessageHistory] = useState({}); // { [convId]: { hasMore, isLoadingOlder } }
+  const [threadReplies, setThreadReplies] = useState({}); // { [rootMessageId]: reply[] }
+  const [unreadMentions, setUnreadMentions] = useState({}); // { [convId]: messageId[] }
+  const [unreadCounts, setUnreadCounts] = useState({}); // { [convId]: number }
+  const [lastReadAt, setLastReadAt] = useState({}); // { [convId]: ISO timestamp }
+  const [readMarkers, setReadMarkers] = useState({}); // { [convId]: { since, count } } captured on open
+  const [jumpTarget, setJumpTarget] = useState(null); // { conversationId, messageId } for ChatWindow to scroll to
+  const [pins, setPins] = useState({}); // { [convId]: pin[] } newest pin first, once loaded
+  const [attachmentItems, setAttachmentItems] = useState({}); // { [convId]: attachment item[] } full history, once loaded
+  const attachmentItemsRef = useRef({});
+  const [outbox, setOutbox] = useState([]); // unsent text messages, oldest first
+  const [scheduledMessages, setScheduledMessages] = useState([]); // send-later messages of every conversation
+  const [schedulerTick, setSchedulerTick] = useState(0); // re-arms the scheduler timer after each wake-up
+  const [drafts, setDrafts] = useState({}); // { [convId]: draft } unsent composer contents
+  const [remoteDraftChange, setRemoteDraftChange] = useState(null); // { conversationIds, at } from another tab
+  const [uploads, setUploads] = useState([]); // unfinished attachment uploads, oldest first
   const [participants, setParticipants] = useState({});
   const [presenceData, setPresenceData] = useState({});
   const [typingUsers, setTypingUsers] = useState({});
@@ -60,6 +146,48 @@ export const ChatProvider = ({ children }) => {
   // MQTT client
   const mqttClient = getMqttClient();
 
+  // The outbox is read while flushing, between renders, so a ref holds the
+  // current list and state mirrors it for rendering.
+  const outboxRef = useRef([]);
+  const isFlushingRef = useRef(false);
+  const updateOutbox = useCallback((updater) => {
+    outboxRef.current = updater(outboxRef.current);
+    setOutbox(outboxRef.current);
+  }, []);
+
+  // Same for scheduled messages, which the scheduler sends between renders
+  const scheduledRef = useRef([]);
+  const isSendingScheduledRef = useRef(false);
+  const updateScheduled = useCallback((updater) => {
+    scheduledRef.current = updater(scheduledRef.current);
+    setScheduledMessages(scheduledRef.current);
+  }, []);
+
+  // Drafts are compared against the last written record, and written to
+  // storage straight away so other tabs (and a closing tab) see every change
+  const draftsRef = useRef({});
+  const updateDrafts = useCallback((updater) => {
+    const next = updater(draftsRef.current);
+    if (next === draftsRef.current) return;
+    draftsRef.current = next;
+    setDrafts(next);
+    saveToStorage('drafts', next);
+  }, [saveToStorage]);
+
+  // Same for uploads, which also run between renders
+  const uploadsRef = useRef([]);
+  const isProcessingUploadsRef = useRef(false);
+  const uploadControllersRef = useRef({}); // { [localId]: AbortController } of the running upload
+  const updateUploads = useCallback((updater) => {
+    uploadsRef.current = updater(uploadsRef.current);
+    setUploads(uploadsRef.current);
+  }, []);
+
+  // Last values written to the IndexedDB cache, compared by reference so only
+  // conversations whose message list actually changed are rewritten
+  const persistedRef = useRef({ conversations: null, messages: {}, participants: {} });
+  const cacheUserIdRef = useRef(null);
+
   // Load cached data when user becomes available
   useEffect(() => {
     if (user?.id && typeof window !== 'undefined') {
@@ -69,27 +197,78 @@ export const ChatProvider = ({ children }) => {
       }
       
       // Load cached data
-      const cachedConversations = loadFromStorage('conversations', []);
       const cachedActiveConversation = loadFromStorage('activeConversation', null);
-      const cachedMessages = loadFromStorage('messages', {});
-      const cachedParticipants = loadFromStorage('participants', {});
+      const cachedMentions = loadFromStorage('unreadMentions', {});
+      const cachedUnreadCounts = loadFromStorage('unreadCounts', {});
+      const cachedLastReadAt = loadFromStorage('lastReadAt', {});
+      const cachedOutbox = loadFromStorage('outbox', []);
+      const cachedScheduled = loadFromStorage('scheduledMessages', []);
+      const cachedDrafts = loadFromStorage('drafts', {});
       
-      // Only set if we have cached data
-      if (cachedConversations.length > 0) {
-        setConversations(cachedConversations);
-      }
       if (cachedActiveConversation) {
         setActiveConversation(cachedActiveConversation);
       }
-      if (Object.keys(cachedMessages).length > 0) {
-        setMessages(cachedMessages);
-      }
-      if (Object.keys(cachedParticipants).length > 0) {
-        setParticipants(cachedParticipants);
-      }
+      setUnreadMentions(cachedMentions);
+      setUnreadCounts(cachedUnreadCounts);
+      setLastReadAt(cachedLastReadAt);
+      updateOutbox(() => cachedOutbox);
+      updateScheduled(() => cachedScheduled);
+      draftsRef.current = cachedDrafts;
+      setDrafts(cachedDrafts);
+
+      if (!isMessageCacheSupported()) return;
+      cacheUserIdRef.current = user.id;
+
+      // Snapshots written to localStorage by older versions are moved into
+      // IndexedDB below; the keys are only removed once that write succeeded
+      const legacy = {
+        conversations: loadFromStorage('conversations', []),
+        messages: loadFromStorage('messages', {}),
+        participants: loadFromStorage('participants', {})
+      };
+      const hasLegacy = legacy.conversations.length > 0 ||
+        Object.keys(legacy.messages).length > 0 ||
+        Object.keys(legacy.participants).length > 0;
+
+      let cancelled = false;
+      loadMessageCache(user.id)
+        .then((cached) => {
+          if (cancelled || !cached) return;
+
+          const cachedConversations = legacy.conversations.length > 0 ? legacy.conversations : cached.conversations;
+          const cachedMessages = { ...cached.messages, ...legacy.messages };
+          const cachedParticipants = { ...cached.participants, ...legacy.participants };
+
+          // Records just read back (or migrated below) don't need rewriting
+          persistedRef.current = {
+            conversations: cachedConversations,
+            messages: { ...cachedMessages },
+            participants: { ...cachedParticipants }
+          };
+
+          // Anything already loaded from the server is newer than the cache
+          if (cachedConversations.length > 0) {
+            setConversations(prev => (prev.length > 0 ? prev : cachedConversations));
+          }
+          setMessages(prev => ({ ...cachedMessages, ...prev }));
+          setParticipants(prev => ({ ...cachedParticipants, ...prev }));
+
+          if (!hasLegacy) return;
+          return Promise.all([
+            legacy.conversations.length > 0 && putConversations(user.id, legacy.conversations),
+            putMessages(user.id, legacy.messages),
+            putParticipants(user.id, legacy.participants)
+          ]).then(() => {
+            ['conversations', 'messages', 'participants'].forEach(key => {
+              localStorage.removeItem(getStorageKey(key));
+            });
+          });
+        })
+        .catch(error => console.warn('Failed to load message cache:', error));
 
+      return () => { cancelled = true; };
     }
-  }, [user?.id, loadFromStorage]);
+  }, [user?.id, loadFromStorage, getStorageKey, updateOutbox, updateScheduled]);
 
   // Load conversations
   const loadConversations = useCallback(async (forceRefresh = false) => {
@@ -106,6 +285,15 @@ export const ChatProvider = ({ children }) => {
         const conversationsData = await apiHelpers.getConversationsWithDetails();
         setConversations(conversationsData);
 
+        // Server-side unread counts, where provided, win over locally tracked ones
+        const serverCounts = conversationsData.filter(conv => typeof conv.unread_count === 'number');
+        if (serverCounts.length > 0) {
+          setUnreadCounts(prev => ({
+            ...prev,
+            ...Object.fromEntries(serverCounts.map(conv => [conv.id, conv.unread_count]))
+          }));
+        }
+
         // Load presence data for all participants
         const allParticipantIds = new Set();
         conversationsData.forEach(conv => {
@@ -150,9 +338,16 @@ export const ChatProvider = ({ children }) => {
       
       setMessages(prev => ({
         ...prev,
-        [conversationId]: offset === 0 ? messagesData : [...(prev[conversationId] || []), ...messagesData]
+        [conversationId]: offset === 0 ? messagesData : mergeMessages(prev[conversationId], messagesData)
       }));
 
+      if (offset === 0) {
+        setMessageHistory(prev => ({
+          ...prev,
+          [conversationId]: { isLoadingOlder: false, hasMore: messagesData.length >= limit }
+        }));
+      }
+
       return messagesData;
     } catch (error) {
       console.error('Failed to load messages:', error);
@@ -160,6 +355,196 @@ export const ChatProvider = ({ children }) => {
     }
   }, []);
 
+  // Load the page of history just before the oldest loaded message
+  const loadOlderMessages = useCallback(async (conversationId, limit = 50) => {
+    const history = messageHistory[conversationId];
+    if (history?.isLoadingOlder || history?.hasMore === false) return [];
+
+    const beforeMessageId = getOldestMessageId(messages[conversationId]);
+    if (!beforeMessageId) {
+      return loadMessages(conversationId, limit);
+    }
+
+    setMessageHistory(prev => ({
+      ...prev,
+      [conversationId]: { ...prev[conversationId], isLoadingOlder: true }
+    }));
+
+    try {
+      const olderMessages = await chatApiEndpoints.getMessages(conversationId, limit, 0, beforeMessageId);
+
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: mergeMessages(prev[conversationId], olderMessages)
+      }));
+      setMessageHistory(prev => ({
+        ...prev,
+        [conversationId]: { isLoadingOlder: false, hasMore: olderMessages.length >= limit }
+      }));
+
+      return olderMessages;
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+      setMessageHistory(prev => ({
+        ...prev,
+        [conversationId]: { ...prev[conversationId], isLoadingOlder: false }
+      }));
+      throw error;
+    }
+  }, [messages, messageHistory, loadMessages]);
+
+  // Every attachment ever shared in a conversation, for the Files & Media
+  // browser. Pages through the full history without adding it to `messages`,
+  // then fetches each attachment's record from the media service. Loaded once
+  // per conversation (unless `refresh`); getConversationAttachments keeps the
+  // result in step with loaded messages and live deliveries afterwards.
+  const loadConversationAttachments = useCallback(async (conversationId, { refresh = false } = {}) => {
+    const pageSize = 100;
+    const concurrency = 4;
+
+    if (!refresh && attachmentItemsRef.current[conversationId]) {
+      return attachmentItemsRef.current[conversationId];
+    }
+
+    try {
+      let attachmentMessages = [];
+      let beforeMessageId = null;
+      for (;;) {
+        const page = await chatApiEndpoints.getMessages(conversationId, pageSize, 0, beforeMessageId);
+        attachmentMessages = mergeMessages(attachmentMessages, page.filter(m => m.content_type === 'attachment'));
+        if (page.length < pageSize) break;
+        beforeMessageId = getOldestMessageId(page);
+      }
+
+      const items = [];
+      const queue = attachmentMessages.filter(m => m.meta?.attachment_id || m.meta?.file_name);
+      const worker = async () => {
+        let message;
+        while ((message = queue.shift())) {
+          try {
+            const records = await mediaApiEndpoints.getMessageAttachments(message.id);
+            const list = Array.isArray(records) ? records : records?.attachments || [];
+            if (list.length > 0) {
+              list.forEach(record => items.push(toAttachmentItem(message, record)));
+            } else {
+              items.push(toAttachmentItem(message));
+            }
+          } catch (error) {
+            console.warn('Failed to load attachments for message:', message.id, error);
+            items.push(toAttachmentItem(message));
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: concurrency }, worker));
+
+      const loaded = items.filter(item => item.attachment_id);
+      attachmentItemsRef.current = { ...attachmentItemsRef.current, [conversationId]: loaded };
+      setAttachmentItems(attachmentItemsRef.current);
+      return loaded;
+    } catch (error) {
+      console.error('Failed to load conversation attachments:', error);
+      throw error;
+    }
+  }, []);
+
+  // Everything needed to export a conversation: its history within `range`
+  // (paged back from the newest message, not added to `messages`), the names
+  // of participants and senders, and download links for attachments.
+  // `signal` cancels between requests; progress is reported as
+  // `onProgress({ phase: 'messages' | 'links', done, total? })`.
+  const loadConversationExport = useCallback(async (conversationId, range = EMPTY_EXPORT_RANGE, {
+    includeAttachmentLinks = true,
+    signal,
+    onProgress
+  } = {}) => {
+    const pageSize = 100;
+    const concurrency = 4;
+    const throwIfCancelled = () => {
+      if (signal?.aborted) throw new Error('Export cancelled');
+    };
+
+    try {
+      let history = [];
+      let beforeMessageId = null;
+      for (;;) {
+        throwIfCancelled();
+        const page = await chatApiEndpoints.getMessages(conversationId, pageSize, 0, beforeMessageId);
+        history = mergeMessages(history, page);
+        onProgress?.({ phase: 'messages', done: history.length });
+        if (page.length < pageSize || page.some(m => isBeforeExportRange(m, range))) break;
+        beforeMessageId = getOldestMessageId(page);
+      }
+      const exported = history.filter(m => isInExportRange(m, range));
+
+      throwIfCancelled();
+      const people = {};
+      const conversationParticipants = await chatApiEndpoints.getParticipants(conversationId);
+      conversationParticipants.forEach(p => {
+        people[p.user_id] = p.display_name || 'Unknown User';
+      });
+      // Senders who have left the conversation since
+      if (exported.some(m => !people[m.sender_id])) {
+        try {
+          const orgUsers = await authHelpers.getOrganizationUsers();
+          orgUsers.forEach(orgUser => {
+            if (!people[orgUser.id] && exported.some(m => m.sender_id === orgUser.id)) {
+              people[orgUser.id] = orgUser.display_name || 'Unknown User';
+            }
+          });
+        } catch (error) {
+          console.warn('Failed to resolve former participants for export:', error);
+        }
+      }
+
+      const attachmentUrls = {};
+      if (includeAttachmentLinks) {
+        const queue = [...new Set(exported
+          .filter(m => m.content_type === 'attachment' && !isMessageDeleted(m) && m.meta?.attachment_id)
+          .map(m => m.meta.attachment_id))];
+        const total = queue.length;
+        let done = 0;
+        const worker = async () => {
+          let attachmentId;
+          while ((attachmentId = queue.shift())) {
+            throwIfCancelled();
+            try {
+              attachmentUrls[attachmentId] = await getMediaUrl(attachmentId);
+            } catch (error) {
+              console.warn('Failed to get download link for attachment:', attachmentId, error);
+            }
+            onProgress?.({ phase: 'links', done: ++done, total });
+          }
+        };
+        await Promise.all(Array.from({ length: concurrency }, worker));
+      }
+
+      throwIfCancelled();
+      return { messages: exported, people, attachmentUrls };
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error('Failed to export conversation:', error);
+      }
+      throw error;
+    }
+  }, []);
+
+  // Load every reply in a thread
+  const loadThreadReplies = useCallback(async (conversationId, rootMessageId) => {
+    try {
+      const replies = await chatApiEndpoints.getThreadReplies(conversationId, rootMessageId);
+
+      setThreadReplies(prev => ({
+        ...prev,
+        [rootMessageId]: mergeMessages(prev[rootMessageId], replies)
+      }));
+
+      return replies;
+    } catch (error) {
+      console.error('Failed to load thread replies:', error);
+      throw error;
+    }
+  }, []);
+
   // Load participants for a conversation
   const loadParticipants = useCallback(async (conversationId) => {
     try {
@@ -184,9 +569,70 @@ export const ChatProvider = ({ children }) => {
     }
   }, []);
 
+  // Apply an update to a message wherever it is held: history, threads and list preview
+  const updateMessage = useCallback((conversationId, messageId, updater) => {
+    const updateList = (list) => list.some(msg => msg.id === messageId)
+      ? list.map(msg => (msg.id === messageId ? updater(msg) : msg))
+      : list;
+
+    setMessages(prev => (prev[conversationId]
+      ? { ...prev, [conversationId]: updateList(prev[conversationId]) }
+      : prev
+    ));
+
+    setThreadReplies(prev => Object.fromEntries(
+      Object.entries(prev).map(([rootId, replies]) => [rootId, updateList(replies)])
+    ));
+
+    setConversations(prev =>
+      prev.map(conv =>
+        conv.id === conversationId && conv.latest_message?.id === messageId
+          ? { ...conv, latest_message: updater(conv.latest_message) }
+          : conv
+      )
+    );
+  }, []);
+
+  // Publish a delivery/read receipt; best effort, receipts are never worth failing over
+  const publishReceipt = useCallback((conversationId, status, scope) => {
+    if (!mqttClient?.isConnected) return;
+    Promise.resolve(mqttClient.sendReceipt(conversationId, status, scope)).catch(error => {
+      console.warn(`Failed to send ${status} receipt:`, error);
+    });
+  }, [mqttClient]);
+
+  // Reset a conversation's unread count and tell the server (and senders) it has been read
+  const markConversationRead = useCallback(async (conversationId) => {
+    const latestSentAt = conversations.find(conv => conv.id === conversationId)?.latest_message?.sent_at;
+    publishReceipt(conversationId, RECEIPT_STATUS.READ, { up_to: latestSentAt || new Date().toISOString() });
+
+    setUnreadCounts(prev => {
+      if (!prev[conversationId]) return prev;
+      const next = { ...prev };
+      delete next[conversationId];
+      return next;
+    });
+    setLastReadAt(prev => ({ ...prev, [conversationId]: latestSentAt || new Date().toISOString() }));
+
+    return chatApiEndpoints.markAsRead(conversationId);
+  }, [conversations, publishReceipt]);
+
+  // Ids of delivered messages already counted, so duplicate MQTT deliveries aren't counted twice
+  const countedMessageIdsRef = useRef(new Set());
+
   // Handle new message from MQTT
   const handleNewMessage = useCallback((messageData, topic) => {
     const conversationId = topic.split('/')[1];
+
+    // Edits and deletions arrive on the same topic as new messages
+    if (messageData.event === MESSAGE_EVENTS.EDITED) {
+      updateMessage(conversationId, messageData.message_id, msg => applyMessageEdit(msg, messageData));
+      return;
+    }
+    if (messageData.event === MESSAGE_EVENTS.DELETED) {
+      updateMessage(conversationId, messageData.message_id, msg => toTombstone(msg, messageData.deleted_at));
+      return;
+    }
     
     // Ensure is_read is set for proper read receipt display
     // Own messages: mark as not read initially (will be updated after backend processes)
@@ -197,7 +643,12 @@ export const ChatProvider = ({ children }) => {
     };
     
     setMessages(prev => {
-      const existingMessages = prev[conversationId] || [];
+      // Conversations that were never loaded only get their preview and unread
+      // count; a one-message list would stop selectConversation from loading them
+      const existingMessages = prev[conversationId];
+      if (!existingMessages) {
+        return prev;
+      }
       
       const messageExists = existingMessages.some(msg => msg.id === enrichedMessage.id);
       
@@ -220,21 +671,95 @@ export const ChatProvider = ({ children }) => {
       )
     );
 
-    if (conversationId === activeConversation && enrichedMessage.sender_id !== user?.id) {
-      // Refresh messages in background to update read status
-      setTimeout(async () => {
-        try {
-          const freshMessages = await chatApiEndpoints.getMessages(conversationId, 50, 0);
-          setMessages(prev => ({
-            ...prev,
-            [conversationId]: freshMessages
-          }));
-        } catch (error) {
-          console.warn('Failed to refresh messages after MQTT delivery:', error);
-        }
-      }, 1000);
+    // Count messages from others as unread unless the conversation is open and visible
+    if (enrichedMessage.sender_id !== user?.id && !countedMessageIdsRef.current.has(enrichedMessage.id)) {
+      countedMessageIdsRef.current.add(enrichedMessage.id);
+      publishReceipt(conversationId, RECEIPT_STATUS.DELIVERED, { message_id: enrichedMessage.id });
+
+      const isViewing = conversationId === activeConversation && document.visibilityState === 'visible';
+      if (isViewing) {
+        setLastReadAt(prev => ({ ...prev, [conversationId]: enrichedMessage.sent_at || new Date().toISOString() }));
+        publishReceipt(conversationId, RECEIPT_STATUS.READ, { message_id: enrichedMessage.id });
+        chatApiEndpoints.markAsRead(conversationId).catch(error => {
+          console.warn('Failed to mark conversation as read:', error);
+        });
+      } else {
+        setUnreadCounts(prev => ({ ...prev, [conversationId]: (prev[conversationId] || 0) + 1 }));
+      }
     }
-  }, [user, activeConversation]);
+
+    // Remember mentions of the current user in conversations they aren't looking at
+    if (conversationId !== activeConversation
+      && enrichedMessage.sender_id !== user?.id
+      && isMentioned(enrichedMessage, user?.id)) {
+      setUnreadMentions(prev => {
+        const ids = prev[conversationId] || [];
+        if (ids.includes(enrichedMessage.id)) return prev;
+        return { ...prev, [conversationId]: [...ids, enrichedMessage.id] };
+      });
+    }
+  }, [user, activeConversation, updateMessage, publishReceipt]);
+
+  // MQTT handlers are stored per topic when subscribing; route through a ref so
+  // background subscriptions always reach the current handleNewMessage.
+  const handleNewMessageRef = useRef(handleNewMessage);
+  useEffect(() => {
+    handleNewMessageRef.current = handleNewMessage;
+  }, [handleNewMessage]);
+
+  const routeNewMessage = useCallback((messageData, topic) => {
+    handleNewMessageRef.current(messageData, topic);
+  }, []);
+
+  // Handle reaction added/removed events from MQTT
+  const handleReactionEvent = useCallback((reactionData, topic) => {
+    const conversationId = topic.split('/')[1];
+    updateMessage(conversationId, reactionData.message_id, msg => applyReaction(msg, reactionData));
+  }, [updateMessage]);
+
+  // Handle pinned/unpinned events from MQTT. Conversations whose pins were
+  // never loaded are skipped; they fetch the full list when opened.
+  const handlePinEvent = useCallback((pinData, topic) => {
+    const conversationId = topic.split('/')[1];
+    setPins(prev => {
+      if (!prev[conversationId]) return prev;
+      const updated = applyPinEvent(prev[conversationId], pinData);
+      return updated === prev[conversationId] ? prev : { ...prev, [conversationId]: updated };
+    });
+  }, []);
+
+  // Handle delivery/read receipts from MQTT. Receipts only touch the
+  // messages they cover, so there is no need to re-fetch to update status.
+  const handleReceiptEvent = useCallback((receipt, topic) => {
+    const conversationId = topic.split('/')[1];
+    if (!receipt?.user_id) return;
+
+    const applyToList = (list) => {
+      if (!list) return list;
+      let changed = false;
+      const next = list.map(msg => {
+        const updated = applyReceipt(msg, receipt, user?.id);
+        if (updated !== msg) changed = true;
+        return updated;
+      });
+      return changed ? next : list;
+    };
+
+    setMessages(prev => {
+      const updated = applyToList(prev[conversationId]);
+      return updated === prev[conversationId] ? prev : { ...prev, [conversationId]: updated };
+    });
+
+    setThreadReplies(prev => {
+      let changed = false;
+      const next = Object.fromEntries(Object.entries(prev).map(([rootId, replies]) => {
+        const updated = applyToList(replies);
+        if (updated !== replies) changed = true;
+        return [rootId, updated];
+      }));
+      return changed ? next : prev;
+    });
+  }, [user?.id]);
 
   // Handle typing indicator from MQTT
   const handleTypingIndicator = useCallback((typingData, topic) => {
@@ -283,10 +808,33 @@ export const ChatProvider = ({ children }) => {
     }));
   }, []);
 
+  // Fetch a conversation's pinned messages
+  const loadPinnedMessages = useCallback(async (conversationId) => {
+    try {
+      const conversationPins = sortPins(await chatApiEndpoints.getPinnedMessages(conversationId));
+      setPins(prev => ({ ...prev, [conversationId]: conversationPins }));
+      return conversationPins;
+    } catch (error) {
+      console.error('Failed to load pinned messages:', error);
+      throw error;
+    }
+  }, []);
+
   // Select active conversation
   const selectConversation = useCallback(async (conversationId) => {
     try {
       setActiveConversation(conversationId);
+      // Remember where reading left off so ChatWindow can draw the "new messages" divider
+      setReadMarkers(prev => ({
+        ...prev,
+        [conversationId]: { since: lastReadAt[conversationId] || null, count: unreadCounts[conversationId] || 0 }
+      }));
+      setUnreadMentions(prev => {
+        if (!prev[conversationId]) return prev;
+        const next = { ...prev };
+        delete next[conversationId];
+        return next;
+      });
       
       // Load messages and participants if not already loaded
       if (!messages[conversationId] || messages[conversationId].length === 0) {
@@ -297,28 +845,35 @@ export const ChatProvider = ({ children }) => {
         await loadParticipants(conversationId);
       }
 
+      if (!pins[conversationId]) {
+        loadPinnedMessages(conversationId).catch(() => {});
+      }
+
       // Subscribe to MQTT topics for this conversation
       if (mqttClient && mqttClient.isConnected) {
-        await mqttClient.subscribeToConversation(conversationId, handleNewMessage);
+        await mqttClient.subscribeToConversation(conversationId, routeNewMessage);
         await mqttClient.subscribeToTyping(conversationId, handleTypingIndicator);
+        await mqttClient.subscribeToReactions(conversationId, handleReactionEvent);
+        await mqttClient.subscribeToPins(conversationId, handlePinEvent);
+        await mqttClient.subscribeToReceipts(conversationId, handleReceiptEvent);
       }
 
       // Mark conversation as read
       try {
-        await chatApiEndpoints.markAsRead(conversationId);
+        await markConversationRead(conversationId);
         
-        // Only refresh messages if we need to update read status and we have messages
+        // Cached messages may be stale - refresh once in the background to pick up
+        // anything missed while away. Live status changes arrive as receipts.
         if (messages[conversationId] && messages[conversationId].length > 0) {
-          // Refresh in background to update read status without overwriting cached messages
           setTimeout(async () => {
             try {
               const freshMessages = await chatApiEndpoints.getMessages(conversationId, 50, 0);
               setMessages(prev => ({
                 ...prev,
-                [conversationId]: freshMessages
+                [conversationId]: mergeMessages(prev[conversationId], freshMessages)
               }));
             } catch (error) {
-              console.warn('Failed to refresh message read status:', error);
+              console.warn('Failed to refresh cached messages:', error);
             }
           }, 500);
         }
@@ -330,122 +885,498 @@ export const ChatProvider = ({ children }) => {
       console.error('Failed to select conversation:', error);
       setError(error.message);
     }
-  }, [messages, participants, mqttClient, loadMessages, loadParticipants, handleNewMessage, handleTypingIndicator]);
+  }, [
+    messages, participants, pins, unreadCounts, lastReadAt, mqttClient,
+    loadMessages, loadParticipants, loadPinnedMessages, markConversationRead, routeNewMessage, handleTypingIndicator,
+    handleReactionEvent, handlePinEvent, handleReceiptEvent
+  ]);
 
-  // Send message
-  const sendMessage = useCallback(async (conversationId, content, contentType = 'text/plain') => {
+  // Post a queued (outbox or scheduled) entry and merge the sent message into
+  // state. Throws on failure; callers update their own queue.
+  const deliverQueuedMessage = useCallback(async (entry) => {
+    const conversationId = entry.conversation_id;
+    const newMessage = await chatApiEndpoints.sendMessage(conversationId, toSendPayload(entry));
+
+    if (newMessage?.id) {
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: mergeMessages(prev[conversationId], [newMessage])
+      }));
+    }
+
+    // Update conversation's latest message
+    setConversations(prev => 
+      prev.map(conv => 
+        conv.id === conversationId 
+          ? { ...conv, latest_message: newMessage }
+          : conv
+      )
+    );
+
+    return newMessage;
+  }, []);
+
+  // Deliver one outbox entry. Network failures leave it pending for the next
+  // flush; server rejections mark it failed until the user retries or discards.
+  const sendOutboxEntry = useCallback(async (entry) => {
     try {
-      const messageData = {
-        content_type: contentType,
-        content,
-        dedupe_key: `msg-${Date.now()}-${Math.random()}`
-      };
+      const newMessage = await deliverQueuedMessage(entry);
+      updateOutbox(prev => prev.filter(e => e.local_id !== entry.local_id));
+      return { status: 'sent', message: newMessage };
+    } catch (error) {
+      const status = isNetworkError(error) ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED;
+      if (status === OUTBOX_STATUS.FAILED) {
+        console.error('Failed to send message:', error);
+      }
+      updateOutbox(prev => prev.map(e => (
+        e.local_id === entry.local_id
+          ? { ...e, status, error: error.message, attempts: e.attempts + 1 }
+          : e
+      )));
+      return { status, error };
+    }
+  }, [deliverQueuedMessage, updateOutbox]);
 
-      const newMessage = await chatApiEndpoints.sendMessage(conversationId, messageData);
-      
+  // Send pending outbox entries in order. Stops at the first network failure
+  // so later messages never overtake earlier ones.
+  const flushOutbox = useCallback(async () => {
+    if (isFlushingRef.current) return;
+    isFlushingRef.current = true;
 
-      // Update conversation's latest message
-      setConversations(prev => 
-        prev.map(conv => 
-          conv.id === conversationId 
-            ? { ...conv, latest_message: newMessage }
-            : conv
-        )
-      );
+    try {
+      const attempted = new Set();
+      let entry;
+      while ((entry = outboxRef.current.find(e => e.status === OUTBOX_STATUS.PENDING && !attempted.has(e.local_id)))) {
+        attempted.add(entry.local_id);
+        const result = await sendOutboxEntry(entry);
+        if (result.status === OUTBOX_STATUS.PENDING) break;
+      }
+    } finally {
+      isFlushingRef.current = false;
+    }
+  }, [sendOutboxEntry]);
+
+  // Send message. The message is queued in the outbox and shown immediately;
+  // resolves once this send attempt has finished, whatever its outcome. Never
+  // throws: a failed send stays in the outbox, shown with retry / discard.
+  const sendMessage = useCallback(async (conversationId, content, contentType = 'text/plain', meta = null) => {
+    const entry = createOutboxEntry({ conversationId, senderId: user?.id, content, contentType, meta });
+    updateOutbox(prev => [...prev, entry]);
+
+    // A flush already in progress picks the new entry up itself
+    await flushOutbox();
+    return entry;
+  }, [user?.id, updateOutbox, flushOutbox]);
+
+  // Try a failed (or still pending) outbox message again
+  const retryOutboxMessage = useCallback(async (localId) => {
+    updateOutbox(prev => prev.map(e => (
+      e.local_id === localId ? { ...e, status: OUTBOX_STATUS.PENDING, error: null } : e
+    )));
+    await flushOutbox();
+  }, [updateOutbox, flushOutbox]);
+
+  // Drop an unsent message from the outbox
+  const discardOutboxMessage = useCallback((localId) => {
+    updateOutbox(prev => prev.filter(e => e.local_id !== localId));
+  }, [updateOutbox]);
+
+  // Schedule a text message to be sent at `sendAt`
+  const scheduleMessage = useCallback((conversationId, content, contentType = 'text/plain', meta = null, sendAt) => {
+    const entry = createScheduledMessage({ conversationId, senderId: user?.id, content, contentType, meta, sendAt });
+    updateScheduled(prev => [...prev, entry]);
+    return entry;
+  }, [user?.id, updateScheduled]);
+
+  // Change the text and/or time of a scheduled message
+  const updateScheduledMessage = useCallback((localId, changes) => {
+    updateScheduled(prev => prev.map(e => (e.local_id === localId ? applyScheduledEdit(e, changes) : e)));
+  }, [updateScheduled]);
+
+  const cancelScheduledMessage = useCallback((localId) => {
+    updateScheduled(prev => prev.filter(e => e.local_id !== localId));
+  }, [updateScheduled]);
+
+  // Send every scheduled message that is due, soonest first. Network failures
+  // leave the rest for the next attempt. Every open tab runs the scheduler, so
+  // sending happens under a cross-tab lock, and only entries still in storage
+  // (not sent or cancelled by another tab meanwhile) are sent.
+  const sendDueScheduledMessages = useCallback(async () => {
+    if (isSendingScheduledRef.current) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+    isSendingScheduledRef.current = true;
+
+    const sendDue = async () => {
+      const storedIds = new Set(loadFromStorage('scheduledMessages', []).map(e => e.local_id));
+      const attempted = new Set();
+      let entry;
+      while ((entry = getDueScheduledMessages(scheduledRef.current)
+        .find(e => storedIds.has(e.local_id) && !attempted.has(e.local_id)))) {
+        attempted.add(entry.local_id);
+        const sending = entry;
+        try {
+          await deliverQueuedMessage(sending);
+          updateScheduled(prev => prev.filter(e => e.local_id !== sending.local_id));
+        } catch (error) {
+          if (isNetworkError(error)) {
+            updateScheduled(prev => prev.map(e => (
+              e.local_id === sending.local_id ? { ...e, error: error.message, attempts: e.attempts + 1 } : e
+            )));
+            break;
+          }
+          console.error('Failed to send scheduled message:', error);
+          updateScheduled(prev => prev.map(e => (
+            e.local_id === sending.local_id
+              ? { ...e, status: SCHEDULE_STATUS.FAILED, error: error.message, attempts: e.attempts + 1 }
+              : e
+          )));
+        }
+      }
+    };
 
-      return newMessage;
+    try {
+      if (typeof navigator !== 'undefined' && navigator.locks) {
+        // Another tab holding the lock is already sending; it covers this tab's entries too
+        await navigator.locks.request(getStorageKey('scheduledSender'), { ifAvailable: true }, async (lock) => {
+          if (lock) await sendDue();
+        });
+      } else {
+        await sendDue();
+      }
+    } finally {
+      isSendingScheduledRef.current = false;
+    }
+  }, [deliverQueuedMessage, updateScheduled, loadFromStorage, getStorageKey]);
+
+  // Save the composer contents `{ text, replyTo, mentions, files }` as the
+  // conversation's draft; an empty composer removes it
+  const saveDraft = useCallback((conversationId, composer) => {
+    if (!conversationId) return;
+
+    const draft = createDraft(composer);
+    if (user?.id && haveDraftFilesChanged(draftsRef.current[conversationId], draft)) {
+      const files = draft ? composer.files.map(({ id, file }) => ({ id, file })) : [];
+      putDraftFiles(user.id, conversationId, files).catch(error => console.warn('Failed to save draft files:', error));
+    }
+    updateDrafts(prev => setDraft(prev, conversationId, draft));
+  }, [user?.id, updateDrafts]);
+
+  // Files attached to a conversation's draft, `[{ id, file }]`
+  const loadDraftFiles = useCallback(async (conversationId) => {
+    if (!user?.id) return [];
+    try {
+      return await loadCachedDraftFiles(user.id, conversationId);
     } catch (error) {
-      console.error('Failed to send message:', error);
+      console.warn('Failed to load draft files:', error);
+      return [];
+    }
+  }, [user?.id]);
+
+  // Edit the text of an own message
+  const editMessage = useCallback(async (conversationId, messageId, content, contentType = null, meta = null) => {
+    try {
+      const edit = { content, meta, ...(contentType && { content_type: contentType }) };
+      const updated = await chatApiEndpoints.editMessage(conversationId, messageId, edit);
+      updateMessage(conversationId, messageId, msg => applyMessageEdit(msg, { ...edit, ...updated }));
+      return updated;
+    } catch (error) {
+      console.error('Failed to edit message:', error);
       throw error;
     }
-  }, []);
+  }, [updateMessage]);
+
+  // Delete an own message, leaving a tombstone in its place
+  const deleteMessage = useCallback(async (conversationId, messageId) => {
+    try {
+      const result = await chatApiEndpoints.deleteMessage(conversationId, messageId);
+      updateMessage(conversationId, messageId, msg => toTombstone(msg, result?.deleted_at));
+      return result;
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      throw error;
+    }
+  }, [updateMessage]);
+
+  // Fetch the full receipt list for a message (message info dialog)
+  const loadMessageReceipts = useCallback(async (conversationId, messageId) => {
+    try {
+      const receipts = await chatApiEndpoints.getMessageReceipts(conversationId, messageId);
+      const byUser = Object.fromEntries(receipts.map(r => [
+        r.user_id,
+        { delivered_at: r.delivered_at || r.read_at || null, read_at: r.read_at || null }
+      ]));
+      updateMessage(conversationId, messageId, msg => ({ ...msg, receipts: { ...msg.receipts, ...byUser } }));
+      return receipts;
+    } catch (error) {
+      console.error('Failed to load message receipts:', error);
+      throw error;
+    }
+  }, [updateMessage]);
+
+  // Add or remove the current user's reaction. Applied locally first and
+  // rolled back if the server rejects it.
+  const toggleReaction = useCallback(async (conversationId, message, emoji) => {
+    if (!user?.id) return;
+
+    const hasReacted = (message.reactions || []).some(r => r.emoji === emoji && r.user_id === user.id);
+    const action = hasReacted ? REACTION_ACTIONS.REMOVED : REACTION_ACTIONS.ADDED;
+    const undoAction = hasReacted ? REACTION_ACTIONS.ADDED : REACTION_ACTIONS.REMOVED;
+
+    updateMessage(conversationId, message.id, msg => applyReaction(msg, { emoji, user_id: user.id, action }));
+
+    try {
+      if (hasReacted) {
+        await chatApiEndpoints.removeReaction(conversationId, message.id, emoji);
+      } else {
+        await chatApiEndpoints.addReaction(conversationId, message.id, emoji);
+      }
+    } catch (error) {
+      console.error('Failed to update reaction:', error);
+      updateMessage(conversationId, message.id, msg => applyReaction(msg, { emoji, user_id: user.id, action: undoAction }));
+      throw error;
+    }
+  }, [user, updateMessage]);
+
+  // Pin or unpin a message for everyone in the conversation. Applied locally
+  // first and rolled back if the server rejects it; the server publishes the
+  // change on chat/{id}/pins for the other participants.
+  const togglePin = useCallback(async (conversationId, message) => {
+    if (!user?.id) return;
+
+    const existing = (pins[conversationId] || []).find(pin => pin.message_id === message.id);
+    const pin = existing || createPin(message, user.id);
+    const applyLocally = (action) => setPins(prev => ({
+      ...prev,
+      [conversationId]: applyPinEvent(prev[conversationId], { ...pin, user_id: pin.pinned_by, action })
+    }));
+
+    applyLocally(existing ? PIN_ACTIONS.UNPINNED : PIN_ACTIONS.PINNED);
+
+    try {
+      if (existing) {
+        await chatApiEndpoints.unpinMessage(conversationId, message.id);
+      } else {
+        await chatApiEndpoints.pinMessage(conversationId, message.id);
+      }
+    } catch (error) {
+      console.error('Failed to update pin:', error);
+      applyLocally(existing ? PIN_ACTIONS.PINNED : PIN_ACTIONS.UNPINNED);
+      throw error;
+    }
+  }, [user, pins]);
 
   // Send message with files
-  const sendMessageWithFiles = useCallback(async (conversationId, content, files) => {
+  // Uploads are persisted at each acknowledged part so they can resume after a
+  // reload. The file is stored once when queued; progress saves skip it.
+  const persistNewUpload = useCallback((entry) => {
+    if (!user?.id) return;
+    addUpload(user.id, entry).catch(error => console.warn('Failed to save upload:', error));
+  }, [user?.id]);
+
+  const persistUpload = useCallback((entry) => {
+    if (!user?.id || !entry) return;
+    putUpload(user.id, entry).catch(error => console.warn('Failed to save upload:', error));
+  }, [user?.id]);
+
+  const forgetUpload = useCallback((localId) => {
+    if (!user?.id) return;
+    deleteUpload(user.id, localId).catch(error => console.warn('Failed to remove upload:', error));
+  }, [user?.id]);
+
+  // Start a multipart upload for an entry's message. The message may not be
+  // visible to the media service yet, so foreign key errors are retried.
+  const initiateUpload = useCallback(async (entry) => {
+    const maxRetries = 10;
+    const retryDelay = 500;
+
+    for (let retries = 1; ; retries++) {
+      try {
+        return await mediaApiEndpoints.initiateMultipartUpload({
+          file_name: entry.file_name,
+          content_type: entry.file_type,
+          size: entry.file_size,
+          chunk_size: entry.chunk_size,
+          message_id: entry.message_id
+        });
+      } catch (error) {
+        const isMissingMessage = error.message.includes('attachments_message_id_fkey') ||
+          error.message.includes('foreign key constraint');
+        if (!isMissingMessage) throw error;
+        if (retries >= maxRetries) {
+          throw new Error(`Failed to upload ${entry.file_name}: Message not found in database after ${maxRetries} attempts`);
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+      }
+    }
+  }, []);
+
+  // Send the remaining parts of one upload and complete it. Pausing or
+  // cancelling aborts the part in flight; the acknowledged parts are kept.
+  const runUpload = useCallback(async (localId) => {
+    const controller = new AbortController();
+    uploadControllersRef.current[localId] = controller;
+
+    const updateEntry = (changes) => {
+      updateUploads(prev => prev.map(u => (u.local_id === localId ? { ...u, ...changes } : u)));
+      return uploadsRef.current.find(u => u.local_id === localId);
+    };
+
+    let entry = updateEntry({ status: UPLOAD_STATUS.UPLOADING, error: null });
+
+    try {
+      if (!entry.attachment_id) {
+        const initiated = await initiateUpload(entry);
+        if (!uploadsRef.current.some(u => u.local_id === localId)) {
+          // Cancelled before the server upload existed, so cancelUpload couldn't abort it
+          mediaApiEndpoints.abortUpload(initiated.attachment_id)
+            .catch(error => console.warn('Failed to abort upload:', error));
+          return { status: 'aborted' };
+        }
+        entry = updateEntry({
+          attachment_id: initiated.attachment_id,
+          chunk_size: initiated.chunk_size || entry.chunk_size
+        });
+        persistUpload(entry);
+      } else {
+        // Resuming: parts may have arrived after the last one we recorded
+        const serverParts = await mediaApiEndpoints.getUploadedParts(entry.attachment_id);
+        entry = updateEntry({ parts: mergeUploadedParts(entry.parts, serverParts) });
+      }
+
+      let partNumber;
+      while (!controller.signal.aborted && (partNumber = getNextPartNumber(entry)) !== null) {
+        const { start, end } = getPartRange(entry, partNumber);
+        const part = await mediaApiEndpoints.uploadPart(entry.attachment_id, partNumber, entry.file.slice(start, end), {
+          signal: controller.signal,
+          onProgress: (loaded) => updateEntry({ in_flight_bytes: loaded })
+        });
+        entry = updateEntry({
+          parts: mergeUploadedParts(entry.parts, [{ part_number: partNumber, etag: part?.etag ?? null }]),
+          in_flight_bytes: 0
+        });
+        persistUpload(entry);
+      }
+      if (controller.signal.aborted) return { status: 'aborted' };
+
+      await mediaApiEndpoints.completeUpload(entry.attachment_id, entry.parts);
+
+      updateUploads(prev => prev.filter(u => u.local_id !== localId));
+      forgetUpload(localId);
+      updateMessage(entry.conversation_id, entry.message_id, msg => ({
+        ...msg,
+        meta: { ...msg.meta, attachment_id: entry.attachment_id, status: 'ready' }
+      }));
+
+      return { status: 'done' };
+    } catch (error) {
+      // Pause and cancel have already updated the entry
+      if (controller.signal.aborted) return { status: 'aborted' };
+
+      const status = isNetworkError(error) ? UPLOAD_STATUS.QUEUED : UPLOAD_STATUS.FAILED;
+      if (status === UPLOAD_STATUS.FAILED) {
+        console.error('Failed to upload file:', error);
+      }
+      persistUpload(updateEntry({ status, error: error.message, in_flight_bytes: 0 }));
+      return { status, error };
+    } finally {
+      delete uploadControllersRef.current[localId];
+    }
+  }, [updateUploads, initiateUpload, persistUpload, forgetUpload, updateMessage]);
+
+  // Run queued uploads one at a time. Stops at the first network failure and
+  // waits for connectivity, like the outbox.
+  const processUploads = useCallback(async () => {
+    if (isProcessingUploadsRef.current) return;
+    isProcessingUploadsRef.current = true;
+
+    try {
+      let entry;
+      while ((entry = uploadsRef.current.find(u => u.status === UPLOAD_STATUS.QUEUED))) {
+        const result = await runUpload(entry.local_id);
+        if (result.status === UPLOAD_STATUS.QUEUED) break;
+      }
+    } finally {
+      isProcessingUploadsRef.current = false;
+    }
+  }, [runUpload]);
+
+  const pauseUpload = useCallback((localId) => {
+    updateUploads(prev => prev.map(u => (
+      u.local_id === localId ? { ...u, status: UPLOAD_STATUS.PAUSED, in_flight_bytes: 0 } : u
+    )));
+    persistUpload(uploadsRef.current.find(u => u.local_id === localId));
+    uploadControllersRef.current[localId]?.abort();
+  }, [updateUploads, persistUpload]);
+
+  const resumeUpload = useCallback(async (localId) => {
+    updateUploads(prev => prev.map(u => (
+      u.local_id === localId ? { ...u, status: UPLOAD_STATUS.QUEUED, error: null } : u
+    )));
+    persistUpload(uploadsRef.current.find(u => u.local_id === localId));
+    await processUploads();
+  }, [updateUploads, persistUpload, processUploads]);
+
+  // Stop an upload for good: the server-side upload and its placeholder message are removed
+  const cancelUpload = useCallback(async (localId) => {
+    const entry = uploadsRef.current.find(u => u.local_id === localId);
+    if (!entry) return;
+
+    uploadControllersRef.current[localId]?.abort();
+    updateUploads(prev => prev.filter(u => u.local_id !== localId));
+    forgetUpload(localId);
+
+    if (entry.attachment_id) {
+      mediaApiEndpoints.abortUpload(entry.attachment_id)
+        .catch(error => console.warn('Failed to abort upload:', error));
+    }
+    try {
+      await deleteMessage(entry.conversation_id, entry.message_id);
+    } catch (error) {
+      console.warn('Failed to remove message of cancelled upload:', error);
+    }
+  }, [updateUploads, forgetUpload, deleteMessage]);
+
+  // Send one attachment message per file. Each message is created straight
+  // away with status 'uploading' and its file is queued for a chunked upload;
+  // resolves once the messages exist, progress is tracked in `uploads`.
+  const sendMessageWithFiles = useCallback(async (conversationId, content, files, meta = null) => {
     try {
-      // Process each file separately to create individual messages
       let lastMessage = null;
-      
+
       for (const fileObj of files) {
         const messageData = {
           content_type: 'attachment',
           content: content || fileObj.name, // Use content or filename
           meta: {
+            ...meta,
             file_name: fileObj.name,
             file_type: fileObj.type,
             file_size: fileObj.size,
+            ...(fileObj.width && { width: fileObj.width, height: fileObj.height }),
+            ...(fileObj.voice && { voice: true, duration: fileObj.duration, waveform: fileObj.waveform }),
             status: 'uploading'
           },
           dedupe_key: `msg-${Date.now()}-${Math.random()}`
         };
 
         const newMessage = await chatApiEndpoints.sendMessage(conversationId, messageData);
+        setMessages(prev => ({
+          ...prev,
+          [conversationId]: mergeMessages(prev[conversationId], [newMessage])
+        }));
+
+        const entry = createUploadEntry({
+          conversationId,
+          messageId: newMessage.id,
+          file: fileObj.file,
+          name: fileObj.name,
+          type: fileObj.type,
+          size: fileObj.size
+        });
+        updateUploads(prev => [...prev, entry]);
+        persistNewUpload(entry);
 
-        let retries = 0;
-        const maxRetries = 10;
-        const retryDelay = 500;
-
-        while (retries < maxRetries) {
-          try {
-            const uploadResponse = await mediaApiEndpoints.initiateUpload({
-              file_name: fileObj.name,
-              content_type: fileObj.type,
-              size: fileObj.size,
-              message_id: newMessage.id
-            });
-
-
-            const uploadResult = await fetch(uploadResponse.upload_url, {
-              method: 'PUT',
-              body: fileObj.file,
-              headers: {
-                'Content-Type': fileObj.type,
-              },
-            });
-
-            if (!uploadResult.ok) {
-              throw new Error(`Failed to upload ${fileObj.name} to storage`);
-            }
-
-            await mediaApiEndpoints.completeUpload(uploadResponse.attachment_id);
-
-            const updatedMessage = {
-              ...newMessage,
-              meta: {
-                ...newMessage.meta,
-                attachment_id: uploadResponse.attachment_id,
-                status: 'ready'
-              }
-            };
-
-            setMessages(prev => ({
-              ...prev,
-              [conversationId]: prev[conversationId]?.map(msg => 
-                msg.id === newMessage.id ? updatedMessage : msg
-              ) || []
-            }));
-
-            lastMessage = updatedMessage;
-            break;
-
-          } catch (uploadError) {
-            
-            if (uploadError.message.includes('attachments_message_id_fkey') || 
-                uploadError.message.includes('foreign key constraint')) {
-              retries++;
-              if (retries < maxRetries) {
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                continue;
-              }
-            }
-            
-            throw uploadError;
-          }
-        }
-
-        if (retries >= maxRetries) {
-          throw new Error(`Failed to upload ${fileObj.name}: Message not found in database after ${maxRetries} attempts`);
-        }
+        lastMessage = newMessage;
       }
 
       // Update conversation's latest message
@@ -459,11 +1390,159 @@ export const ChatProvider = ({ children }) => {
         );
       }
 
+      processUploads();
       return true;
     } catch (error) {
       console.error('Failed to send message with files:', error);
       throw error;
     }
+  }, [updateUploads, persistNewUpload, processUploads]);
+
+  // Forward a message to conversations and/or people. People without a DM in
+  // the list get one (not opened). Every target is attempted. Attachments are
+  // uploaded again for each target (an attachment belongs to one message); a
+  // failed upload shows on that message with retry, like any upload. Resolves
+  // with { sent: conversationId[], uploading: conversationId[] (sent, file
+  // still uploading), failed: [{ conversationId?, userId?, error }] }.
+  const forwardMessage = useCallback(async (message, { conversationIds = [], userIds = [] }, senderName = null) => {
+    const forwarded = buildForwardedMessage(message, senderName);
+    const targetIds = [...conversationIds];
+    const sent = [];
+    const uploading = [];
+    const failed = [];
+
+    for (const userId of userIds) {
+      const existing = findDirectConversation(conversations, userId, user?.id);
+      if (existing) {
+        targetIds.push(existing.id);
+        continue;
+      }
+      try {
+        const newConversation = await apiHelpers.createDirectMessage(userId);
+        setConversations(prev => (
+          prev.some(conv => conv.id === newConversation.id) ? prev : [newConversation, ...prev]
+        ));
+        targetIds.push(newConversation.id);
+      } catch (error) {
+        console.error('Failed to create conversation for forwarding:', error);
+        failed.push({ userId, error });
+      }
+    }
+
+    let file = null;
+    if (forwarded.meta.attachment_id) {
+      try {
+        file = await fetchAttachmentFile(forwarded.meta.attachment_id, forwarded.meta.file_name, forwarded.meta.file_type);
+      } catch (error) {
+        console.error('Failed to download attachment for forwarding:', error);
+        new Set(targetIds).forEach(conversationId => failed.push({ conversationId, error }));
+        return { sent, uploading, failed };
+      }
+    }
+
+    for (const conversationId of new Set(targetIds)) {
+      try {
+        if (file) {
+          const { fileObj, meta } = toForwardedUpload(forwarded, file);
+          await sendMessageWithFiles(conversationId, forwarded.content, [fileObj], meta);
+          uploading.push(conversationId);
+        } else {
+          const newMessage = await chatApiEndpoints.sendMessage(conversationId, {
+            ...forwarded,
+            dedupe_key: `msg-${Date.now()}-${Math.random()}`
+          });
+          setMessages(prev => ({
+            ...prev,
+            [conversationId]: mergeMessages(prev[conversationId], [newMessage])
+          }));
+          setConversations(prev =>
+            prev.map(conv =>
+              conv.id === conversationId
+                ? { ...conv, latest_message: newMessage }
+                : conv
+            )
+          );
+        }
+        sent.push(conversationId);
+      } catch (error) {
+        console.error('Failed to forward message:', error);
+        failed.push({ conversationId, error });
+      }
+    }
+
+    return { sent, uploading, failed };
+  }, [conversations, user?.id, sendMessageWithFiles]);
+
+  // Replay imported messages (`{ payload, source_id, thread_key }`, oldest
+  // first) into an existing conversation (`{ conversationId }`) or a new group
+  // (`{ title, participantIds }`, not opened). Replies become thread replies
+  // once their root has been sent. A network failure stops the run; `signal`
+  // cancels between messages. Resolves with
+  // { conversationId, sent, failed: [{ source_id, error }], interrupted }.
+  const importConversationHistory = useCallback(async (target, items, { signal, onProgress } = {}) => {
+    let conversationId = target.conversationId;
+    if (!conversationId) {
+      try {
+        const newConversation = await apiHelpers.createGroupChat(target.title, target.participantIds);
+        setConversations(prev => (
+          prev.some(conv => conv.id === newConversation.id) ? prev : [newConversation, ...prev]
+        ));
+        conversationId = newConversation.id;
+      } catch (error) {
+        console.error('Failed to create conversation for import:', error);
+        throw error;
+      }
+    }
+
+    const sentBySourceId = {};
+    const sentMessages = [];
+    const failed = [];
+    let interrupted = false;
+
+    for (const item of items) {
+      if (signal?.aborted) {
+        interrupted = true;
+        break;
+      }
+
+      const root = item.thread_key && sentBySourceId[item.thread_key];
+      const payload = root
+        ? { ...item.payload, meta: { ...item.payload.meta, ...buildReplyMeta(root) } }
+        : item.payload;
+      try {
+        const newMessage = await chatApiEndpoints.sendMessage(conversationId, payload);
+        sentBySourceId[item.source_id] = newMessage;
+        sentMessages.push(newMessage);
+      } catch (error) {
+        failed.push({ source_id: item.source_id, error: error.message });
+        if (isNetworkError(error)) {
+          interrupted = true;
+          break;
+        }
+      }
+      onProgress?.({ done: sentMessages.length + failed.length, total: items.length });
+    }
+
+    if (sentMessages.length > 0) {
+      setMessages(prev => (
+        prev[conversationId]
+          ? { ...prev, [conversationId]: mergeMessages(prev[conversationId], sentMessages) }
+          : prev
+      ));
+      const latestMessage = sentMessages[sentMessages.length - 1];
+      setConversations(prev =>
+        prev.map(conv =>
+          conv.id === conversationId
+            ? { ...conv, latest_message: latestMessage }
+            : conv
+        )
+      );
+    }
+    if (failed.length > 0) {
+      console.error(`Failed to import ${failed.length} messages:`, failed[0].error);
+    }
+
+    return { conversationId, sent: sentMessages.length, failed, interrupted };
   }, []);
 
   // Send typing indicator
@@ -477,6 +1556,105 @@ export const ChatProvider = ({ children }) => {
     }
   }, [mqttClient]);
 
+  // Search message content across all conversations. Runs on the server when
+  // it can be reached, otherwise over the IndexedDB cache plus loaded messages.
+  const searchMessages = useCallback(async (query, filters) => {
+    const searchCache = async () => {
+      let cached = {};
+      try {
+        cached = await loadCachedMessages(user?.id);
+      } catch (error) {
+        console.warn('Failed to read message cache for search:', error);
+      }
+      const combined = { ...cached };
+      Object.entries(messages).forEach(([conversationId, list]) => {
+        combined[conversationId] = mergeMessages(combined[conversationId], list);
+      });
+      return { results: searchLocalMessages(combined, query, filters), isOffline: true };
+    };
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return searchCache();
+    }
+
+    try {
+      const results = await chatApiEndpoints.searchMessages(toSearchParams(query, filters));
+      return { results, isOffline: false };
+    } catch (error) {
+      if (isNetworkError(error)) return searchCache();
+      console.error('Failed to search messages:', error);
+      throw error;
+    }
+  }, [user?.id, messages]);
+
+  // Page back from the oldest loaded message until `isDone(messages)` holds,
+  // the history runs out or `maxPages` pages were read. Resolves to the
+  // conversation's newest-first list as loaded at the end.
+  const loadOlderMessagesUntil = useCallback(async (conversationId, isDone, maxPages = 20) => {
+    const pageSize = 50;
+    let loaded = messages[conversationId] || [];
+    let hasMore = messageHistory[conversationId]?.hasMore !== false;
+    let done = isDone(loaded);
+
+    for (let page = 0; page < maxPages && hasMore && !done; page++) {
+      setMessageHistory(prev => ({
+        ...prev,
+        [conversationId]: { ...prev[conversationId], isLoadingOlder: true }
+      }));
+      try {
+        const olderMessages = await chatApiEndpoints.getMessages(conversationId, pageSize, 0, getOldestMessageId(loaded));
+        loaded = mergeMessages(loaded, olderMessages);
+        hasMore = olderMessages.length >= pageSize;
+        setMessages(prev => ({
+          ...prev,
+          [conversationId]: mergeMessages(prev[conversationId], olderMessages)
+        }));
+        setMessageHistory(prev => ({
+          ...prev,
+          [conversationId]: { isLoadingOlder: false, hasMore }
+        }));
+        done = isDone(loaded);
+      } catch (error) {
+        console.error('Failed to load older messages:', error);
+        setMessageHistory(prev => ({
+          ...prev,
+          [conversationId]: { ...prev[conversationId], isLoadingOlder: false }
+        }));
+        throw error;
+      }
+    }
+
+    return loaded;
+  }, [messages, messageHistory]);
+
+  // Open a conversation at a specific message: load history until it is in
+  // the list with a few older messages of context, then leave `jumpTarget`
+  // set for ChatWindow to scroll to it. Resolves to false when the message
+  // could not be loaded.
+  const jumpToMessage = useCallback(async (conversationId, messageId) => {
+    const contextSize = 10;
+    let found = (messages[conversationId] || []).some(m => m.id === messageId);
+    const hasContext = (list) => {
+      const index = list.findIndex(m => m.id === messageId);
+      found = found || index !== -1;
+      return index !== -1 && list.length - index > contextSize;
+    };
+
+    setJumpTarget({ conversationId, messageId });
+    await selectConversation(conversationId);
+
+    try {
+      await loadOlderMessagesUntil(conversationId, hasContext);
+    } catch (error) {
+      console.warn('Failed to load message context:', error);
+    }
+
+    if (!found) setJumpTarget(null);
+    return found;
+  }, [messages, selectConversation, loadOlderMessagesUntil]);
+
+  const clearJumpTarget = useCallback(() => setJumpTarget(null), []);
+
   // Create new conversation
   const createConversation = useCallback(async (type, participantIds, title = '') => {
     try {
@@ -527,16 +1705,89 @@ export const ChatProvider = ({ children }) => {
       handlePresenceUpdate(payload);
     };
 
+    const handleMqttReaction = (event) => {
+      const { payload, topic } = event.detail;
+      handleReactionEvent(payload, topic);
+    };
+
+    const handleMqttPin = (event) => {
+      const { payload, topic } = event.detail;
+      handlePinEvent(payload, topic);
+    };
+
+    const handleMqttReceipt = (event) => {
+      const { payload, topic } = event.detail;
+      handleReceiptEvent(payload, topic);
+    };
+
     window.addEventListener('mqtt-message', handleMqttMessage);
     window.addEventListener('mqtt-typing', handleMqttTyping);
     window.addEventListener('mqtt-presence', handleMqttPresence);
+    window.addEventListener('mqtt-reaction', handleMqttReaction);
+    window.addEventListener('mqtt-pin', handleMqttPin);
+    window.addEventListener('mqtt-receipt', handleMqttReceipt);
 
     return () => {
       window.removeEventListener('mqtt-message', handleMqttMessage);
       window.removeEventListener('mqtt-typing', handleMqttTyping);
       window.removeEventListener('mqtt-presence', handleMqttPresence);
+      window.removeEventListener('mqtt-reaction', handleMqttReaction);
+      window.removeEventListener('mqtt-pin', handleMqttPin);
+      window.removeEventListener('mqtt-receipt', handleMqttReceipt);
     };
-  }, [mqttClient, user, handleNewMessage, handleTypingIndicator, handlePresenceUpdate]);
+  }, [
+    mqttClient, user, handleNewMessage, handleTypingIndicator, handlePresenceUpdate, handleReactionEvent, handlePinEvent,
+    handleReceiptEvent
+  ]);
+
+  // Listen to every conversation's messages and receipts (not just opened ones)
+  // so unread counts and delivery states stay live
+  const conversationIdsKey = conversations.map(conv => conv.id).join(',');
+  useEffect(() => {
+    if (!mqttConnected || !mqttClient || !conversationIdsKey) return;
+
+    conversationIdsKey.split(',').forEach(conversationId => {
+      Promise.all([
+        mqttClient.subscribeToConversation(conversationId, routeNewMessage),
+        mqttClient.subscribeToReceipts(conversationId, handleReceiptEvent)
+      ]).catch(error => {
+        console.warn(`Failed to subscribe to conversation ${conversationId}:`, error);
+      });
+    });
+  }, [mqttConnected, mqttClient, conversationIdsKey, routeNewMessage, handleReceiptEvent]);
+
+  // Catch up on the open conversation when the tab becomes visible again
+  useEffect(() => {
+    if (typeof document === 'undefined') return;
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== 'visible' || !activeConversation || !unreadCounts[activeConversation]) {
+        return;
+      }
+      setReadMarkers(prev => ({
+        ...prev,
+        [activeConversation]: { since: lastReadAt[activeConversation] || null, count: unreadCounts[activeConversation] }
+      }));
+      markConversationRead(activeConversation).catch(error => {
+        console.warn('Failed to mark conversation as read:', error);
+      });
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [activeConversation, unreadCounts, lastReadAt, markConversationRead]);
+
+  const totalUnread = useMemo(
+    () => Object.values(unreadCounts).reduce((sum, count) => sum + count, 0),
+    [unreadCounts]
+  );
+
+  // Show the total unread count in the tab title, e.g. "(3) Orbit Messenger"
+  useEffect(() => {
+    if (typeof document === 'undefined') return;
+    const baseTitle = document.title.replace(/^\(\d+\) /, '');
+    document.title = totalUnread > 0 ? `(${totalUnread}) ${baseTitle}` : baseTitle;
+  }, [totalUnread]);
 
   // Refresh presence data for specific users
   const refreshPresenceData = useCallback(async (userIds = null) => {
@@ -571,12 +1822,38 @@ export const ChatProvider = ({ children }) => {
     }
   }, [conversations, user]);
 
-  // Persist state to localStorage
+  // Persist conversations, participants and messages to IndexedDB
   useEffect(() => {
-    if (user?.id && conversations.length > 0) {
-      saveToStorage('conversations', conversations);
-    }
-  }, [conversations, user?.id, saveToStorage]);
+    if (!user?.id || !isMessageCacheSupported()) return;
+
+    const timer = setTimeout(() => {
+      const persisted = persistedRef.current;
+      const writes = [];
+
+      if (conversations.length > 0 && conversations !== persisted.conversations) {
+        persisted.conversations = conversations;
+        writes.push(putConversations(user.id, conversations));
+      }
+
+      const changedParticipants = takeChangedRecords(persisted.participants, participants);
+      if (Object.keys(changedParticipants).length > 0) {
+        writes.push(putParticipants(user.id, changedParticipants));
+      }
+
+      // Evicted conversations stay in `persisted.messages` until their list changes
+      const changedMessages = takeChangedRecords(persisted.messages, messages);
+      if (Object.keys(changedMessages).length > 0) {
+        writes.push(
+          putMessages(user.id, changedMessages)
+            .then(() => evictMessages(user.id, activeConversation ? [activeConversation] : []))
+        );
+      }
+
+      Promise.all(writes).catch(error => console.warn('Failed to update message cache:', error));
+    }, CACHE_WRITE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [conversations, participants, messages, activeConversation, user?.id]);
 
   useEffect(() => {
     if (user?.id && activeConversation) {
@@ -584,17 +1861,171 @@ export const ChatProvider = ({ children }) => {
     }
   }, [activeConversation, user?.id, saveToStorage]);
 
+  // Saved even when empty so that read mentions stay cleared after a reload
+  useEffect(() => {
+    if (user?.id) {
+      saveToStorage('unreadMentions', unreadMentions);
+    }
+  }, [unreadMentions, user?.id, saveToStorage]);
+
+  useEffect(() => {
+    if (user?.id) {
+      saveToStorage('unreadCounts', unreadCounts);
+      saveToStorage('lastReadAt', lastReadAt);
+    }
+  }, [unreadCounts, lastReadAt, user?.id, saveToStorage]);
+
+  useEffect(() => {
+    if (user?.id) {
+      saveToStorage('outbox', outbox);
+    }
+  }, [outbox, user?.id, saveToStorage]);
+
+  // Flush the outbox when connectivity or the MQTT connection comes back
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) return;
+
+    if (mqttConnected) {
+      flushOutbox();
+    }
+
+    window.addEventListener('online', flushOutbox);
+    return () => window.removeEventListener('online', flushOutbox);
+  }, [isAuthenticated, user?.id, mqttConnected, flushOutbox]);
+
+  useEffect(() => {
+    if (user?.id) {
+      saveToStorage('scheduledMessages', scheduledMessages);
+    }
+  }, [scheduledMessages, user?.id, saveToStorage]);
+
+  // Scheduled messages added, edited, sent or cancelled in another tab
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const scheduledKey = getStorageKey('scheduledMessages');
+    const handleStorage = (event) => {
+      if (event.key !== scheduledKey) return;
+      try {
+        const next = event.newValue ? JSON.parse(event.newValue) : [];
+        updateScheduled(() => next);
+      } catch (error) {
+        console.warn('Failed to read scheduled messages from another tab:', error);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [user?.id, getStorageKey, updateScheduled]);
+
+  // Drafts edited in another tab. The storage event only fires in the other
+  // tabs, so this never echoes this tab's own writes.
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const draftsKey = getStorageKey('drafts');
+    const handleStorage = (event) => {
+      if (event.key !== draftsKey) return;
+
+      let next;
+      try {
+        next = event.newValue ? JSON.parse(event.newValue) : {};
+      } catch (error) {
+        console.warn('Failed to read drafts from another tab:', error);
+        return;
+      }
+
+      const changedIds = getChangedDraftIds(draftsRef.current, next);
+      draftsRef.current = next;
+      setDrafts(next);
+      if (changedIds.length > 0) {
+        setRemoteDraftChange({ conversationIds: changedIds, at: Date.now() });
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [user?.id, getStorageKey]);
+
+  // Send-later scheduler: wake up when the next message falls due (checking
+  // at least hourly), and catch up on anything that came due while the app was
+  // closed or offline once connected again
   useEffect(() => {
-    if (user?.id && Object.keys(messages).length > 0) {
-      saveToStorage('messages', messages);
+    if (!isAuthenticated || !user?.id) return;
+    const delay = getNextSendDelay(scheduledMessages);
+    if (delay === null) return;
+
+    const timeoutId = setTimeout(() => {
+      sendDueScheduledMessages().finally(() => setSchedulerTick(tick => tick + 1));
+    }, Math.min(delay, SCHEDULER_MAX_WAIT));
+    return () => clearTimeout(timeoutId);
+  }, [isAuthenticated, user?.id, scheduledMessages, schedulerTick, sendDueScheduledMessages]);
+
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) return;
+
+    if (mqttConnected) {
+      sendDueScheduledMessages();
     }
-  }, [messages, user?.id, saveToStorage]);
 
+    window.addEventListener('online', sendDueScheduledMessages);
+    return () => window.removeEventListener('online', sendDueScheduledMessages);
+  }, [isAuthenticated, user?.id, mqttConnected, sendDueScheduledMessages]);
+
+  // Overdue messages that could not be delivered are retried like the outbox
+  const hasUndeliveredScheduled = scheduledMessages.some(entry => entry.status === SCHEDULE_STATUS.SCHEDULED && entry.error);
   useEffect(() => {
-    if (user?.id && Object.keys(participants).length > 0) {
-      saveToStorage('participants', participants);
+    if (!hasUndeliveredScheduled) return;
+    const intervalId = setInterval(sendDueScheduledMessages, OUTBOX_RETRY_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [hasUndeliveredScheduled, sendDueScheduledMessages]);
+
+  // Keep retrying while messages are pending (e.g. the chat service is down but the network is up)
+  const hasPendingOutbox = outbox.some(entry => entry.status === OUTBOX_STATUS.PENDING);
+  useEffect(() => {
+    if (!hasPendingOutbox) return;
+    const intervalId = setInterval(flushOutbox, OUTBOX_RETRY_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [hasPendingOutbox, flushOutbox]);
+
+  // Restore unfinished uploads; interrupted ones continue from their last acknowledged part
+  useEffect(() => {
+    if (!user?.id || !isMessageCacheSupported()) return;
+
+    let cancelled = false;
+    loadUploads(user.id)
+      .then((entries) => {
+        if (cancelled || entries.length === 0) return;
+        const restored = entries.map(toRestoredUpload);
+        updateUploads(prev => [
+          ...restored,
+          ...prev.filter(u => !restored.some(r => r.local_id === u.local_id))
+        ]);
+        processUploads();
+      })
+      .catch(error => console.warn('Failed to restore uploads:', error));
+
+    return () => { cancelled = true; };
+  }, [user?.id, updateUploads, processUploads]);
+
+  // Uploads waiting for the network continue when it comes back
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) return;
+
+    if (mqttConnected) {
+      processUploads();
     }
-  }, [participants, user?.id, saveToStorage]);
+
+    window.addEventListener('online', processUploads);
+    return () => window.removeEventListener('online', processUploads);
+  }, [isAuthenticated, user?.id, mqttConnected, processUploads]);
+
+  const hasQueuedUploads = uploads.some(entry => entry.status === UPLOAD_STATUS.QUEUED);
+  useEffect(() => {
+    if (!hasQueuedUploads) return;
+    const intervalId = setInterval(processUploads, UPLOAD_RETRY_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [hasQueuedUploads, processUploads]);
 
   // Clear storage on logout
   useEffect(() => {
@@ -611,6 +2042,14 @@ export const ChatProvider = ({ children }) => {
       } catch (error) {
         console.warn('Failed to clear chat storage:', error);
       }
+
+      // Only a user who was signed in during this session has a cache to drop
+      if (cacheUserIdRef.current) {
+        const cacheUserId = cacheUserIdRef.current;
+        cacheUserIdRef.current = null;
+        persistedRef.current = { conversations: null, messages: {}, participants: {} };
+        clearMessageCache(cacheUserId).catch(error => console.warn('Failed to clear message cache:', error));
+      }
     }
   }, [isAuthenticated]);
 
@@ -666,9 +2105,79 @@ export const ChatProvider = ({ children }) => {
   }, [conversations]);
 
   // Get messages for conversation
+  // Newest-first, with unsent outbox messages at the newest end
   const getMessages = useCallback((conversationId) => {
-    return messages[conversationId] || [];
-  }, [messages]);
+    const loaded = messages[conversationId] || [];
+    const unsent = getOutboxMessages(outbox, conversationId);
+    return unsent.length > 0 ? [...unsent, ...loaded] : loaded;
+  }, [messages, outbox]);
+
+  // Unsent composer contents of a conversation
+  const getDraft = useCallback((conversationId) => {
+    return drafts[conversationId] || null;
+  }, [drafts]);
+
+  // Send-later messages for a conversation, soonest first
+  const getScheduledMessages = useCallback((conversationId) => {
+    return getScheduledForConversation(scheduledMessages, conversationId);
+  }, [scheduledMessages]);
+
+  // Unfinished attachment uploads for a conversation, oldest first
+  const getUploads = useCallback((conversationId) => {
+    return uploads.filter(entry => entry.conversation_id === conversationId);
+  }, [uploads]);
+
+  // Get paging state for a conversation's history
+  const getMessageHistory = useCallback((conversationId) => {
+    return { hasMore: true, isLoadingOlder: false, ...messageHistory[conversationId] };
+  }, [messageHistory]);
+
+  // Reply counts per thread root, from loaded history plus fetched threads.
+  // New replies delivered over MQTT land in `messages`, so counts stay live.
+  const threadCounts = useMemo(() => {
+    return countThreadReplies(...Object.values(messages), ...Object.values(threadReplies));
+  }, [messages, threadReplies]);
+
+  // Get replies for a thread, oldest first
+  const getThreadReplies = useCallback((conversationId, rootMessageId) => {
+    const loadedReplies = (messages[conversationId] || []).filter(
+      msg => getThreadRootId(msg) === rootMessageId
+    );
+    const unsentReplies = getOutboxMessages(outbox, conversationId).filter(
+      msg => getThreadRootId(msg) === rootMessageId
+    );
+    return [...unsentReplies, ...mergeMessages(threadReplies[rootMessageId], loadedReplies)].reverse();
+  }, [messages, threadReplies, outbox]);
+
+  // Get reply count for a root message
+  const getThreadReplyCount = useCallback((message) => {
+    return Math.max(threadCounts[message.id] || 0, message.meta?.reply_count || 0);
+  }, [threadCounts]);
+
+  // Number of unread messages in a conversation
+  const getUnreadCount = useCallback((conversationId) => {
+    return unreadCounts[conversationId] || 0;
+  }, [unreadCounts]);
+
+  // Read position captured when the conversation was opened: { since, count }
+  const getReadMarker = useCallback((conversationId) => {
+    return readMarkers[conversationId] || null;
+  }, [readMarkers]);
+
+  // Pinned messages of a conversation, newest pin first
+  const getPinnedMessages = useCallback((conversationId) => {
+    return pins[conversationId] || [];
+  }, [pins]);
+
+  // Attachments from loadConversationAttachments plus any that arrived since
+  const getConversationAttachments = useCallback((conversationId) => {
+    return mergeAttachmentItems(attachmentItems[conversationId], messages[conversationId]);
+  }, [attachmentItems, messages]);
+
+  // Number of unseen messages mentioning the current user
+  const getMentionCount = useCallback((conversationId) => {
+    return unreadMentions[conversationId]?.length || 0;
+  }, [unreadMentions]);
 
   // Get participants for conversation
   const getParticipants = useCallback((conversationId) => {
@@ -700,12 +2209,15 @@ export const ChatProvider = ({ children }) => {
     
     devLog('\nLocalStorage data:');
     debugStorage.logStorageSummary();
+    if (user?.id) {
+      debugStorage.logMessageCacheSummary(user.id);
+    }
     
     return {
       state: { conversations, activeConversation, messages, participants },
       storage: debugStorage.getAllChatData()
     };
-  }, [conversations, activeConversation, messages, participants]);
+  }, [conversations, activeConversation, messages, participants, user?.id]);
 
   const value = useMemo(() => ({
     // State
@@ -715,22 +2227,63 @@ export const ChatProvider = ({ children }) => {
     participants,
     presenceData,
     typingUsers,
+    totalUnread,
     isLoading,
     error,
+    jumpTarget,
+    remoteDraftChange,
 
     // Actions
     loadConversations,
     loadMessages,
+    loadOlderMessages,
+    loadOlderMessagesUntil,
+    loadThreadReplies,
+    loadConversationAttachments,
+    loadConversationExport,
     loadParticipants,
     selectConversation,
+    markConversationRead,
     sendMessage,
     sendMessageWithFiles,
+    forwardMessage,
+    importConversationHistory,
+    retryOutboxMessage,
+    discardOutboxMessage,
+    scheduleMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+    saveDraft,
+    loadDraftFiles,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    loadMessageReceipts,
+    loadPinnedMessages,
+    togglePin,
     sendTypingIndicator,
     createConversation,
+    searchMessages,
+    jumpToMessage,
+    clearJumpTarget,
 
     // Getters
     getConversation,
     getMessages,
+    getMessageHistory,
+    getUploads,
+    getScheduledMessages,
+    getDraft,
+    getThreadReplies,
+    getThreadReplyCount,
+    getMentionCount,
+    getUnreadCount,
+    getReadMarker,
+    getPinnedMessages,
+    getConversationAttachments,
     getParticipants,
     getTypingUsers,
     getUserPresence,
@@ -740,10 +2293,16 @@ export const ChatProvider = ({ children }) => {
     debugChatStorage,
   }), [
     conversations, activeConversation, messages, participants, presenceData,
-    typingUsers, isLoading, error,
-    loadConversations, loadMessages, loadParticipants, selectConversation,
-    sendMessage, sendMessageWithFiles, sendTypingIndicator, createConversation,
-    getConversation, getMessages, getParticipants, getTypingUsers, getUserPresence,
+    typingUsers, totalUnread, isLoading, error, jumpTarget, remoteDraftChange,
+    loadConversations, loadMessages, loadOlderMessages, loadOlderMessagesUntil, loadThreadReplies, loadConversationAttachments, loadConversationExport, loadParticipants,
+    selectConversation, markConversationRead, sendMessage, sendMessageWithFiles, forwardMessage, importConversationHistory,
+    retryOutboxMessage, discardOutboxMessage, scheduleMessage, updateScheduledMessage, cancelScheduledMessage,
+    saveDraft, loadDraftFiles, pauseUpload, resumeUpload, cancelUpload,
+    editMessage, deleteMessage,
+    toggleReaction, loadMessageReceipts, loadPinnedMessages, togglePin, sendTypingIndicator, createConversation,
+    searchMessages, jumpToMessage, clearJumpTarget,
+    getConversation, getMessages, getMessageHistory, getUploads, getScheduledMessages, getDraft, getThreadReplies, getThreadReplyCount, getMentionCount,
+    getUnreadCount, getReadMarker, getPinnedMessages, getConversationAttachments, getParticipants, getTypingUsers, getUserPresence,
     refreshPresenceData, debugChatStorage,
   ]);
 
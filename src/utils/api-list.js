@@ -1,5 +1,7 @@
 import { chatApi, presenceApi, mediaApi, handleApiError } from './api-utils';
 
+const UNFURL_ENDPOINT = process.env.NEXT_PUBLIC_UNFURL_ENDPOINT || '/api/v1/unfurl';
+
 // Chat API endpoints
 export const chatApiEndpoints = {
   // Conversations
@@ -43,10 +45,15 @@ export const chatApiEndpoints = {
   },
 
   // Messages
-  getMessages: async (conversationId, limit = 50, offset = 0) => {
+  // Pass `beforeMessageId` to page backwards from a known message instead of
+  // by offset, so messages arriving in the meantime don't shift the window.
+  getMessages: async (conversationId, limit = 50, offset = 0, beforeMessageId = null) => {
     try {
+      const params = beforeMessageId
+        ? { limit, before: beforeMessageId }
+        : { limit, offset };
       const response = await chatApi.get(`/api/v1/conversations/${conversationId}/messages`, {
-        params: { limit, offset }
+        params
       });
       return response.data || [];
     } catch (error) {
@@ -54,6 +61,17 @@ export const chatApiEndpoints = {
     }
   },
 
+  // Full-text search over every conversation the user is in.
+  // params: { q, limit, sender_id?, conversation_id?, from?, to?, has_attachment? }
+  searchMessages: async (params) => {
+    try {
+      const response = await chatApi.get('/api/v1/messages/search', { params });
+      return response.data || [];
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
   sendMessage: async (conversationId, messageData) => {
     try {
       const response = await chatApi.post(`/api/v1/conversations/${conversationId}/messages`, messageData);
@@ -63,6 +81,93 @@ export const chatApiEndpoints = {
     }
   },
 
+  editMessage: async (conversationId, messageId, data) => {
+    try {
+      const response = await chatApi.put(`/api/v1/conversations/${conversationId}/messages/${messageId}`, data);
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  deleteMessage: async (conversationId, messageId) => {
+    try {
+      const response = await chatApi.delete(`/api/v1/conversations/${conversationId}/messages/${messageId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  addReaction: async (conversationId, messageId, emoji) => {
+    try {
+      const response = await chatApi.post(`/api/v1/conversations/${conversationId}/messages/${messageId}/reactions`, {
+        emoji
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  removeReaction: async (conversationId, messageId, emoji) => {
+    try {
+      const response = await chatApi.delete(
+        `/api/v1/conversations/${conversationId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  getThreadReplies: async (conversationId, messageId) => {
+    try {
+      const response = await chatApi.get(`/api/v1/conversations/${conversationId}/messages/${messageId}/replies`);
+      return response.data || [];
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  getMessageReceipts: async (conversationId, messageId) => {
+    try {
+      const response = await chatApi.get(`/api/v1/conversations/${conversationId}/messages/${messageId}/receipts`);
+      return response.data || [];
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  getPinnedMessages: async (conversationId) => {
+    try {
+      const response = await chatApi.get(`/api/v1/conversations/${conversationId}/pins`);
+      return response.data || [];
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  pinMessage: async (conversationId, messageId) => {
+    try {
+      const response = await chatApi.post(`/api/v1/conversations/${conversationId}/pins`, {
+        message_id: messageId
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  unpinMessage: async (conversationId, messageId) => {
+    try {
+      const response = await chatApi.delete(`/api/v1/conversations/${conversationId}/pins/${messageId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
   markAsRead: async (conversationId) => {
     try {
       const response = await chatApi.post(`/api/v1/conversations/${conversationId}/read`);
@@ -110,6 +215,17 @@ export const chatApiEndpoints = {
       throw new Error(handleApiError(error));
     }
   },
+
+  // Link previews. The endpoint is configurable so a separate unfurl service
+  // can be plugged in; an absolute URL bypasses the chat service base URL.
+  unfurlUrl: async (url) => {
+    try {
+      const response = await chatApi.get(UNFURL_ENDPOINT, { params: { url } });
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
 };
 
 // Presence API endpoints
@@ -198,9 +314,52 @@ export const mediaApiEndpoints = {
     }
   },
 
-  completeUpload: async (attachmentId) => {
+  // `parts` ([{ part_number, etag }]) finishes a multipart upload
+  completeUpload: async (attachmentId, parts = null) => {
+    try {
+      const response = await mediaApi.post(`/api/v1/upload/${attachmentId}/complete`, parts ? { parts } : undefined);
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  // Multipart uploads: initiate, send numbered parts, then completeUpload with the part list
+  initiateMultipartUpload: async (fileData) => {
+    try {
+      const response = await mediaApi.post('/api/v1/upload/multipart/initiate', fileData);
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  uploadPart: async (attachmentId, partNumber, chunk, { signal, onProgress } = {}) => {
+    try {
+      const response = await mediaApi.put(`/api/v1/upload/${attachmentId}/parts/${partNumber}`, chunk, {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        timeout: 120000,
+        signal,
+        onUploadProgress: onProgress && ((event) => onProgress(event.loaded))
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  getUploadedParts: async (attachmentId) => {
+    try {
+      const response = await mediaApi.get(`/api/v1/upload/${attachmentId}/parts`);
+      return response.data?.parts || [];
+    } catch (error) {
+      throw new Error(handleApiError(error));
+    }
+  },
+
+  abortUpload: async (attachmentId) => {
     try {
-      const response = await mediaApi.post(`/api/v1/upload/${attachmentId}/complete`);
+      const response = await mediaApi.delete(`/api/v1/upload/${attachmentId}`);
       return response.data;
     } catch (error) {
       throw new Error(handleApiError(error));
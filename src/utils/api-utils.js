@@ -337,13 +337,16 @@ export const authHelpers = {
 };
 
 // Error handler utility
+// Returned by handleApiError when no response was received
+export const NETWORK_ERROR_MESSAGE = 'Network error: Unable to reach server';
+
 export const handleApiError = (error) => {
   if (error.response) {
     // Server responded with error status
     return error.response.data?.error || `Server error: ${error.response.status}`;
   } else if (error.request) {
     // Request was made but no response received
-    return 'Network error: Unable to reach server';
+    return NETWORK_ERROR_MESSAGE;
   } else {
     // Something else happened
     return error.message || 'An unexpected error occurred';
@@ -0,0 +1,113 @@
+/**
+ * Helpers for the conversation "Files & Media" browser: normalizing attachment
+ * records, filtering by type and sorting.
+ */
+
+import { isMessageDeleted } from './message-utils';
+
+export const ATTACHMENT_FILTERS = {
+  ALL: 'all',
+  IMAGES: 'images',
+  DOCUMENTS: 'documents',
+  OTHER: 'other'
+};
+
+export const ATTACHMENT_SORTS = {
+  DATE: 'date',
+  SIZE: 'size'
+};
+
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/rtf'
+];
+
+/** Filter bucket of a MIME type: images, documents or other. */
+export const getAttachmentCategory = (type) => {
+  if (type?.startsWith('image/')) return ATTACHMENT_FILTERS.IMAGES;
+  if (type?.startsWith('text/') || DOCUMENT_TYPES.includes(type)) return ATTACHMENT_FILTERS.DOCUMENTS;
+  return ATTACHMENT_FILTERS.OTHER;
+};
+
+/**
+ * One browser row per attachment. Records from `getMessageAttachments` win
+ * over the message meta, which is all we have when that request fails.
+ */
+export const toAttachmentItem = (message, record = null) => ({
+  attachment_id: record?.id || record?.attachment_id || message.meta?.attachment_id,
+  message_id: message.id,
+  sender_id: message.sender_id,
+  file_name: record?.file_name || message.meta?.file_name || 'Attachment',
+  file_type: record?.content_type || message.meta?.file_type || '',
+  file_size: record?.size ?? message.meta?.file_size ?? 0,
+  created_at: record?.created_at || message.sent_at,
+  status: record?.status || message.meta?.status || null
+});
+
+/**
+ * Attachment items loaded for a conversation, brought up to date with its
+ * loaded messages (newest first, including live deliveries): new attachment
+ * messages are added, deleted ones dropped and upload status taken from the
+ * message meta.
+ */
+export const mergeAttachmentItems = (items = [], messages = []) => {
+  const byMessageId = new Map(messages.map(message => [message.id, message]));
+  const kept = items
+    .filter(item => !isMessageDeleted(byMessageId.get(item.message_id)))
+    .map(item => {
+      const status = byMessageId.get(item.message_id)?.meta?.status;
+      return status && status !== item.status ? { ...item, status } : item;
+    });
+
+  const known = new Set(kept.map(item => item.message_id));
+  const added = messages
+    .filter(message => (
+      message.content_type === 'attachment' &&
+      message.meta?.attachment_id &&
+      !isMessageDeleted(message) &&
+      !known.has(message.id)
+    ))
+    .map(message => toAttachmentItem(message));
+  return [...kept, ...added];
+};
+
+export const filterAttachments = (items, filter = ATTACHMENT_FILTERS.ALL) => (
+  filter === ATTACHMENT_FILTERS.ALL
+    ? items
+    : items.filter(item => getAttachmentCategory(item.file_type) === filter)
+);
+
+/** Sorted copy; `descending` puts the newest / largest first. */
+export const sortAttachments = (items, sort = ATTACHMENT_SORTS.DATE, descending = true) => {
+  const value = sort === ATTACHMENT_SORTS.SIZE
+    ? (item) => item.file_size || 0
+    : (item) => new Date(item.created_at).getTime() || 0;
+  const direction = descending ? -1 : 1;
+  return [...items].sort((a, b) => (value(a) - value(b)) * direction);
+};
+
+/** Counts per filter, for the filter tabs. */
+export const countAttachments = (items) => items.reduce((counts, item) => {
+  counts[getAttachmentCategory(item.file_type)]++;
+  return counts;
+}, {
+  [ATTACHMENT_FILTERS.ALL]: items.length,
+  [ATTACHMENT_FILTERS.IMAGES]: 0,
+  [ATTACHMENT_FILTERS.DOCUMENTS]: 0,
+  [ATTACHMENT_FILTERS.OTHER]: 0
+});
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
@@ -0,0 +1,363 @@
+/**
+ * Chat history import from Slack and WhatsApp exports, parsed in the browser.
+ *
+ * Slack: the unzipped workspace export, picked as a folder — `users.json`,
+ * `channels.json` and one folder of daily `YYYY-MM-DD.json` files per channel.
+ * WhatsApp: the text file from "Export chat" (without media).
+ *
+ * Both parse into `{ source, conversations: [{ key, name, messages }], senders }`
+ * with messages `{ source_id, sender_key, text, sent_at, thread_key }` oldest
+ * first and senders `{ key, name, username }`. Messages are replayed by the
+ * importing user; the original sender, time and ids travel in `meta.imported`,
+ * and the dedupe key is derived from the source ids so an import can be run
+ * again without duplicating what already arrived.
+ */
+
+import { format } from 'date-fns';
+import { authHelpers } from './api-utils';
+
+export const IMPORT_SOURCES = {
+  SLACK: 'slack',
+  WHATSAPP: 'whatsapp'
+};
+
+export const IMPORT_SOURCE_LABELS = {
+  [IMPORT_SOURCES.SLACK]: 'Slack',
+  [IMPORT_SOURCES.WHATSAPP]: 'WhatsApp'
+};
+
+// Day/month order of WhatsApp dates, which follow the exporting phone's locale
+export const DATE_ORDERS = {
+  DMY: 'dmy',
+  MDY: 'mdy'
+};
+
+const byTime = (a, b) => (new Date(a.sent_at).getTime() || 0) - (new Date(b.sent_at).getTime() || 0);
+
+// --- Slack -----------------------------------------------------------------
+
+// Join/leave/topic notices and the like carry no conversation content
+const SLACK_SKIPPED_SUBTYPES = new Set([
+  'channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name',
+  'channel_archive', 'channel_unarchive', 'group_join', 'group_leave', 'group_topic',
+  'group_purpose', 'group_name', 'pinned_item', 'unpinned_item', 'bot_add', 'bot_remove'
+]);
+
+const SLACK_DAY_FILE = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+const getBaseName = (path) => path.split('/').pop();
+const getFolderName = (path) => {
+  const parts = path.split('/');
+  return parts.length >= 2 ? parts[parts.length - 2] : '';
+};
+
+const parseJsonFile = (file) => {
+  try {
+    return JSON.parse(file.text);
+  } catch {
+    throw new Error(`${file.path} is not valid JSON`);
+  }
+};
+
+/** Slack's `ts` ("1709712000.000100", seconds) as an ISO timestamp. */
+export const slackTsToIso = (ts) => new Date(Math.round(parseFloat(ts) * 1000)).toISOString();
+
+/** Slack message markup as plain text: user/channel references, links and entities. */
+export const formatSlackText = (text, userNames = {}, channelNames = {}) => (text || '')
+  .replace(/<@([A-Z0-9]+)(?:\|([^>]+))?>/g, (match, id, label) => `@${userNames[id] || label || id}`)
+  .replace(/<#([A-Z0-9]+)(?:\|([^>]*))?>/g, (match, id, label) => `#${label || channelNames[id] || id}`)
+  .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1')
+  .replace(/<!subteam\^[A-Z0-9]+(?:\|([^>]+))?>/g, (match, label) => label || '@group')
+  .replace(/<((?:https?|mailto):[^|>]+)(?:\|([^>]+))?>/g, (match, url, label) => {
+    const target = url.replace(/^mailto:/, '');
+    return label && label !== target ? `${label} (${target})` : target;
+  })
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const toSlackSender = (user) => ({
+  key: user.id,
+  name: user.profile?.display_name || user.profile?.real_name || user.real_name || user.name || user.id,
+  username: user.name || null
+});
+
+/**
+ * Parse the files of an unzipped Slack export. `files` are `{ path, text }`
+ * with paths relative to the picked folder.
+ */
+export const parseSlackExport = (files) => {
+  const rootFile = (name) => files.find(file => getBaseName(file.path) === name && !SLACK_DAY_FILE.test(name));
+  const usersFile = rootFile('users.json');
+  const users = usersFile ? parseJsonFile(usersFile) : [];
+
+  const senders = new Map();
+  const userNames = {};
+  (Array.isArray(users) ? users : []).forEach(user => {
+    const sender = toSlackSender(user);
+    senders.set(sender.key, sender);
+    userNames[sender.key] = sender.name;
+  });
+
+  const channelNames = {};
+  ['channels.json', 'groups.json'].forEach(name => {
+    const file = rootFile(name);
+    if (!file) return;
+    const channels = parseJsonFile(file);
+    (Array.isArray(channels) ? channels : []).forEach(channel => {
+      channelNames[channel.id] = channel.name;
+    });
+  });
+
+  const conversations = new Map();
+  files
+    .filter(file => SLACK_DAY_FILE.test(getBaseName(file.path)))
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .forEach(file => {
+      const channel = getFolderName(file.path) || 'slack';
+      if (!conversations.has(channel)) {
+        conversations.set(channel, { key: channel, name: channel, messages: [] });
+      }
+      const dayMessages = parseJsonFile(file);
+
+      (Array.isArray(dayMessages) ? dayMessages : []).forEach(message => {
+        if (message.type !== 'message' || !message.ts || SLACK_SKIPPED_SUBTYPES.has(message.subtype)) return;
+
+        const fileLines = (message.files || [])
+          .filter(attached => attached.mode !== 'hidden_by_limit' && attached.mode !== 'tombstone')
+          .map(attached => `📎 ${attached.name || attached.title || 'file'}`);
+        const text = [formatSlackText(message.text, userNames, channelNames), ...fileLines]
+          .filter(Boolean)
+          .join('\n')
+          .trim();
+        if (!text) return;
+
+        const senderKey = message.user || message.bot_id || message.username || 'unknown';
+        if (!senders.has(senderKey)) {
+          const profile = message.user_profile || {};
+          senders.set(senderKey, {
+            key: senderKey,
+            name: profile.display_name || profile.real_name || message.username || senderKey,
+            username: profile.name || null
+          });
+        }
+
+        conversations.get(channel).messages.push({
+          source_id: message.ts,
+          sender_key: senderKey,
+          text,
+          sent_at: slackTsToIso(message.ts),
+          thread_key: message.thread_ts && message.thread_ts !== message.ts ? message.thread_ts : null
+        });
+      });
+    });
+
+  const parsed = [...conversations.values()]
+    .filter(conversation => conversation.messages.length > 0)
+    .map(conversation => ({ ...conversation, messages: conversation.messages.sort(byTime) }));
+  if (parsed.length === 0) {
+    throw new Error('No Slack messages found. Pick the unzipped export folder.');
+  }
+
+  const usedKeys = new Set(parsed.flatMap(conversation => conversation.messages.map(m => m.sender_key)));
+  return {
+    source: IMPORT_SOURCES.SLACK,
+    conversations: parsed,
+    senders: [...senders.values()].filter(sender => usedKeys.has(sender.key))
+  };
+};
+
+// --- WhatsApp --------------------------------------------------------------
+
+// "[06/03/2024, 09:15:02] Ann: Hi" (iOS) or "06/03/2024, 09:15 - Ann: Hi" (Android)
+const WHATSAPP_LINE = /^\[?(\d{1,4})[./-](\d{1,2})[./-](\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([AaPp]\.?\s?[Mm]\.?)?\]?\s*(?:-\s+)?(.*)$/;
+
+// Direction marks and the narrow spaces some phones put before AM/PM
+const cleanWhatsAppLine = (line) => line.replace(/[\u200e\u200f\u202a-\u202e]/g, '').replace(/[\u202f\u00a0]/g, ' ');
+
+const splitWhatsAppLines = (text) => text.split(/\r?\n/).map(cleanWhatsAppLine);
+
+/** Guess the day/month order from dates that can only be read one way. */
+export const detectWhatsAppDateOrder = (text) => {
+  for (const line of splitWhatsAppLines(text)) {
+    const match = WHATSAPP_LINE.exec(line);
+    if (!match || match[1].length === 4) continue;
+    if (Number(match[1]) > 12) return DATE_ORDERS.DMY;
+    if (Number(match[2]) > 12) return DATE_ORDERS.MDY;
+  }
+  return DATE_ORDERS.DMY;
+};
+
+const toWhatsAppDate = (match, dateOrder) => {
+  const [, first, second, third, hours, minutes, seconds, meridiem] = match;
+  let year;
+  let month;
+  let day;
+  if (first.length === 4) {
+    [year, month, day] = [first, second, third];
+  } else if (dateOrder === DATE_ORDERS.MDY) {
+    [month, day, year] = [first, second, third];
+  } else {
+    [day, month, year] = [first, second, third];
+  }
+
+  let hour = Number(hours);
+  const period = meridiem?.replace(/[.\s]/g, '').toLowerCase();
+  if (period === 'pm' && hour < 12) hour += 12;
+  if (period === 'am' && hour === 12) hour = 0;
+
+  const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+  const date = new Date(fullYear, Number(month) - 1, Number(day), hour, Number(minutes), Number(seconds || 0));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/** "WhatsApp Chat with Ann.txt" → "Ann" */
+export const getWhatsAppChatName = (fileName = '') => {
+  const match = /^WhatsApp Chat (?:with|-) (.+)\.txt$/i.exec(fileName);
+  return match ? match[1] : 'WhatsApp chat';
+};
+
+/**
+ * Parse a WhatsApp chat export. Lines without a date continue the previous
+ * message; notices without a "Name:" sender are skipped.
+ */
+export const parseWhatsAppExport = (text, fileName = '', dateOrder = detectWhatsAppDateOrder(text)) => {
+  const messages = [];
+  const senders = new Map();
+  let current = null;
+
+  splitWhatsAppLines(text).forEach((line, index) => {
+    const match = WHATSAPP_LINE.exec(line);
+    const date = match && toWhatsAppDate(match, dateOrder);
+    if (!date) {
+      if (current) current.text += `\n${line}`;
+      return;
+    }
+
+    const body = match[8];
+    const separator = body.indexOf(': ');
+    if (separator <= 0) {
+      current = null; // system notice
+      return;
+    }
+
+    const name = body.slice(0, separator).trim();
+    if (!senders.has(name)) senders.set(name, { key: name, name, username: null });
+    current = {
+      source_id: String(index + 1),
+      sender_key: name,
+      text: body.slice(separator + 2).replace(/^<attached: (.+)>$/, '📎 $1'),
+      sent_at: date.toISOString(),
+      thread_key: null
+    };
+    messages.push(current);
+  });
+
+  const parsed = messages
+    .map(message => ({ ...message, text: message.text.trim() }))
+    .filter(message => message.text);
+  if (parsed.length === 0) {
+    throw new Error('No WhatsApp messages found in this file.');
+  }
+
+  const name = getWhatsAppChatName(fileName);
+  return {
+    source: IMPORT_SOURCES.WHATSAPP,
+    conversations: [{ key: name, name, messages: parsed }],
+    senders: [...senders.values()]
+  };
+};
+
+// --- Sender mapping ----------------------------------------------------------
+
+/** The org user among `candidates` that clearly is `sender`, or null. */
+export const pickSenderMatch = (sender, candidates = []) => {
+  const name = sender.name.toLowerCase();
+  const username = sender.username?.toLowerCase();
+  const exact = candidates.find(user => (
+    user.display_name?.toLowerCase() === name ||
+    (username && user.username?.toLowerCase() === username)
+  ));
+  if (exact) return exact;
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+/** Look up the org user for an imported sender: by username first, then by name. */
+export const findOrgUserForSender = async (sender) => {
+  if (sender.username) {
+    const user = await authHelpers.getUserByUsername(sender.username);
+    if (user) return user;
+  }
+  const candidates = await authHelpers.searchUsers(sender.name, 5);
+  return pickSenderMatch(sender, candidates || []);
+};
+
+// --- Replay ------------------------------------------------------------------
+
+/**
+ * Send request body for an imported message. `mapping` maps sender keys to
+ * org users (or null).
+ */
+export const toImportPayload = (message, { source, conversation, sender, mapping = {} }) => ({
+  content_type: 'text/plain',
+  content: message.text,
+  meta: {
+    imported: {
+      source,
+      source_conversation: conversation.name,
+      source_id: message.source_id,
+      sender_name: sender?.name || message.sender_key,
+      user_id: mapping[message.sender_key]?.id || null,
+      sent_at: message.sent_at
+    }
+  },
+  dedupe_key: `import-${source}-${conversation.key}-${message.source_id}`
+});
+
+/** "Imported from Slack · Ann · Mar 6, 2024 09:15" label shown above an imported message. */
+export const getImportedLabel = (imported) => {
+  let sentAt = '';
+  try {
+    sentAt = format(new Date(imported.sent_at), 'MMM d, yyyy HH:mm');
+  } catch {
+    // keep the label without a time
+  }
+  return [`Imported from ${IMPORT_SOURCE_LABELS[imported.source] || 'another app'}`, imported.sender_name, sentAt]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+/**
+ * Dry-run summary of an import: per conversation counts and dates, and per
+ * sender message counts with their mapped org user.
+ */
+export const summarizeImport = (parsed, mapping = {}) => {
+  const counts = {};
+  parsed.conversations.forEach(conversation => conversation.messages.forEach(message => {
+    counts[message.sender_key] = (counts[message.sender_key] || 0) + 1;
+  }));
+
+  const senders = parsed.senders.map(sender => ({
+    key: sender.key,
+    name: sender.name,
+    message_count: counts[sender.key] || 0,
+    user: mapping[sender.key]
+      ? { id: mapping[sender.key].id, display_name: mapping[sender.key].display_name, username: mapping[sender.key].username }
+      : null
+  }));
+
+  return {
+    source: parsed.source,
+    message_count: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    conversations: parsed.conversations.map(conversation => ({
+      key: conversation.key,
+      name: conversation.name,
+      message_count: conversation.messages.length,
+      first_at: conversation.messages[0]?.sent_at || null,
+      last_at: conversation.messages[conversation.messages.length - 1]?.sent_at || null
+    })),
+    senders,
+    matched_count: senders.filter(sender => sender.user).length,
+    unmatched_count: senders.filter(sender => !sender.user).length
+  };
+};
@@ -0,0 +1,315 @@
+/**
+ * Conversation export: a JSON record of the (optionally date-limited) history
+ * and its Markdown / self-contained HTML transcripts.
+ *
+ * ChatContext's `loadConversationExport` pages through the full history and
+ * resolves names and attachment links; everything here is pure formatting.
+ * Attachment links are the media service's download URLs at export time and
+ * expire with them; the JSON also keeps each `attachment_id`.
+ */
+
+import { format } from 'date-fns';
+import { isMessageDeleted } from './message-utils';
+import { formatFileSize } from './attachments';
+import { formatDuration, isVoiceMessage } from './voice';
+import { MARKDOWN_CONTENT_TYPE, sanitizeUrl } from './markdown';
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  MARKDOWN: 'markdown',
+  HTML: 'html'
+};
+
+export const EXPORT_FORMAT_INFO = {
+  [EXPORT_FORMATS.JSON]: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  [EXPORT_FORMATS.MARKDOWN]: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  [EXPORT_FORMATS.HTML]: { label: 'HTML', extension: 'html', mimeType: 'text/html' }
+};
+
+// Bumped when the JSON layout changes
+export const EXPORT_VERSION = 1;
+
+export const EMPTY_EXPORT_RANGE = {
+  from: '', // yyyy-MM-dd, inclusive
+  to: ''    // yyyy-MM-dd, inclusive
+};
+
+const startOfDay = (date) => new Date(`${date}T00:00:00`).getTime();
+const endOfDay = (date) => new Date(`${date}T23:59:59.999`).getTime();
+
+/** Error for a from/to pair, or null when the range is usable. */
+export const validateExportRange = (range = EMPTY_EXPORT_RANGE) => {
+  if (range.from && range.to && startOfDay(range.from) > endOfDay(range.to)) {
+    return 'The start date must be before the end date';
+  }
+  return null;
+};
+
+export const isInExportRange = (message, range = EMPTY_EXPORT_RANGE) => {
+  const sentAt = new Date(message.sent_at).getTime();
+  if (range.from && !(sentAt >= startOfDay(range.from))) return false;
+  if (range.to && !(sentAt <= endOfDay(range.to))) return false;
+  return true;
+};
+
+/** True once a newest-first page reaches back past the start of the range. */
+export const isBeforeExportRange = (message, range = EMPTY_EXPORT_RANGE) => (
+  !!range.from && new Date(message.sent_at).getTime() < startOfDay(range.from)
+);
+
+const toExportMessage = (message, people, attachmentUrls) => {
+  const deleted = isMessageDeleted(message);
+  const meta = message.meta || {};
+
+  return {
+    id: message.id,
+    sent_at: message.sent_at,
+    sender_id: message.sender_id,
+    sender_name: people[message.sender_id] || 'Unknown User',
+    content_type: message.content_type,
+    content: deleted ? '' : message.content || '',
+    ...(message.edited_at && { edited_at: message.edited_at }),
+    ...(deleted && { deleted: true }),
+    ...(meta.parent_message_id && { reply_to: meta.parent_message_id }),
+    ...(meta.thread_root_id && { thread_root_id: meta.thread_root_id }),
+    ...(meta.forwarded_from && { forwarded_from: meta.forwarded_from }),
+    ...(meta.imported && { imported: meta.imported }),
+    ...(!deleted && message.content_type === 'attachment' && {
+      attachment: {
+        attachment_id: meta.attachment_id || null,
+        file_name: meta.file_name || message.content || 'Attachment',
+        file_type: meta.file_type || null,
+        file_size: meta.file_size || null,
+        ...(isVoiceMessage(message) && { voice: true, duration: meta.duration || null }),
+        url: (meta.attachment_id && attachmentUrls[meta.attachment_id]) || null
+      }
+    })
+  };
+};
+
+/**
+ * The export record. `messages` may come in any order and are written oldest
+ * first; `people` maps the participants' and senders' user ids to display names.
+ */
+export const buildConversationExport = ({
+  conversation,
+  title,
+  messages,
+  people = {},
+  attachmentUrls = {},
+  range = EMPTY_EXPORT_RANGE,
+  exportedAt = new Date()
+}) => {
+  const ordered = [...messages].sort((a, b) => (new Date(a.sent_at).getTime() || 0) - (new Date(b.sent_at).getTime() || 0));
+
+  return {
+    version: EXPORT_VERSION,
+    exported_at: exportedAt.toISOString(),
+    conversation: { id: conversation.id, type: conversation.type || null, title },
+    range: { from: range.from || null, to: range.to || null },
+    participants: Object.entries(people).map(([userId, displayName]) => ({ user_id: userId, display_name: displayName })),
+    message_count: ordered.length,
+    messages: ordered.map(message => toExportMessage(message, people, attachmentUrls))
+  };
+};
+
+const formatTime = (timestamp, pattern) => {
+  try {
+    return format(new Date(timestamp), pattern);
+  } catch {
+    return '';
+  }
+};
+
+const describeRange = (range) => {
+  if (!range.from && !range.to) return 'All messages';
+  if (!range.to) return `From ${range.from}`;
+  if (!range.from) return `Until ${range.to}`;
+  return `${range.from} to ${range.to}`;
+};
+
+const describeAttachment = (attachment) => (
+  attachment.voice
+    ? `Voice message (${formatDuration(attachment.duration)})`
+    : `${attachment.file_name}${attachment.file_size ? ` (${formatFileSize(attachment.file_size)})` : ''}`
+);
+
+// Download links stay clickable in the transcripts only when they are http(s)
+const getAttachmentHref = (attachment) => {
+  const url = attachment.url ? sanitizeUrl(attachment.url) : null;
+  return url && /^https?:/i.test(url) ? url : null;
+};
+
+// Messages grouped under one heading per calendar day
+const groupByDay = (messages) => {
+  const days = [];
+  messages.forEach(message => {
+    const day = formatTime(message.sent_at, 'EEEE, MMMM d, yyyy');
+    if (days.length === 0 || days[days.length - 1].day !== day) {
+      days.push({ day, messages: [] });
+    }
+    days[days.length - 1].messages.push(message);
+  });
+  return days;
+};
+
+const escapeMarkdownLabel = (text) => text.replace(/([\\[\]*_`])/g, '\\$1');
+
+const toMarkdownMessage = (message) => {
+  const lines = [];
+  const edited = message.edited_at ? ' _(edited)_' : '';
+  lines.push(`**${escapeMarkdownLabel(message.sender_name)}** · ${formatTime(message.sent_at, 'HH:mm')}${edited}`);
+  if (message.forwarded_from) {
+    lines.push(`_Forwarded from ${escapeMarkdownLabel(message.forwarded_from.sender_name || 'Unknown User')}_`);
+  }
+
+  if (message.deleted) {
+    lines.push('_message deleted_');
+  } else if (message.attachment) {
+    const label = escapeMarkdownLabel(describeAttachment(message.attachment));
+    const href = getAttachmentHref(message.attachment);
+    lines.push(href ? `📎 [${label}](<${href}>)` : `📎 ${label}`);
+    if (message.content && message.content !== message.attachment.file_name) {
+      lines.push(message.content);
+    }
+  } else if (message.content_type === MARKDOWN_CONTENT_TYPE) {
+    // Markdown messages keep their own blocks (lists, code) after a blank line
+    return `${lines.join('  \n')}\n\n${message.content}`;
+  } else {
+    // Keep the line breaks of plain text
+    lines.push(message.content.split('\n').join('  \n'));
+  }
+  return lines.join('  \n');
+};
+
+export const toMarkdownTranscript = (record) => {
+  const participantNames = record.participants.map(p => p.display_name).join(', ');
+  const sections = [
+    `# ${record.conversation.title}`,
+    [
+      `- Exported: ${formatTime(record.exported_at, 'MMM d, yyyy HH:mm')}`,
+      `- Range: ${describeRange(record.range)}`,
+      `- Participants: ${participantNames || 'None'}`,
+      `- Messages: ${record.message_count}`
+    ].join('\n')
+  ];
+
+  groupByDay(record.messages).forEach(({ day, messages }) => {
+    sections.push(`## ${day}`);
+    messages.forEach(message => sections.push(toMarkdownMessage(message)));
+  });
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+  header { border-bottom: 1px solid #e5e7eb; margin-bottom: 1rem; }
+  header p { color: #6b7280; font-size: 0.875rem; margin: 0.25rem 0; }
+  h2 { font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin: 1.5rem 0 0.5rem; }
+  .message { padding: 0.5rem 0; border-bottom: 1px solid #f3f4f6; }
+  .meta { font-size: 0.75rem; color: #6b7280; }
+  .sender { font-weight: 600; color: #111827; font-size: 0.875rem; }
+  .content { white-space: pre-wrap; word-wrap: break-word; font-size: 0.875rem; margin-top: 0.25rem; }
+  .note { font-style: italic; color: #6b7280; font-size: 0.75rem; }
+  .attachment { display: inline-block; margin-top: 0.25rem; font-size: 0.875rem; color: #4f46e5; }
+`;
+
+const toHtmlMessage = (message) => {
+  const parts = [
+    `<div class="meta"><span class="sender">${escapeHtml(message.sender_name)}</span> · ` +
+      `<time datetime="${escapeHtml(message.sent_at)}">${escapeHtml(formatTime(message.sent_at, 'HH:mm'))}</time>` +
+      `${message.edited_at ? ' · edited' : ''}</div>`
+  ];
+  if (message.forwarded_from) {
+    parts.push(`<div class="note">Forwarded from ${escapeHtml(message.forwarded_from.sender_name || 'Unknown User')}</div>`);
+  }
+
+  if (message.deleted) {
+    parts.push('<div class="note">message deleted</div>');
+  } else if (message.attachment) {
+    const label = `📎 ${escapeHtml(describeAttachment(message.attachment))}`;
+    const href = getAttachmentHref(message.attachment);
+    parts.push(href
+      ? `<a class="attachment" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`
+      : `<span class="attachment">${label}</span>`);
+    if (message.content && message.content !== message.attachment.file_name) {
+      parts.push(`<div class="content">${escapeHtml(message.content)}</div>`);
+    }
+  } else {
+    parts.push(`<div class="content">${escapeHtml(message.content)}</div>`);
+  }
+
+  return `<div class="message" id="message-${escapeHtml(message.id)}">${parts.join('')}</div>`;
+};
+
+export const toHtmlTranscript = (record) => {
+  const title = escapeHtml(record.conversation.title);
+  const participantNames = escapeHtml(record.participants.map(p => p.display_name).join(', ') || 'None');
+  const days = groupByDay(record.messages)
+    .map(({ day, messages }) => `<section><h2>${escapeHtml(day)}</h2>${messages.map(toHtmlMessage).join('\n')}</section>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+<p>Exported ${escapeHtml(formatTime(record.exported_at, 'MMM d, yyyy HH:mm'))} · ${escapeHtml(describeRange(record.range))} · ${record.message_count} messages</p>
+<p>Participants: ${participantNames}</p>
+</header>
+<main>
+${days}
+</main>
+</body>
+</html>
+`;
+};
+
+/** File contents for an export record in the chosen format. */
+export const formatConversationExport = (record, exportFormat) => {
+  switch (exportFormat) {
+    case EXPORT_FORMATS.MARKDOWN:
+      return toMarkdownTranscript(record);
+    case EXPORT_FORMATS.HTML:
+      return toHtmlTranscript(record);
+    default:
+      return JSON.stringify(record, null, 2);
+  }
+};
+
+/** e.g. `design-team-2024-03-06.md` */
+export const getExportFileName = (title, exportFormat, date = new Date()) => {
+  const slug = (title || 'conversation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'conversation';
+  return `${slug}-${format(date, 'yyyy-MM-dd')}.${EXPORT_FORMAT_INFO[exportFormat].extension}`;
+};
+
+/** Save text as a file through a temporary object URL. */
+export const downloadTextFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+  // Some browsers read the URL after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,43 @@
+/**
+ * In-conversation find (Ctrl/Cmd+F in ChatWindow): which loaded messages
+ * contain the query, and where to highlight it inside their text.
+ */
+
+import { isMessageDeleted } from './message-utils';
+import { getSearchableText } from './message-search';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Ids of the messages containing `query` (case-insensitive), oldest first so
+ * "older" / "newer" navigation is a step down / up the list. `messages` is
+ * newest first, as stored in ChatContext.
+ */
+export const getFindMatches = (messages, query) => {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) return [];
+
+  return (messages || [])
+    .filter(message => !isMessageDeleted(message) && getSearchableText(message).toLowerCase().includes(needle))
+    .map(message => message.id)
+    .reverse();
+};
+
+/** Split `text` into `{ text, match }` segments around every occurrence of `query`. */
+export const splitHighlights = (text, query) => {
+  const needle = (query || '').trim();
+  if (!text || !needle) return [{ text: text || '', match: false }];
+
+  return text
+    .split(new RegExp(`(${escapeRegExp(needle)})`, 'gi'))
+    .filter(Boolean)
+    .map(part => ({ text: part, match: part.toLowerCase() === needle.toLowerCase() }));
+};
+
+/**
+ * The match to select after `matches` changed: keep `currentId` when it is
+ * still a match, otherwise start from the newest one.
+ */
+export const pickFindMatch = (matches, currentId) => (
+  matches.includes(currentId) ? currentId : matches[matches.length - 1] ?? null
+);
@@ -1,6 +1,18 @@
 import { devLog } from '@/utils/debug';
+import { TokenManager } from '@/utils/api-utils';
+import {
+  getCacheDbName,
+  getMessageCacheStats,
+  getCachedMessages,
+  loadMessageCache,
+  clearMessageCache,
+  evictMessages
+} from '@/utils/message-cache';
 
-// Debug utility for localStorage inspection
+// Debug utility for localStorage and IndexedDB message cache inspection
+
+// Cache helpers default to the signed-in user
+const resolveUserId = (userId) => userId || TokenManager.getUser()?.id;
 
 export const debugStorage = {
   // List all orbit chat storage keys
@@ -56,6 +68,45 @@ export const debugStorage = {
     devLog('================================');
   },
 
+  // Per-conversation sizes of the IndexedDB message cache
+  getMessageCacheStats: (userId) => getMessageCacheStats(resolveUserId(userId)),
+
+  // Everything in the IndexedDB message cache
+  getMessageCacheData: (userId) => loadMessageCache(resolveUserId(userId)),
+
+  // One conversation's cached messages
+  getCachedMessages: (conversationId, userId) => getCachedMessages(resolveUserId(userId), conversationId),
+
+  // Log IndexedDB message cache summary
+  logMessageCacheSummary: async (userId) => {
+    const id = resolveUserId(userId);
+    const stats = await getMessageCacheStats(id);
+    const totalSize = stats.reduce((sum, entry) => sum + entry.size, 0);
+    devLog(`=== ORBIT MESSAGE CACHE (${getCacheDbName(id)}) ===`);
+    stats
+      .sort((a, b) => b.size - a.size)
+      .forEach(entry => {
+        devLog(`${entry.conversation_id}: ${entry.count} messages, ~${Math.round(entry.size / 1024)} KB, written ${new Date(entry.updated_at).toLocaleString()}`);
+      });
+    devLog(`Total: ${stats.length} conversations, ~${Math.round(totalSize / 1024)} KB`);
+    devLog('================================');
+    return stats;
+  },
+
+  // Run eviction now, optionally with a smaller budget to test it
+  evictMessageCache: async (maxBytes, userId) => {
+    const evicted = await evictMessages(resolveUserId(userId), [], maxBytes);
+    devLog(`Evicted ${evicted.length} cached conversations`, evicted);
+    return evicted;
+  },
+
+  // Delete the IndexedDB message cache
+  clearMessageCache: async (userId) => {
+    const id = resolveUserId(userId);
+    await clearMessageCache(id);
+    devLog(`Deleted message cache ${getCacheDbName(id)}`);
+  },
+
   // Watch for storage changes
   watchStorage: () => {
     const originalSetItem = localStorage.setItem;
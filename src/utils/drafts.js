@@ -0,0 +1,94 @@
+/**
+ * Unsent composer drafts, one per conversation.
+ *
+ * A draft is `{ text, reply_to, mentions, files, updated_at }` and all of a
+ * user's drafts live in one `orbit_chat_{userId}_drafts` localStorage record,
+ * so other tabs see changes through `storage` events. `files` only lists the
+ * attachments' metadata; the files themselves are kept in the IndexedDB
+ * message cache (`draft_files` store).
+ */
+
+import { getThreadRootId } from './message-utils';
+
+// Pause in typing before the composer is saved as a draft (ms)
+export const DRAFT_SAVE_DELAY = 400;
+
+const PREVIEW_LENGTH = 50;
+
+/** Enough of the message being replied to for buildReplyMeta and the reply bar. */
+export const toReplySnapshot = (message) => ({
+  id: message.id,
+  sender_id: message.sender_id,
+  content_type: message.content_type,
+  content: (message.content || '').slice(0, 140),
+  meta: {
+    file_name: message.meta?.file_name,
+    file_type: message.meta?.file_type,
+    thread_root_id: getThreadRootId(message) || undefined
+  }
+});
+
+/**
+ * Draft record for a composer state, or null when there is nothing worth
+ * keeping (no text and no files; a reply target alone is dropped).
+ */
+export const createDraft = ({ text = '', replyTo = null, mentions = [], files = [] }, now = new Date()) => {
+  if (!text.trim() && files.length === 0) return null;
+
+  return {
+    text,
+    reply_to: replyTo ? toReplySnapshot(replyTo) : null,
+    mentions,
+    files: files.map(({ id, name, type, size }) => ({ id, name, type, size })),
+    updated_at: now.toISOString()
+  };
+};
+
+/** True when two drafts hold the same content (their save times aside). */
+export const isSameDraft = (a, b) => {
+  if (!a || !b) return a === b;
+  const { updated_at: aTime, ...aContent } = a;
+  const { updated_at: bTime, ...bContent } = b;
+  return JSON.stringify(aContent) === JSON.stringify(bContent);
+};
+
+/** True when the drafts list different attachments. */
+export const haveDraftFilesChanged = (a, b) => {
+  const ids = (draft) => (draft?.files || []).map(file => file.id).join('|');
+  return ids(a) !== ids(b);
+};
+
+/**
+ * Set (or with a null draft, remove) a conversation's draft.
+ * @returns {Object} the same object when nothing changed
+ */
+export const setDraft = (drafts, conversationId, draft) => {
+  const current = drafts[conversationId] || null;
+  if (isSameDraft(current, draft)) return drafts;
+
+  const next = { ...drafts };
+  if (draft) {
+    next[conversationId] = draft;
+  } else {
+    delete next[conversationId];
+  }
+  return next;
+};
+
+/** Conversations whose draft differs between two draft records (e.g. before/after a storage event). */
+export const getChangedDraftIds = (before, after) => {
+  const ids = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...ids].filter(id => !isSameDraft(before?.[id] || null, after?.[id] || null));
+};
+
+/** One-line draft preview for the conversation list (without the "Draft:" label). */
+export const getDraftPreview = (draft) => {
+  if (!draft) return '';
+
+  const text = draft.text.trim().replace(/\s+/g, ' ');
+  if (text) {
+    return text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH)}...` : text;
+  }
+  const count = draft.files.length;
+  return `📎 ${count} file${count === 1 ? '' : 's'}`;
+};
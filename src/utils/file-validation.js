@@ -0,0 +1,67 @@
+/**
+ * Checks for files attached in the composer (picker, drop or paste).
+ *
+ * Only JPG, PNG and PDF up to 10MB are accepted, and the extension has to
+ * match the MIME type. Rejected files are listed in the composer with the
+ * reason instead of being attached.
+ */
+
+import { format } from 'date-fns';
+
+export const ALLOWED_FILE_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'application/pdf': ['.pdf']
+};
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+/** Why `file` can't be attached, or null when it can. */
+export const getFileRejectionReason = (file) => {
+  const allowedExtensions = ALLOWED_FILE_TYPES[file.type];
+  if (!allowedExtensions) {
+    return `File type ${file.type || 'unknown'} is not supported. Please select JPG, PNG, or PDF files.`;
+  }
+
+  if (file.size > MAX_FILE_SIZE) {
+    return `File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB`;
+  }
+
+  const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
+  if (!allowedExtensions.includes(fileExtension)) {
+    return `File extension ${fileExtension} does not match the file type`;
+  }
+
+  return null;
+};
+
+/**
+ * Split files into the ones that can be attached and `{ name, reason }` for
+ * the rest.
+ */
+export const partitionFiles = (files) => {
+  const accepted = [];
+  const rejected = [];
+  files.forEach(file => {
+    const reason = getFileRejectionReason(file);
+    if (reason) {
+      rejected.push({ name: file.name || 'Pasted file', reason });
+    } else {
+      accepted.push(file);
+    }
+  });
+  return { accepted, rejected };
+};
+
+/**
+ * Screenshots arrive from the clipboard as "image.png" (or nameless); give
+ * them a unique, dated name with the extension their type needs. Other files
+ * are returned as they are.
+ */
+export const nameClipboardFile = (file, index = 0, date = new Date()) => {
+  if (file.name && file.name !== 'image.png') return file;
+  const extension = ALLOWED_FILE_TYPES[file.type]?.[0] || '';
+  const suffix = index > 0 ? ` (${index + 1})` : '';
+  const name = `Screenshot ${format(date, 'yyyy-MM-dd HH.mm.ss')}${suffix}${extension}`;
+  return new File([file], name, { type: file.type, lastModified: file.lastModified });
+};
@@ -0,0 +1,117 @@
+/**
+ * Forwarding messages to other conversations.
+ *
+ * A forwarded message is a new message with the original's content and the
+ * meta that describes that content (attachment, voice, link preview), plus
+ * `meta.forwarded_from = { message_id, conversation_id, sender_id, sender_name, sent_at }`.
+ * An attachment belongs to a single message, so each target gets its own
+ * upload of the file (downloaded once) instead of the original `attachment_id`.
+ * Reply, thread and mention meta stay behind, they point into the source
+ * conversation. Forwarding a forwarded message keeps the original attribution.
+ */
+
+import { isMessageDeleted } from './message-utils';
+import { isLocalMessage } from './outbox';
+
+// Most conversations (and people) a message can be forwarded to at once
+export const MAX_FORWARD_TARGETS = 10;
+
+const CONTENT_META_KEYS = [
+  'file_name', 'file_type', 'file_size', 'width', 'height',
+  'voice', 'duration', 'waveform', 'attachment_id', 'status',
+  'link_preview', 'no_link_preview'
+];
+
+/** Attribution of a forwarded message, or null. */
+export const getForwardedFrom = (message) => message?.meta?.forwarded_from || null;
+
+/** Sent messages can be forwarded; attachments only once their upload is done. */
+export const canForwardMessage = (message) => {
+  if (!message || isMessageDeleted(message) || isLocalMessage(message)) return false;
+  if (message.content_type === 'attachment') {
+    return message.meta?.status === 'ready' && !!message.meta.attachment_id;
+  }
+  return true;
+};
+
+/**
+ * Content type, content and meta of the copy of `message` sent to each target.
+ * `senderName` is the display name of the original sender, kept for
+ * recipients who aren't in the source conversation.
+ */
+export const buildForwardedMessage = (message, senderName = null) => {
+  const meta = {};
+  CONTENT_META_KEYS.forEach(key => {
+    if (message.meta?.[key] !== undefined) meta[key] = message.meta[key];
+  });
+  meta.forwarded_from = getForwardedFrom(message) || {
+    message_id: message.id,
+    conversation_id: message.conversation_id,
+    sender_id: message.sender_id,
+    sender_name: senderName,
+    sent_at: message.sent_at
+  };
+
+  return {
+    content_type: message.content_type,
+    content: message.content,
+    meta
+  };
+};
+
+/**
+ * File entry and meta for uploading a forwarded attachment to one target
+ * through sendMessageWithFiles, which records the file details itself.
+ */
+export const toForwardedUpload = (forwarded, file) => {
+  const {
+    attachment_id: attachmentId,
+    status,
+    file_name: fileName,
+    file_type: fileType,
+    file_size: fileSize,
+    width,
+    height,
+    voice,
+    duration,
+    waveform,
+    ...meta
+  } = forwarded.meta;
+
+  return {
+    fileObj: {
+      file,
+      name: fileName || file.name,
+      type: fileType || file.type,
+      size: file.size,
+      ...(width && { width, height }),
+      ...(voice && { voice, duration, waveform })
+    },
+    meta
+  };
+};
+
+/** "Forwarded from …" label shown above a forwarded message. */
+export const getForwardedLabel = (forwardedFrom, currentUserId) => {
+  if (forwardedFrom.sender_id && forwardedFrom.sender_id === currentUserId) return 'Forwarded from you';
+  return forwardedFrom.sender_name ? `Forwarded from ${forwardedFrom.sender_name}` : 'Forwarded';
+};
+
+/** The user's existing DM with `userId`, if it's in the conversation list. */
+export const findDirectConversation = (conversations, userId, currentUserId) => (
+  conversations.find(conv => (
+    conv.type === 'DM' &&
+    conv.participants?.some(p => p.user_id === userId) &&
+    conv.participants.every(p => p.user_id === userId || p.user_id === currentUserId)
+  )) || null
+);
+
+/** Conversations whose title or participant names match the picker's filter text. */
+export const filterForwardConversations = (conversations, query, getTitle) => {
+  const term = query.trim().toLowerCase();
+  if (!term) return conversations;
+  return conversations.filter(conv => (
+    getTitle(conv).toLowerCase().includes(term) ||
+    conv.participants?.some(p => p.display_name?.toLowerCase().includes(term))
+  ));
+};
@@ -0,0 +1,92 @@
+/**
+ * Pre-upload image pipeline: downscale large photos and re-encode them.
+ *
+ * Drawing the decoded pixels onto a canvas and encoding the canvas drops every
+ * metadata block of the original (EXIF, GPS location, camera data, XMP). The
+ * EXIF orientation is applied while decoding, so the result is upright without
+ * it. The user can still send the untouched original per file.
+ */
+
+export const IMAGE_PROCESSING = {
+  enabled: process.env.NEXT_PUBLIC_IMAGE_PROCESSING !== 'false',
+  // Longest side after downscaling (px)
+  maxDimension: Number(process.env.NEXT_PUBLIC_IMAGE_MAX_DIMENSION) || 2048,
+  jpegQuality: 0.85
+};
+
+// Types the canvas can re-encode without changing format
+export const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+export const canProcessImage = (file, options = IMAGE_PROCESSING) => (
+  options.enabled && PROCESSABLE_IMAGE_TYPES.includes(file?.type)
+);
+
+/** Fit `width` x `height` within `maxDimension` on the longest side; never upscales. */
+export const getScaledDimensions = (width, height, maxDimension = IMAGE_PROCESSING.maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+// Decode with the EXIF orientation applied
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Fall back to an <img> element below
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new window.Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      image.src = url;
+    });
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))),
+    type,
+    quality
+  );
+});
+
+/**
+ * Downscale (if needed) and re-encode an image. Resolves to the new file with
+ * its dimensions; the original file is left untouched.
+ */
+export const processImage = async (file, options = IMAGE_PROCESSING) => {
+  const source = await decodeImage(file);
+  const originalWidth = source.naturalWidth || source.width;
+  const originalHeight = source.naturalHeight || source.height;
+  const { width, height } = getScaledDimensions(originalWidth, originalHeight, options.maxDimension);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, 0, 0, width, height);
+  source.close?.();
+
+  const quality = file.type === 'image/jpeg' ? options.jpegQuality : undefined;
+  const blob = await canvasToBlob(canvas, file.type, quality);
+
+  return {
+    file: new File([blob], file.name, { type: file.type, lastModified: file.lastModified }),
+    width,
+    height,
+    resized: width !== originalWidth || height !== originalHeight
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * Link preview ("unfurl") helpers.
+ *
+ * The first URL in a text message gets a preview card. The sender's client
+ * stores the unfurled metadata in `meta.link_preview` at send time; messages
+ * without it (sent before the preview loaded, or by older clients) are
+ * unfurled when rendered. Removing the preview in the composer sends
+ * `meta.no_link_preview: true` instead.
+ */
+
+import { chatApiEndpoints } from './api-list';
+import { URL_PATTERN, sanitizeUrl } from './markdown';
+
+export const LINK_PREVIEWS = {
+  enabled: process.env.NEXT_PUBLIC_LINK_PREVIEWS !== 'false',
+  // Wait for typing to pause before unfurling a URL in the composer (ms)
+  debounce: 500
+};
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/** First http(s) URL in `text`, normalised, or null. */
+export const extractFirstUrl = (text) => {
+  const match = (text || '').match(URL_PATTERN);
+  const url = match ? sanitizeUrl(match[0]) : null;
+  return url && /^https?:/i.test(url) ? url : null;
+};
+
+const truncate = (value, max) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
+
+/**
+ * Shape an unfurl response into the stored preview. Accepts the usual
+ * Open Graph style field names; returns null when there is nothing to show.
+ */
+export const normalizeLinkPreview = (data, url) => {
+  if (!data) return null;
+  const title = truncate(data.title || data.og_title, MAX_TITLE_LENGTH);
+  const description = truncate(data.description || data.og_description, MAX_DESCRIPTION_LENGTH);
+  if (!title && !description) return null;
+
+  const image = sanitizeUrl(data.image_url || data.image || data.og_image || '');
+  let siteName = truncate(data.site_name, MAX_TITLE_LENGTH);
+  if (!siteName) {
+    try {
+      siteName = new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      siteName = '';
+    }
+  }
+
+  return {
+    url,
+    title,
+    description,
+    image_url: image && /^https?:/i.test(image) ? image : null,
+    site_name: siteName
+  };
+};
+
+const previewRequests = new Map(); // url -> Promise<preview | null>
+
+/** Unfurl a URL once per session; failures are forgotten so they can be retried. */
+export const fetchLinkPreview = (url) => {
+  if (!previewRequests.has(url)) {
+    const promise = chatApiEndpoints.unfurlUrl(url)
+      .then(data => normalizeLinkPreview(data, url))
+      .catch(error => {
+        previewRequests.delete(url);
+        throw error;
+      });
+    previewRequests.set(url, promise);
+  }
+  return previewRequests.get(url);
+};
+
+/**
+ * Meta to send with a text message: the loaded preview for its first URL, or
+ * the opt-out flag when the sender removed it. Null when neither applies.
+ */
+export const getLinkPreviewMeta = (text, preview, dismissedUrl) => {
+  const url = extractFirstUrl(text);
+  if (!url) return null;
+  if (url === dismissedUrl) return { no_link_preview: true };
+  if (preview?.url === url && preview.data) return { link_preview: preview.data };
+  return null;
+};
+
+/**
+ * What a rendered message should show: `preview` from meta when it still
+ * matches the first URL (edits can change it), and `url` when it has to be
+ * unfurled by this client. Null for no card.
+ *
+ * Stored meta comes from the sender's client, so its text is re-validated
+ * like a response and its image is never loaded: an image URL picked by the
+ * sender would reveal each reader's IP address and read time to whoever
+ * hosts it. Stored previews that had an image are unfurled again to get one.
+ */
+export const resolveMessagePreview = (message) => {
+  if (message?.meta?.no_link_preview) return null;
+  const url = extractFirstUrl(message?.content);
+  if (!url) return null;
+
+  const stored = message.meta?.link_preview;
+  const preview = stored && stored.url === url ? normalizeLinkPreview(stored, url) : null;
+  if (!preview) return { preview: null, url };
+  return {
+    preview: { ...preview, image_url: null },
+    url: preview.image_url ? url : null
+  };
+};
@@ -0,0 +1,379 @@
+/**
+ * Minimal, safe Markdown for chat messages.
+ *
+ * `parseMarkdown` turns message text into a small tree of plain objects that
+ * `MarkdownContent` renders as React elements. Nothing is ever emitted as raw
+ * HTML, so user content cannot inject markup or scripts, and link targets are
+ * limited to http(s) and mailto.
+ *
+ * Supported: **bold**, _italics_, ~~strikethrough~~, `inline code`, fenced
+ * code blocks with a language hint, bullet and numbered lists, > blockquotes,
+ * [links](https://...) and bare URLs.
+ */
+
+export const MARKDOWN_CONTENT_TYPE = 'text/markdown';
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/** Normalise a link target, or return null when it is not safe to link to. */
+export const sanitizeUrl = (url) => {
+  const candidate = /^www\./i.test(url) ? `https://${url}` : url;
+  try {
+    const parsed = new URL(candidate);
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Inline parsing
+// ---------------------------------------------------------------------------
+
+// Bare http(s) / www. URL, without trailing punctuation
+export const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,:;"'!?)\]*]/i;
+
+// Earliest match wins; on a tie the rule listed first wins (so ** beats *).
+const INLINE_RULES = [
+  { type: 'escape', pattern: /\\([\\`*_~[\]()>#+\-.!])/ },
+  { type: 'code', pattern: /`([^`\n]+)`/ },
+  { type: 'link', pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/ },
+  { type: 'url', pattern: URL_PATTERN },
+  { type: 'bold', pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/ },
+  { type: 'strike', pattern: /~~(?=\S)([\s\S]*?\S)~~/ },
+  { type: 'italic', pattern: /\*(?=\S)([^*\n]*?\S)\*|(?<!\w)_(?=\S)([^_\n]*?\S)_(?!\w)/ },
+];
+
+const pushText = (nodes, value) => {
+  const last = nodes[nodes.length - 1];
+  if (last?.type === 'text') {
+    last.value += value;
+  } else {
+    nodes.push({ type: 'text', value });
+  }
+};
+
+const buildInlineNode = (type, match) => {
+  switch (type) {
+    case 'escape':
+      return { type: 'text', value: match[1] };
+    case 'code':
+      return { type: 'code', value: match[1] };
+    case 'link': {
+      const href = sanitizeUrl(match[2]);
+      return href
+        ? { type: 'link', href, children: parseInline(match[1]) }
+        : { type: 'text', value: match[0] };
+    }
+    case 'url': {
+      const href = sanitizeUrl(match[0]);
+      return href
+        ? { type: 'link', href, children: [{ type: 'text', value: match[0] }] }
+        : { type: 'text', value: match[0] };
+    }
+    default:
+      return { type, children: parseInline(match[1] ?? match[2]) };
+  }
+};
+
+/** Parse inline formatting into `text`, `code`, `link`, `bold`, `italic` and `strike` nodes. */
+export const parseInline = (text = '') => {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    let best = null;
+    for (const rule of INLINE_RULES) {
+      const match = rule.pattern.exec(rest);
+      if (match && (!best || match.index < best.match.index)) {
+        best = { rule, match };
+      }
+    }
+
+    if (!best) {
+      pushText(nodes, rest);
+      break;
+    }
+
+    const { rule, match } = best;
+    if (match.index > 0) {
+      pushText(nodes, rest.slice(0, match.index));
+    }
+
+    const node = buildInlineNode(rule.type, match);
+    if (node.type === 'text') {
+      pushText(nodes, node.value);
+    } else {
+      nodes.push(node);
+    }
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return nodes;
+};
+
+// ---------------------------------------------------------------------------
+// Block parsing
+// ---------------------------------------------------------------------------
+
+const FENCE_OPEN = /^\s*```\s*([\w+#-]*)\s*$/;
+const FENCE_CLOSE = /^\s*```\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const ORDERED = /^\s*(\d+)[.)]\s+(.*)$/;
+
+const isBlockStart = (line) => (
+  FENCE_OPEN.test(line) || QUOTE.test(line) || BULLET.test(line) || ORDERED.test(line)
+);
+
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_OPEN);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE_CLOSE.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence; an unterminated fence runs to the end of the message
+      blocks.push({ type: 'code_block', language: fence[1].toLowerCase(), value: code.join('\n') });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (BULLET.test(line) || ORDERED.test(line)) {
+      const ordered = !BULLET.test(line);
+      const pattern = ordered ? ORDERED : BULLET;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        const match = lines[i].match(pattern);
+        items.push(parseInline(ordered ? match[2] : match[1]));
+        i++;
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(line.match(ORDERED)[1], 10) : null,
+        items
+      });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
+
+/** Parse message text into `paragraph`, `code_block`, `blockquote` and `list` blocks. */
+export const parseMarkdown = (source = '') => {
+  return parseBlocks(source.replace(/\r\n?/g, '\n').split('\n'));
+};
+
+const inlineToText = (nodes) => nodes.map(node => (
+  node.children ? inlineToText(node.children) : node.value
+)).join('');
+
+const blocksToText = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'code_block':
+      return block.value;
+    case 'blockquote':
+      return blocksToText(block.children);
+    case 'list':
+      return block.items.map(inlineToText).join(' ');
+    default:
+      return inlineToText(block.children);
+  }
+}).join(' ');
+
+/** Flatten Markdown to plain text, for previews and snippets. */
+export const markdownToPlainText = (source = '') => blocksToText(parseMarkdown(source));
+
+// Anything that renders differently as Markdown than as plain text
+const MARKDOWN_HINT = /(\*\*|__|~~|`|\[[^\]\n]+\]\([^)\s]+\)|https?:\/\/|www\.|(^|\s)[*_]\S|^\s*>|^\s*[-*+]\s|^\s*\d+[.)]\s)/m;
+
+/** Content type to send a composed text message as. */
+export const getTextContentType = (text) => (
+  MARKDOWN_HINT.test(text) ? MARKDOWN_CONTENT_TYPE : 'text/plain'
+);
+
+// ---------------------------------------------------------------------------
+// Syntax highlighting
+// ---------------------------------------------------------------------------
+
+const KEYWORDS = {
+  js: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+  python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield',
+  go: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var',
+  java: 'abstract boolean break case catch char class const continue default do double else enum extends false final finally float for if implements import int interface long new null package private protected public return short static super switch this throw throws true try void while',
+  sql: 'and as asc by count create delete desc distinct drop from group having in inner insert into is join left limit not null on or order outer right select set table update values where',
+  bash: 'case do done echo elif else esac exit export fi for function if in local return then while'
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', json: 'js',
+  py: 'python',
+  golang: 'go',
+  kotlin: 'java', c: 'java', cpp: 'java', 'c++': 'java', cs: 'java', csharp: 'java',
+  sh: 'bash', shell: 'bash', zsh: 'bash'
+};
+
+const LINE_COMMENTS = { python: /#.*/, bash: /#.*/, sql: /--.*/ };
+const C_COMMENTS = /\/\/.*|\/\*[\s\S]*?\*\//;
+const STRINGS = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`/;
+const NUMBERS = /\b\d+(?:\.\d+)?\b/;
+const WORDS = /[A-Za-z_$][\w$]*/;
+
+/**
+ * Split code into `comment`, `string`, `number`, `keyword` and `plain` tokens.
+ * Unknown languages come back as a single plain token.
+ */
+export const highlightCode = (code, language = '') => {
+  const lang = LANGUAGE_ALIASES[language] || language;
+  if (!KEYWORDS[lang]) {
+    return [{ type: 'plain', value: code }];
+  }
+
+  const keywords = new Set(KEYWORDS[lang].split(' '));
+  const comments = LINE_COMMENTS[lang] || C_COMMENTS;
+  const tokenPattern = new RegExp(
+    `(${comments.source})|(${STRINGS.source})|(${NUMBERS.source})|(${WORDS.source})`,
+    'g'
+  );
+
+  const tokens = [];
+  const pushPlain = (value) => {
+    const last = tokens[tokens.length - 1];
+    if (last?.type === 'plain') {
+      last.value += value;
+    } else if (value) {
+      tokens.push({ type: 'plain', value });
+    }
+  };
+
+  let lastIndex = 0;
+  let match;
+  while ((match = tokenPattern.exec(code)) !== null) {
+    pushPlain(code.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    if (match[1]) {
+      tokens.push({ type: 'comment', value: match[0] });
+    } else if (match[2]) {
+      tokens.push({ type: 'string', value: match[0] });
+    } else if (match[3]) {
+      tokens.push({ type: 'number', value: match[0] });
+    } else {
+      const isKeyword = keywords.has(lang === 'sql' ? match[0].toLowerCase() : match[0]);
+      if (isKeyword) {
+        tokens.push({ type: 'keyword', value: match[0] });
+      } else {
+        pushPlain(match[0]);
+      }
+    }
+  }
+  pushPlain(code.slice(lastIndex));
+
+  return tokens;
+};
+
+// ---------------------------------------------------------------------------
+// Composer formatting
+// ---------------------------------------------------------------------------
+
+const INLINE_FORMATS = {
+  bold: '**',
+  italic: '_',
+  strike: '~~',
+  code: '`'
+};
+
+const LINE_PREFIXES = {
+  bullet_list: () => '- ',
+  ordered_list: (index) => `${index + 1}. `,
+  quote: () => '> '
+};
+
+/**
+ * Apply a toolbar/shortcut format to the selected range of `text`.
+ * Formats: bold, italic, strike, code, code_block, link, bullet_list, ordered_list, quote.
+ * @returns {{ text: string, selectionStart: number, selectionEnd: number }}
+ */
+export const applyMarkdownFormat = (text, selectionStart, selectionEnd, format) => {
+  const before = text.slice(0, selectionStart);
+  const selected = text.slice(selectionStart, selectionEnd);
+  const after = text.slice(selectionEnd);
+
+  if (INLINE_FORMATS[format]) {
+    const marker = INLINE_FORMATS[format];
+    return {
+      text: `${before}${marker}${selected}${marker}${after}`,
+      selectionStart: selectionStart + marker.length,
+      selectionEnd: selectionEnd + marker.length
+    };
+  }
+
+  if (format === 'code_block') {
+    const open = `${before && !before.endsWith('\n') ? '\n' : ''}\`\`\`\n`;
+    return {
+      text: `${before}${open}${selected}\n\`\`\`${after}`,
+      selectionStart: selectionStart + open.length,
+      selectionEnd: selectionEnd + open.length
+    };
+  }
+
+  if (format === 'link') {
+    const label = selected || 'link';
+    const url = 'https://';
+    const urlStart = selectionStart + label.length + 3;
+    return {
+      text: `${before}[${label}](${url})${after}`,
+      selectionStart: urlStart,
+      selectionEnd: urlStart + url.length
+    };
+  }
+
+  if (LINE_PREFIXES[format]) {
+    // Prefix every line touched by the selection
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const block = text.slice(lineStart, selectionEnd);
+    const prefixed = block
+      .split('\n')
+      .map((line, index) => `${LINE_PREFIXES[format](index)}${line}`)
+      .join('\n');
+    const firstPrefixLength = LINE_PREFIXES[format](0).length;
+    return {
+      text: `${text.slice(0, lineStart)}${prefixed}${after}`,
+      selectionStart: selectionStart + firstPrefixLength,
+      selectionEnd: selectionEnd + (prefixed.length - block.length)
+    };
+  }
+
+  return { text, selectionStart, selectionEnd };
+};
@@ -0,0 +1,154 @@
+/**
+ * Inline previews for image and video attachments.
+ *
+ * Thumbnail and full-size URLs are fetched once per attachment and shared by
+ * every bubble and the lightbox. Preview boxes are sized from the dimensions
+ * recorded in the message meta when it was sent, so a thumbnail arriving later
+ * never changes the height of the message list.
+ */
+
+import { mediaApiEndpoints } from './api-list';
+
+// Largest inline preview box (px)
+export const PREVIEW_MAX_WIDTH = 240;
+export const PREVIEW_MAX_HEIGHT = 240;
+
+// Box used when the original dimensions are unknown
+export const PREVIEW_FALLBACK_SIZE = { width: 240, height: 180 };
+
+export const isImageType = (type) => !!type?.startsWith('image/');
+export const isVideoType = (type) => !!type?.startsWith('video/');
+
+/** Attachment messages that get an inline preview and appear in the lightbox. */
+export const isPreviewableMedia = (message) => (
+  message?.content_type === 'attachment' &&
+  !!message.meta?.attachment_id &&
+  message.meta.status === 'ready' &&
+  (isImageType(message.meta.file_type) || isVideoType(message.meta.file_type))
+);
+
+/** Media of a newest-first message list, oldest first (lightbox order). */
+export const getMediaItems = (messages) => (
+  messages
+    .filter(isPreviewableMedia)
+    .map(message => ({
+      message_id: message.id,
+      attachment_id: message.meta.attachment_id,
+      file_name: message.meta.file_name,
+      file_type: message.meta.file_type,
+      width: message.meta.width || null,
+      height: message.meta.height || null,
+      sender_id: message.sender_id,
+      sent_at: message.sent_at
+    }))
+    .reverse()
+);
+
+/** Scale `width` x `height` down to fit the preview box, keeping the aspect ratio. */
+export const getPreviewSize = (width, height, maxWidth = PREVIEW_MAX_WIDTH, maxHeight = PREVIEW_MAX_HEIGHT) => {
+  if (!width || !height) return PREVIEW_FALLBACK_SIZE;
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+// The endpoints return either an object with a URL field or the URL itself
+const pickUrl = (response, ...keys) => {
+  if (typeof response === 'string') return response;
+  const key = keys.find(k => response?.[k]);
+  return key ? response[key] : null;
+};
+
+// Signed URLs expire; refetch after this long (ms)
+export const MEDIA_URL_TTL = 10 * 60 * 1000;
+
+const thumbnailRequests = new Map(); // attachmentId -> { promise, expiresAt }
+const mediaUrlRequests = new Map();  // attachmentId -> { promise, expiresAt }
+
+const cachedRequest = (cache, attachmentId, request) => {
+  const cached = cache.get(attachmentId);
+  if (!cached || cached.expiresAt < Date.now()) {
+    const promise = request().catch((error) => {
+      // Forget failures so the next render can try again
+      cache.delete(attachmentId);
+      throw error;
+    });
+    cache.set(attachmentId, { promise, expiresAt: Date.now() + MEDIA_URL_TTL });
+  }
+  return cache.get(attachmentId).promise;
+};
+
+/** Thumbnail (or video poster) URL for an attachment. */
+export const getThumbnailUrl = (attachmentId) => cachedRequest(thumbnailRequests, attachmentId, async () => {
+  const response = await mediaApiEndpoints.generateThumbnail(attachmentId);
+  return pickUrl(response, 'thumbnail_url', 'url');
+});
+
+/** Full-size URL for an attachment (lightbox, video playback). */
+export const getMediaUrl = (attachmentId) => cachedRequest(mediaUrlRequests, attachmentId, async () => {
+  const response = await mediaApiEndpoints.getDownloadUrl(attachmentId);
+  return pickUrl(response, 'url', 'download_url');
+});
+
+/**
+ * Save an attachment through a temporary link to its full-size URL. Falls
+ * back to opening the URL from the attachment's details when no download URL
+ * can be had.
+ */
+export const downloadAttachment = async (attachmentId, fileName) => {
+  let url = null;
+  try {
+    url = await getMediaUrl(attachmentId);
+  } catch (error) {
+    console.warn('Failed to get download URL, trying attachment details:', error);
+  }
+  if (!url) {
+    const attachment = await mediaApiEndpoints.getAttachment(attachmentId);
+    const fallbackUrl = pickUrl(attachment, 'url', 'download_url');
+    if (!fallbackUrl) throw new Error('No download URL for this attachment');
+    window.open(fallbackUrl, '_blank', 'noopener,noreferrer');
+    return;
+  }
+
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName || 'download';
+  anchor.target = '_blank';
+  anchor.rel = 'noopener noreferrer';
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+};
+
+/** Download an attachment into a File, e.g. to upload a copy of it elsewhere. */
+export const fetchAttachmentFile = async (attachmentId, fileName, fileType) => {
+  const url = await getMediaUrl(attachmentId);
+  if (!url) throw new Error('No download URL for this attachment');
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Download failed (${response.status})`);
+  const blob = await response.blob();
+  return new File([blob], fileName || 'attachment', { type: fileType || blob.type });
+};
+
+/** Natural size of an image file before it is sent; null for other files. */
+export const readImageDimensions = (file) => new Promise((resolve) => {
+  if (typeof window === 'undefined' || !isImageType(file?.type)) {
+    resolve(null);
+    return;
+  }
+
+  const url = URL.createObjectURL(file);
+  const image = new window.Image();
+  image.onload = () => {
+    resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    URL.revokeObjectURL(url);
+  };
+  image.onerror = () => {
+    resolve(null);
+    URL.revokeObjectURL(url);
+  };
+  image.src = url;
+});
@@ -0,0 +1,93 @@
+/**
+ * @mention helpers.
+ *
+ * Mentions are stored on the message as `meta.mentions: [{ user_id, label }]`,
+ * where `label` is the text inserted after the `@` (username, or display name
+ * when there is none). The ids are authoritative; labels are only used to find
+ * the mention again in the text for highlighting.
+ */
+
+// `@` at the start of the text or after whitespace, up to the caret
+const MENTION_TRIGGER = /(^|\s)@([\w.-]*)$/;
+
+/**
+ * The mention being typed at `caret`, if any.
+ * @returns {{ query: string, start: number } | null} `start` is the index of the `@`
+ */
+export const getMentionQuery = (text, caret) => {
+  const match = MENTION_TRIGGER.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { query: match[2], start: caret - match[2].length - 1 };
+};
+
+/** Label inserted for a user: their username, falling back to the display name. */
+export const getMentionLabel = (user) => user.username || user.display_name || '';
+
+/** Replace the `@query` typed between `start` and `caret` with a completed mention. */
+export const insertMention = (text, start, caret, label) => {
+  const mention = `@${label} `;
+  return {
+    text: text.slice(0, start) + mention + text.slice(caret),
+    caret: start + mention.length
+  };
+};
+
+/**
+ * Keep only the picked mentions whose `@label` is still in the text, one per user.
+ * @param {string} text
+ * @param {{ user_id: string, label: string }[]} picked
+ */
+export const collectMentions = (text, picked = []) => {
+  const seen = new Set();
+  return picked.filter(mention => {
+    if (seen.has(mention.user_id) || !text.includes(`@${mention.label}`)) {
+      return false;
+    }
+    seen.add(mention.user_id);
+    return true;
+  });
+};
+
+/** True when `message` mentions `userId`. */
+export const isMentioned = (message, userId) => (
+  !!userId && !!message?.meta?.mentions?.some(mention => mention.user_id === userId)
+);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split text into `text` and `mention` segments for highlighting.
+ * Only labels recorded in `mentions` are matched, so a stray `@word` stays plain text.
+ */
+export const splitMentions = (text = '', mentions = []) => {
+  const labels = (mentions || []).filter(m => m.label);
+  if (!text || labels.length === 0) {
+    return [{ type: 'text', value: text }];
+  }
+
+  // Longest first so "@ann.lee" wins over "@ann"
+  const byLabel = new Map(labels.map(m => [m.label, m]));
+  const alternatives = [...byLabel.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  const pattern = new RegExp(`(^|[^\\w@])@(${alternatives})(?![\\w-])`, 'g');
+
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const mentionStart = match.index + match[1].length;
+    if (mentionStart > lastIndex) {
+      segments.push({ type: 'text', value: text.slice(lastIndex, mentionStart) });
+    }
+    segments.push({ type: 'mention', value: `@${match[2]}`, user_id: byLabel.get(match[2]).user_id });
+    lastIndex = mentionStart + match[2].length + 1;
+    pattern.lastIndex = lastIndex;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return segments;
+};
@@ -0,0 +1,383 @@
+/**
+ * IndexedDB cache for conversations, participants, messages, unfinished
+ * attachment uploads and the files attached to composer drafts.
+ *
+ * Each user gets their own database (`orbit_chat_{userId}`). Messages are kept
+ * as one record per conversation so a new message only rewrites that
+ * conversation, and a small `stats` store tracks each record's size so
+ * eviction never has to read message bodies. Small keys (active conversation,
+ * unread counts, outbox, ...) stay in localStorage.
+ */
+
+import { toStoredUpload } from './uploads';
+
+export const CACHE_DB_PREFIX = 'orbit_chat_';
+
+// Bump together with a new entry in MIGRATIONS
+export const CACHE_SCHEMA_VERSION = 4;
+
+export const CACHE_STORES = {
+  CONVERSATIONS: 'conversations', // keyPath id
+  PARTICIPANTS: 'participants',   // { conversation_id, participants }
+  MESSAGES: 'messages',           // { conversation_id, messages (newest first) }
+  STATS: 'stats',                 // { conversation_id, size, count, updated_at }
+  UPLOADS: 'uploads',             // upload entries without the file (keyPath local_id)
+  UPLOAD_FILES: 'upload_files',   // { local_id, file }, written once per upload
+  DRAFT_FILES: 'draft_files'      // { conversation_id, files: [{ id, file }] }
+};
+
+// Newest messages kept per conversation; older pages are refetched on scroll
+export const MAX_CACHED_MESSAGES_PER_CONVERSATION = 500;
+
+// Approximate budget for all message records (UTF-16 code units of their JSON)
+export const MAX_CACHE_BYTES = 25 * 1024 * 1024;
+
+// MIGRATIONS[v] upgrades a database from version v - 1 to v
+const MIGRATIONS = [
+  null,
+  (db) => {
+    db.createObjectStore(CACHE_STORES.CONVERSATIONS, { keyPath: 'id' });
+    db.createObjectStore(CACHE_STORES.PARTICIPANTS, { keyPath: 'conversation_id' });
+    db.createObjectStore(CACHE_STORES.MESSAGES, { keyPath: 'conversation_id' });
+    db.createObjectStore(CACHE_STORES.STATS, { keyPath: 'conversation_id' });
+  },
+  (db) => {
+    db.createObjectStore(CACHE_STORES.UPLOADS, { keyPath: 'local_id' });
+  },
+  (db) => {
+    db.createObjectStore(CACHE_STORES.DRAFT_FILES, { keyPath: 'conversation_id' });
+  },
+  (db, tx) => {
+    // Move files out of upload entries so saving progress doesn't copy them
+    const files = db.createObjectStore(CACHE_STORES.UPLOAD_FILES, { keyPath: 'local_id' });
+    tx.objectStore(CACHE_STORES.UPLOADS).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const { file, ...entry } = cursor.value;
+      files.put({ local_id: entry.local_id, file });
+      cursor.update(entry);
+      cursor.continue();
+    };
+  }
+];
+
+export const isMessageCacheSupported = () => (
+  typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined'
+);
+
+export const getCacheDbName = (userId) => `${CACHE_DB_PREFIX}${userId}`;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+const openDatabases = new Map(); // userId -> Promise<IDBDatabase>
+
+const openCache = (userId) => {
+  if (!isMessageCacheSupported() || !userId) {
+    return Promise.resolve(null);
+  }
+
+  if (!openDatabases.has(userId)) {
+    const opening = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(getCacheDbName(userId), CACHE_SCHEMA_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        for (let version = event.oldVersion + 1; version <= CACHE_SCHEMA_VERSION; version++) {
+          MIGRATIONS[version](db, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded or deleted the database; reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          openDatabases.delete(userId);
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('Message cache upgrade blocked by another tab');
+    });
+
+    // Don't keep a failed open around so the next call can retry
+    opening.catch(() => openDatabases.delete(userId));
+    openDatabases.set(userId, opening);
+  }
+
+  return openDatabases.get(userId);
+};
+
+/** Approximate in-memory size of a record, used for eviction. */
+export const estimateSize = (value) => {
+  try {
+    return JSON.stringify(value).length;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Pick conversations to drop so the cache fits in `maxBytes`: least recently
+ * written first, never the ones in `keepIds`. Returns conversation ids.
+ */
+export const selectEvictions = (stats, maxBytes = MAX_CACHE_BYTES, keepIds = []) => {
+  let total = stats.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  if (total <= maxBytes) return [];
+
+  const keep = new Set(keepIds);
+  const evicted = [];
+  const candidates = stats
+    .filter(entry => !keep.has(entry.conversation_id))
+    .sort((a, b) => (a.updated_at || 0) - (b.updated_at || 0));
+
+  for (const entry of candidates) {
+    if (total <= maxBytes) break;
+    evicted.push(entry.conversation_id);
+    total -= entry.size || 0;
+  }
+  return evicted;
+};
+
+/**
+ * Per-conversation lists (`{ [convId]: list }`) whose reference differs from
+ * the last written one in `persisted`, which is updated to match. Evicted
+ * conversations keep their entry, so an unchanged list is not written (and
+ * bumped to most recent, evicting others) again; its next change rewrites it.
+ */
+export const takeChangedRecords = (persisted, byConversation) => {
+  const changed = {};
+  Object.entries(byConversation).forEach(([conversationId, list]) => {
+    if (persisted[conversationId] !== list) {
+      changed[conversationId] = list;
+      persisted[conversationId] = list;
+    }
+  });
+  return changed;
+};
+
+/** Read everything cached for a user: `{ conversations, participants, messages }`. */
+export const loadMessageCache = async (userId) => {
+  const db = await openCache(userId);
+  if (!db) return null;
+
+  const tx = db.transaction(
+    [CACHE_STORES.CONVERSATIONS, CACHE_STORES.PARTICIPANTS, CACHE_STORES.MESSAGES],
+    'readonly'
+  );
+  const [conversations, participantRecords, messageRecords] = await Promise.all([
+    requestToPromise(tx.objectStore(CACHE_STORES.CONVERSATIONS).getAll()),
+    requestToPromise(tx.objectStore(CACHE_STORES.PARTICIPANTS).getAll()),
+    requestToPromise(tx.objectStore(CACHE_STORES.MESSAGES).getAll())
+  ]);
+
+  const participants = {};
+  participantRecords.forEach(record => {
+    participants[record.conversation_id] = record.participants;
+  });
+  const messages = {};
+  messageRecords.forEach(record => {
+    messages[record.conversation_id] = record.messages;
+  });
+
+  return { conversations, participants, messages };
+};
+
+/** Every cached message list, keyed by conversation id (offline search). */
+export const loadCachedMessages = async (userId) => {
+  const db = await openCache(userId);
+  if (!db) return {};
+
+  const tx = db.transaction(CACHE_STORES.MESSAGES, 'readonly');
+  const records = await requestToPromise(tx.objectStore(CACHE_STORES.MESSAGES).getAll());
+  return Object.fromEntries(records.map(record => [record.conversation_id, record.messages]));
+};
+
+/** Replace the cached conversation list. */
+export const putConversations = async (userId, conversations) => {
+  const db = await openCache(userId);
+  if (!db) return;
+
+  const tx = db.transaction(CACHE_STORES.CONVERSATIONS, 'readwrite');
+  const store = tx.objectStore(CACHE_STORES.CONVERSATIONS);
+  store.clear();
+  conversations.forEach(conversation => store.put(conversation));
+  await transactionDone(tx);
+};
+
+/** Upsert participant lists: `{ [convId]: participant[] }`. */
+export const putParticipants = async (userId, byConversation) => {
+  const db = await openCache(userId);
+  if (!db) return;
+
+  const tx = db.transaction(CACHE_STORES.PARTICIPANTS, 'readwrite');
+  const store = tx.objectStore(CACHE_STORES.PARTICIPANTS);
+  Object.entries(byConversation).forEach(([conversationId, participants]) => {
+    store.put({ conversation_id: conversationId, participants });
+  });
+  await transactionDone(tx);
+};
+
+/**
+ * Upsert message lists (newest first): `{ [convId]: message[] }`. Only the
+ * conversations passed in are rewritten, trimmed to the per-conversation cap.
+ */
+export const putMessages = async (userId, byConversation) => {
+  const db = await openCache(userId);
+  if (!db) return;
+
+  const tx = db.transaction([CACHE_STORES.MESSAGES, CACHE_STORES.STATS], 'readwrite');
+  const messageStore = tx.objectStore(CACHE_STORES.MESSAGES);
+  const statsStore = tx.objectStore(CACHE_STORES.STATS);
+  const now = Date.now();
+
+  Object.entries(byConversation).forEach(([conversationId, list]) => {
+    const trimmed = list.slice(0, MAX_CACHED_MESSAGES_PER_CONVERSATION);
+    messageStore.put({ conversation_id: conversationId, messages: trimmed });
+    statsStore.put({
+      conversation_id: conversationId,
+      size: estimateSize(trimmed),
+      count: trimmed.length,
+      updated_at: now
+    });
+  });
+  await transactionDone(tx);
+};
+
+/** Drop cached messages for the given conversations. */
+export const deleteMessages = async (userId, conversationIds) => {
+  const db = await openCache(userId);
+  if (!db || conversationIds.length === 0) return;
+
+  const tx = db.transaction([CACHE_STORES.MESSAGES, CACHE_STORES.STATS], 'readwrite');
+  conversationIds.forEach(conversationId => {
+    tx.objectStore(CACHE_STORES.MESSAGES).delete(conversationId);
+    tx.objectStore(CACHE_STORES.STATS).delete(conversationId);
+  });
+  await transactionDone(tx);
+};
+
+/** Per-conversation sizes, without reading any message bodies. */
+export const getMessageCacheStats = async (userId) => {
+  const db = await openCache(userId);
+  if (!db) return [];
+
+  const tx = db.transaction(CACHE_STORES.STATS, 'readonly');
+  return requestToPromise(tx.objectStore(CACHE_STORES.STATS).getAll());
+};
+
+/** Evict whole conversations until the cache fits its budget. Returns evicted ids. */
+export const evictMessages = async (userId, keepIds = [], maxBytes = MAX_CACHE_BYTES) => {
+  const stats = await getMessageCacheStats(userId);
+  const evicted = selectEvictions(stats, maxBytes, keepIds);
+  await deleteMessages(userId, evicted);
+  return evicted;
+};
+
+/** Read a single conversation's cached messages (for inspection). */
+export const getCachedMessages = async (userId, conversationId) => {
+  const db = await openCache(userId);
+  if (!db) return null;
+
+  const tx = db.transaction(CACHE_STORES.MESSAGES, 'readonly');
+  const record = await requestToPromise(tx.objectStore(CACHE_STORES.MESSAGES).get(conversationId));
+  return record?.messages || null;
+};
+
+/** Unfinished uploads with their files, oldest first. Entries whose file is gone are skipped. */
+export const loadUploads = async (userId) => {
+  const db = await openCache(userId);
+  if (!db) return [];
+
+  const tx = db.transaction([CACHE_STORES.UPLOADS, CACHE_STORES.UPLOAD_FILES], 'readonly');
+  const [entries, files] = await Promise.all([
+    requestToPromise(tx.objectStore(CACHE_STORES.UPLOADS).getAll()),
+    requestToPromise(tx.objectStore(CACHE_STORES.UPLOAD_FILES).getAll())
+  ]);
+  const fileById = new Map(files.map(record => [record.local_id, record.file]));
+  return entries
+    .filter(entry => fileById.has(entry.local_id))
+    .map(entry => ({ ...entry, file: fileById.get(entry.local_id) }))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+};
+
+/** Save a newly queued upload together with its file. */
+export const addUpload = async (userId, entry) => {
+  const db = await openCache(userId);
+  if (!db) return;
+
+  const tx = db.transaction([CACHE_STORES.UPLOADS, CACHE_STORES.UPLOAD_FILES], 'readwrite');
+  tx.objectStore(CACHE_STORES.UPLOAD_FILES).put({ local_id: entry.local_id, file: entry.file });
+  tx.objectStore(CACHE_STORES.UPLOADS).put(toStoredUpload(entry));
+  await transactionDone(tx);
+};
+
+/** Save an upload's progress; the file was stored by addUpload and isn't written again. */
+export const putUpload = async (userId, entry) => {
+  const db = await openCache(userId);
+  if (!db) return;
+
+  const tx = db.transaction(CACHE_STORES.UPLOADS, 'readwrite');
+  tx.objectStore(CACHE_STORES.UPLOADS).put(toStoredUpload(entry));
+  await transactionDone(tx);
+};
+
+export const deleteUpload = async (userId, localId) => {
+  const db = await openCache(userId);
+  if (!db) return;
+
+  const tx = db.transaction([CACHE_STORES.UPLOADS, CACHE_STORES.UPLOAD_FILES], 'readwrite');
+  tx.objectStore(CACHE_STORES.UPLOADS).delete(localId);
+  tx.objectStore(CACHE_STORES.UPLOAD_FILES).delete(localId);
+  await transactionDone(tx);
+};
+
+/** Files attached to a conversation's draft as `[{ id, file }]`. */
+export const loadDraftFiles = async (userId, conversationId) => {
+  const db = await openCache(userId);
+  if (!db) return [];
+
+  const tx = db.transaction(CACHE_STORES.DRAFT_FILES, 'readonly');
+  const record = await requestToPromise(tx.objectStore(CACHE_STORES.DRAFT_FILES).get(conversationId));
+  return record?.files || [];
+};
+
+/** Replace a conversation's draft files; an empty list deletes the record. */
+export const putDraftFiles = async (userId, conversationId, files) => {
+  const db = await openCache(userId);
+  if (!db) return;
+
+  const tx = db.transaction(CACHE_STORES.DRAFT_FILES, 'readwrite');
+  const store = tx.objectStore(CACHE_STORES.DRAFT_FILES);
+  if (files.length > 0) {
+    store.put({ conversation_id: conversationId, files });
+  } else {
+    store.delete(conversationId);
+  }
+  await transactionDone(tx);
+};
+
+/** Delete a user's whole cache database (logout). */
+export const clearMessageCache = async (userId) => {
+  if (!isMessageCacheSupported() || !userId) return;
+
+  const opening = openDatabases.get(userId);
+  openDatabases.delete(userId);
+  if (opening) {
+    try {
+      (await opening).close();
+    } catch {
+      // Never opened; nothing to close
+    }
+  }
+
+  await requestToPromise(window.indexedDB.deleteDatabase(getCacheDbName(userId)));
+};
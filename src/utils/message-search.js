@@ -0,0 +1,115 @@
+/**
+ * Global message search helpers.
+ *
+ * Online, search runs on the chat service (`chatApiEndpoints.searchMessages`).
+ * Offline, or when the service can't be reached, the same query and filters
+ * run here over the IndexedDB message cache plus whatever is in memory.
+ */
+
+import { isMessageDeleted } from './message-utils';
+import { markdownToPlainText, MARKDOWN_CONTENT_TYPE } from './markdown';
+
+export const SEARCH_MIN_LENGTH = 2;
+export const SEARCH_RESULT_LIMIT = 50;
+// Characters of context kept either side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+export const EMPTY_SEARCH_FILTERS = {
+  senderId: '',
+  conversationId: '',
+  from: '',            // yyyy-MM-dd, inclusive
+  to: '',              // yyyy-MM-dd, inclusive
+  hasAttachment: false
+};
+
+/** Lower-cased words of a query; every one has to appear in a result. */
+export const getSearchTerms = (query) => (
+  (query || '').toLowerCase().split(/\s+/).filter(Boolean)
+);
+
+/** Plain text of a message as it is searched and shown in snippets. */
+export const getSearchableText = (message) => {
+  const content = message.content_type === MARKDOWN_CONTENT_TYPE
+    ? markdownToPlainText(message.content || '')
+    : message.content || '';
+  const fileName = message.meta?.file_name;
+  return fileName && !content.includes(fileName) ? `${content} ${fileName}`.trim() : content;
+};
+
+const startOfDay = (date) => new Date(`${date}T00:00:00`).getTime();
+const endOfDay = (date) => new Date(`${date}T23:59:59.999`).getTime();
+
+export const matchesSearchFilters = (message, filters = EMPTY_SEARCH_FILTERS) => {
+  if (filters.senderId && message.sender_id !== filters.senderId) return false;
+  if (filters.conversationId && message.conversation_id !== filters.conversationId) return false;
+  if (filters.hasAttachment && message.content_type !== 'attachment') return false;
+
+  const sentAt = new Date(message.sent_at).getTime();
+  if (filters.from && !(sentAt >= startOfDay(filters.from))) return false;
+  if (filters.to && !(sentAt <= endOfDay(filters.to))) return false;
+  return true;
+};
+
+/**
+ * Search newest-first message lists keyed by conversation id. Results carry
+ * their `conversation_id` and come back newest first.
+ */
+export const searchLocalMessages = (messagesByConversation, query, filters = EMPTY_SEARCH_FILTERS, limit = SEARCH_RESULT_LIMIT) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  Object.entries(messagesByConversation).forEach(([conversationId, list]) => {
+    (list || []).forEach(message => {
+      const candidate = { ...message, conversation_id: message.conversation_id || conversationId };
+      if (isMessageDeleted(candidate) || !matchesSearchFilters(candidate, filters)) return;
+      const text = getSearchableText(candidate).toLowerCase();
+      if (terms.every(term => text.includes(term))) results.push(candidate);
+    });
+  });
+
+  return results
+    .sort((a, b) => (new Date(b.sent_at).getTime() || 0) - (new Date(a.sent_at).getTime() || 0))
+    .slice(0, limit);
+};
+
+/** Query params for the search endpoint; empty filters are left out. */
+export const toSearchParams = (query, filters = EMPTY_SEARCH_FILTERS, limit = SEARCH_RESULT_LIMIT) => ({
+  q: query.trim(),
+  limit,
+  ...(filters.senderId && { sender_id: filters.senderId }),
+  ...(filters.conversationId && { conversation_id: filters.conversationId }),
+  ...(filters.from && { from: new Date(startOfDay(filters.from)).toISOString() }),
+  ...(filters.to && { to: new Date(endOfDay(filters.to)).toISOString() }),
+  ...(filters.hasAttachment && { has_attachment: true })
+});
+
+/**
+ * Snippet of `text` around the first match, split into `{ text, match }`
+ * segments so the matches can be highlighted.
+ */
+export const getSearchSnippet = (text, query, radius = SNIPPET_RADIUS) => {
+  const terms = getSearchTerms(query);
+  const source = (text || '').replace(/\s+/g, ' ').trim();
+  const lower = source.toLowerCase();
+
+  const firstMatch = terms.reduce((first, term) => {
+    const index = lower.indexOf(term);
+    return index !== -1 && (first === -1 || index < first) ? index : first;
+  }, -1);
+
+  let start = 0;
+  let end = source.length;
+  if (firstMatch > radius) start = firstMatch - radius;
+  if (end - start > radius * 3) end = start + radius * 3;
+  const snippet = `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+
+  if (terms.length === 0) return [{ text: snippet, match: false }];
+
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  return snippet
+    .split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
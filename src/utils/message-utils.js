@@ -0,0 +1,257 @@
+/**
+ * Helpers for per-conversation message lists.
+ *
+ * ChatContext keeps every conversation's messages newest-first (index 0 is
+ * the most recent message), which is the order the chat API returns them in.
+ */
+
+import { collectMentions } from './mentions';
+import { extractFirstUrl } from './link-previews';
+
+const getSentTime = (message) => new Date(message?.sent_at).getTime() || 0;
+
+/**
+ * Merge two newest-first message lists into one, de-duplicating by id.
+ * When both lists contain the same message the incoming copy wins, so fresh
+ * server data (read flags, edits) replaces what was cached.
+ */
+export const mergeMessages = (existing = [], incoming = []) => {
+  const byId = new Map();
+  existing.forEach(message => byId.set(message.id, message));
+  incoming.forEach(message => {
+    byId.set(message.id, { ...byId.get(message.id), ...message });
+  });
+
+  return Array.from(byId.values()).sort((a, b) => getSentTime(b) - getSentTime(a));
+};
+
+/** Id of the oldest loaded message — the `before` cursor for the next page of history. */
+export const getOldestMessageId = (messages = []) => {
+  return messages.length > 0 ? messages[messages.length - 1].id : null;
+};
+
+/**
+ * Id of the thread a message belongs to — the root message's id for replies,
+ * null for top-level messages.
+ */
+export const getThreadRootId = (message) => {
+  return message?.meta?.thread_root_id || message?.meta?.parent_message_id || null;
+};
+
+/**
+ * Build the `meta` for a reply to `parentMessage`. A short snapshot of the
+ * parent is included so the quote still renders when the parent itself is
+ * outside the loaded history.
+ */
+export const buildReplyMeta = (parentMessage) => ({
+  parent_message_id: parentMessage.id,
+  thread_root_id: getThreadRootId(parentMessage) || parentMessage.id,
+  parent_preview: {
+    sender_id: parentMessage.sender_id,
+    content_type: parentMessage.content_type,
+    content: (parentMessage.content || '').slice(0, 140),
+    file_name: parentMessage.meta?.file_name
+  }
+});
+
+/**
+ * Count replies per thread root across any number of message lists.
+ * A reply present in several lists is counted once.
+ * @returns {Object<string, number>} `{ [rootMessageId]: replyCount }`
+ */
+export const countThreadReplies = (...messageLists) => {
+  const repliesByRoot = {};
+  messageLists.forEach(list => {
+    (list || []).forEach(message => {
+      const rootId = getThreadRootId(message);
+      if (!rootId) return;
+      if (!repliesByRoot[rootId]) repliesByRoot[rootId] = new Set();
+      repliesByRoot[rootId].add(message.id);
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(repliesByRoot).map(([rootId, ids]) => [rootId, ids.size])
+  );
+};
+
+// Events published on `chat/{id}/messages` alongside regular message deliveries
+export const MESSAGE_EVENTS = {
+  EDITED: 'message.edited',
+  DELETED: 'message.deleted'
+};
+
+/** True once a message has been deleted (tombstoned). */
+export const isMessageDeleted = (message) => !!(message?.is_deleted || message?.deleted_at);
+
+/**
+ * Apply an edit to a message. `edit` carries the new `content` and optional
+ * `content_type`/`edited_at`, plus `meta` when the edit recomputed it.
+ */
+export const applyMessageEdit = (message, edit) => ({
+  ...message,
+  content: edit.content,
+  ...(edit.content_type && { content_type: edit.content_type }),
+  ...(edit.meta !== undefined && { meta: edit.meta }),
+  edited_at: edit.edited_at || new Date().toISOString()
+});
+
+/**
+ * Meta for `message` once its text becomes `content`: mentions no longer in
+ * the text are dropped, and the link preview (or its opt-out) is kept only
+ * while the first URL is unchanged. Returns null when nothing is left.
+ */
+export const getEditedMeta = (message, content) => {
+  if (!message?.meta) return null;
+
+  const { link_preview: linkPreview, no_link_preview: noLinkPreview, mentions, ...rest } = message.meta;
+  const keptMentions = collectMentions(content, mentions || []);
+  const sameUrl = extractFirstUrl(content) === extractFirstUrl(message.content);
+  const meta = {
+    ...rest,
+    ...(keptMentions.length > 0 && { mentions: keptMentions }),
+    ...(sameUrl && linkPreview && { link_preview: linkPreview }),
+    ...(sameUrl && noLinkPreview && { no_link_preview: true })
+  };
+  return Object.keys(meta).length > 0 ? meta : null;
+};
+
+/**
+ * Replace a message with its tombstone. Content, reactions and attachment
+ * details are dropped; thread links are kept so replies still point at their root.
+ */
+export const toTombstone = (message, deletedAt = null) => ({
+  ...message,
+  content: '',
+  reactions: [],
+  is_deleted: true,
+  deleted_at: deletedAt || message.deleted_at || new Date().toISOString(),
+  meta: message.meta?.thread_root_id || message.meta?.parent_message_id
+    ? {
+        parent_message_id: message.meta.parent_message_id,
+        thread_root_id: message.meta.thread_root_id
+      }
+    : null
+});
+
+// `action` values carried by events on `chat/{id}/reactions`
+export const REACTION_ACTIONS = {
+  ADDED: 'added',
+  REMOVED: 'removed'
+};
+
+/**
+ * Add or remove one user's reaction on a message. Idempotent, so the MQTT
+ * echo of a reaction that was already applied locally changes nothing.
+ * @param {{ emoji: string, user_id: string, action: string }} reaction
+ */
+export const applyReaction = (message, { emoji, user_id, action }) => {
+  const reactions = message.reactions || [];
+  const isMatch = (r) => r.emoji === emoji && r.user_id === user_id;
+  const exists = reactions.some(isMatch);
+
+  if (action === REACTION_ACTIONS.REMOVED) {
+    return exists ? { ...message, reactions: reactions.filter(r => !isMatch(r)) } : message;
+  }
+  return exists ? message : { ...message, reactions: [...reactions, { emoji, user_id }] };
+};
+
+/**
+ * Group a message's reactions into chips, in the order each emoji was first used.
+ * @returns {Array<{ emoji: string, count: number, userIds: string[] }>}
+ */
+export const aggregateReactions = (reactions = []) => {
+  const byEmoji = new Map();
+  reactions.forEach(({ emoji, user_id }) => {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, []);
+    byEmoji.get(emoji).push(user_id);
+  });
+
+  return Array.from(byEmoji.entries()).map(([emoji, userIds]) => ({
+    emoji,
+    count: userIds.length,
+    userIds
+  }));
+};
+
+/**
+ * First unread message for the "new messages" divider, from a read marker
+ * `{ since, count }` captured when the conversation was opened. Uses the
+ * last-read timestamp when known, otherwise counts back `count` messages from
+ * others. `messages` is newest-first.
+ */
+export const findFirstUnreadMessageId = (messages = [], marker, currentUserId) => {
+  if (!marker?.count) return null;
+
+  const incoming = messages.filter(m => m.sender_id !== currentUserId && !isMessageDeleted(m));
+  if (marker.since) {
+    const since = new Date(marker.since).getTime();
+    const unread = incoming.filter(m => new Date(m.sent_at).getTime() > since);
+    return unread.length > 0 ? unread[unread.length - 1].id : null;
+  }
+
+  return incoming[Math.min(marker.count, incoming.length) - 1]?.id || null;
+};
+
+// Receipts published on `chat/{id}/receipts`
+export const RECEIPT_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read'
+};
+
+/**
+ * Apply a receipt `{ user_id, status, at, message_id?, up_to? }` to a message.
+ * A receipt covers one message (`message_id`) or the current user's own
+ * messages sent up to `up_to`; only those show receipt state, so other
+ * senders' messages in a group are left alone.
+ * Receipts are stored as `message.receipts[userId] = { delivered_at, read_at }`;
+ * reading implies delivery. Returns the same object when nothing changes.
+ */
+export const applyReceipt = (message, receipt, currentUserId) => {
+  if (!message || message.sender_id === receipt.user_id) return message;
+
+  const covers = receipt.message_id
+    ? message.id === receipt.message_id
+    : !!receipt.up_to && message.sender_id === currentUserId &&
+      new Date(message.sent_at).getTime() <= new Date(receipt.up_to).getTime();
+  if (!covers) return message;
+
+  const current = message.receipts?.[receipt.user_id] || {};
+  const at = receipt.at || new Date().toISOString();
+  const next = {
+    delivered_at: current.delivered_at || at,
+    read_at: receipt.status === RECEIPT_STATUS.READ ? (current.read_at || at) : current.read_at || null
+  };
+  if (next.delivered_at === current.delivered_at && next.read_at === (current.read_at || null)) {
+    return message;
+  }
+
+  return {
+    ...message,
+    receipts: { ...message.receipts, [receipt.user_id]: next }
+  };
+};
+
+/**
+ * Delivery state of an own message: read once every recipient has read it,
+ * delivered once every recipient has it, otherwise sent. Falls back to the
+ * legacy `is_read` flag when no receipts have arrived.
+ */
+export const getDeliveryState = (message, recipientIds = []) => {
+  const receipts = message?.receipts || {};
+  if (recipientIds.length > 0 && Object.keys(receipts).length > 0) {
+    if (recipientIds.every(id => receipts[id]?.read_at)) return RECEIPT_STATUS.READ;
+    if (recipientIds.every(id => receipts[id]?.delivered_at)) return RECEIPT_STATUS.DELIVERED;
+    return RECEIPT_STATUS.SENT;
+  }
+  return message?.is_read ? RECEIPT_STATUS.READ : RECEIPT_STATUS.SENT;
+};
+
+/** Users who have read a message, earliest reader first: [{ user_id, read_at }]. */
+export const getReadBy = (message) => (
+  Object.entries(message?.receipts || {})
+    .filter(([, receipt]) => receipt.read_at)
+    .map(([userId, receipt]) => ({ user_id: userId, read_at: receipt.read_at }))
+    .sort((a, b) => new Date(a.read_at) - new Date(b.read_at))
+);
@@ -110,6 +110,24 @@ class MQTTClient {
     return this.subscribe(topic, typingHandler);
   }
 
+  // Subscribe to message reactions
+  subscribeToReactions(conversationId, reactionHandler) {
+    const topic = `chat/${conversationId}/reactions`;
+    return this.subscribe(topic, reactionHandler);
+  }
+
+  // Subscribe to pinned message changes
+  subscribeToPins(conversationId, pinHandler) {
+    const topic = `chat/${conversationId}/pins`;
+    return this.subscribe(topic, pinHandler);
+  }
+
+  // Subscribe to delivery/read receipts
+  subscribeToReceipts(conversationId, receiptHandler) {
+    const topic = `chat/${conversationId}/receipts`;
+    return this.subscribe(topic, receiptHandler);
+  }
+
   // Subscribe to presence updates
   subscribeToPresence(userId, presenceHandler = null) {
     const topic = `presence/${userId}/status`;
@@ -198,6 +216,23 @@ class MQTTClient {
     return this.publish(topic, message);
   }
 
+  // Send a delivery/read receipt. `scope` is { message_id } for a single
+  // message or { up_to } (ISO timestamp) for everything sent up to then.
+  sendReceipt(conversationId, status, scope) {
+    const user = TokenManager.getUser();
+    if (!user) return;
+
+    const topic = `chat/${conversationId}/receipts`;
+    const message = {
+      user_id: user.id,
+      status,
+      ...scope,
+      at: new Date().toISOString()
+    };
+
+    return this.publish(topic, message);
+  }
+
   // Update user presence
   updatePresence(status, customStatus = '') {
     const user = TokenManager.getUser();
@@ -250,6 +285,12 @@ class MQTTClient {
         this.defaultMessageHandler(payload, topic);
       } else if (topic.includes('/typing')) {
         this.defaultTypingHandler(payload, topic);
+      } else if (topic.includes('/reactions')) {
+        this.defaultReactionHandler(payload, topic);
+      } else if (topic.includes('/pins')) {
+        this.defaultPinHandler(payload, topic);
+      } else if (topic.includes('/receipts')) {
+        this.defaultReceiptHandler(payload, topic);
       } else if (topic.includes('/status')) {
         this.defaultPresenceHandler(payload, topic);
       }
@@ -276,6 +317,33 @@ class MQTTClient {
     }
   }
 
+  // Default reaction handler
+  defaultReactionHandler(payload, topic) {
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('mqtt-reaction', {
+        detail: { payload, topic }
+      }));
+    }
+  }
+
+  // Default pin handler
+  defaultPinHandler(payload, topic) {
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('mqtt-pin', {
+        detail: { payload, topic }
+      }));
+    }
+  }
+
+  // Default receipt handler
+  defaultReceiptHandler(payload, topic) {
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('mqtt-receipt', {
+        detail: { payload, topic }
+      }));
+    }
+  }
+
   // Default presence handler
   defaultPresenceHandler(payload, topic) {
     if (typeof window !== 'undefined') {
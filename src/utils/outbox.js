@@ -0,0 +1,75 @@
+/**
+ * Offline outbox for text messages.
+ *
+ * Sends are recorded here first and shown straight away as local messages,
+ * then delivered in order. Entries keep their `dedupe_key` across retries so
+ * the server can drop a send that did arrive before the connection failed.
+ * The outbox is persisted with the rest of the `orbit_chat_` cache.
+ */
+
+import { NETWORK_ERROR_MESSAGE } from './api-utils';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending', // waiting for (re)delivery
+  FAILED: 'failed'    // rejected by the server; needs retry or discard
+};
+
+// Retry interval while pending entries remain and nothing else triggers a flush (ms)
+export const OUTBOX_RETRY_INTERVAL = 15000;
+
+export const createOutboxEntry = ({ conversationId, senderId, content, contentType, meta = null }) => {
+  const now = Date.now();
+  const random = Math.random().toString(36).slice(2, 10);
+  return {
+    local_id: `local-${now}-${random}`,
+    conversation_id: conversationId,
+    sender_id: senderId,
+    content_type: contentType,
+    content,
+    meta,
+    dedupe_key: `msg-${now}-${random}`,
+    created_at: new Date(now).toISOString(),
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    error: null
+  };
+};
+
+/** Request body for `chatApiEndpoints.sendMessage`. */
+export const toSendPayload = (entry) => ({
+  content_type: entry.content_type,
+  content: entry.content,
+  ...(entry.meta && { meta: entry.meta }),
+  dedupe_key: entry.dedupe_key
+});
+
+/** Render an outbox entry as a message; `delivery` carries its pending/failed state. */
+export const toOutboxMessage = (entry) => ({
+  id: entry.local_id,
+  local_id: entry.local_id,
+  conversation_id: entry.conversation_id,
+  sender_id: entry.sender_id,
+  content_type: entry.content_type,
+  content: entry.content,
+  meta: entry.meta,
+  sent_at: entry.created_at,
+  delivery: entry.status,
+  error: entry.error
+});
+
+/** Outbox entries for a conversation as messages, newest first. */
+export const getOutboxMessages = (outbox, conversationId) => (
+  outbox
+    .filter(entry => entry.conversation_id === conversationId)
+    .map(toOutboxMessage)
+    .reverse()
+);
+
+/** True for a message that only exists locally, waiting in the outbox. */
+export const isLocalMessage = (message) => !!message?.local_id;
+
+/** Network failures are retried automatically; anything else needs the user. */
+export const isNetworkError = (error) => (
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  !!error?.message?.startsWith(NETWORK_ERROR_MESSAGE)
+);
@@ -0,0 +1,87 @@
+/**
+ * Pinned messages: the per-conversation pin list kept in ChatContext and the
+ * pin/unpin events published on `chat/{id}/pins`.
+ *
+ * A pin is `{ message_id, pinned_by, pinned_at, message }`, where `message` is
+ * a short snapshot of the pinned message so the pin still renders when the
+ * message itself is outside the loaded history.
+ */
+
+import { isMessageDeleted } from './message-utils';
+
+export const PIN_ACTIONS = {
+  PINNED: 'pinned',
+  UNPINNED: 'unpinned'
+};
+
+const toTime = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+/** Short snapshot of a message stored with its pin, enough for a one-line preview. */
+export const toPinSnapshot = (message) => ({
+  id: message.id,
+  sender_id: message.sender_id,
+  content_type: message.content_type,
+  content: (message.content || '').slice(0, 140),
+  sent_at: message.sent_at,
+  ...(message.content_type === 'attachment' && {
+    meta: { file_name: message.meta?.file_name, file_type: message.meta?.file_type }
+  })
+});
+
+/** Build the pin record for `message` pinned by `userId`. */
+export const createPin = (message, userId, pinnedAt = new Date().toISOString()) => ({
+  message_id: message.id,
+  pinned_by: userId,
+  pinned_at: pinnedAt,
+  message: toPinSnapshot(message)
+});
+
+/** Pins ordered newest pin first. */
+export const sortPins = (pins) => (
+  [...(pins || [])].sort((a, b) => toTime(b.pinned_at) - toTime(a.pinned_at))
+);
+
+export const isPinned = (pins, messageId) => (pins || []).some(pin => pin.message_id === messageId);
+
+/**
+ * Apply a pin event `{ message_id, action, user_id, pinned_at, message }` to a
+ * pin list. Idempotent, so the MQTT echo of an optimistic change is harmless.
+ * @returns {Array} the same array when nothing changed
+ */
+export const applyPinEvent = (pins, event) => {
+  const list = pins || [];
+  const { message_id: messageId, action } = event || {};
+  if (!messageId) return list;
+
+  if (action === PIN_ACTIONS.UNPINNED) {
+    return isPinned(list, messageId) ? list.filter(pin => pin.message_id !== messageId) : list;
+  }
+  if (action !== PIN_ACTIONS.PINNED || isPinned(list, messageId)) return list;
+
+  return sortPins([...list, {
+    message_id: messageId,
+    pinned_by: event.user_id || event.pinned_by || null,
+    pinned_at: event.pinned_at || new Date().toISOString(),
+    message: event.message || null
+  }]);
+};
+
+/**
+ * Pins ready to display: each `message` replaced by the loaded copy when there
+ * is one (so edits show up), and pins of deleted messages left out.
+ * `messages` is the conversation's loaded list.
+ */
+export const resolvePins = (pins, messages) => {
+  if (!pins?.length) return [];
+  const byId = new Map((messages || []).map(message => [message.id, message]));
+
+  return pins
+    .map(pin => {
+      const message = byId.get(pin.message_id) || pin.message;
+      return message ? { ...pin, message: { ...message, id: pin.message_id } } : null;
+    })
+    .filter(pin => pin && !isMessageDeleted(pin.message));
+};
@@ -0,0 +1,110 @@
+/**
+ * Send-later messages.
+ *
+ * A scheduled message is an outbox entry (same ids, payload and dedupe key)
+ * with a `send_at` time. It waits in its own persisted list until it is due,
+ * then ChatContext's scheduler delivers it through the outbox send path.
+ */
+
+import { addDays, addHours, nextMonday, set, startOfMinute, format, isSameDay } from 'date-fns';
+import { createOutboxEntry } from './outbox';
+
+export const SCHEDULE_STATUS = {
+  SCHEDULED: 'scheduled', // waiting for its time (or, once overdue, for a connection)
+  FAILED: 'failed'        // rejected by the server; needs an edit or cancel
+};
+
+// How far ahead a message has to be scheduled (ms)
+export const MIN_SCHEDULE_LEAD = 60 * 1000;
+// Longest the scheduler sleeps before checking again; keeps timers well below setTimeout's limit (ms)
+export const SCHEDULER_MAX_WAIT = 60 * 60 * 1000;
+
+const toTime = (value) => new Date(value).getTime();
+
+const bySendAt = (a, b) => toTime(a.send_at) - toTime(b.send_at);
+
+export const createScheduledMessage = ({ conversationId, senderId, content, contentType, meta = null, sendAt }) => ({
+  ...createOutboxEntry({ conversationId, senderId, content, contentType, meta }),
+  send_at: new Date(sendAt).toISOString(),
+  status: SCHEDULE_STATUS.SCHEDULED
+});
+
+/**
+ * Apply an edit `{ content, contentType, meta, sendAt }` (any subset). An
+ * edited message is scheduled again even if its last attempt failed.
+ */
+export const applyScheduledEdit = (entry, { content, contentType, meta, sendAt }) => ({
+  ...entry,
+  ...(content !== undefined && { content }),
+  ...(contentType !== undefined && { content_type: contentType }),
+  ...(meta !== undefined && { meta }),
+  ...(sendAt !== undefined && { send_at: new Date(sendAt).toISOString() }),
+  status: SCHEDULE_STATUS.SCHEDULED,
+  error: null
+});
+
+/** A conversation's scheduled messages, soonest first. */
+export const getScheduledForConversation = (scheduled, conversationId) => (
+  scheduled.filter(entry => entry.conversation_id === conversationId).sort(bySendAt)
+);
+
+/** Scheduled messages whose time has come, soonest first. Failed ones wait for the user. */
+export const getDueScheduledMessages = (scheduled, now = Date.now()) => (
+  scheduled
+    .filter(entry => entry.status === SCHEDULE_STATUS.SCHEDULED && toTime(entry.send_at) <= now)
+    .sort(bySendAt)
+);
+
+/** Milliseconds until the next message falls due, or null when none is waiting for a future time. */
+export const getNextSendDelay = (scheduled, now = Date.now()) => {
+  const upcoming = scheduled
+    .filter(entry => entry.status === SCHEDULE_STATUS.SCHEDULED && toTime(entry.send_at) > now)
+    .map(entry => toTime(entry.send_at) - now);
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+};
+
+/** Why `sendAt` can't be used, or null when it can. */
+export const validateSendAt = (sendAt, now = Date.now()) => {
+  const time = sendAt ? toTime(sendAt) : NaN;
+  if (Number.isNaN(time)) return 'Pick a date and time';
+  if (time < now + MIN_SCHEDULE_LEAD) return 'Pick a time at least a minute from now';
+  return null;
+};
+
+/** Value for an `<input type="datetime-local">`, in local time. */
+export const toDateTimeInputValue = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+/**
+ * Quick picks for the schedule menu, in local time: in an hour, tomorrow
+ * morning and next Monday morning (skipped when that is tomorrow).
+ * @returns {{ label: string, date: Date }[]}
+ */
+export const getSchedulePresets = (now = new Date()) => {
+  const morning = { hours: 9, minutes: 0, seconds: 0, milliseconds: 0 };
+  const tomorrow = set(addDays(now, 1), morning);
+  const monday = set(nextMonday(now), morning);
+
+  return [
+    { label: 'In 1 hour', date: startOfMinute(addHours(now, 1)) },
+    { label: `Tomorrow, ${format(tomorrow, 'p')}`, date: tomorrow },
+    ...(monday.getTime() !== tomorrow.getTime() ? [{ label: `Monday, ${format(monday, 'p')}`, date: monday }] : [])
+  ];
+};
+
+/** "Today, 3:30 PM", "Tomorrow, 9:00 AM" or "Mon, Mar 11, 9:00 AM" (local time). */
+export const formatSendAt = (sendAt, now = new Date()) => {
+  const date = new Date(sendAt);
+  if (Number.isNaN(date.getTime())) return '';
+  if (isSameDay(date, now)) return `Today, ${format(date, 'p')}`;
+  if (isSameDay(date, addDays(now, 1))) return `Tomorrow, ${format(date, 'p')}`;
+  return format(date, 'EEE, MMM d, p');
+};
+
+/** The browser's IANA time zone (e.g. "Europe/Berlin"), or '' when unknown. */
+export const getLocalTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+  } catch {
+    return '';
+  }
+};
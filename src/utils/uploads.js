@@ -0,0 +1,87 @@
+/**
+ * Resumable chunked attachment uploads.
+ *
+ * Each file is sent as numbered parts through the media service's multipart
+ * endpoints. Entries record which parts the server has acknowledged and are
+ * kept in the IndexedDB cache, so an upload interrupted by a reload or a
+ * dropped connection continues from its last finished part. The file itself is
+ * stored once when the upload is queued; later saves only write the entry.
+ */
+
+export const UPLOAD_STATUS = {
+  QUEUED: 'queued',       // waiting for its turn or for connectivity
+  UPLOADING: 'uploading', // parts are being sent
+  PAUSED: 'paused',       // stopped by the user
+  FAILED: 'failed'        // rejected by the server; needs resume or cancel
+};
+
+// Part size unless the server asks for another one when the upload is initiated
+export const UPLOAD_CHUNK_SIZE = 1024 * 1024;
+
+// Retry interval while uploads wait for the connection to come back (ms)
+export const UPLOAD_RETRY_INTERVAL = 15000;
+
+export const createUploadEntry = ({ conversationId, messageId, file, name, type, size }) => {
+  const now = Date.now();
+  return {
+    local_id: `upload-${now}-${Math.random().toString(36).slice(2, 10)}`,
+    conversation_id: conversationId,
+    message_id: messageId,
+    file,
+    file_name: name,
+    file_type: type,
+    file_size: size,
+    chunk_size: UPLOAD_CHUNK_SIZE,
+    attachment_id: null,
+    parts: [], // [{ part_number, etag }] acknowledged by the server
+    in_flight_bytes: 0,
+    status: UPLOAD_STATUS.QUEUED,
+    error: null,
+    created_at: new Date(now).toISOString()
+  };
+};
+
+export const getPartCount = (entry) => Math.max(1, Math.ceil(entry.file_size / entry.chunk_size));
+
+/** Byte range of a 1-based part number, end exclusive (for `Blob.slice`). */
+export const getPartRange = (entry, partNumber) => ({
+  start: (partNumber - 1) * entry.chunk_size,
+  end: Math.min(partNumber * entry.chunk_size, entry.file_size)
+});
+
+/** First part the server hasn't acknowledged yet, or null when all are done. */
+export const getNextPartNumber = (entry) => {
+  const done = new Set(entry.parts.map(part => part.part_number));
+  for (let partNumber = 1; partNumber <= getPartCount(entry); partNumber++) {
+    if (!done.has(partNumber)) return partNumber;
+  }
+  return null;
+};
+
+/** Union of two part lists by part number (later lists win), in part order. */
+export const mergeUploadedParts = (parts, moreParts) => {
+  const byNumber = new Map(parts.map(part => [part.part_number, part]));
+  moreParts.forEach(part => byNumber.set(part.part_number, part));
+  return [...byNumber.values()].sort((a, b) => a.part_number - b.part_number);
+};
+
+export const getUploadedBytes = (entry) => entry.parts.reduce((sum, part) => {
+  const { start, end } = getPartRange(entry, part.part_number);
+  return sum + Math.max(0, end - start);
+}, 0);
+
+/** Share of the file sent so far, 0..1, including the part in flight. */
+export const getUploadProgress = (entry) => {
+  if (!entry.file_size) return entry.parts.length > 0 ? 1 : 0;
+  return Math.min(1, (getUploadedBytes(entry) + (entry.in_flight_bytes || 0)) / entry.file_size);
+};
+
+/** What is saved after each part: the entry without its file or in-flight progress. */
+export const toStoredUpload = ({ file, ...entry }) => ({ ...entry, in_flight_bytes: 0 });
+
+/** Unfinished uploads restored after a reload continue unless the user paused them. */
+export const toRestoredUpload = (entry) => ({
+  ...entry,
+  in_flight_bytes: 0,
+  status: entry.status === UPLOAD_STATUS.UPLOADING ? UPLOAD_STATUS.QUEUED : entry.status
+});
@@ -0,0 +1,67 @@
+/**
+ * Voice message helpers shared by the composer recorder and the inline player.
+ *
+ * Recordings are sent as ordinary `audio/*` attachments. Their meta carries
+ * `voice: true`, the duration in seconds (recorded containers often don't
+ * store one) and a downsampled waveform of peak levels between 0 and 1.
+ */
+
+// Preferred recording formats, best first (Safari only records audio/mp4)
+export const VOICE_MIME_TYPES = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/ogg;codecs=opus',
+  'audio/mp4'
+];
+
+// Recording stops and sends by itself after this long (seconds)
+export const MAX_VOICE_DURATION = 5 * 60;
+
+// Bars stored in meta.waveform and drawn by the player
+export const WAVEFORM_BARS = 48;
+
+export const PLAYBACK_RATES = [1, 1.5, 2];
+
+/** First supported recording type, or '' to let the browser choose. */
+export const pickRecordingMimeType = (isTypeSupported) => (
+  VOICE_MIME_TYPES.find(type => isTypeSupported(type)) || ''
+);
+
+/** `audio/webm;codecs=opus` -> `audio/webm`, the type the attachment is stored as. */
+export const toAttachmentType = (mimeType) => (mimeType || 'audio/webm').split(';')[0].trim();
+
+const EXTENSIONS = { 'audio/webm': '.webm', 'audio/ogg': '.ogg', 'audio/mp4': '.m4a', 'audio/mpeg': '.mp3' };
+
+export const getVoiceFileName = (type, date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}.${pad(date.getMinutes())}.${pad(date.getSeconds())}`;
+  return `Voice message ${stamp}${EXTENSIONS[type] || '.webm'}`;
+};
+
+/** Reduce peak samples (0..1) to `bars` values by taking the max of each bucket. */
+export const downsampleWaveform = (samples, bars = WAVEFORM_BARS) => {
+  if (samples.length === 0) return [];
+  const count = Math.min(bars, samples.length);
+  const bucketSize = samples.length / count;
+
+  return Array.from({ length: count }, (_, i) => {
+    const bucket = samples.slice(Math.floor(i * bucketSize), Math.floor((i + 1) * bucketSize));
+    const peak = bucket.length > 0 ? Math.max(...bucket) : 0;
+    return Math.round(Math.min(1, Math.max(0, peak)) * 100) / 100;
+  });
+};
+
+/** `m:ss` for a number of seconds. */
+export const formatDuration = (seconds) => {
+  const total = Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+export const nextPlaybackRate = (rate) => {
+  const index = PLAYBACK_RATES.indexOf(rate);
+  return PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length];
+};
+
+export const isVoiceMessage = (message) => (
+  message?.content_type === 'attachment' && !!message.meta?.file_type?.startsWith('audio/')
+);